@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Clients allowed to call the API. Keys come from the JSON file at
+// API_KEYS_PATH, by client name: { "name": { "keyHash": "<sha256 hex>",
+// "repos": ["acme/*", "beta/site"], "projects": ["PVT_..."],
+// "uploadLimit": 10 } }; "key" may hold the key itself instead of its hash.
+// Repository patterns are "owner/repo" with "*" for any part; "*" alone allows
+// everything. API_KEY adds one key allowed on every repository and project.
+// Keys given as such, rather than hashed, need at least MIN_KEY_LENGTH characters.
+
+// Shorter keys are refused, so a guessable value never grants access
+const MIN_KEY_LENGTH = 32;
+
+/**
+ * Hash an API key the way keys are stored
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Read an API key entry
+ * @param {string} name - Client name
+ * @param {Object} entry - Key entry
+ * @returns {Object} Client ({ name, keyHash, repos, projects, uploadLimit })
+ */
+function readEntry(name, entry) {
+  if (!entry.keyHash && entry.key && String(entry.key).length < MIN_KEY_LENGTH) {
+    throw new Error(`keys need at least ${MIN_KEY_LENGTH} characters`);
+  }
+
+  const keyHash = entry.keyHash ? String(entry.keyHash).toLowerCase() : entry.key && hashKey(String(entry.key));
+
+  if (!keyHash) {
+    throw new Error('entries need a key or keyHash');
+  }
+
+  return {
+    name,
+    keyHash,
+    repos: [].concat(entry.repos || []),
+    projects: [].concat(entry.projects || []),
+    uploadLimit: Number(entry.uploadLimit) || null,
+  };
+}
+
+function loadKeys() {
+  const keys = [];
+
+  if (process.env.API_KEY) {
+    try {
+      keys.push(readEntry('default', { key: process.env.API_KEY, repos: ['*'], projects: ['*'] }));
+    } catch (error) {
+      console.error(`Ignoring API_KEY: ${error.message}`);
+    }
+  }
+
+  if (process.env.API_KEYS_PATH) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(process.env.API_KEYS_PATH, 'utf8'));
+      for (const [name, entry] of Object.entries(custom)) {
+        try {
+          keys.push(readEntry(name, entry));
+        } catch (error) {
+          console.error(`Failed to load API key ${name}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to load API keys: ${error.message}`);
+    }
+  }
+
+  return keys;
+}
+
+module.exports = {
+  // Only turn off behind another authenticating proxy or for local development
+  enabled: process.env.API_AUTH !== 'false',
+  keys: loadKeys(),
+  // Bearer JWTs signed with HS256; their repos and projects claims work like key allowlists
+  jwt: {
+    secret: process.env.API_JWT_SECRET,
+    issuer: process.env.API_JWT_ISSUER,
+    audience: process.env.API_JWT_AUDIENCE,
+  },
+  // Document uploads per client and window, unless a key sets its own uploadLimit
+  uploadLimit: Number(process.env.API_UPLOAD_LIMIT) || 30,
+  uploadWindow: (Number(process.env.API_UPLOAD_WINDOW) || 3600) * 1000,
+  hashKey,
+};
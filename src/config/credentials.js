@@ -0,0 +1,73 @@
+const fs = require('fs');
+
+// GitHub credentials by repository or project owner, so one deployment can
+// serve several organizations. Each entry is a token ({ "token": "ghp_..." })
+// or a GitHub App ({ "appId": 123, "privateKeyPath": "./app.pem",
+// "installationId": 456 }; without installationId the app's installation on
+// the owner is looked up). Entries come from the JSON file at
+// GITHUB_CREDENTIALS_PATH; "*" is used for owners without an entry and
+// defaults to the GITHUB_APP_* settings, or else GITHUB_TOKEN.
+
+/**
+ * Read a credential entry, loading its private key from a file when given as a path
+ * @param {Object} entry - Credential entry
+ * @returns {Object} Entry ({ token } or { appId, privateKey, installationId })
+ */
+function readEntry(entry) {
+  if (entry.token) {
+    return { token: entry.token };
+  }
+
+  const privateKey = entry.privateKeyPath
+    ? fs.readFileSync(entry.privateKeyPath, 'utf8')
+    // Keys set in .env usually have their line breaks escaped
+    : String(entry.privateKey || '').replace(/\\n/g, '\n');
+
+  if (!entry.appId || !privateKey) {
+    throw new Error('entries need a token, or an appId with privateKey or privateKeyPath');
+  }
+
+  return {
+    appId: String(entry.appId),
+    privateKey,
+    installationId: entry.installationId ? String(entry.installationId) : null,
+  };
+}
+
+function loadCredentials() {
+  const credentials = {};
+
+  if (process.env.GITHUB_APP_ID) {
+    try {
+      credentials['*'] = readEntry({
+        appId: process.env.GITHUB_APP_ID,
+        privateKey: process.env.GITHUB_APP_PRIVATE_KEY,
+        privateKeyPath: process.env.GITHUB_APP_PRIVATE_KEY_PATH,
+        installationId: process.env.GITHUB_APP_INSTALLATION_ID,
+      });
+    } catch (error) {
+      console.error(`Failed to load GitHub App credentials: ${error.message}`);
+    }
+  } else if (process.env.GITHUB_TOKEN) {
+    credentials['*'] = { token: process.env.GITHUB_TOKEN };
+  }
+
+  if (process.env.GITHUB_CREDENTIALS_PATH) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(process.env.GITHUB_CREDENTIALS_PATH, 'utf8'));
+      for (const [owner, entry] of Object.entries(custom)) {
+        try {
+          credentials[owner.toLowerCase()] = readEntry(entry);
+        } catch (error) {
+          console.error(`Failed to load GitHub credentials for ${owner}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to load GitHub credentials: ${error.message}`);
+    }
+  }
+
+  return credentials;
+}
+
+module.exports = loadCredentials();
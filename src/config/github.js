@@ -1,14 +1,34 @@
-const { GraphQLClient } = require('graphql-request');
-
-const client = new GraphQLClient('https://api.github.com/graphql', {
-  headers: {
-    authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
-  },
-});
+/**
+ * Read a numeric setting where 0 is a valid value, such as GITHUB_MAX_RETRIES=0
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when the variable is unset or not a number
+ * @returns {number} Setting
+ */
+function readNumber(name, fallback) {
+  const value = process.env[name] ? Number(process.env[name]) : NaN;
+  return Number.isNaN(value) ? fallback : value;
+}
 
 module.exports = {
-  client,
   owner: process.env.GITHUB_OWNER,
   repo: process.env.GITHUB_REPO,
   projectId: process.env.GITHUB_PROJECT_ID,
-};
\ No newline at end of file
+  restEndpoint: 'https://api.github.com',
+  // Tokens sent per request in X-GitHub-Token; turn off to only use configured credentials
+  allowTokenHeader: process.env.GITHUB_ALLOW_TOKEN_HEADER !== 'false',
+  // Installation tokens last an hour and are replaced this long before they expire
+  tokenRefreshMargin: 5 * 60 * 1000,
+  // Secret of the repository or organization webhook; webhooks are refused without it
+  webhookSecret: process.env.GITHUB_WEBHOOK_SECRET,
+  requestLimits: {
+    // At least one request must be able to run
+    maxConcurrency: Number(process.env.GITHUB_MAX_CONCURRENCY) || 4,
+    maxRetries: readNumber('GITHUB_MAX_RETRIES', 3),
+    retryDelay: 1000,
+    maxRetryDelay: 15 * 60 * 1000,
+    minRemaining: readNumber('GITHUB_MIN_RATE_LIMIT', 100),
+    mutationInterval: readNumber('GITHUB_MUTATION_INTERVAL', 0),
+  },
+  batchSize: Number(process.env.GITHUB_BATCH_SIZE) || 20,
+  cacheTtl: (Number(process.env.GITHUB_CACHE_TTL) || 300) * 1000,
+};
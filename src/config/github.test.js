@@ -0,0 +1,24 @@
+function loadConfig(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  let config;
+  jest.isolateModules(() => {
+    config = require('./github');
+  });
+  process.env = saved;
+  return config;
+}
+
+describe('GitHub request limits', () => {
+  test('accepts 0 to turn retries and the rate limit reserve off', () => {
+    const { requestLimits } = loadConfig({ GITHUB_MAX_RETRIES: '0', GITHUB_MIN_RATE_LIMIT: '0' });
+
+    expect(requestLimits).toMatchObject({ maxRetries: 0, minRemaining: 0 });
+  });
+
+  test('falls back to the defaults for unset or invalid values', () => {
+    const { requestLimits } = loadConfig({ GITHUB_MAX_RETRIES: '', GITHUB_MIN_RATE_LIMIT: 'lots', GITHUB_MAX_CONCURRENCY: '0' });
+
+    expect(requestLimits).toMatchObject({ maxRetries: 3, minRemaining: 100, maxConcurrency: 4 });
+  });
+});
@@ -0,0 +1,52 @@
+const fs = require('fs');
+
+// Issue templates selectable per upload with template=<name>.
+// Entries in the JSON file at ISSUE_TEMPLATES_PATH extend or override these.
+//
+// Placeholders: {{title}}, {{task}} (full text), {{description}}, {{document}},
+// {{section}}, {{line}}, {{source}}, {{importId}}, {{kind}}, {{labels}},
+// {{assignees}}, {{milestone}}, {{period}}, {{startDate}}, {{dueDate}},
+// {{fields}} and {{fields.<Name>}}. {{#name}}...{{/name}} renders only when the value is set.
+// {{importId}} differs on every import, so a body using it counts as changed
+// each time the document is imported again and every issue gets rewritten.
+const defaultTemplates = {
+  default: {
+    title: '{{title}}',
+    body: '{{description}}',
+  },
+  detailed: {
+    title: '{{title}}',
+    body: [
+      '{{description}}',
+      '',
+      '{{#fields}}{{fields}}',
+      '',
+      '{{/fields}}---',
+      '{{#section}}**Section:** {{section}}',
+      '{{/section}}**Source:** {{document}}{{#line}}, line {{line}}{{/line}}',
+    ].join('\n'),
+  },
+  section: {
+    title: '{{#section}}[{{section}}] {{/section}}{{title}}',
+    body: '{{description}}',
+  },
+};
+
+function loadTemplates() {
+  const templates = { ...defaultTemplates };
+
+  if (process.env.ISSUE_TEMPLATES_PATH) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(process.env.ISSUE_TEMPLATES_PATH, 'utf8'));
+      for (const [name, template] of Object.entries(custom)) {
+        templates[name.toLowerCase()] = template;
+      }
+    } catch (error) {
+      console.error(`Failed to load issue templates: ${error.message}`);
+    }
+  }
+
+  return templates;
+}
+
+module.exports = loadTemplates();
@@ -0,0 +1,31 @@
+const fs = require('fs');
+
+// Colors and descriptions for labels created during an import.
+// Entries in the JSON file at LABEL_CATALOG_PATH extend or override these.
+const defaultCatalog = {
+  bug: { color: 'd73a4a', description: "Something isn't working" },
+  documentation: { color: '0075ca', description: 'Improvements or additions to documentation' },
+  enhancement: { color: 'a2eeef', description: 'New feature or request' },
+  epic: { color: '3e4b9e', description: 'Group of related tasks' },
+  feature: { color: '0e8a16', description: 'New functionality' },
+  roadmap: { color: 'fbca04', description: 'Imported from the roadmap document' },
+};
+
+function loadCatalog() {
+  const catalog = { ...defaultCatalog };
+
+  if (process.env.LABEL_CATALOG_PATH) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(process.env.LABEL_CATALOG_PATH, 'utf8'));
+      for (const [name, style] of Object.entries(custom)) {
+        catalog[name.toLowerCase()] = style;
+      }
+    } catch (error) {
+      console.error(`Failed to load label catalog: ${error.message}`);
+    }
+  }
+
+  return catalog;
+}
+
+module.exports = loadCatalog();
@@ -0,0 +1,62 @@
+const { credentialStore } = require('../services/stores');
+const { ApiError } = require('../utils/errors');
+const { getCredential } = require('../utils/githubAuth');
+const { canAccess } = require('../utils/apiAccess');
+
+/**
+ * List the owners with configured GitHub credentials, without their secrets
+ * GET /api/credentials
+ *
+ * Only owners the API client may act on for every repository are listed
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function listCredentials(req, res) {
+  return res.json({
+    success: true,
+    data: credentialStore.list().filter(entry => canAccess(req.apiClient, { owner: entry.owner }))
+  });
+}
+
+/**
+ * Check the credential used for an owner: which kind it is and the scopes it grants
+ * GET /api/credentials/:owner
+ *
+ * Resolves GitHub App installations and creates their token, so setup
+ * problems show up before the first import
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function checkCredential(req, res, next) {
+  const { owner } = req.params;
+
+  try {
+    const credential = getCredential(req, owner);
+    if (!credential) {
+      throw new ApiError(404, 'CREDENTIALS_NOT_FOUND', `No GitHub credentials configured for ${owner}`);
+    }
+
+    const scopes = await credential.getScopes();
+
+    return res.json({
+      success: true,
+      data: {
+        owner,
+        type: credential.type,
+        ...(credential.type === 'app' && { installationId: credential.installationId }),
+        // Fine-grained tokens do not report scopes
+        scopes
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  listCredentials,
+  checkCredential
+};
@@ -0,0 +1,49 @@
+const config = require('../config/github');
+const ExportService = require('../services/exportService');
+const { findExporter, supportedFormats } = require('../exporters');
+const { ApiError } = require('../utils/errors');
+const { getGitHubService } = require('../utils/githubAuth');
+
+/**
+ * Export a roadmap document generated from the repository's issues
+ * GET /api/export?owner=&repo=&format=docx|md|csv
+ *
+ * Issues are grouped by milestone (default), label or project Status
+ * (groupBy=status, with projectId or GITHUB_PROJECT_ID), each linked with its
+ * state. Use state=OPEN or CLOSED to limit the issues, and title to name the document
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function exportRoadmap(req, res, next) {
+  const { owner, repo, format, groupBy, state, title } = req.query;
+  const projectId = req.query.projectId || (groupBy === 'status' ? config.projectId : null);
+
+  const exporter = findExporter(format);
+  if (!exporter) {
+    return next(new ApiError(400, 'UNSUPPORTED_EXPORT_FORMAT', `Unsupported export format "${format}". Supported formats: ${supportedFormats().join(', ')}`));
+  }
+
+  try {
+    const githubService = await getGitHubService(req, { scopes: projectId ? ['read:project'] : [] });
+    const exportService = new ExportService(githubService);
+    const report = await exportService.buildReport(owner, repo, {
+      groupBy,
+      state,
+      projectId,
+      title
+    });
+    const document = await exporter.render(report);
+
+    res.set('Content-Type', exporter.mimeType);
+    res.set('Content-Disposition', `attachment; filename="${repo}-roadmap${exporter.extension}"`);
+    return res.send(document);
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  exportRoadmap
+};
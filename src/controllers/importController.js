@@ -0,0 +1,455 @@
+const ImportService = require('../services/importService');
+const { importStore } = require('../services/stores');
+const { applyAnnotations } = require('../parsers/taskExtractor');
+const { ApiError } = require('../utils/errors');
+const { canAccessRecord } = require('../utils/apiAccess');
+const { getGitHubService } = require('../utils/githubAuth');
+const {
+  buildIssuePayloads,
+  collectWarnings,
+  parseUpload,
+  readIssueOptions,
+  readImportOptions,
+  importScopes,
+  resolveIssueTemplate,
+  collectDuplicates,
+  hashDocument,
+  runRecordedImport
+} = require('./uploadController');
+const { jobQueue, sendAccepted } = require('./jobController');
+
+// Imports whose tasks can still be edited and committed; a failed commit can be retried
+const EDITABLE_STATUSES = ['pending', 'failed'];
+
+/**
+ * Look up the import session named by the route
+ * @param {Object} req - Express request object
+ * @returns {Object} Import session
+ * @throws {ApiError} 404 IMPORT_NOT_FOUND when it does not exist or belongs to another API client
+ */
+function findImport(req) {
+  const session = importStore.get(req.params.id);
+
+  if (!session || !canAccessRecord(req.apiClient, session)) {
+    throw new ApiError(404, 'IMPORT_NOT_FOUND', `Import ${req.params.id} not found`);
+  }
+
+  return session;
+}
+
+/**
+ * Strip the raw document text from an import session for responses
+ * @param {Object} session - Import session
+ * @returns {Object} Import session without its text
+ */
+function serializeImport(session) {
+  const { text, ...rest } = session;
+  return rest;
+}
+
+/**
+ * Summarize an import for the history listing
+ * @param {Object} session - Import session
+ * @returns {Object} Import without its text, tasks and per-issue results
+ */
+function summarizeImport(session) {
+  const { text, tasks, results, failures, ...rest } = session;
+
+  return {
+    ...rest,
+    taskCount: tasks.length,
+    failureCount: failures ? failures.length : 0,
+    rollback: rest.rollback && { ...rest.rollback, details: undefined }
+  };
+}
+
+/**
+ * Check that an import can still be edited or committed
+ * @param {Object} session - Import session
+ * @throws {ApiError} 409 IMPORT_NOT_EDITABLE otherwise
+ */
+function assertEditable(session) {
+  if (!EDITABLE_STATUSES.includes(session.status)) {
+    throw new ApiError(409, 'IMPORT_NOT_EDITABLE', `Import ${session.id} has already been ${session.status}`);
+  }
+}
+
+/**
+ * Browse the import history, newest first
+ * GET /api/imports
+ *
+ * Query: repository ("owner/repo") and status (pending, committing,
+ * committed, failed, rolling-back or rolled-back) to filter the imports.
+ * Only imports the API client may access are listed
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function listImports(req, res) {
+  const imports = importStore.list({
+    repository: req.query.repository,
+    status: req.query.status
+  }).filter(session => canAccessRecord(req.apiClient, session));
+
+  return res.json({
+    success: true,
+    data: imports.map(summarizeImport)
+  });
+}
+
+/**
+ * Upload a document and keep its tasks for review
+ * POST /api/imports
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function createImport(req, res, next) {
+  try {
+    const { text, entries, format } = await parseUpload(req);
+
+    const session = importStore.create({
+      fileName: req.file.originalname,
+      format,
+      documentKey: req.body.documentKey || req.file.originalname,
+      documentHash: hashDocument(req.file),
+      text,
+      entries,
+      apiClient: req.apiClient && req.apiClient.id
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Document parsed into ${session.tasks.length} tasks`,
+      data: {
+        ...serializeImport(session),
+        warnings: collectWarnings(session.tasks)
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Get a stored import and its tasks
+ * GET /api/imports/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function getImport(req, res) {
+  const session = findImport(req);
+
+  return res.json({
+    success: true,
+    data: {
+      ...serializeImport(session),
+      text: req.query.includeText ? session.text : undefined
+    }
+  });
+}
+
+/**
+ * Fold other tasks into a task
+ * Texts are joined and annotations in them applied again; labels, assignees
+ * and warnings are combined, and the task keeps its own milestone, dates and
+ * field values, taking those it lacks from the merged tasks in order
+ * @param {Object} task - Task that remains
+ * @param {Array<Object>} merged - Tasks folded into it
+ * @returns {Object} Task with the merged text and metadata
+ */
+function mergeTasks(task, merged) {
+  const all = [task, ...merged];
+  const union = key => [...new Set(all.flatMap(t => t[key] || []))];
+  const first = key => all.map(t => t[key]).find(value => value !== undefined && value !== null);
+  const { warnings, ...annotated } = applyAnnotations({
+    ...task,
+    text: all.map(t => t.text).join(' '),
+    labels: union('labels'),
+    assignees: union('assignees'),
+    fields: Object.assign({}, ...[...all].reverse().map(t => t.fields || {})),
+    warnings: union('warnings')
+  });
+
+  for (const key of ['milestone', 'period', 'startDate', 'dueDate', 'body']) {
+    if (annotated[key] === undefined && first(key) !== undefined) {
+      annotated[key] = first(key);
+    }
+  }
+  for (const key of ['labels', 'assignees']) {
+    if (annotated[key].length === 0) {
+      delete annotated[key];
+    }
+  }
+
+  return { ...annotated, warnings: warnings.length > 0 ? warnings : undefined };
+}
+
+/**
+ * Edit, drop or merge a task of a pending import
+ * PATCH /api/imports/:id/tasks/:n
+ *
+ * Body: { text } to reword the task (inline annotations such as @user or
+ * #label are applied again), { drop: true } to remove it, or
+ * { mergeWith: [m, ...] } to fold other tasks into this one
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function updateImportTask(req, res) {
+  const session = findImport(req);
+  assertEditable(session);
+
+  const taskId = req.params.n;
+  const task = session.tasks.find(t => t.id === taskId);
+
+  if (!task) {
+    throw new ApiError(404, 'TASK_NOT_FOUND', `Task ${taskId} not found in import ${session.id}`);
+  }
+
+  const { text, drop, mergeWith } = req.body;
+
+  // The validator trims texts, so a blank text arrives empty
+  if (text === '') {
+    throw new ApiError(400, 'EMPTY_TASK_TEXT', 'Task text must not be empty');
+  }
+
+  if (drop) {
+    importStore.update(session.id, {
+      tasks: session.tasks.filter(t => t.id !== taskId)
+    });
+
+    return res.json({
+      success: true,
+      message: `Task ${taskId} dropped`,
+      data: serializeImport(session)
+    });
+  }
+
+  if (mergeWith !== undefined) {
+    const mergeIds = mergeWith.map(Number);
+    const merged = mergeIds.map(id => session.tasks.find(t => t.id === id && t.id !== taskId));
+
+    if (merged.some(t => !t)) {
+      throw new ApiError(400, 'UNKNOWN_TASK', 'mergeWith must reference other tasks of this import');
+    }
+
+    Object.assign(task, mergeTasks(task, merged));
+    importStore.update(session.id, {
+      tasks: session.tasks.filter(t => !mergeIds.includes(t.id))
+    });
+  }
+
+  if (text !== undefined) {
+    const { warnings, ...annotated } = applyAnnotations({ ...task, text, warnings: [] });
+    Object.assign(task, annotated, warnings.length > 0 ? { warnings } : { warnings: undefined });
+    importStore.update(session.id, {});
+  }
+
+  return res.json({
+    success: true,
+    message: `Task ${taskId} updated`,
+    data: serializeImport(session)
+  });
+}
+
+/**
+ * Create GitHub issues for the reviewed tasks of an import
+ * POST /api/imports/:id/commit
+ *
+ * Issues generated earlier from the same document are updated instead of
+ * duplicated; pass closeRemoved=true to close those whose task was removed.
+ * New issues are added to the project given as projectId (or GITHUB_PROJECT_ID)
+ * with the field values found in the document. Imports parsed in "epics" mode
+ * link children to their epic as a checklist, or as sub-issues with
+ * hierarchy=sub-issues. Titles and bodies come from the issue template named
+ * by template. Labels and milestones missing from the repository are
+ * reported, or created with createMissing=true (styles from labelCatalog).
+ * New tasks resembling other open issues (similarity of at least
+ * duplicateThreshold, default 0.8) are flagged, linked in a comment or skipped
+ * as set by duplicatePolicy (flag, link, skip or off).
+ * With ?async=true the commit runs as a background job and 202 Accepted is
+ * returned with the job ID
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function commitImport(req, res, next) {
+  try {
+    const session = findImport(req);
+    assertEditable(session);
+
+    if (session.tasks.length === 0) {
+      throw new ApiError(400, 'NO_TASKS_LEFT', 'Import has no tasks left to commit');
+    }
+
+    const { owner, repo } = req.body;
+    const options = { documentKey: session.documentKey, ...readImportOptions(req.body) };
+    const githubService = await getGitHubService(req, { scopes: importScopes(options) });
+    const importService = new ImportService(githubService);
+    const payloads = buildIssuePayloads(session.tasks, {
+      ...readIssueOptions(req.body),
+      documentKey: session.documentKey,
+      documentName: session.fileName,
+      importId: session.id,
+      template: await resolveIssueTemplate(req.body.template, { githubService, owner, repo })
+    });
+
+    const target = { githubService, repository: `${owner}/${repo}`, projectId: options.projectId || null };
+
+    if (req.query.async) {
+      importStore.update(session.id, { status: 'committing', repository: target.repository });
+
+      const job = jobQueue.enqueue({
+        type: 'commit',
+        total: payloads.length,
+        meta: { importId: session.id, repository: `${owner}/${repo}` }
+      }, report => runRecordedImport(session, target, () =>
+        importService.importDocument(owner, repo, payloads, { ...options, onProgress: report })));
+
+      return sendAccepted(res, job);
+    }
+
+    const { counts, details, metadata, projectError, rateLimit } = await runRecordedImport(session, target, () =>
+      importService.importDocument(owner, repo, payloads, options));
+
+    return res.status(201).json({
+      success: true,
+      message: `Successfully committed import: ${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.closed} closed`,
+      data: {
+        importId: session.id,
+        tasksCommitted: session.tasks.length,
+        issuesCreated: counts.created,
+        counts,
+        projectId: options.projectId || null,
+        labelsCreated: metadata.created.labels,
+        milestonesCreated: metadata.created.milestones,
+        warnings: metadata.warnings.map(warning => ({ warning })),
+        projectError,
+        duplicates: collectDuplicates(details),
+        rateLimit,
+        details
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Discard an import and its parsed content
+ * DELETE /api/imports/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function deleteImport(req, res) {
+  const session = findImport(req);
+
+  // Imports that reached GitHub stay in the history; roll them back instead
+  if (!EDITABLE_STATUSES.includes(session.status)) {
+    throw new ApiError(409, 'IMPORT_NOT_EDITABLE', `Import ${session.id} has been ${session.status} and is kept in the import history`);
+  }
+
+  importStore.delete(session.id);
+
+  return res.json({
+    success: true,
+    message: `Import ${req.params.id} deleted`
+  });
+}
+
+/**
+ * Undo a committed import
+ * POST /api/imports/:id/rollback
+ *
+ * Issues the import created are removed from its project and closed, or
+ * deleted with mode=delete where the token has admin rights (closed
+ * otherwise); issues it closed are reopened. Issues it updated are left as
+ * they are. With ?async=true the rollback runs as a background job and 202
+ * Accepted is returned with the job ID
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function rollbackImport(req, res, next) {
+  try {
+    const session = findImport(req);
+
+    if (session.status !== 'committed') {
+      throw new ApiError(409, 'IMPORT_NOT_COMMITTED', `Only committed imports can be rolled back; import ${session.id} is ${session.status}`);
+    }
+
+    const { mode } = req.body;
+    const githubService = await getGitHubService(req, {
+      owner: session.repository.split('/')[0],
+      scopes: session.projectId ? ['repo', 'project'] : ['repo']
+    });
+    const importService = new ImportService(githubService);
+    // Marked before the job is queued, so a second rollback is refused meanwhile
+    importStore.update(session.id, { status: 'rolling-back' });
+
+    const run = async (onProgress) => {
+      try {
+        const [viewer, result] = await Promise.all([
+          githubService.getViewer().catch(() => null),
+          importService.rollbackImport(session, { deleteIssues: mode === 'delete', onProgress })
+        ]);
+        importStore.update(session.id, {
+          status: 'rolled-back',
+          rollback: {
+            mode,
+            rolledBackBy: viewer && viewer.login,
+            rolledBackAt: new Date().toISOString(),
+            counts: result.counts,
+            details: result.details
+          }
+        });
+        return result;
+      } catch (error) {
+        importStore.update(session.id, { status: 'committed' });
+        throw error;
+      }
+    };
+
+    if (req.query.async) {
+      const job = jobQueue.enqueue({
+        type: 'rollback',
+        total: (session.results || []).filter(result => ['created', 'closed', 'updated'].includes(result.action)).length,
+        meta: { importId: session.id, repository: session.repository }
+      }, run);
+
+      return sendAccepted(res, job);
+    }
+
+    const { counts, details } = await run();
+
+    return res.json({
+      success: true,
+      message: `Rolled back import ${session.id}: ${counts.closed} closed, ${counts.deleted} deleted, ${counts.reopened} reopened, ${counts.skipped} skipped, ${counts.failed} failed`,
+      data: {
+        importId: session.id,
+        repository: session.repository,
+        mode,
+        counts,
+        details
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  listImports,
+  createImport,
+  getImport,
+  updateImportTask,
+  commitImport,
+  rollbackImport,
+  deleteImport
+};
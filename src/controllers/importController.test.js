@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mammoth = require('mammoth');
+
+// Import history is saved to disk; keep it out of the working tree
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'imports-'));
+
+jest.mock('@octokit/rest', () => ({ Octokit: jest.fn() }), { virtual: true });
+
+const ImportService = require('../services/importService');
+const GitHubService = require('../services/githubService');
+const { importStore, jobQueue } = require('../services/stores');
+const { createImport, getImport, updateImportTask, commitImport, rollbackImport } = require('./importController');
+
+// Requests reach the handlers as the validator leaves them: trimmed, with numbers and booleans converted
+function send(handler, req) {
+  const res = { status: jest.fn(() => res), location: jest.fn(() => res), json: jest.fn() };
+  const next = jest.fn();
+  // Express passes errors thrown by synchronous handlers on to next
+  return Promise.resolve()
+    .then(() => handler({ params: {}, query: {}, body: {}, headers: {}, ...req }, res, next))
+    .catch(next)
+    .then(() => ({
+      status: res.status.mock.calls.length > 0 ? res.status.mock.calls[0][0] : 200,
+      body: res.json.mock.calls[0] && res.json.mock.calls[0][0],
+      error: next.mock.calls[0] && next.mock.calls[0][0]
+    }));
+}
+
+async function createSession(text) {
+  jest.spyOn(mammoth, 'extractRawText').mockResolvedValue({ value: text, messages: [] });
+  const { body } = await send(createImport, { file: { originalname: 'roadmap.docx', buffer: Buffer.from('docx') } });
+  mammoth.extractRawText.mockRestore();
+  return body.data;
+}
+
+describe('import sessions', () => {
+  beforeEach(() => {
+    jest.spyOn(GitHubService.prototype, 'getViewer').mockResolvedValue({ login: 'octocat' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('keeps the parsed tasks for review without the document text', async () => {
+    const session = await createSession('1. Build login\n2. Write docs');
+
+    expect(session).toMatchObject({ status: 'pending', fileName: 'roadmap.docx' });
+    expect(session.tasks.map(task => [task.id, task.text])).toEqual([[1, 'Build login'], [2, 'Write docs']]);
+    expect(session).not.toHaveProperty('text');
+
+    const { body } = await send(getImport, { params: { id: session.id }, query: { includeText: 'true' } });
+    expect(body.data.text).toBe('1. Build login\n2. Write docs');
+  });
+
+  test('rewords, drops and merges tasks', async () => {
+    const session = await createSession('1. Build login\n2. and signup\n3. Write docs\n4. Typo');
+    const patch = (n, body) => send(updateImportTask, { params: { id: session.id, n }, body });
+
+    await patch(1, { mergeWith: [2] });
+    await patch(3, { text: 'Write the docs' });
+    const { body } = await patch(4, { drop: true });
+
+    expect(body.data.tasks.map(task => [task.id, task.text])).toEqual([[1, 'Build login and signup'], [3, 'Write the docs']]);
+  });
+
+  test('refuses merges with unknown tasks and empty texts', async () => {
+    const session = await createSession('1. Build login\n2. Write docs');
+
+    const patch = (n, body) => send(updateImportTask, { params: { id: session.id, n }, body });
+
+    expect((await patch(1, { mergeWith: [1] })).error).toMatchObject({ status: 400, code: 'UNKNOWN_TASK' });
+    expect((await patch(1, { text: '' })).error).toMatchObject({ status: 400, code: 'EMPTY_TASK_TEXT' });
+    expect((await patch(9, { text: 'x' })).error).toMatchObject({ status: 404, code: 'TASK_NOT_FOUND' });
+  });
+
+  test('syncs the reviewed tasks to the repository once', async () => {
+    const session = await createSession('1. Build login\n2. Write docs');
+    const syncIssues = jest.spyOn(ImportService.prototype, 'syncIssues').mockResolvedValue({
+      counts: { created: 1, updated: 1, unchanged: 0, closed: 0, skipped: 0, failed: 0 },
+      details: []
+    });
+    const commit = () => send(commitImport, {
+      params: { id: session.id },
+      headers: { 'x-github-token': 'token' },
+      body: { owner: 'acme', repo: 'web', closeRemoved: true }
+    });
+
+    const { status, body } = await commit();
+
+    expect(status).toBe(201);
+    expect(body.data).toMatchObject({ tasksCommitted: 2, issuesCreated: 1 });
+    expect(syncIssues.mock.calls[0][2].map(payload => payload.title)).toEqual(['Build login', 'Write docs']);
+    expect(syncIssues.mock.calls[0][3]).toMatchObject({ documentKey: 'roadmap.docx', closeRemoved: true });
+    expect((await commit()).error).toMatchObject({ status: 409, code: 'IMPORT_NOT_EDITABLE' });
+    syncIssues.mockRestore();
+  });
+
+  test('keeps the metadata of merged tasks', async () => {
+    const session = await createSession([
+      '1. Build login #auth @alice | Status: Todo | Estimate: 3',
+      '2. and signup #ui #auth @bob milestone:Beta due:2027-03-01 foo:bar | Status: Done | Priority: P1'
+    ].join('\n'));
+
+    const { body } = await send(updateImportTask, { params: { id: session.id, n: 1 }, body: { mergeWith: [2] } });
+
+    expect(body.data.tasks).toHaveLength(1);
+    expect(body.data.tasks[0]).toMatchObject({
+      text: 'Build login and signup',
+      labels: ['auth', 'ui'],
+      assignees: ['alice', 'bob'],
+      milestone: 'Beta',
+      dueDate: '2027-03-01',
+      fields: { Status: 'Todo', Estimate: '3', Priority: 'P1' },
+      warnings: ['Unknown annotation "foo:bar"']
+    });
+  });
+
+  test('keeps the milestone of the remaining task and applies merged annotations', async () => {
+    const session = await createSession('1. First milestone:Alpha\n2. Second milestone:Beta @carol #docs');
+
+    const { body } = await send(updateImportTask, { params: { id: session.id, n: 1 }, body: { mergeWith: [2] } });
+
+    expect(body.data.tasks[0]).toMatchObject({ text: 'First Second', milestone: 'Alpha', assignees: ['carol'], labels: ['docs'] });
+  });
+
+  describe('with a project', () => {
+    const created = { action: 'created', id: 'I1', number: 1, title: 'Build login' };
+
+    async function commitToProject(mockProject) {
+      const session = await createSession('1. Build login | Status: Todo\n2. Write docs');
+      const syncIssues = jest.spyOn(ImportService.prototype, 'syncIssues').mockImplementation(async (owner, repo, payloads) => ({
+        counts: { created: 1, updated: 1, unchanged: 0, closed: 0, skipped: 0, failed: 0 },
+        details: [
+          { ...created, fingerprint: payloads[0].fingerprint },
+          { action: 'updated', id: 'I2', number: 2, title: 'Write docs', fingerprint: payloads[1].fingerprint }
+        ]
+      }));
+      mockProject();
+
+      const response = await send(commitImport, {
+        params: { id: session.id },
+        headers: { 'x-github-token': 'token' },
+        body: { owner: 'acme', repo: 'web', projectId: 'PVT_1' }
+      });
+      syncIssues.mockRestore();
+      return response;
+    }
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('adds the created issues with their field values', async () => {
+      const { status, body } = await commitToProject(() => {
+        jest.spyOn(GitHubService.prototype, 'getProjectFields').mockResolvedValue([
+          { id: 'F-status', name: 'Status', dataType: 'SINGLE_SELECT', options: [{ id: 'O-todo', name: 'Todo' }] }
+        ]);
+        jest.spyOn(GitHubService.prototype, 'addIssueToProject').mockResolvedValue({ id: 'PVTI_1' });
+        jest.spyOn(GitHubService.prototype, 'updateProjectItemFieldValue').mockResolvedValue({});
+      });
+
+      expect(status).toBe(201);
+      expect(GitHubService.prototype.addIssueToProject).toHaveBeenCalledTimes(1);
+      expect(GitHubService.prototype.addIssueToProject).toHaveBeenCalledWith({ projectId: 'PVT_1', issueId: 'I1' });
+      expect(body.data.details[0].project).toEqual({ itemId: 'PVTI_1', fieldsSet: ['Status'], warnings: [] });
+      expect(body.data.details[1]).not.toHaveProperty('project');
+    });
+
+    test('reports project failures alongside the created issues', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const { status, body } = await commitToProject(() => {
+        jest.spyOn(GitHubService.prototype, 'getProjectFields').mockRejectedValue(new Error('Could not resolve to a ProjectV2'));
+      });
+
+      expect(status).toBe(201);
+      expect(body.data).toMatchObject({ issuesCreated: 1, projectId: 'PVT_1', projectError: 'Could not resolve to a ProjectV2' });
+    });
+  });
+
+  describe('rollback', () => {
+    async function createCommitted() {
+      const session = await createSession('1. Build login');
+      return importStore.update(session.id, {
+        status: 'committed',
+        repository: 'octo/repo',
+        results: [{ action: 'created', id: 'I1', number: 1, title: 'Build login' }]
+      });
+    }
+
+    function requestRollback(session) {
+      return send(rollbackImport, { params: { id: session.id }, body: { mode: 'close' }, query: { async: true }, headers: { 'x-github-token': 'token' } });
+    }
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('marks the import before queuing the job and restores it when the job fails', async () => {
+      let fail;
+      jest.spyOn(ImportService.prototype, 'rollbackImport').mockImplementation(() => new Promise((resolve, reject) => {
+        fail = reject;
+      }));
+      const session = await createCommitted();
+
+      const { status } = await requestRollback(session);
+
+      expect(status).toBe(202);
+      expect(importStore.get(session.id).status).toBe('rolling-back');
+
+      const second = await requestRollback(session);
+      expect(second.error).toMatchObject({ status: 409, code: 'IMPORT_NOT_COMMITTED' });
+
+      const finished = new Promise(resolve => jobQueue.once('finished', resolve));
+      await new Promise(resolve => setImmediate(resolve));
+      fail(new Error('GitHub is down'));
+      expect(await finished).toMatchObject({ status: 'failed', error: 'GitHub is down' });
+      expect(importStore.get(session.id).status).toBe('committed');
+    });
+
+    test('records a finished rollback', async () => {
+      const result = { counts: { closed: 1, deleted: 0, reopened: 0, skipped: 0, failed: 0 }, details: [{ action: 'closed', number: 1 }] };
+      jest.spyOn(ImportService.prototype, 'rollbackImport').mockResolvedValue(result);
+      const session = await createCommitted();
+
+      const finished = new Promise(resolve => jobQueue.once('finished', resolve));
+      await requestRollback(session);
+      await finished;
+
+      expect(importStore.get(session.id)).toMatchObject({
+        status: 'rolled-back',
+        rollback: { mode: 'close', rolledBackBy: 'octocat', counts: result.counts }
+      });
+    });
+  });
+});
@@ -0,0 +1,259 @@
+const { ApiError } = require('../utils/errors');
+const { getGitHubService } = require('../utils/githubAuth');
+
+/**
+ * Look up the issue named by the route
+ * @param {Object} req - Express request object
+ * @param {GitHubService} githubService - GitHub service
+ * @returns {Promise<Object>} Issue
+ * @throws {ApiError} 404 ISSUE_NOT_FOUND when it does not exist
+ */
+async function findIssue(req, githubService) {
+  const { owner, repo, number } = req.params;
+  const issue = await githubService.getIssue(owner, repo, number);
+
+  if (!issue) {
+    throw new ApiError(404, 'ISSUE_NOT_FOUND', `Issue #${number} not found in ${owner}/${repo}`);
+  }
+
+  return issue;
+}
+
+/**
+ * Find a repository milestone by title, case-insensitively
+ * @param {GitHubService} githubService - GitHub service
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} title - Milestone title
+ * @returns {Promise<Object>} Milestone ({ id, number, title, state, dueOn })
+ */
+async function findMilestone(githubService, owner, repo, title) {
+  const milestones = await githubService.getRepositoryMilestones(owner, repo);
+  const milestone = milestones.find(node => node.title.toLowerCase() === String(title).toLowerCase());
+
+  if (!milestone) {
+    throw new ApiError(400, 'UNKNOWN_MILESTONE', `Milestone "${title}" does not exist in ${owner}/${repo}`);
+  }
+
+  return milestone;
+}
+
+/**
+ * Flatten an issue's connections for responses
+ * @param {Object} issue - Issue from GitHubService
+ * @returns {Object} Issue with label names, assignee logins and the milestone title
+ */
+function serializeIssue(issue) {
+  const { labels, assignees, milestone, author, comments, ...rest } = issue;
+
+  return {
+    ...rest,
+    ...(author !== undefined && { author: author ? author.login : null }),
+    labels: labels ? labels.nodes.map(label => label.name) : [],
+    assignees: assignees ? assignees.nodes.map(user => user.login) : [],
+    milestone: milestone ? milestone.title : null,
+    dueOn: milestone ? milestone.dueOn : null,
+    ...(comments && { commentCount: comments.totalCount })
+  };
+}
+
+/**
+ * List a repository's issues, newest first
+ * GET /api/repos/:owner/:repo/issues
+ *
+ * Query: state (OPEN, CLOSED or ALL; default OPEN), labels (comma-separated,
+ * matches any), assignee (login, "*" or "none"), milestone (title, number,
+ * "*" or "none"), first (page size, up to 100) and after (pageInfo.endCursor
+ * of the previous page)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function listIssues(req, res, next) {
+  const { owner, repo } = req.params;
+  const { state, labels, assignee, milestone, first, after = null } = req.query;
+
+  try {
+    const githubService = await getGitHubService(req);
+    const milestoneNumber = milestone && !['*', 'none'].includes(milestone) && !/^\d+$/.test(milestone)
+      ? (await findMilestone(githubService, owner, repo, milestone)).number
+      : milestone;
+
+    const page = await githubService.getRepositoryIssuesPage(owner, repo, {
+      state,
+      first,
+      after,
+      labels,
+      assignee,
+      milestoneNumber
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        issues: page.nodes.map(serializeIssue),
+        pageInfo: page.pageInfo,
+        totalCount: page.totalCount
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Get one issue
+ * GET /api/repos/:owner/:repo/issues/:number
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getIssue(req, res, next) {
+  try {
+    const issue = await findIssue(req, await getGitHubService(req));
+
+    return res.json({
+      success: true,
+      data: serializeIssue(issue)
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Update an issue
+ * PATCH /api/repos/:owner/:repo/issues/:number
+ *
+ * Body: title, body, state (OPEN or CLOSED), labels and assignees (arrays or
+ * comma-separated, replacing the current ones) and milestone (title, or null
+ * to remove it). Fields left out are unchanged
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function updateIssue(req, res, next) {
+  const { owner, repo } = req.params;
+  const { title, body, state, labels, assignees, milestone } = req.body;
+
+  if ([title, body, state, labels, assignees, milestone].every(value => value === undefined)) {
+    return next(new ApiError(400, 'NOTHING_TO_UPDATE', 'Nothing to update: provide title, body, state, labels, assignees or milestone'));
+  }
+
+  try {
+    const githubService = await getGitHubService(req, { scopes: ['repo'] });
+    const issue = await findIssue(req, githubService);
+
+    let labelIds;
+    if (labels) {
+      const repositoryId = await githubService.getRepositoryId(owner, repo);
+      const existing = await githubService.getRepositoryLabels(repositoryId);
+      const names = new Set(existing.map(label => label.name.toLowerCase()));
+      const unknown = labels.filter(name => !names.has(name.toLowerCase()));
+      if (unknown.length > 0) {
+        throw new ApiError(400, 'UNKNOWN_LABEL', `Labels do not exist in ${owner}/${repo}: ${unknown.join(', ')}`);
+      }
+      labelIds = await githubService.getLabelIds(repositoryId, labels);
+    }
+
+    let milestoneId;
+    if (milestone !== undefined) {
+      milestoneId = milestone ? (await findMilestone(githubService, owner, repo, milestone)).id : null;
+    }
+
+    const updated = await githubService.updateIssue({
+      issueId: issue.id,
+      title,
+      body,
+      state,
+      labelIds,
+      assigneeIds: assignees && await githubService.getAssigneeIds(assignees),
+      milestoneId
+    });
+
+    return res.json({
+      success: true,
+      message: `Issue #${updated.number} updated`,
+      data: serializeIssue(updated)
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Build a handler that moves an issue to a state
+ * @param {string} state - OPEN or CLOSED
+ * @returns {Function} Express handler
+ */
+function setIssueState(state) {
+  return async function (req, res, next) {
+    try {
+      const githubService = await getGitHubService(req, { scopes: ['repo'] });
+      const issue = await findIssue(req, githubService);
+
+      const updated = state === 'CLOSED'
+        ? await githubService.closeIssue(issue.id)
+        : await githubService.reopenIssue(issue.id);
+
+      return res.json({
+        success: true,
+        message: `Issue #${updated.number} ${state === 'CLOSED' ? 'closed' : 'reopened'}`,
+        data: serializeIssue(updated)
+      });
+    } catch (error) {
+      return next(error);
+    }
+  };
+}
+
+/**
+ * Close an issue
+ * POST /api/repos/:owner/:repo/issues/:number/close
+ */
+const closeIssue = setIssueState('CLOSED');
+
+/**
+ * Reopen an issue
+ * POST /api/repos/:owner/:repo/issues/:number/reopen
+ */
+const reopenIssue = setIssueState('OPEN');
+
+/**
+ * Comment on an issue
+ * POST /api/repos/:owner/:repo/issues/:number/comments
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function addComment(req, res, next) {
+  try {
+    const githubService = await getGitHubService(req, { scopes: ['repo'] });
+    const issue = await findIssue(req, githubService);
+    const comment = await githubService.addCommentToIssue(issue.id, req.body.body);
+
+    return res.status(201).json({
+      success: true,
+      message: `Comment added to issue #${issue.number}`,
+      data: {
+        ...comment,
+        author: comment.author ? comment.author.login : null
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  listIssues,
+  getIssue,
+  updateIssue,
+  closeIssue,
+  reopenIssue,
+  addComment
+};
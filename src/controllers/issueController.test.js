@@ -0,0 +1,72 @@
+jest.mock('../utils/githubAuth', () => ({
+  getGitHubService: jest.fn()
+}));
+
+const { getGitHubService } = require('../utils/githubAuth');
+const { listIssues, updateIssue } = require('./issueController');
+
+function call(handler, req) {
+  const res = { json: jest.fn() };
+  const next = jest.fn();
+  return handler({ params: { owner: 'acme', repo: 'web', number: '7' }, query: {}, body: {}, ...req }, res, next)
+    .then(() => ({
+      body: res.json.mock.calls[0] && res.json.mock.calls[0][0],
+      error: next.mock.calls[0] && next.mock.calls[0][0]
+    }));
+}
+
+describe('issue endpoints', () => {
+  let github;
+
+  beforeEach(() => {
+    github = {
+      getRepositoryMilestones: jest.fn(async () => [{ id: 'M1', number: 3, title: 'Beta' }]),
+      getRepositoryIssuesPage: jest.fn(async () => ({
+        nodes: [{
+          id: 'I7',
+          number: 7,
+          title: 'Build login',
+          labels: { nodes: [{ name: 'auth' }] },
+          assignees: { nodes: [{ login: 'alice' }] },
+          milestone: { title: 'Beta', dueOn: null },
+          author: { login: 'bob' }
+        }],
+        pageInfo: { hasNextPage: true, endCursor: 'c2' },
+        totalCount: 41
+      })),
+      getIssue: jest.fn(async () => ({ id: 'I7', number: 7 })),
+      updateIssue: jest.fn(async ({ issueId }) => ({ id: issueId, number: 7 }))
+    };
+    getGitHubService.mockResolvedValue(github);
+  });
+
+  test('lists a page of issues, resolving milestone titles to numbers', async () => {
+    const { body } = await call(listIssues, { query: { state: 'OPEN', first: 20, after: 'c1', milestone: 'beta' } });
+
+    expect(github.getRepositoryIssuesPage).toHaveBeenCalledWith('acme', 'web', expect.objectContaining({ first: 20, after: 'c1', milestoneNumber: 3 }));
+    expect(body.data).toEqual({
+      issues: [{ id: 'I7', number: 7, title: 'Build login', labels: ['auth'], assignees: ['alice'], milestone: 'Beta', dueOn: null, author: 'bob' }],
+      pageInfo: { hasNextPage: true, endCursor: 'c2' },
+      totalCount: 41
+    });
+  });
+
+  test('refuses unknown milestones', async () => {
+    const { error } = await call(listIssues, { query: { milestone: 'Gamma' } });
+
+    expect(error).toMatchObject({ status: 400, code: 'UNKNOWN_MILESTONE' });
+  });
+
+  test('clears the body and milestone of an issue', async () => {
+    await call(updateIssue, { body: { body: '', milestone: null } });
+
+    expect(github.updateIssue).toHaveBeenCalledWith(expect.objectContaining({ issueId: 'I7', body: '', milestoneId: null }));
+  });
+
+  test('refuses empty updates and missing issues', async () => {
+    expect((await call(updateIssue, {})).error).toMatchObject({ status: 400, code: 'NOTHING_TO_UPDATE' });
+
+    github.getIssue.mockResolvedValue(null);
+    expect((await call(updateIssue, { body: { title: 'New' } })).error).toMatchObject({ status: 404, code: 'ISSUE_NOT_FOUND' });
+  });
+});
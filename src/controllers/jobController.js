@@ -0,0 +1,120 @@
+const { jobQueue } = require('../services/stores');
+const { ApiError } = require('../utils/errors');
+const { canAccessRecord } = require('../utils/apiAccess');
+
+// Comment lines keep idle SSE connections open through proxies
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Respond 202 Accepted for a queued job, pointing at its status endpoints
+ * @param {Object} res - Express response
+ * @param {Object} job - Job returned by jobQueue.enqueue
+ * @returns {Object} Express response
+ */
+function sendAccepted(res, job) {
+  const statusUrl = `/api/jobs/${job.id}`;
+
+  return res.status(202).location(statusUrl).json({
+    success: true,
+    message: `Import queued as job ${job.id}`,
+    data: {
+      jobId: job.id,
+      status: job.status,
+      total: job.total,
+      statusUrl,
+      eventsUrl: `${statusUrl}/events`
+    }
+  });
+}
+
+/**
+ * Look up the job named by the route
+ * @param {Object} req - Express request object
+ * @returns {Object} Job
+ * @throws {ApiError} 404 JOB_NOT_FOUND when it does not exist or belongs to another API client
+ */
+function findJob(req) {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job || !canAccessRecord(req.apiClient, job)) {
+    throw new ApiError(404, 'JOB_NOT_FOUND', `Job ${req.params.id} not found`);
+  }
+
+  return job;
+}
+
+/**
+ * Get the status of a background job
+ * Returns queued/running/done/failed, counts and the per-task results so far
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function getJob(req, res) {
+  const job = findJob(req);
+
+  return res.json({
+    success: true,
+    data: job
+  });
+}
+
+/**
+ * Stream job progress as server-sent events
+ * Sends a "status" snapshot first, then a "progress" event per processed task
+ * or closed issue of a removed task (counted in removed, not processed) and a
+ * final "done" or "failed" event, after which the stream is closed
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function streamJobEvents(req, res) {
+  const job = findJob(req);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const { results, ...status } = job;
+  send('status', status);
+
+  if (job.status === 'done' || job.status === 'failed') {
+    send(job.status, job);
+    return res.end();
+  }
+
+  const onProgress = (updated, detail) => {
+    send('progress', { processed: updated.processed, total: updated.total, removed: updated.removed, detail });
+  };
+
+  const onFinished = (finished) => {
+    send(finished.status, finished);
+    cleanup();
+    res.end();
+  };
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    jobQueue.off(`progress:${job.id}`, onProgress);
+    jobQueue.off(`finished:${job.id}`, onFinished);
+  }
+
+  // Per-job events, so each stream only hears about its own job
+  jobQueue.on(`progress:${job.id}`, onProgress);
+  jobQueue.on(`finished:${job.id}`, onFinished);
+  req.on('close', cleanup);
+}
+
+module.exports = {
+  jobQueue,
+  sendAccepted,
+  getJob,
+  streamJobEvents
+};
@@ -0,0 +1,283 @@
+const { ApiError } = require('../utils/errors');
+const { getGitHubService } = require('../utils/githubAuth');
+const { assertAccess } = require('../utils/apiAccess');
+const { resolveFieldValue } = require('../utils/projectFields');
+
+/**
+ * Flatten a project item's content for responses
+ * @param {Object} item - Item from GitHubService.getProjectItemsPage
+ * @returns {Object} Item ({ id, type, content, fields })
+ */
+function serializeItem(item) {
+  return {
+    id: item.id,
+    type: item.type,
+    content: item.content && Object.keys(item.content).length > 0 ? item.content : null,
+    fields: item.fields
+  };
+}
+
+/**
+ * List Projects V2 boards
+ * GET /api/projects?owner=
+ *
+ * Lists the boards of a user or organization, or with repo the boards linked
+ * to that repository. Paginated with first (up to 100) and after
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function listProjects(req, res, next) {
+  const { owner, repo, first, after = null } = req.query;
+
+  try {
+    const githubService = await getGitHubService(req, { scopes: ['read:project'] });
+    const pageOptions = { first, after };
+    const page = repo
+      ? await githubService.getRepositoryProjectsPage(owner, repo, pageOptions)
+      : await githubService.getOwnerProjectsPage(owner, pageOptions);
+
+    return res.json({
+      success: true,
+      data: {
+        projects: page.nodes,
+        pageInfo: page.pageInfo,
+        totalCount: page.totalCount
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Create a Projects V2 board for a user or organization
+ * POST /api/projects
+ *
+ * Body: owner (login), title, description, and repo to link the board to a
+ * repository of the owner
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function createProject(req, res, next) {
+  const { owner, repo, title, description } = req.body;
+
+  try {
+    const githubService = await getGitHubService(req, { scopes: ['project'] });
+    const { id: ownerId } = await githubService.getOwner(owner);
+    const repositoryId = repo ? await githubService.getRepositoryId(owner, repo) : null;
+    const project = await githubService.createProject({
+      ownerId,
+      title,
+      description,
+      repositoryId
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Project "${project.title}" created`,
+      data: project
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Get a Projects V2 board
+ * GET /api/projects/:projectId
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getProject(req, res, next) {
+  try {
+    const githubService = await getGitHubService(req, { scopes: ['read:project'] });
+    const project = await githubService.getProject(req.params.projectId);
+
+    if (!project) {
+      throw new ApiError(404, 'PROJECT_NOT_FOUND', `Project ${req.params.projectId} not found`);
+    }
+
+    return res.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * List the fields of a board with their single-select options and iterations
+ * GET /api/projects/:projectId/fields
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function listProjectFields(req, res, next) {
+  try {
+    const githubService = await getGitHubService(req, { scopes: ['read:project'] });
+    const fields = await githubService.getProjectFields(req.params.projectId);
+
+    return res.json({
+      success: true,
+      data: fields
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * List the items of a board with their field values
+ * GET /api/projects/:projectId/items
+ *
+ * Paginated with first (up to 100) and after
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function listProjectItems(req, res, next) {
+  try {
+    const githubService = await getGitHubService(req, { scopes: ['read:project'] });
+    const { first, after = null } = req.query;
+    const page = await githubService.getProjectItemsPage(req.params.projectId, { first, after });
+
+    return res.json({
+      success: true,
+      data: {
+        items: page.nodes.map(serializeItem),
+        pageInfo: page.pageInfo
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Add an issue to a board
+ * POST /api/projects/:projectId/items
+ *
+ * Body: contentId (issue or pull request node ID), or owner, repo and number
+ * of an issue
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function addProjectItem(req, res, next) {
+  const { contentId, owner, repo, number } = req.body;
+
+  if (!contentId && !(owner && repo && number)) {
+    return next(new ApiError(400, 'VALIDATION_FAILED', 'Provide contentId, or owner, repo and number of an issue'));
+  }
+
+  try {
+    const githubService = await getGitHubService(req, { scopes: ['project'] });
+    let issueId = contentId;
+    if (issueId && req.apiClient) {
+      // The route only checked the board; the content's repository must be allowed too
+      const repository = await githubService.getContentRepository(issueId);
+      if (!repository) {
+        throw new ApiError(404, 'ISSUE_NOT_FOUND', `No issue or pull request with ID ${issueId}`);
+      }
+      assertAccess(req, repository);
+    }
+    if (!issueId) {
+      const issue = await githubService.getIssue(owner, repo, number);
+      if (!issue) {
+        throw new ApiError(404, 'ISSUE_NOT_FOUND', `Issue #${number} not found in ${owner}/${repo}`);
+      }
+      issueId = issue.id;
+    }
+
+    const item = await githubService.addIssueToProject({ projectId: req.params.projectId, issueId });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Item added to project',
+      data: item
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Set field values of a board item, e.g. move it to another Status column
+ * PATCH /api/projects/:projectId/items/:itemId
+ *
+ * Body: status (Status option name), and/or fields mapping field names to
+ * values (option or iteration names, numbers, dates or text; null clears the field)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function updateProjectItem(req, res, next) {
+  const { projectId, itemId } = req.params;
+  const { status, fields = {} } = req.body;
+  const values = { ...fields, ...(status !== undefined && { Status: status }) };
+
+  if (Object.keys(values).length === 0) {
+    return next(new ApiError(400, 'NOTHING_TO_UPDATE', 'Provide status or a fields object of values to set'));
+  }
+
+  try {
+    const githubService = await getGitHubService(req, { scopes: ['project'] });
+    const projectFields = await githubService.getProjectFields(projectId);
+    const updates = Object.entries(values).map(([name, raw]) => {
+      const field = projectFields.find(f => f.name.toLowerCase() === name.toLowerCase());
+      if (!field) {
+        throw new ApiError(400, 'UNKNOWN_PROJECT_FIELD', `Project has no field named "${name}"`);
+      }
+
+      if (raw === null || raw === '') {
+        return { field, raw: null, value: null };
+      }
+
+      try {
+        return { field, raw, value: resolveFieldValue(field, raw) };
+      } catch (error) {
+        throw new ApiError(400, 'INVALID_FIELD_VALUE', error.message);
+      }
+    });
+
+    for (const { field, value } of updates) {
+      if (value) {
+        await githubService.updateProjectItemFieldValue({ projectId, itemId, fieldId: field.id, value });
+      } else {
+        await githubService.clearProjectItemFieldValue({ projectId, itemId, fieldId: field.id });
+      }
+    }
+
+    return res.json({
+      success: true,
+      message: `Updated ${updates.map(update => update.field.name).join(', ')}`,
+      data: {
+        id: itemId,
+        fields: Object.fromEntries(updates.map(({ field, raw }) => [field.name, raw]))
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  listProjects,
+  createProject,
+  getProject,
+  listProjectFields,
+  listProjectItems,
+  addProjectItem,
+  updateProjectItem
+};
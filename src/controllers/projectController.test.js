@@ -0,0 +1,96 @@
+jest.mock('../utils/githubAuth', () => ({
+  getGitHubService: jest.fn()
+}));
+
+const { getGitHubService } = require('../utils/githubAuth');
+const { addProjectItem, updateProjectItem } = require('./projectController');
+
+describe('addProjectItem', () => {
+  const apiClient = { id: 'ci', repos: ['acme/*'], projects: ['PVT_1'] };
+  let github;
+
+  beforeEach(() => {
+    github = {
+      getContentRepository: jest.fn(),
+      addIssueToProject: jest.fn(async ({ issueId }) => ({ id: 'PVTI_1', content: { id: issueId } }))
+    };
+    getGitHubService.mockResolvedValue(github);
+  });
+
+  async function add(body) {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+    await addProjectItem({ params: { projectId: 'PVT_1' }, body, apiClient }, res, next);
+    return { res, error: next.mock.calls[0] && next.mock.calls[0][0] };
+  }
+
+  test('adds content from an allowed repository', async () => {
+    github.getContentRepository.mockResolvedValue({ owner: 'acme', repo: 'site' });
+
+    const { res, error } = await add({ contentId: 'I_1' });
+
+    expect(error).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(github.addIssueToProject).toHaveBeenCalledWith({ projectId: 'PVT_1', issueId: 'I_1' });
+  });
+
+  test('refuses content from a repository outside the allowlist', async () => {
+    github.getContentRepository.mockResolvedValue({ owner: 'other', repo: 'secret' });
+
+    const { error } = await add({ contentId: 'I_2' });
+
+    expect(error).toMatchObject({ status: 403, code: 'API_ACCESS_DENIED' });
+    expect(github.addIssueToProject).not.toHaveBeenCalled();
+  });
+
+  test('refuses IDs that are not issues or pull requests', async () => {
+    github.getContentRepository.mockResolvedValue(null);
+
+    const { error } = await add({ contentId: 'X_1' });
+
+    expect(error).toMatchObject({ status: 404, code: 'ISSUE_NOT_FOUND' });
+  });
+});
+
+describe('updateProjectItem', () => {
+  let github;
+
+  beforeEach(() => {
+    github = {
+      getProjectFields: jest.fn(async () => [
+        { id: 'F1', name: 'Status', dataType: 'SINGLE_SELECT', options: [{ id: 'O1', name: 'Done' }] },
+        { id: 'F2', name: 'Estimate', dataType: 'NUMBER' }
+      ]),
+      updateProjectItemFieldValue: jest.fn(async () => ({})),
+      clearProjectItemFieldValue: jest.fn(async () => ({}))
+    };
+    getGitHubService.mockResolvedValue(github);
+  });
+
+  async function update(body) {
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+    await updateProjectItem({ params: { projectId: 'PVT_1', itemId: 'PVTI_1' }, body }, res, next);
+    return { body: res.json.mock.calls[0] && res.json.mock.calls[0][0], error: next.mock.calls[0] && next.mock.calls[0][0] };
+  }
+
+  test('sets and clears field values by name', async () => {
+    const { body } = await update({ status: 'done', fields: { estimate: null } });
+
+    expect(github.updateProjectItemFieldValue).toHaveBeenCalledWith({ projectId: 'PVT_1', itemId: 'PVTI_1', fieldId: 'F1', value: { singleSelectOptionId: 'O1' } });
+    expect(github.clearProjectItemFieldValue).toHaveBeenCalledWith({ projectId: 'PVT_1', itemId: 'PVTI_1', fieldId: 'F2' });
+    expect(body.data).toEqual({ id: 'PVTI_1', fields: { Estimate: null, Status: 'done' } });
+  });
+
+  test('changes nothing when a value is invalid', async () => {
+    const { error } = await update({ fields: { Estimate: '2', Status: 'Blocked' } });
+
+    expect(error).toMatchObject({ status: 400, code: 'INVALID_FIELD_VALUE', message: '"Blocked" is not an option of Status' });
+    expect(github.updateProjectItemFieldValue).not.toHaveBeenCalled();
+  });
+
+  test('refuses unknown fields and empty updates', async () => {
+    expect((await update({ fields: { Owner: 'alice' } })).error).toMatchObject({ status: 400, code: 'UNKNOWN_PROJECT_FIELD' });
+    expect((await update({})).error).toMatchObject({ status: 400, code: 'NOTHING_TO_UPDATE' });
+  });
+});
@@ -0,0 +1,63 @@
+const ReportService = require('../services/reportService');
+const { importStore } = require('../services/stores');
+const { findReporter, supportedFormats } = require('../reporters');
+const { ApiError } = require('../utils/errors');
+const { canAccessRecord } = require('../utils/apiAccess');
+const { getGitHubService } = require('../utils/githubAuth');
+
+/**
+ * Report roadmap progress for the imported tasks of a repository or one import
+ * GET /api/reports/progress?owner=&repo= (or ?importId=)
+ *
+ * Per document section (groupBy=section, default), milestone or import:
+ * total tasks, open and closed counts, percent complete, overdue tasks and
+ * a breakdown by assignee. Issue state comes from the import records kept
+ * current by the GitHub webhook; live=true reads it from GitHub instead.
+ * format=md or html renders a summary for status updates instead of JSON
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function getProgressReport(req, res, next) {
+  const { owner, repo, importId, groupBy, live, format, title } = req.query;
+
+  const reporter = findReporter(format);
+  if (!reporter && format.toLowerCase() !== 'json') {
+    return next(new ApiError(400, 'UNSUPPORTED_REPORT_FORMAT', `Unsupported report format "${format}". Supported formats: json, ${supportedFormats().join(', ')}`));
+  }
+
+  try {
+    let repository = owner && repo ? `${owner}/${repo}` : null;
+
+    if (importId) {
+      const session = importStore.get(importId);
+      if (!session || !canAccessRecord(req.apiClient, session)) {
+        throw new ApiError(404, 'IMPORT_NOT_FOUND', `Import ${importId} not found`);
+      }
+      repository = session.repository;
+    }
+
+    const githubService = live && repository
+      ? await getGitHubService(req, { owner: repository.split('/')[0] })
+      : null;
+    const reportService = new ReportService(importStore, githubService);
+    const report = await reportService.buildProgressReport({ repository, importId, groupBy, title });
+
+    if (!reporter) {
+      return res.json({
+        success: true,
+        data: report
+      });
+    }
+
+    res.set('Content-Type', reporter.mimeType);
+    return res.send(await reporter.render(report));
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  getProgressReport
+};
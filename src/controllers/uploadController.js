@@ -1,240 +1,434 @@
-const mammoth = require('mammoth');
-const fs = require('fs').promises;
-const path = require('path');
-const { Octokit } = require('@octokit/rest');
+const crypto = require('crypto');
+const config = require('../config/github');
+const ImportService = require('../services/importService');
+const { importStore } = require('../services/stores');
+const { jobQueue, sendAccepted } = require('./jobController');
+const { parseDocument } = require('../parsers');
+const issueTemplates = require('../config/issueTemplates');
+const { ApiError } = require('../utils/errors');
+const { getGitHubService } = require('../utils/githubAuth');
+const { buildMarker, taskFingerprint } = require('../utils/fingerprint');
+const { MAX_ISSUE_TITLE_LENGTH, renderTemplate, splitTitle } = require('../utils/template');
 
 /**
- * Extract tasks from mammoth-parsed text
- * Supports multiple formats: numbered lists, bullet points, and dash-separated items
- * @param {string} text - The extracted text from the Word document
- * @returns {Array<string>} Array of extracted tasks
+ * Build the issue parameters that will be sent to GitHub for each task
+ * Titles and bodies are rendered from an issue template; long tasks get a
+ * shortened title with the full text in the body. Every body ends with a hidden
+ * fingerprint marker so re-imports of the same document can find the issues
+ * they created earlier. Task entries may point at a parent task by id (or
+ * 1-based position), which becomes the parent's fingerprint
+ * @param {Array<string|Object>} tasks - Task descriptions, or task entries ({ text, body, labels, assignees, milestone, period, fields, parent, section, ... })
+ * @param {Object} options - Additional options
+ * @param {Array<string>} options.labels - Labels applied to every issue
+ * @param {string} options.assignee - User login assigned to every issue
+ * @param {Array<string>} options.assignees - User logins assigned to every issue
+ * @param {string} options.documentKey - Stable key of the source document (usually its file name)
+ * @param {string} options.documentName - Source document name shown in templates, defaults to documentKey
+ * @param {string} options.importId - Import ID shown in templates
+ * @param {Object} options.fields - Project field values applied to every issue, overridden per task
+ * @param {Object} options.template - Issue template ({ title, body, labels, assignees }), see resolveIssueTemplate
+ * @returns {Array<{title: string, body: string, labels: Array<string>, assignees: Array<string>, milestone: string, period: Object, fingerprint: string, parent: string, fields: Object}>} Issue parameters
+ */
+function buildIssuePayloads(tasks, options = {}) {
+  const {
+    labels = [],
+    assignee = null,
+    assignees: defaultAssignees = [],
+    documentKey = '',
+    documentName = documentKey,
+    importId = null,
+    fields = {},
+    template = issueTemplates.default
+  } = options;
+  const normalized = tasks.map((entry, index) => ({
+    id: index + 1,
+    ...(typeof entry === 'string' ? { text: entry } : entry)
+  }));
+  const parentOf = task => (task.parent ? normalized.find(other => other.id === task.parent) : null);
+  const fingerprintOf = task => taskFingerprint(documentKey, task, parentOf(task));
+
+  return normalized.map(task => {
+    const text = task.text;
+    const kind = task.kind || 'task';
+    const title = splitTitle(text);
+    const description = task.body || (title !== text ? text : `${kind === 'epic' ? 'Epic' : 'Task'}: ${text}`);
+    const parent = parentOf(task);
+    const issueLabels = [...new Set([
+      ...(Array.isArray(labels) ? labels : []),
+      ...(template.labels || []),
+      ...(task.labels || [])
+    ])];
+    const assignees = [...new Set([
+      ...(assignee ? [assignee] : []),
+      ...defaultAssignees,
+      ...(template.assignees || []),
+      ...(task.assignees || [])
+    ])];
+    const issueFields = {
+      ...fields,
+      ...(task.startDate && { 'Start date': task.startDate }),
+      ...(task.dueDate && { 'Target date': task.dueDate }),
+      ...(task.fields || {})
+    };
+
+    const context = {
+      title,
+      task: text,
+      description,
+      document: documentName,
+      section: task.section,
+      line: task.line,
+      source: task.source,
+      importId,
+      kind,
+      labels: issueLabels,
+      assignees: assignees.map(login => `@${login}`),
+      milestone: task.milestone,
+      period: task.period && task.period.title,
+      startDate: task.startDate,
+      dueDate: task.dueDate,
+      fields: issueFields
+    };
+
+    return {
+      title: (renderTemplate(template.title || '{{title}}', context) || title).substring(0, MAX_ISSUE_TITLE_LENGTH),
+      body: `${renderTemplate(template.body || '{{description}}', context)}\n\n${buildMarker(documentKey, task, parent)}`,
+      labels: issueLabels,
+      assignees,
+      milestone: task.milestone || null,
+      period: task.period || null,
+      fingerprint: fingerprintOf(task),
+      // Issues imported before fingerprints included the parent carry this one
+      ...(parent && !task.key && { textFingerprint: taskFingerprint(documentKey, task) }),
+      kind,
+      done: Boolean(task.done),
+      parent: parent ? fingerprintOf(parent) : null,
+      fields: issueFields
+    };
+  });
+}
+
+/**
+ * Find the issue template selected for an import
+ * Built-in templates (config/issueTemplates) are matched by name; other names,
+ * or names prefixed with "repo:", are looked up in the repository's
+ * .github/ISSUE_TEMPLATE. Repository templates without placeholders keep their
+ * title as a prefix and their body below the task description
+ * @param {string} name - Template name; empty for the default template
+ * @param {Object} repository - Where to look for repository templates
+ * @param {GitHubService} repository.githubService - Authenticated GitHub service
+ * @param {string} repository.owner - Repository owner
+ * @param {string} repository.repo - Repository name
+ * @returns {Promise<Object>} Template ({ name, title, body, labels, assignees })
  */
-function extractTasksFromText(text) {
-  if (!text || typeof text !== 'string') {
-    return [];
+async function resolveIssueTemplate(name, { githubService, owner, repo } = {}) {
+  if (!name) {
+    return { name: 'default', ...issueTemplates.default };
   }
 
-  const tasks = [];
-  const lines = text.split('\n').map(line => line.trim()).filter(line => line);
+  const key = String(name).toLowerCase();
+  if (!key.startsWith('repo:') && issueTemplates[key]) {
+    return { name: key, ...issueTemplates[key] };
+  }
 
-  for (const line of lines) {
-    // Match numbered lists (1., 2., etc.)
-    const numberedMatch = line.match(/^\d+\.\s+(.+)$/);
-    if (numberedMatch) {
-      tasks.push(numberedMatch[1].trim());
-      continue;
-    }
+  const unknown = message => new ApiError(400, 'UNKNOWN_TEMPLATE', message);
 
-    // Match bullet points (•, -, *, etc.)
-    const bulletMatch = line.match(/^[•\-*]\s+(.+)$/);
-    if (bulletMatch) {
-      tasks.push(bulletMatch[1].trim());
-      continue;
-    }
+  if (!githubService || !owner || !repo) {
+    throw unknown(`Unknown issue template "${name}". Built-in templates: ${Object.keys(issueTemplates).join(', ')}; repository templates need owner, repo and a GitHub token`);
+  }
 
-    // Match tasks with leading dash (with or without space)
-    const dashMatch = line.match(/^-\s*(.+)$/);
-    if (dashMatch) {
-      tasks.push(dashMatch[1].trim());
-      continue;
-    }
+  const templateName = key.replace(/^repo:/, '');
+  const templates = await githubService.getIssueTemplates(owner, repo);
+  const match = templates.find(template =>
+    template.name.toLowerCase() === templateName ||
+    (template.filename || '').toLowerCase().replace(/\.(md|markdown)$/, '') === templateName
+  );
 
-    // If line is substantial and not a section header, treat it as a task
-    if (line.length > 3 && !line.endsWith(':')) {
-      tasks.push(line);
-    }
+  if (!match) {
+    const available = [...Object.keys(issueTemplates), ...templates.map(template => `repo:${template.name}`)];
+    throw unknown(`Unknown issue template "${name}". Available templates: ${available.join(', ')}`);
   }
 
-  return tasks.filter((task, index, self) => 
-    task.length > 0 && self.indexOf(task) === index
+  const hasPlaceholders = (text) => /\{\{.+?\}\}/.test(text || '');
+
+  return {
+    name: `repo:${match.name}`,
+    title: hasPlaceholders(match.title) ? match.title : `${match.title || ''}{{title}}`,
+    body: hasPlaceholders(match.body) ? match.body : `{{description}}\n\n${match.body || ''}`,
+    labels: match.labels,
+    assignees: match.assignees
+  };
+}
+
+/**
+ * Flatten the annotation warnings of task entries for a response
+ * @param {Array<Object>} entries - Task entries
+ * @returns {Array<{line: number, task: string, warning: string}>} Warnings with the task they belong to
+ */
+function collectWarnings(entries) {
+  return entries.flatMap(entry =>
+    (entry.warnings || []).map(warning => ({ line: entry.line, task: entry.text, warning }))
   );
 }
 
 /**
- * Parse Word document using mammoth
- * @param {string} filePath - Path to the Word document
- * @returns {Promise<{text: string, tasks: Array<string>}>} Extracted text and tasks
+ * Read the document parsing options of a request
+ * @param {Object} body - Request body, checked by the upload schemas
+ * @returns {Object} Options for parseDocument
  */
-async function parseWordDocument(filePath) {
-  try {
-    const fileBuffer = await fs.readFile(filePath);
-    
-    const result = await mammoth.extractRawText({
-      buffer: fileBuffer
-    });
+function readParseOptions(body) {
+  const { columns, sheet, mode, epicLevel } = body;
+  return { columns, sheet, mode, epicLevel };
+}
 
-    if (result.messages && result.messages.length > 0) {
-      console.warn('Mammoth parsing warnings:', result.messages);
-    }
+/**
+ * Read the issue options of a request, shared by previews, uploads and import commits
+ * @param {Object} body - Request body, checked by the upload schemas
+ * @returns {Object} Options for buildIssuePayloads, without the template
+ */
+function readIssueOptions(body) {
+  const { labels, assignee, assignees, fields = {} } = body;
+  return { labels, assignee, assignees, fields };
+}
 
-    const text = result.value || '';
-    const tasks = extractTasksFromText(text);
+/**
+ * Read the GitHub import options of a request, shared by uploads and import commits
+ * @param {Object} body - Request body, checked by the upload schemas
+ * @returns {Object} Options for ImportService.importDocument
+ */
+function readImportOptions(body) {
+  return {
+    closeRemoved: body.closeRemoved === true,
+    hierarchy: body.hierarchy || 'tasklist',
+    projectId: body.projectId || config.projectId,
+    createMissing: body.createMissing === true,
+    labelCatalog: body.labelCatalog || {},
+    duplicatePolicy: body.duplicatePolicy || 'flag',
+    duplicateThreshold: body.duplicateThreshold
+  };
+}
 
-    return {
-      text,
-      tasks
-    };
-  } catch (error) {
-    throw new Error(`Failed to parse Word document: ${error.message}`);
-  }
+/**
+ * List the OAuth scopes an import needs, checked before it starts
+ * @param {Object} options - Options from readImportOptions
+ * @returns {Array<string>} "repo", and "project" when issues are added to a project
+ */
+function importScopes(options) {
+  return options.projectId ? ['repo', 'project'] : ['repo'];
 }
 
 /**
- * Create GitHub issues from extracted tasks
- * @param {Object} octokit - Authenticated Octokit instance
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {Array<string>} tasks - Array of task descriptions
- * @param {Object} options - Additional options
- * @returns {Promise<Array<Object>>} Created issues
+ * Check that a document was uploaded and parse it into task entries
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Parsed document ({ text, entries, format })
  */
-async function createGitHubIssues(octokit, owner, repo, tasks, options = {}) {
-  const { labels = [], assignee = null } = options;
-  const createdIssues = [];
-
-  for (const task of tasks) {
-    try {
-      const issueParams = {
-        owner,
-        repo,
-        title: task.substring(0, 100), // GitHub has title length limits
-        body: task.length > 100 ? task : `Task: ${task}`,
-        labels: Array.isArray(labels) ? labels : []
-      };
-
-      if (assignee) {
-        issueParams.assignees = [assignee];
-      }
+async function parseUpload(req) {
+  if (!req.file) {
+    throw new ApiError(400, 'NO_FILE_UPLOADED', 'No file uploaded');
+  }
 
-      const response = await octokit.issues.create(issueParams);
-      createdIssues.push({
-        number: response.data.number,
-        title: response.data.title,
-        url: response.data.html_url
-      });
-
-      console.log(`Created issue #${response.data.number}: ${response.data.title}`);
-    } catch (error) {
-      console.error(`Failed to create issue for task "${task}":`, error.message);
-      createdIssues.push({
-        task,
-        error: error.message
-      });
-    }
+  const parsed = await parseDocument(req.file, readParseOptions(req.body));
+
+  if (parsed.entries.length === 0) {
+    throw new ApiError(400, 'NO_TASKS_EXTRACTED', 'No tasks could be extracted from the document');
   }
 
-  return createdIssues;
+  return parsed;
 }
 
 /**
- * Upload and process a Word document
- * POST /api/upload
- * 
+ * List the tasks an import found likely duplicates for
+ * @param {Array<Object>} details - Per-task outcome from ImportService.importDocument
+ * @returns {Array<Object>} Tasks ({ action, number, title, duplicates }) with their similar open issues
+ */
+function collectDuplicates(details) {
+  return details
+    .filter(detail => detail.duplicates)
+    .map(({ action, number, title, task, duplicates }) => ({ action, number, title: title || task, duplicates }));
+}
+
+/**
+ * Hash an uploaded file, so the import history shows exactly which document was imported
+ * @param {Object} file - Multer file ({ buffer })
+ * @returns {string} SHA-256 hex digest
+ */
+function hashDocument(file) {
+  return crypto.createHash('sha256').update(file.buffer).digest('hex');
+}
+
+/**
+ * Run the GitHub side of an import and record its outcome in the import history
+ * @param {Object} session - Import session from ImportStore
+ * @param {Object} params - Import target
+ * @param {GitHubService} params.githubService - Service the import runs with
+ * @param {string} params.repository - Target "owner/repo"
+ * @param {string} params.projectId - Project new issues are added to
+ * @param {Function} run - async () => result of ImportService.importDocument
+ * @returns {Promise<Object>} Result of run
+ */
+async function runRecordedImport(session, { githubService, repository, projectId }, run) {
+  importStore.update(session.id, { status: 'committing', repository, error: undefined });
+
+  try {
+    // Tokens that cannot read their own user are recorded without a login
+    const [viewer, result] = await Promise.all([githubService.getViewer().catch(() => null), run()]);
+    importStore.recordCommit(session.id, { repository, projectId, committedBy: viewer && viewer.login, result });
+    return result;
+  } catch (error) {
+    importStore.update(session.id, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Preview the issues a Word document would produce, without calling GitHub
+ * POST /api/upload/preview (or POST /api/upload?dryRun=true)
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
-async function uploadFile(req, res) {
+async function previewUpload(req, res, next) {
   try {
-    // Validate file exists
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded'
-      });
-    }
+    const { entries, format } = await parseUpload(req);
+    const { owner, repo, documentKey = req.file.originalname } = req.body;
+    // Only repository templates need GitHub; built-in ones keep the preview offline
+    const template = await resolveIssueTemplate(req.body.template, {
+      githubService: await getGitHubService(req, { required: false }),
+      owner,
+      repo
+    });
+    const payloads = buildIssuePayloads(entries, {
+      ...readIssueOptions(req.body),
+      documentKey,
+      documentName: req.file.originalname,
+      template
+    });
 
-    // Validate file type
-    const allowedMimes = [
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/msword'
-    ];
-    
-    if (!allowedMimes.includes(req.file.mimetype)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid file type. Please upload a Word document (.docx or .doc)'
-      });
-    }
+    const issues = payloads.map((payload, index) => ({
+      ...payload,
+      line: entries[index].line,
+      source: entries[index].source,
+      // Lines only caught by the "substantial line" rule are the usual false positives
+      fallback: entries[index].source === 'fallback',
+      warnings: entries[index].warnings || []
+    }));
 
-    // Parse the Word document
-    const filePath = req.file.path;
-    const { text, tasks } = await parseWordDocument(filePath);
+    return res.status(200).json({
+      success: true,
+      message: `Document would create ${issues.length} issues`,
+      data: {
+        dryRun: true,
+        format,
+        template: template.name,
+        tasksExtracted: issues.length,
+        fallbackMatches: issues.filter(issue => issue.fallback).length,
+        warnings: collectWarnings(entries),
+        issues
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
 
-    // Validate that tasks were extracted
-    if (!tasks || tasks.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No tasks could be extracted from the document'
-      });
-    }
+/**
+ * Upload a roadmap document and create its issues
+ * POST /api/upload
+ *
+ * Runs the same pipeline as an import commit: tasks are parsed from the
+ * document buffer and synced to GitHub through GitHubService, with titles and
+ * bodies rendered from the issue template named by template. With ?async=true
+ * the import is queued as a background job and 202 Accepted is returned with
+ * the job ID; follow it at GET /api/jobs/:id or its /events stream
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function uploadFile(req, res, next) {
+  if (req.query.dryRun) {
+    return previewUpload(req, res, next);
+  }
 
-    // Initialize Octokit with GitHub token
-    const githubToken = req.headers['x-github-token'] || process.env.GITHUB_TOKEN;
-    if (!githubToken) {
-      return res.status(401).json({
-        success: false,
-        error: 'GitHub token not provided'
-      });
-    }
+  try {
+    const { owner, repo, documentKey = req.file && req.file.originalname } = req.body;
+    const options = { documentKey, ...readImportOptions(req.body) };
+    const githubService = await getGitHubService(req, { scopes: importScopes(options) });
+    const { text, entries, format } = await parseUpload(req);
 
-    const octokit = new Octokit({ auth: githubToken });
+    const importService = new ImportService(githubService);
+    const template = await resolveIssueTemplate(req.body.template, { githubService, owner, repo });
+    const session = importStore.create({
+      fileName: req.file.originalname,
+      format,
+      documentKey,
+      documentHash: hashDocument(req.file),
+      text,
+      entries,
+      apiClient: req.apiClient && req.apiClient.id
+    });
+    const payloads = buildIssuePayloads(entries, {
+      ...readIssueOptions(req.body),
+      documentKey,
+      documentName: req.file.originalname,
+      importId: session.id,
+      template
+    });
+    const target = { githubService, repository: `${owner}/${repo}`, projectId: options.projectId || null };
 
-    // Get repository information from request
-    const { owner, repo, labels, assignee } = req.body;
+    // Large documents run in the background so the request returns immediately
+    if (req.query.async) {
+      importStore.update(session.id, { status: 'committing', repository: target.repository });
 
-    if (!owner || !repo) {
-      return res.status(400).json({
-        success: false,
-        error: 'Repository owner and name are required'
-      });
-    }
+      const job = jobQueue.enqueue({
+        type: 'upload',
+        total: payloads.length,
+        meta: { importId: session.id, fileName: req.file.originalname, repository: `${owner}/${repo}` }
+      }, report => runRecordedImport(session, target, () =>
+        importService.importDocument(owner, repo, payloads, { ...options, onProgress: report })));
 
-    // Create GitHub issues from extracted tasks
-    const createdIssues = await createGitHubIssues(
-      octokit,
-      owner,
-      repo,
-      tasks,
-      { labels, assignee }
-    );
-
-    // Clean up uploaded file
-    try {
-      await fs.unlink(filePath);
-    } catch (unlinkError) {
-      console.warn(`Failed to delete temporary file: ${unlinkError.message}`);
+      return sendAccepted(res, job);
     }
 
+    const { counts, details, metadata, projectError, rateLimit } = await runRecordedImport(session, target, () =>
+      importService.importDocument(owner, repo, payloads, options));
+
     return res.status(201).json({
       success: true,
-      message: `Successfully processed document and created ${createdIssues.filter(i => !i.error).length} issues`,
+      message: `Successfully processed document and created ${counts.created} issues`,
       data: {
-        tasksExtracted: tasks.length,
-        issuesCreated: createdIssues.filter(i => !i.error).length,
-        details: createdIssues
+        importId: session.id,
+        tasksExtracted: entries.length,
+        issuesCreated: counts.created,
+        counts,
+        labelsCreated: metadata.created.labels,
+        milestonesCreated: metadata.created.milestones,
+        warnings: [...collectWarnings(entries), ...metadata.warnings.map(warning => ({ warning }))],
+        projectId: options.projectId || null,
+        projectError,
+        duplicates: collectDuplicates(details),
+        rateLimit,
+        details
       }
     });
   } catch (error) {
-    // Clean up on error
-    if (req.file && req.file.path) {
-      try {
-        await fs.unlink(req.file.path);
-      } catch (unlinkError) {
-        console.warn(`Failed to delete temporary file: ${unlinkError.message}`);
-      }
-    }
-
-    console.error('Upload error:', error);
-    return res.status(500).json({
-      success: false,
-      error: error.message || 'An error occurred during file processing'
-    });
+    return next(error);
   }
 }
 
 module.exports = {
   uploadFile,
-  parseWordDocument,
-  extractTasksFromText,
-  createGitHubIssues
+  previewUpload,
+  parseUpload,
+  collectWarnings,
+  buildIssuePayloads,
+  readParseOptions,
+  readIssueOptions,
+  readImportOptions,
+  importScopes,
+  resolveIssueTemplate,
+  collectDuplicates,
+  hashDocument,
+  runRecordedImport
 };
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mammoth = require('mammoth');
+
+// Uploads are recorded as imports on disk; keep them out of the working tree
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+
+// The preview must never reach GitHub; a constructed client fails the test
+jest.mock('@octokit/rest', () => ({ Octokit: jest.fn() }), { virtual: true });
+
+const { Octokit } = require('@octokit/rest');
+const { toApiError } = require('../utils/errors');
+const { uploadFile, previewUpload, buildIssuePayloads } = require('./uploadController');
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+function send(handler, { body = {}, query = {}, file = { originalname: 'roadmap.docx', mimetype: DOCX, buffer: Buffer.from('docx') } } = {}) {
+  const res = { status: jest.fn(() => res), json: jest.fn() };
+  const next = jest.fn();
+  return handler({ file, body, query, headers: {} }, res, next).then(() => ({
+    status: res.status.mock.calls[0] && res.status.mock.calls[0][0],
+    body: res.json.mock.calls[0] && res.json.mock.calls[0][0],
+    error: next.mock.calls[0] && next.mock.calls[0][0]
+  }));
+}
+
+describe('upload preview', () => {
+  beforeEach(() => {
+    jest.spyOn(mammoth, 'extractRawText').mockResolvedValue({ value: 'Roadmap:\n1. Build login\n- Write docs\nShip the beta to testers', messages: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the issues an import would create without calling GitHub', async () => {
+    const { status, body } = await send(previewUpload, { body: { labels: ['roadmap'], assignee: 'alice' } });
+
+    expect(status).toBe(200);
+    expect(Octokit).not.toHaveBeenCalled();
+    expect(body.data).toMatchObject({ dryRun: true, tasksExtracted: 3, fallbackMatches: 1 });
+    expect(body.data.issues[0]).toMatchObject({
+      title: 'Build login',
+      body: expect.stringMatching(/^Task: Build login\n\n<!-- roadmap-api:fingerprint=\w+ document=\w+ -->$/),
+      labels: ['roadmap'],
+      assignees: ['alice'],
+      line: 2,
+      source: 'numbered',
+      fallback: false,
+      fields: {}
+    });
+    expect(body.data.issues[2]).toMatchObject({ title: 'Ship the beta to testers', source: 'fallback', fallback: true });
+  });
+
+  test('answers ?dryRun=true on the upload endpoint with the preview', async () => {
+    const { status, body } = await send(uploadFile, { query: { dryRun: 'true' } });
+
+    expect(status).toBe(200);
+    expect(body.data.dryRun).toBe(true);
+    expect(Octokit).not.toHaveBeenCalled();
+  });
+
+  test('reports documents without tasks', async () => {
+    mammoth.extractRawText.mockResolvedValue({ value: 'Notes:\n', messages: [] });
+
+    const { error } = await send(previewUpload);
+
+    expect(error).toMatchObject({ status: 400, code: 'NO_TASKS_EXTRACTED' });
+  });
+
+  test('refuses repository templates without GitHub access', async () => {
+    const token = process.env.GITHUB_TOKEN;
+    delete process.env.GITHUB_TOKEN;
+
+    const { error } = await send(previewUpload, { body: { template: 'repo:bug' } });
+
+    if (token !== undefined) {
+      process.env.GITHUB_TOKEN = token;
+    }
+    expect(error).toMatchObject({ status: 400, code: 'UNKNOWN_TEMPLATE' });
+    expect(Octokit).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildIssuePayloads', () => {
+  test('keeps long tasks in full in the body', () => {
+    const task = 'x'.repeat(120);
+
+    const [payload] = buildIssuePayloads([task]);
+
+    expect(payload.title).toBe(`${'x'.repeat(99)}…`);
+    expect(payload.body.startsWith(`${task}\n\n<!-- roadmap-api`)).toBe(true);
+  });
+});
+
+describe('upload', () => {
+  const ImportService = require('../services/importService');
+  const GitHubService = require('../services/githubService');
+  const { importStore } = require('../services/stores');
+  const markdown = { originalname: 'roadmap.md', buffer: Buffer.from('# Roadmap\n\n- Build login\n- Write docs') };
+  let importDocument;
+
+  function upload(body = {}, { headers = { 'x-github-token': 'token' }, file = markdown } = {}) {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+    return uploadFile({ file, body: { owner: 'acme', repo: 'web', ...body }, query: {}, headers }, res, next).then(() => ({
+      status: res.status.mock.calls[0] && res.status.mock.calls[0][0],
+      body: res.json.mock.calls[0] && res.json.mock.calls[0][0],
+      error: next.mock.calls[0] && next.mock.calls[0][0]
+    }));
+  }
+
+  beforeEach(() => {
+    jest.spyOn(GitHubService.prototype, 'getViewer').mockResolvedValue({ login: 'octocat' });
+    importDocument = jest.spyOn(ImportService.prototype, 'importDocument').mockResolvedValue({
+      counts: { created: 2, updated: 0, unchanged: 0, closed: 0, failed: 0 },
+      details: [{ action: 'created', number: 1, title: 'Build login' }, { action: 'created', number: 2, title: 'Write docs' }],
+      metadata: { created: { labels: ['auth'], milestones: [] }, warnings: [] },
+      projectError: null,
+      rateLimit: null
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('parses the document with the parser registry, imports it and records it', async () => {
+    const { status, body } = await upload({ labels: ['roadmap'] });
+
+    expect(status).toBe(201);
+    const [owner, repo, payloads, options] = importDocument.mock.calls[0];
+    expect([owner, repo]).toEqual(['acme', 'web']);
+    expect(payloads.map(payload => payload.title)).toEqual(['Build login', 'Write docs']);
+    expect(payloads[0].labels).toEqual(['roadmap']);
+    expect(options).toMatchObject({ documentKey: 'roadmap.md', hierarchy: 'tasklist' });
+    expect(body.data).toMatchObject({ tasksExtracted: 2, issuesCreated: 2, labelsCreated: ['auth'] });
+    const session = importStore.get(body.data.importId);
+    expect(session).toMatchObject({ status: 'committed', repository: 'acme/web', committedBy: 'octocat', fileName: 'roadmap.md' });
+    expect(session.documentHash).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test('passes the project on to the import', async () => {
+    await upload({ projectId: 'PVT_1' });
+
+    expect(importDocument.mock.calls[0][3].projectId).toBe('PVT_1');
+  });
+
+  test('records failed imports', async () => {
+    importDocument.mockRejectedValue(new Error('Repository not found'));
+
+    const { error } = await upload();
+
+    expect(error.message).toBe('Repository not found');
+    const failed = importStore.list().find(session => session.error === 'Repository not found');
+    expect(failed.status).toBe('failed');
+  });
+
+  test('refuses documents that cannot be read with a 422', async () => {
+    const { error } = await upload({}, { file: { originalname: 'roadmap.docx', buffer: Buffer.from('not a zip archive') } });
+
+    expect(toApiError(error)).toMatchObject({ status: 422, code: 'DOCUMENT_UNREADABLE' });
+    expect(importDocument).not.toHaveBeenCalled();
+  });
+
+  test('refuses requests without a file', async () => {
+    const { error } = await upload({}, { file: null });
+
+    expect(error).toMatchObject({ status: 400, code: 'NO_FILE_UPLOADED' });
+    expect(importDocument).not.toHaveBeenCalled();
+  });
+
+  test('refuses uploads without a GitHub token', async () => {
+    const token = process.env.GITHUB_TOKEN;
+    delete process.env.GITHUB_TOKEN;
+
+    const { error } = await upload({}, { headers: {} });
+
+    if (token !== undefined) {
+      process.env.GITHUB_TOKEN = token;
+    }
+    expect(error).toMatchObject({ status: 401, code: 'GITHUB_TOKEN_MISSING' });
+    expect(importDocument).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,52 @@
+const WebhookService = require('../services/webhookService');
+const { importStore } = require('../services/stores');
+
+const webhookService = new WebhookService(importStore);
+
+/**
+ * Receive a GitHub webhook delivery
+ * POST /api/webhooks/github
+ *
+ * issues, issue_comment and projects_v2_item events update the issues
+ * recorded by imports: state, title, assignees, labels, milestone, comments
+ * and project item status. Other events are acknowledged and ignored, so the
+ * webhook can be subscribed to more than it needs
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function receiveGitHubEvent(req, res, next) {
+  const event = req.headers['x-github-event'];
+  const delivery = req.headers['x-github-delivery'];
+
+  try {
+    if (event === 'ping') {
+      return res.json({
+        success: true,
+        message: 'pong'
+      });
+    }
+
+    const { handled, updated } = webhookService.handle(event, req.body);
+
+    return res.json({
+      success: true,
+      message: handled
+        ? `${event}${req.body.action ? `.${req.body.action}` : ''} applied to ${updated} recorded issues`
+        : `Event ${event} ignored`,
+      data: {
+        delivery,
+        event,
+        handled,
+        updated
+      }
+    });
+  } catch (error) {
+    return next(error);
+  }
+}
+
+module.exports = {
+  receiveGitHubEvent
+};
@@ -0,0 +1,42 @@
+const COLUMNS = ['Group', 'Number', 'Title', 'State', 'Status', 'Milestone', 'Labels', 'Assignees', 'URL'];
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function escapeField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV exporter
+ * One row per issue and group, for spreadsheets
+ */
+module.exports = {
+  name: 'csv',
+  extension: '.csv',
+  mimeType: 'text/csv; charset=utf-8',
+
+  /**
+   * Render a roadmap report
+   * @param {Object} report - Report from ExportService.buildReport
+   * @returns {Promise<string>} CSV document
+   */
+  async render(report) {
+    const rows = report.groups.flatMap(group => group.issues.map(issue => [
+      group.name,
+      issue.number,
+      issue.title,
+      issue.state,
+      issue.status,
+      issue.milestone,
+      issue.labels.join(', '),
+      issue.assignees.join(', '),
+      issue.url,
+    ]));
+
+    return `${[COLUMNS, ...rows].map(row => row.map(escapeField).join(',')).join('\r\n')}\r\n`;
+  },
+};
@@ -0,0 +1,113 @@
+const JSZip = require('jszip');
+const { escapeXml } = require('../utils/xml');
+
+const NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`;
+
+const PACKAGE_RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+// Heading 1 is a real Word heading style, so the export can be imported again in "epics" mode
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NAMESPACES}>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:rPr><w:sz w:val="22"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="48"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+</w:styles>`;
+
+/**
+ * Build a text run
+ * @param {string} text - Run text
+ * @param {string} properties - Run properties XML
+ * @returns {string} Run XML
+ */
+function run(text, properties = '') {
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+/**
+ * Build a paragraph
+ * @param {string} content - Runs and hyperlinks XML
+ * @param {string} style - Paragraph style ID
+ * @returns {string} Paragraph XML
+ */
+function paragraph(content, style = null) {
+  return `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${content}</w:p>`;
+}
+
+/**
+ * Word (.docx) exporter
+ * A heading per group and one paragraph per issue linking to it, with a
+ * checked box for closed issues
+ */
+module.exports = {
+  name: 'docx',
+  extension: '.docx',
+  mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+
+  /**
+   * Render a roadmap report
+   * @param {Object} report - Report from ExportService.buildReport
+   * @returns {Promise<Buffer>} Word document
+   */
+  async render(report) {
+    const links = [];
+    const hyperlink = (text, url) => {
+      links.push(url);
+      return `<w:hyperlink r:id="rIdLink${links.length}">${run(text, '<w:rStyle w:val="Hyperlink"/>')}</w:hyperlink>`;
+    };
+
+    const body = [
+      paragraph(run(report.title), 'Title'),
+      paragraph(run(`Generated from ${report.repository} on ${report.generatedAt.substring(0, 10)}: ${report.totals.closed} of ${report.totals.issues} issues closed.`, '<w:i/>')),
+    ];
+
+    for (const group of report.groups) {
+      body.push(paragraph(run(group.name), 'Heading1'));
+      body.push(paragraph(run(`${group.closed} of ${group.issues.length} done${group.dueOn ? `, due ${group.dueOn.substring(0, 10)}` : ''}`, '<w:i/>')));
+
+      for (const issue of group.issues) {
+        const details = [
+          ...issue.assignees.map(login => `@${login}`),
+          ...(report.groupBy !== 'status' && issue.status ? [issue.status] : []),
+          ...(report.groupBy !== 'label' ? issue.labels : []),
+        ];
+
+        body.push(paragraph([
+          run(issue.state === 'OPEN' ? '☐ ' : '☑ '),
+          hyperlink(issue.title, issue.url),
+          run(` (#${issue.number})${details.length > 0 ? ` — ${details.join(' · ')}` : ''}`),
+        ].join('')));
+      }
+    }
+
+    const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACES}><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440"/></w:sectPr></w:body></w:document>`;
+
+    const relationships = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+${links.map((url, index) => `<Relationship Id="rIdLink${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(url)}" TargetMode="External"/>`).join('\n')}
+</Relationships>`;
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', CONTENT_TYPES);
+    zip.file('_rels/.rels', PACKAGE_RELATIONSHIPS);
+    zip.file('word/document.xml', documentXml);
+    zip.file('word/styles.xml', STYLES);
+    zip.file('word/_rels/document.xml.rels', relationships);
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  },
+};
@@ -0,0 +1,44 @@
+/**
+ * Exporter registry
+ * Each exporter declares the format name it answers to and a
+ * render(report) function producing the document, the reverse of the parsers
+ */
+const exporters = [];
+
+/**
+ * Register a roadmap exporter
+ * @param {Object} exporter - Exporter ({ name, extension, mimeType, render })
+ */
+function registerExporter(exporter) {
+  exporters.push(exporter);
+}
+
+/**
+ * Find the exporter for a format
+ * @param {string} format - Format name or extension, e.g. "docx" or ".md"
+ * @returns {Object|null} Exporter, or null if the format is not supported
+ */
+function findExporter(format) {
+  const name = String(format || '').toLowerCase().replace(/^\./, '');
+  return exporters.find(exporter => exporter.name === name || exporter.extension === `.${name}`) || null;
+}
+
+/**
+ * List the formats that can be exported
+ * @returns {Array<string>} Format names
+ */
+function supportedFormats() {
+  return exporters.map(exporter => exporter.name);
+}
+
+[
+  require('./docxExporter'),
+  require('./markdownExporter'),
+  require('./csvExporter'),
+].forEach(registerExporter);
+
+module.exports = {
+  registerExporter,
+  findExporter,
+  supportedFormats,
+};
@@ -0,0 +1,57 @@
+const JSZip = require('jszip');
+const { findExporter, supportedFormats } = require('./index');
+const markdownParser = require('../parsers/markdownParser');
+
+const report = {
+  title: 'acme/site roadmap',
+  repository: 'acme/site',
+  generatedAt: '2027-03-01T12:00:00.000Z',
+  groupBy: 'milestone',
+  totals: { issues: 2, open: 1, closed: 1 },
+  groups: [{
+    name: 'Beta',
+    dueOn: '2027-06-01T00:00:00Z',
+    open: 1,
+    closed: 1,
+    issues: [
+      { number: 1, title: 'Build [login]', url: 'https://github.com/acme/site/issues/1', state: 'CLOSED', status: 'Done', milestone: 'Beta', labels: ['auth'], assignees: ['alice'] },
+      { number: 2, title: 'Write docs, "quickly"', url: 'https://github.com/acme/site/issues/2', state: 'OPEN', status: null, milestone: 'Beta', labels: [], assignees: [] }
+    ]
+  }]
+};
+
+describe('exporters', () => {
+  test('are found by name or extension', () => {
+    expect(supportedFormats()).toEqual(['docx', 'md', 'csv']);
+    expect(findExporter('.CSV').name).toBe('csv');
+    expect(findExporter('pdf')).toBeNull();
+  });
+
+  test('export Markdown checklists that import again', async () => {
+    const markdown = await findExporter('md').render(report);
+
+    expect(markdown).toContain('## Beta (1/2 done)');
+    expect(markdown).toContain('- [x] [Build \\[login\\]](https://github.com/acme/site/issues/1) (#1) — @alice · Done · `auth`');
+
+    const { entries } = await markdownParser.parse(Buffer.from(markdown));
+    expect(entries.map(entry => [entry.section, Boolean(entry.done)])).toEqual([['Beta (1/2 done)', true], ['Beta (1/2 done)', false]]);
+  });
+
+  test('export CSV with quoted fields', async () => {
+    const csv = await findExporter('csv').render(report);
+    const lines = csv.split('\r\n');
+
+    expect(lines[0]).toBe('Group,Number,Title,State,Status,Milestone,Labels,Assignees,URL');
+    expect(lines[2]).toBe('Beta,2,"Write docs, ""quickly""",OPEN,,Beta,,,https://github.com/acme/site/issues/2');
+  });
+
+  test('export Word documents', async () => {
+    const buffer = await findExporter('docx').render(report);
+    const zip = await JSZip.loadAsync(buffer);
+    const documentXml = await zip.file('word/document.xml').async('string');
+
+    expect(documentXml).toContain('acme/site roadmap');
+    expect(documentXml).toContain('Build [login]');
+    expect(documentXml).toContain('Write docs, &quot;quickly&quot;');
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Markdown exporter
+ * One section per group with a checklist of its issues; closed issues are
+ * checked, so the file can be imported again as a roadmap
+ */
+module.exports = {
+  name: 'md',
+  extension: '.md',
+  mimeType: 'text/markdown; charset=utf-8',
+
+  /**
+   * Render a roadmap report
+   * @param {Object} report - Report from ExportService.buildReport
+   * @returns {Promise<string>} Markdown document
+   */
+  async render(report) {
+    const lines = [
+      `# ${report.title}`,
+      '',
+      `_Generated from ${report.repository} on ${report.generatedAt.substring(0, 10)}: ${report.totals.closed} of ${report.totals.issues} issues closed._`,
+    ];
+
+    for (const group of report.groups) {
+      lines.push('', `## ${group.name} (${group.closed}/${group.issues.length} done)`);
+      if (group.dueOn) {
+        lines.push('', `Due ${group.dueOn.substring(0, 10)}`);
+      }
+      lines.push('');
+
+      for (const issue of group.issues) {
+        const details = [
+          ...issue.assignees.map(login => `@${login}`),
+          ...(report.groupBy !== 'status' && issue.status ? [issue.status] : []),
+          ...(report.groupBy !== 'label' ? issue.labels.map(label => `\`${label}\``) : []),
+        ];
+        const title = issue.title.replace(/([[\]])/g, '\\$1');
+
+        lines.push(`- [${issue.state === 'OPEN' ? ' ' : 'x'}] [${title}](${issue.url}) (#${issue.number})${details.length > 0 ? ` — ${details.join(' · ')}` : ''}`);
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  },
+};
@@ -0,0 +1,102 @@
+const config = require('../config/apiAuth');
+const { ApiError } = require('../utils/errors');
+const { isJwt, verifyJwt } = require('../utils/jwt');
+const { assertAccess } = require('../utils/apiAccess');
+
+const clientsByHash = new Map(config.keys.map(client => [client.keyHash, client]));
+
+/**
+ * Read the API credential of a request: X-API-Key, or a bearer token
+ * @param {Object} req - Express request object
+ * @returns {string|null} API key or JWT
+ */
+function readApiCredential(req) {
+  const header = req.headers.authorization || '';
+  const bearer = /^Bearer\s+(\S+)$/i.exec(header);
+
+  return req.headers['x-api-key'] || (bearer && bearer[1]) || null;
+}
+
+/**
+ * Identify the API client of a request
+ * @param {string} credential - API key or JWT
+ * @returns {Object} Client ({ id, repos, projects, uploadLimit })
+ * @throws {ApiError} 401 INVALID_TOKEN or INVALID_API_KEY
+ */
+function identifyClient(credential) {
+  if (config.jwt.secret && isJwt(credential)) {
+    let claims;
+    try {
+      claims = verifyJwt(credential, config.jwt.secret, config.jwt);
+    } catch (error) {
+      throw new ApiError(401, 'INVALID_TOKEN', `Invalid bearer token: ${error.message}`);
+    }
+
+    if (!claims.sub) {
+      throw new ApiError(401, 'INVALID_TOKEN', 'Invalid bearer token: sub claim missing');
+    }
+
+    return {
+      id: `jwt:${claims.sub}`,
+      repos: [].concat(claims.repos || []),
+      projects: [].concat(claims.projects || []),
+      uploadLimit: null
+    };
+  }
+
+  const client = clientsByHash.get(config.hashKey(credential));
+  if (!client) {
+    throw new ApiError(401, 'INVALID_API_KEY', 'Invalid API key');
+  }
+
+  return {
+    id: client.name,
+    repos: client.repos,
+    projects: client.projects,
+    uploadLimit: client.uploadLimit
+  };
+}
+
+/**
+ * Require an API key or bearer JWT on every request and attach its client
+ * as req.apiClient; the allowlists are applied per route by authorize
+ */
+const authenticate = (req, res, next) => {
+  if (!config.enabled) {
+    req.apiClient = null;
+    return next();
+  }
+
+  const credential = readApiCredential(req);
+
+  try {
+    if (!credential) {
+      throw new ApiError(401, 'API_KEY_MISSING', 'API key required: send X-API-Key or Authorization: Bearer');
+    }
+
+    req.apiClient = identifyClient(credential);
+    return next();
+  } catch (error) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return next(error);
+  }
+};
+
+/**
+ * Refuse requests acting outside the client's repository and project allowlists
+ * @param {Function} readTarget - (req) => { owner, repo, projectId }, see utils/apiAccess
+ * @returns {Function} Express middleware
+ */
+const authorize = readTarget => (req, res, next) => {
+  try {
+    assertAccess(req, readTarget(req));
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  authorize
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SECRET = 'test-secret';
+
+function sign(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', SECRET).update(unsigned).digest('base64url')}`;
+}
+
+function loadMiddleware(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  let middleware;
+  jest.isolateModules(() => {
+    middleware = require('./apiAuth');
+  });
+  process.env = saved;
+  return middleware;
+}
+
+function run(middleware, headers, extra = {}) {
+  const req = { headers, ...extra };
+  const res = { set: jest.fn() };
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { req, error: next.mock.calls[0][0] };
+}
+
+describe('apiAuth', () => {
+  let dir;
+  let keysPath;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+    keysPath = path.join(dir, 'api-keys.json');
+    fs.writeFileSync(keysPath, JSON.stringify({
+      ci: { keyHash: crypto.createHash('sha256').update('ci-key').digest('hex'), repos: ['acme/*'], projects: ['PVT_1'], uploadLimit: 5 }
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('identifies clients by API key', () => {
+    const { authenticate } = loadMiddleware({ API_KEYS_PATH: keysPath, API_KEY: '' });
+
+    const { req, error } = run(authenticate, { 'x-api-key': 'ci-key' });
+
+    expect(error).toBeUndefined();
+    expect(req.apiClient).toEqual({ id: 'ci', repos: ['acme/*'], projects: ['PVT_1'], uploadLimit: 5 });
+    expect(run(authenticate, { authorization: 'Bearer ci-key' }).req.apiClient.id).toBe('ci');
+  });
+
+  test('refuses missing and unknown keys', () => {
+    const { authenticate } = loadMiddleware({ API_KEYS_PATH: keysPath, API_KEY: '' });
+
+    expect(run(authenticate, {}).error).toMatchObject({ status: 401, code: 'API_KEY_MISSING' });
+    expect(run(authenticate, { 'x-api-key': 'wrong' }).error).toMatchObject({ status: 401, code: 'INVALID_API_KEY' });
+  });
+
+  test('ignores an API_KEY shorter than 32 characters', () => {
+    const { authenticate } = loadMiddleware({ API_KEY: 'change_me', API_KEYS_PATH: '' });
+
+    expect(run(authenticate, { 'x-api-key': 'change_me' }).error).toMatchObject({ status: 401, code: 'INVALID_API_KEY' });
+    expect(console.error).toHaveBeenCalledWith('Ignoring API_KEY: keys need at least 32 characters');
+  });
+
+  test('accepts API_KEY on everything', () => {
+    const key = 'a'.repeat(32);
+    const { authenticate } = loadMiddleware({ API_KEY: key, API_KEYS_PATH: '' });
+
+    expect(run(authenticate, { 'x-api-key': key }).req.apiClient).toMatchObject({ id: 'default', repos: ['*'], projects: ['*'] });
+  });
+
+  test('identifies clients by bearer JWT', () => {
+    const { authenticate } = loadMiddleware({ API_JWT_SECRET: SECRET, API_KEY: '', API_KEYS_PATH: '' });
+
+    const { req } = run(authenticate, { authorization: `Bearer ${sign({ sub: 'deploy', repos: 'acme/site' })}` });
+    expect(req.apiClient).toEqual({ id: 'jwt:deploy', repos: ['acme/site'], projects: [], uploadLimit: null });
+
+    expect(run(authenticate, { authorization: `Bearer ${sign({ repos: ['*'] })}` }).error)
+      .toMatchObject({ status: 401, code: 'INVALID_TOKEN', message: 'Invalid bearer token: sub claim missing' });
+    expect(run(authenticate, { authorization: `Bearer ${sign({ sub: 'deploy', exp: 1 })}` }).error)
+      .toMatchObject({ status: 401, code: 'INVALID_TOKEN', message: 'Invalid bearer token: token expired' });
+  });
+
+  test('authorizes by the client allowlists', () => {
+    const { authorize } = loadMiddleware({});
+    const { requestTarget } = require('../utils/apiAccess');
+    const apiClient = { id: 'ci', repos: ['acme/*'], projects: ['PVT_1'] };
+    const byBody = authorize(requestTarget('body'));
+
+    expect(run(byBody, {}, { apiClient, params: {}, body: { owner: 'acme', repo: 'site' } }).error).toBeUndefined();
+    expect(run(byBody, {}, { apiClient, params: {}, body: { owner: 'other', repo: 'site' } }).error)
+      .toMatchObject({ status: 403, code: 'API_ACCESS_DENIED', message: 'API client ci may not access other/site' });
+    expect(run(byBody, {}, { apiClient, params: { projectId: 'PVT_2' }, body: {} }).error)
+      .toMatchObject({ status: 403, message: 'API client ci may not access project PVT_2' });
+  });
+});
@@ -1,22 +1,24 @@
+const { toApiError, errorBody } = require('../utils/errors');
+
+/**
+ * Answer every error in the same envelope: { success: false, error, code, details? }
+ * Server errors are logged with their stack, client errors on one line
+ */
 const errorHandler = (err, req, res, next) => {
-  const status = err.status || err.statusCode || 500;
-  const message = err.message || 'Internal Server Error';
+  const error = toApiError(err);
 
-  console.error(`[Error] ${status}: ${message}`);
+  if (error.status >= 500) {
+    console.error(`[Error] ${req.method} ${req.path} ${error.status} ${error.code}:`, err);
+  } else {
+    console.error(`[Error] ${req.method} ${req.path} ${error.status} ${error.code}: ${error.message}`);
+  }
 
-  if (err.name === 'MulterError') {
-    return res.status(400).json({
-      error: 'File Upload Error',
-      message: 'Invalid file upload',
-      code: err.code,
-    });
+  // Streams that already started (server-sent events) can only be closed
+  if (res.headersSent) {
+    return next(err);
   }
 
-  res.status(status).json({
-    error: 'Server Error',
-    message,
-    code: 'INTERNAL_SERVER_ERROR',
-  });
+  res.status(error.status).json(errorBody(error));
 };
 
-module.exports = errorHandler;
\ No newline at end of file
+module.exports = errorHandler;
@@ -0,0 +1,43 @@
+const config = require('../config/apiAuth');
+const { ApiError } = require('../utils/errors');
+
+// Upload counts of the current window by client
+const windows = new Map();
+
+/**
+ * Limit how many documents each API client uploads per window
+ * Runs before multer, so refused uploads are never read into memory. Clients
+ * are told their budget in RateLimit-* headers and when to retry in Retry-After
+ */
+const limitUploads = (req, res, next) => {
+  const now = Date.now();
+  // Without API authentication clients can only be told apart by address
+  const clientId = req.apiClient ? req.apiClient.id : `ip:${req.ip}`;
+  const limit = (req.apiClient && req.apiClient.uploadLimit) || config.uploadLimit;
+
+  for (const [id, window] of windows) {
+    if (window.resetAt <= now) {
+      windows.delete(id);
+    }
+  }
+
+  const window = windows.get(clientId) || { count: 0, resetAt: now + config.uploadWindow };
+  windows.set(clientId, window);
+
+  const resetIn = Math.ceil((window.resetAt - now) / 1000);
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, limit - window.count - 1)),
+    'RateLimit-Reset': String(resetIn)
+  });
+
+  if (window.count >= limit) {
+    res.set('Retry-After', String(resetIn));
+    return next(new ApiError(429, 'UPLOAD_RATE_LIMITED', `Upload limit of ${limit} documents reached; retry in ${resetIn}s`));
+  }
+
+  window.count += 1;
+  return next();
+};
+
+module.exports = limitUploads;
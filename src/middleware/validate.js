@@ -0,0 +1,176 @@
+const { ApiError } = require('../utils/errors');
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off', ''];
+
+/**
+ * Parse a value that may arrive as JSON text, as multipart form fields do
+ * @param {*} value - Raw value
+ * @returns {*} Parsed value, or the value itself when it is not JSON
+ */
+function parseJson(value) {
+  if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Convert a raw parameter to the type of its rule
+ * Multipart forms and query strings only carry strings, so "true", "3",
+ * "a,b" and JSON text are accepted wherever a flag, number, list or object is
+ * @param {*} value - Raw value
+ * @param {Object} rule - Field rule
+ * @returns {{value: *}|{error: string}} Converted value, or why it is invalid
+ */
+function coerce(value, rule) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return { error: 'must be a string' };
+      }
+      const text = String(value).trim();
+      if (rule.pattern && !rule.pattern.test(text)) {
+        return { error: rule.patternMessage || `must match ${rule.pattern}` };
+      }
+      if (rule.maxLength && text.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      return { value: text };
+    }
+    case 'enum': {
+      const text = String(value).trim();
+      const match = rule.values.find(option => option.toLowerCase() === text.toLowerCase());
+      return match === undefined
+        ? { error: `must be one of: ${rule.values.join(', ')}` }
+        : { value: match };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return { value };
+      }
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) {
+        return { value: true };
+      }
+      return FALSE_VALUES.includes(text) ? { value: false } : { error: 'must be true or false' };
+    }
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (String(value).trim() === '' || Number.isNaN(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+        return { error: `must be ${rule.type === 'integer' ? 'an integer' : 'a number'}` };
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return { error: `must be at least ${rule.min}` };
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return { error: `must be at most ${rule.max}` };
+      }
+      return { value: number };
+    }
+    case 'list': {
+      const parsed = parseJson(value);
+      const items = Array.isArray(parsed) ? parsed : String(parsed).split(',');
+      if (items.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+        return { error: 'must be a list of strings, comma-separated or as a JSON array' };
+      }
+      return { value: items.map(item => String(item).trim()).filter(Boolean) };
+    }
+    case 'object': {
+      const parsed = parseJson(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+        ? { value: parsed }
+        : { error: 'must be a JSON object' };
+    }
+    default:
+      throw new Error(`Unknown validation type "${rule.type}"`);
+  }
+}
+
+/**
+ * Check one part of a request (params, query or body) against a schema
+ * Parameters the schema does not describe are left untouched
+ * @param {Object} schema - Field rules by name ({ type, required, nullable, ... })
+ * @param {Object} input - Raw request part
+ * @param {string} location - "params", "query" or "body", for error details
+ * @param {Object} req - Express request object, passed to conditional rules
+ * @returns {{values: Object, errors: Array<Object>}} Converted values and invalid fields
+ */
+function checkSchema(schema, input, location, req) {
+  const values = {};
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const raw = input[name];
+    const required = typeof rule.required === 'function' ? rule.required(req) : rule.required;
+
+    if (raw === undefined || (raw === '' && rule.type !== 'boolean')) {
+      if (required) {
+        errors.push({ location, field: name, message: `${name} is required` });
+      } else if (rule.default !== undefined) {
+        values[name] = rule.default;
+      }
+      continue;
+    }
+
+    if (raw === null) {
+      if (rule.nullable) {
+        values[name] = null;
+      } else {
+        errors.push({ location, field: name, message: `${name} cannot be null` });
+      }
+      continue;
+    }
+
+    const result = coerce(raw, rule);
+    if (result.error) {
+      errors.push({ location, field: name, message: `${name} ${result.error}` });
+    } else {
+      values[name] = result.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Build a middleware that validates and converts request parameters
+ * Converted values replace the raw ones, so handlers receive booleans,
+ * numbers, arrays and objects; invalid requests are rejected with a 400
+ * VALIDATION_FAILED error listing every invalid field
+ * @param {Object} schemas - Schemas by request part ({ params, query, body })
+ * @returns {Function} Express middleware
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) {
+        continue;
+      }
+
+      const result = checkSchema(schemas[location], req[location] || {}, location, req);
+      errors.push(...result.errors);
+      req[location] = { ...req[location], ...result.values };
+    }
+
+    if (errors.length > 0) {
+      const message = errors.map(error => error.message).join('; ');
+      return next(new ApiError(400, 'VALIDATION_FAILED', `Invalid request: ${message}`, errors));
+    }
+
+    next();
+  };
+}
+
+// Shared with schemas that look at a flag before it is coerced
+validate.TRUE_VALUES = TRUE_VALUES;
+
+module.exports = validate;
@@ -0,0 +1,79 @@
+const validate = require('./validate');
+const schemas = require('../validation/schemas');
+
+function run(schema, req) {
+  const next = jest.fn();
+  const request = { params: {}, query: {}, body: {}, ...req };
+  validate(schema)(request, {}, next);
+  return { req: request, error: next.mock.calls[0][0] };
+}
+
+describe('validate', () => {
+  test('converts form and query strings to the types of their rules', () => {
+    const { req, error } = run(schemas.upload, {
+      query: { dryRun: 'yes', async: '0' },
+      body: {
+        owner: 'acme',
+        repo: 'site',
+        labels: 'roadmap, q3',
+        assignees: '["alice","bob"]',
+        fields: '{"Priority":"High"}',
+        epicLevel: '2',
+        mode: 'EPICS',
+        duplicateThreshold: '0.8'
+      }
+    });
+
+    expect(error).toBeUndefined();
+    expect(req.query).toEqual({ dryRun: true, async: false });
+    expect(req.body).toMatchObject({
+      labels: ['roadmap', 'q3'],
+      assignees: ['alice', 'bob'],
+      fields: { Priority: 'High' },
+      epicLevel: 2,
+      mode: 'epics',
+      duplicateThreshold: 0.8,
+      closeRemoved: false,
+      hierarchy: 'tasklist'
+    });
+  });
+
+  test('reports every invalid field at once', () => {
+    const { error } = run(schemas.upload, {
+      body: { owner: 'not a login', epicLevel: '9', closeRemoved: 'maybe', fields: '[1]' }
+    });
+
+    expect(error).toMatchObject({ status: 400, code: 'VALIDATION_FAILED' });
+    expect(error.details.map(detail => detail.field)).toEqual(['owner', 'repo', 'epicLevel', 'fields', 'closeRemoved']);
+    expect(error.message).toContain('owner must be a GitHub user or organization login');
+    expect(error.message).toContain('repo is required');
+    expect(error.message).toContain('epicLevel must be at most 6');
+  });
+
+  test('applies conditional requirements', () => {
+    expect(run(schemas.upload, { query: { dryRun: 'true' }, body: {} }).error).toBeUndefined();
+    expect(run(schemas.upload, { query: { dryRun: 'YES' }, body: {} }).error).toBeUndefined();
+    expect(run(schemas.upload, { query: { dryRun: 'off' }, body: {} }).error.details.map(detail => detail.field)).toEqual(['owner', 'repo']);
+    expect(run(schemas.progressReport, { query: { importId: 'abc' } }).error).toBeUndefined();
+    expect(run(schemas.progressReport, { query: {} }).error.details.map(detail => detail.field)).toEqual(['owner', 'repo']);
+  });
+
+  test('refuses null unless the rule allows it', () => {
+    const schema = { body: { milestone: { type: 'string', nullable: true }, title: { type: 'string' } } };
+
+    expect(run(schema, { body: { milestone: null } }).req.body.milestone).toBeNull();
+    expect(run(schema, { body: { title: null } }).error.message).toBe('Invalid request: title cannot be null');
+  });
+
+  test('refuses numbers that are not integers', () => {
+    const { error } = run(schemas.getIssue, { params: { owner: 'acme', repo: 'site', number: '1.5' } });
+
+    expect(error.message).toBe('Invalid request: number must be an integer');
+  });
+
+  test('leaves parameters the schema does not describe alone', () => {
+    const { req } = run(schemas.rollbackImport, { body: { extra: 'kept' } });
+
+    expect(req.body).toEqual({ extra: 'kept', mode: 'close' });
+  });
+});
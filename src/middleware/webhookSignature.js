@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const config = require('../config/github');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Check the X-Hub-Signature-256 HMAC of a GitHub webhook delivery and parse
+ * its payload into req.body
+ * Needs the raw request body (express.raw), since the signature covers the
+ * exact bytes GitHub sent
+ */
+const verifyGitHubSignature = (req, res, next) => {
+  if (!config.webhookSecret) {
+    return next(new ApiError(503, 'WEBHOOKS_NOT_CONFIGURED', 'GitHub webhooks are not configured: set GITHUB_WEBHOOK_SECRET'));
+  }
+
+  const raw = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const signature = String(req.headers['x-hub-signature-256'] || '');
+  const expected = `sha256=${crypto.createHmac('sha256', config.webhookSecret).update(raw).digest('hex')}`;
+
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return next(new ApiError(401, 'INVALID_SIGNATURE', 'Webhook signature does not match'));
+  }
+
+  try {
+    // Webhooks may be set up to send form-encoded payloads
+    const text = raw.toString('utf8');
+    req.body = req.is('application/x-www-form-urlencoded')
+      ? JSON.parse(new URLSearchParams(text).get('payload'))
+      : JSON.parse(text);
+  } catch (error) {
+    return next(new ApiError(400, 'INVALID_JSON', 'Webhook payload is not valid JSON'));
+  }
+
+  if (!req.body || typeof req.body !== 'object') {
+    return next(new ApiError(400, 'INVALID_JSON', 'Webhook payload must be a JSON object'));
+  }
+
+  return next();
+};
+
+module.exports = verifyGitHubSignature;
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+process.env.GITHUB_WEBHOOK_SECRET = 'webhook-secret';
+
+const verifyGitHubSignature = require('./webhookSignature');
+
+function deliver(body, { secret = 'webhook-secret', type = 'application/json', signature } = {}) {
+  const raw = Buffer.from(body);
+  const req = {
+    body: raw,
+    headers: { 'x-hub-signature-256': signature || `sha256=${crypto.createHmac('sha256', secret).update(raw).digest('hex')}` },
+    is: contentType => contentType === type
+  };
+  const next = jest.fn();
+  verifyGitHubSignature(req, {}, next);
+  return { req, error: next.mock.calls[0][0] };
+}
+
+describe('verifyGitHubSignature', () => {
+  test('accepts a signed delivery and parses its payload', () => {
+    const { req, error } = deliver('{"action":"closed"}');
+
+    expect(error).toBeUndefined();
+    expect(req.body).toEqual({ action: 'closed' });
+  });
+
+  test('parses form-encoded deliveries', () => {
+    const body = `payload=${encodeURIComponent('{"action":"opened"}')}`;
+
+    expect(deliver(body, { type: 'application/x-www-form-urlencoded' }).req.body).toEqual({ action: 'opened' });
+  });
+
+  test('refuses deliveries signed with another secret or not signed', () => {
+    expect(deliver('{"action":"closed"}', { secret: 'other' }).error).toMatchObject({ status: 401, code: 'INVALID_SIGNATURE' });
+    expect(deliver('{"action":"closed"}', { signature: 'sha256=short' }).error).toMatchObject({ status: 401, code: 'INVALID_SIGNATURE' });
+  });
+
+  test('refuses payloads that are not JSON objects', () => {
+    expect(deliver('not json').error).toMatchObject({ status: 400, code: 'INVALID_JSON' });
+    expect(deliver('42').error).toMatchObject({ status: 400, message: 'Webhook payload must be a JSON object' });
+  });
+
+  test('answers 503 while no secret is configured', () => {
+    let unconfigured;
+    jest.isolateModules(() => {
+      delete process.env.GITHUB_WEBHOOK_SECRET;
+      unconfigured = require('./webhookSignature');
+    });
+    const next = jest.fn();
+
+    unconfigured({ body: Buffer.from('{}'), headers: {} }, {}, next);
+
+    expect(next.mock.calls[0][0]).toMatchObject({ status: 503, code: 'WEBHOOKS_NOT_CONFIGURED' });
+  });
+});
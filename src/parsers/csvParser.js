@@ -0,0 +1,105 @@
+const { buildTaskEntries } = require('./taskExtractor');
+
+/**
+ * Pick the delimiter used by a CSV file from its first line
+ * @param {string} text - CSV contents
+ * @returns {string} Comma, semicolon or tab
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split('\n')[0].replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(delimiter => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1,
+  }));
+
+  return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Parse CSV records, honoring quoted fields with delimiters, quotes and newlines
+ * @param {string} text - CSV contents
+ * @param {string} delimiter - Field delimiter
+ * @returns {{rows: Array<Array<string>>, rowLines: Array<number>}} Records and the line each starts on
+ */
+function parseRecords(text, delimiter) {
+  const rows = [];
+  const rowLines = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 0;
+  let rowStart = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n') {
+      row.push(field.trim());
+      if (row.some(cell => cell)) {
+        rows.push(row);
+        rowLines.push(rowStart);
+      }
+      row = [];
+      field = '';
+      line++;
+      rowStart = line;
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field.trim());
+  if (row.some(cell => cell)) {
+    rows.push(row);
+    rowLines.push(rowStart);
+  }
+
+  return { rows, rowLines };
+}
+
+/**
+ * CSV parser
+ * The first row is the header, mapped to task properties like a Word table;
+ * without a recognizable header the first column is the task title
+ */
+module.exports = {
+  name: 'csv',
+  extensions: ['.csv'],
+  mimeTypes: ['text/csv', 'application/csv'],
+
+  /**
+   * Parse a CSV file
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Parsing options, see buildTaskEntries
+   * @returns {Promise<{text: string, entries: Array<Object>}>} File text and task entries
+   */
+  async parse(buffer, options = {}) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const table = parseRecords(text, detectDelimiter(text));
+
+    // Every line belongs to the table, so none is read as free text
+    const blankText = text.replace(/[^\n]/g, '');
+
+    return {
+      text,
+      entries: buildTaskEntries({ text: blankText, tables: [table] }, { ...options, headerless: true }),
+    };
+  },
+};
@@ -0,0 +1,36 @@
+const csvParser = require('./csvParser');
+
+const parse = (csv, options) => csvParser.parse(Buffer.from(csv), options).then(result => result.entries);
+
+describe('csvParser', () => {
+  test('maps the header row and reads quoted fields', async () => {
+    const entries = await parse([
+      'Task,Owner,Labels,Due,Notes',
+      '"Build login, then signup",alice,"auth, ui",2027-03-05,"Multi',
+      'line ""notes"""',
+      'Write docs,bob,,,'
+    ].join('\r\n'));
+
+    expect(entries).toMatchObject([
+      { text: 'Build login, then signup', line: 2, assignees: ['alice'], labels: ['auth', 'ui'], dueDate: '2027-03-05', body: 'Multi\nline "notes"' },
+      { text: 'Write docs', line: 4, assignees: ['bob'] }
+    ]);
+  });
+
+  test('detects semicolon and tab delimiters', async () => {
+    expect((await parse('Title;Status\nShip;Done\n'))[0]).toMatchObject({ text: 'Ship', fields: { Status: 'Done' } });
+    expect((await parse('Title\tStatus\nShip\tDone\n'))[0]).toMatchObject({ text: 'Ship', fields: { Status: 'Done' } });
+  });
+
+  test('uses the first column as title without a known header', async () => {
+    const entries = await parse('Alpha,1\nBeta,2\n');
+
+    expect(entries.map(entry => entry.text)).toEqual(['Beta']);
+  });
+
+  test('applies a custom column mapping', async () => {
+    const entries = await parse('Ticket,Who\nShip,carol\n', { columns: { ticket: 'title', who: 'assignee' } });
+
+    expect(entries).toMatchObject([{ text: 'Ship', assignees: ['carol'] }]);
+  });
+});
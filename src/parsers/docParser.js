@@ -0,0 +1,29 @@
+const WordExtractor = require('word-extractor');
+const { buildTaskEntries } = require('./taskExtractor');
+
+/**
+ * Legacy Word (.doc) parser
+ * mammoth only reads .docx, so binary Word files go through word-extractor.
+ * Only the body text is available: no tables or outline
+ */
+module.exports = {
+  name: 'doc',
+  extensions: ['.doc'],
+  mimeTypes: ['application/msword'],
+
+  /**
+   * Parse a legacy Word document
+   * @param {Buffer} buffer - Document contents
+   * @param {Object} options - Parsing options, see buildTaskEntries
+   * @returns {Promise<{text: string, entries: Array<Object>}>} Extracted text and task entries
+   */
+  async parse(buffer, options = {}) {
+    const document = await new WordExtractor().extract(buffer);
+    const text = document.getBody().replace(/\r\n?/g, '\n');
+
+    return {
+      text,
+      entries: buildTaskEntries({ text }, options),
+    };
+  },
+};
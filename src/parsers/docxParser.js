@@ -0,0 +1,41 @@
+const WordParser = require('../services/wordParser');
+const { buildTaskEntries } = require('./taskExtractor');
+
+/**
+ * Word (.docx) parser
+ * Reads the raw text, then the tables and the heading/list outline from a
+ * single HTML conversion through WordParser
+ */
+module.exports = {
+  name: 'docx',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+
+  /**
+   * Parse a Word document
+   * @param {Buffer} buffer - Document contents
+   * @param {Object} options - Parsing options, see buildTaskEntries
+   * @returns {Promise<{text: string, entries: Array<Object>}>} Extracted text and task entries
+   */
+  async parse(buffer, options = {}) {
+    const wordParser = new WordParser();
+    const result = await wordParser.parseDocument(buffer);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.messages.length > 0) {
+      console.warn('Mammoth parsing warnings:', result.messages);
+    }
+
+    const text = result.text || '';
+    const { html } = await wordParser.parseDocumentAsHtml(buffer);
+    const tables = html ? wordParser.tablesFromHtml(html) : [];
+    const outline = html ? wordParser.outlineFromHtml(html) : [];
+
+    return {
+      text,
+      entries: buildTaskEntries({ text, tables, outline }, options),
+    };
+  },
+};
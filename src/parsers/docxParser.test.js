@@ -0,0 +1,76 @@
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+const docxParser = require('./docxParser');
+const WordParser = require('../services/wordParser');
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+const heading = text => `<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+const bullet = text => `<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+const cell = text => `<w:tc><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:tc>`;
+const table = rows => `<w:tbl>${rows.map(row => `<w:tr>${row.map(cell).join('')}</w:tr>`).join('')}</w:tbl>`;
+
+async function createDocx(body) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>');
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+  zip.file('word/_rels/document.xml.rels', '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/></Relationships>');
+  zip.file('word/styles.xml', `<?xml version="1.0" encoding="UTF-8"?><w:styles ${W}><w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style></w:styles>`);
+  zip.file('word/numbering.xml', `<?xml version="1.0" encoding="UTF-8"?><w:numbering ${W}><w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl></w:abstractNum><w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>`);
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?><w:document ${W}><w:body>${body}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('docxParser', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads tables and outline from a single HTML conversion', async () => {
+    const convert = jest.spyOn(mammoth, 'convertToHtml');
+    const buffer = await createDocx([
+      heading('Launch'),
+      bullet('Write docs'),
+      table([['Task', 'Owner'], ['Fix &amp; ship', 'alice']])
+    ].join(''));
+
+    const { entries } = await docxParser.parse(buffer);
+
+    expect(convert).toHaveBeenCalledTimes(1);
+    expect(entries.find(entry => entry.source === 'table')).toMatchObject({ text: 'Fix & ship', assignees: ['alice'], section: 'Launch' });
+  });
+
+  test('builds epics from headings and lists', async () => {
+    const convert = jest.spyOn(mammoth, 'convertToHtml');
+    const buffer = await createDocx([heading('Launch'), bullet('Write docs')].join(''));
+
+    const { entries } = await docxParser.parse(buffer, { mode: 'epics' });
+
+    expect(convert).toHaveBeenCalledTimes(1);
+    expect(entries).toMatchObject([
+      { text: 'Launch', kind: 'epic', parent: null },
+      { text: 'Write docs', kind: 'task', parent: 1 }
+    ]);
+  });
+});
+
+describe('WordParser HTML readers', () => {
+  const wordParser = new WordParser();
+
+  test('decode entities in table cells', () => {
+    const html = '<table><tr><td><p>Task</p></td></tr><tr><td><p>R&amp;D &lt;v2&gt; &#39;beta&#39;</p><p>second line</p></td></tr></table>';
+
+    expect(wordParser.tablesFromHtml(html)).toEqual([{ rows: [['Task'], ["R&D <v2> 'beta'\nsecond line"]] }]);
+  });
+
+  test('skip tables and nest list items in the outline', () => {
+    const html = '<h2>Plan</h2><p>Intro</p><ul><li>One<ul><li>Two</li></ul></li></ul><table><tr><td><p>Cell</p></td></tr></table>';
+
+    expect(wordParser.outlineFromHtml(html)).toEqual([
+      { type: 'heading', level: 2, text: 'Plan' },
+      { type: 'paragraph', text: 'Intro' },
+      { type: 'item', depth: 0, text: 'One' },
+      { type: 'item', depth: 1, text: 'Two' }
+    ]);
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Parser registry
+ * Each parser declares the file extensions and MIME types it reads and a
+ * parse(buffer, options) function returning { text, entries }, so every
+ * format flows into the same task model and issue creation pipeline
+ */
+const parsers = [];
+
+/**
+ * Register a document parser
+ * @param {Object} parser - Parser ({ name, extensions, mimeTypes, parse })
+ */
+function registerParser(parser) {
+  parsers.push(parser);
+}
+
+/**
+ * Find the parser for an uploaded file
+ * The extension wins over the MIME type, which browsers often send as
+ * application/octet-stream or text/plain
+ * @param {Object} file - Multer file ({ originalname, mimetype })
+ * @returns {Object|null} Parser, or null if the type is not supported
+ */
+function findParser(file) {
+  const extension = path.extname(file.originalname || file.path || '').toLowerCase();
+
+  return parsers.find(parser => parser.extensions.includes(extension))
+    || parsers.find(parser => parser.mimeTypes.includes(file.mimetype))
+    || null;
+}
+
+/**
+ * List the file extensions that can be imported
+ * @returns {Array<string>} Extensions, e.g. ['.docx', '.md']
+ */
+function supportedExtensions() {
+  return parsers.flatMap(parser => parser.extensions);
+}
+
+/**
+ * Build the 415 error for a file no parser can read
+ * @param {Object} file - Multer file
+ * @returns {Error} Error with status 415
+ */
+function unsupportedTypeError(file) {
+  const type = path.extname(file.originalname || '') || file.mimetype;
+  const error = new Error(`Unsupported file type "${type}". Supported types: ${supportedExtensions().join(', ')}`);
+  error.status = 415;
+  error.code = 'UNSUPPORTED_FILE_TYPE';
+  return error;
+}
+
+/**
+ * Build the 422 error for a document its parser could not read
+ * Parsers only see the uploaded bytes, so whatever they throw comes from a
+ * corrupt or mislabeled file rather than a fault of the server
+ * @param {Object} parser - Parser that failed
+ * @param {Error} cause - Error thrown by the parser
+ * @returns {ApiError} 422 DOCUMENT_UNREADABLE error
+ */
+function unreadableDocumentError(parser, cause) {
+  const error = new ApiError(422, 'DOCUMENT_UNREADABLE', `Failed to parse ${parser.name} document: ${cause.message}`);
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Multer file filter accepting every registered type
+ * @param {Object} req - Express request object
+ * @param {Object} file - Multer file
+ * @param {Function} cb - Multer callback
+ */
+function fileFilter(req, file, cb) {
+  if (findParser(file)) {
+    cb(null, true);
+  } else {
+    cb(unsupportedTypeError(file));
+  }
+}
+
+/**
+ * Parse an uploaded file with the parser registered for its type
+ * @param {Object} file - Multer file (buffer, or path on disk)
+ * @param {Object} options - Parsing options, see buildTaskEntries
+ * @returns {Promise<{text: string, tasks: Array<string>, entries: Array<Object>, format: string}>} Extracted text and tasks
+ */
+async function parseDocument(file, options = {}) {
+  const parser = findParser(file);
+  if (!parser) {
+    throw unsupportedTypeError(file);
+  }
+
+  const buffer = file.buffer || await fs.readFile(file.path);
+  let parsed;
+
+  try {
+    parsed = await parser.parse(buffer, options);
+  } catch (error) {
+    throw unreadableDocumentError(parser, error);
+  }
+
+  return {
+    text: parsed.text,
+    tasks: parsed.entries.map(entry => entry.text),
+    entries: parsed.entries,
+    format: parser.name,
+  };
+}
+
+[
+  require('./docxParser'),
+  require('./docParser'),
+  require('./odtParser'),
+  require('./markdownParser'),
+  require('./textParser'),
+  require('./csvParser'),
+  require('./xlsxParser'),
+].forEach(registerParser);
+
+module.exports = {
+  registerParser,
+  findParser,
+  supportedExtensions,
+  fileFilter,
+  parseDocument,
+};
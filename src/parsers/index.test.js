@@ -0,0 +1,32 @@
+const { findParser, supportedExtensions, parseDocument } = require('./index');
+
+describe('parser registry', () => {
+  test('finds parsers by extension before MIME type', () => {
+    expect(findParser({ originalname: 'plan.MD', mimetype: 'application/octet-stream' }).name).toBe('markdown');
+    expect(findParser({ originalname: 'plan', mimetype: 'text/csv' }).name).toBe('csv');
+    expect(findParser({ originalname: 'plan.pdf', mimetype: 'application/pdf' })).toBeNull();
+  });
+
+  test('lists the supported extensions', () => {
+    expect(supportedExtensions()).toEqual(expect.arrayContaining(['.docx', '.doc', '.odt', '.md', '.txt', '.csv', '.xlsx']));
+  });
+
+  test('parses uploads into text, tasks and entries', async () => {
+    const result = await parseDocument({ originalname: 'plan.txt', buffer: Buffer.from('- Build login\n- Write docs\n') });
+
+    expect(result).toMatchObject({ format: 'text', tasks: ['Build login', 'Write docs'] });
+  });
+
+  test('refuses unsupported types with a 415', async () => {
+    await expect(parseDocument({ originalname: 'plan.pdf', mimetype: 'application/pdf' }))
+      .rejects.toMatchObject({ status: 415, code: 'UNSUPPORTED_FILE_TYPE' });
+  });
+
+  test('refuses documents that fail to parse with a 422 naming the format', async () => {
+    const error = await parseDocument({ originalname: 'plan.xlsx', buffer: Buffer.from('not a zip') }).catch(e => e);
+
+    expect(error).toMatchObject({ status: 422, code: 'DOCUMENT_UNREADABLE' });
+    expect(error.message).toMatch(/^Failed to parse xlsx document: /);
+    expect(error.cause).toBeInstanceOf(Error);
+  });
+});
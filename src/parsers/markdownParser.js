@@ -0,0 +1,119 @@
+const { buildTaskEntries, THEMATIC_BREAK } = require('./taskExtractor');
+
+/**
+ * Split a Markdown table line into cell texts
+ * @param {string} line - Table line, e.g. "| Task | Owner |"
+ * @returns {Array<string>} Cell texts
+ */
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split('|')
+    .map(cell => cell.trim());
+}
+
+/**
+ * Markdown (.md) parser
+ * Checklists and list items become tasks, "#" headings form the outline used
+ * by "epics" mode, and pipe tables are read like Word tables. Prose
+ * paragraphs and horizontal rules are never tasks
+ */
+module.exports = {
+  name: 'markdown',
+  extensions: ['.md', '.markdown'],
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+
+  /**
+   * Parse a Markdown document
+   * @param {Buffer} buffer - Document contents
+   * @param {Object} options - Parsing options, see buildTaskEntries
+   * @returns {Promise<{text: string, entries: Array<Object>}>} Extracted text and task entries
+   */
+  async parse(buffer, options = {}) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const lines = text.split('\n');
+
+    // Lines that must not be read as tasks (code blocks, table separators, rules, prose) are blanked
+    const content = [...lines];
+    const outline = [];
+    const tables = [];
+    let indents = [];
+    let inCodeBlock = false;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (/^\s*(```|~~~)/.test(line)) {
+        inCodeBlock = !inCodeBlock;
+        content[i] = '';
+        continue;
+      }
+      if (inCodeBlock) {
+        content[i] = '';
+        continue;
+      }
+
+      const isTableStart = /^\s*\|/.test(line)
+        && i + 1 < lines.length
+        && /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(lines[i + 1]);
+      if (isTableStart) {
+        const table = { rows: [splitTableRow(line)], rowLines: [i] };
+        content[i + 1] = '';
+        let j = i + 2;
+        for (; j < lines.length && /^\s*\|/.test(lines[j]); j++) {
+          table.rows.push(splitTableRow(lines[j]));
+          table.rowLines.push(j);
+        }
+        tables.push(table);
+        i = j - 1;
+        continue;
+      }
+
+      if (THEMATIC_BREAK.test(line.trim())) {
+        content[i] = '';
+        indents = [];
+        continue;
+      }
+
+      const headingMatch = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (headingMatch) {
+        outline.push({ type: 'heading', level: headingMatch[1].length, text: headingMatch[2], lineIndex: i });
+        indents = [];
+        continue;
+      }
+
+      const itemMatch = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.+)$/);
+      if (itemMatch) {
+        const indent = itemMatch[1].replace(/\t/g, '    ').length;
+        while (indents.length > 0 && indents[indents.length - 1] >= indent) {
+          indents.pop();
+        }
+        outline.push({
+          type: 'item',
+          depth: indents.length,
+          text: itemMatch[3].trim(),
+          lineIndex: i,
+          ...(itemMatch[2] && itemMatch[2] !== ' ' && { done: true }),
+        });
+        indents.push(indent);
+        continue;
+      }
+
+      if (line.trim()) {
+        outline.push({ type: 'paragraph', text: line.trim(), lineIndex: i });
+        content[i] = '';
+        indents = [];
+      }
+    }
+
+    return {
+      text,
+      entries: buildTaskEntries(
+        { text: content.join('\n'), tables, outline },
+        { ...options, headerless: true }
+      ),
+    };
+  },
+};
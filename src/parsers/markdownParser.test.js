@@ -0,0 +1,64 @@
+const markdownParser = require('./markdownParser');
+
+const parse = (markdown, options) => markdownParser.parse(Buffer.from(markdown), options).then(result => result.entries);
+
+describe('markdownParser', () => {
+  test('reads list items, checklists and tables as tasks', async () => {
+    const entries = await parse([
+      '# Plan',
+      '- Task one',
+      '- [x] Done already',
+      '1. Numbered',
+      '',
+      '| Task | Owner |',
+      '|------|-------|',
+      '| From table | bob |'
+    ].join('\n'));
+
+    expect(entries).toMatchObject([
+      { text: 'Task one', source: 'bullet', section: 'Plan' },
+      { text: 'Done already', source: 'checklist', done: true },
+      { text: 'Numbered', source: 'numbered' },
+      { text: 'From table', source: 'table', assignees: ['bob'] }
+    ]);
+  });
+
+  test('ignores horizontal rules and prose', async () => {
+    const entries = await parse([
+      '# Plan',
+      'This quarter we focus on onboarding.',
+      '',
+      '---',
+      '- Task one',
+      '* * *',
+      '___',
+      'More prose after the list.'
+    ].join('\n'));
+
+    expect(entries.map(entry => entry.text)).toEqual(['Task one']);
+  });
+
+  test('ignores code blocks', async () => {
+    const entries = await parse('```\n- not a task\n```\n- Real task');
+
+    expect(entries.map(entry => entry.text)).toEqual(['Real task']);
+  });
+
+  test('uses paragraphs as epic descriptions', async () => {
+    const entries = await parse('# Onboarding\nMake signup painless.\n- Shorter form', { mode: 'epics' });
+
+    expect(entries).toMatchObject([
+      { text: 'Onboarding', kind: 'epic', body: 'Make signup painless.' },
+      { text: 'Shorter form', kind: 'task', parent: 1 }
+    ]);
+  });
+});
+
+describe('markdownParser dates', () => {
+  test('completes dates from the heading year and inherits the heading period', async () => {
+    const entries = await parse(['# Q2 2027', '- Ship beta by May 15', '- Write docs'].join('\n'));
+
+    expect(entries[0]).toMatchObject({ text: 'Ship beta by May 15', dueDate: '2027-05-15', period: { title: 'Q2 2027' } });
+    expect(entries[1]).toMatchObject({ text: 'Write docs', period: { title: 'Q2 2027' } });
+  });
+});
@@ -0,0 +1,136 @@
+const JSZip = require('jszip');
+const { buildTaskEntries } = require('./taskExtractor');
+const { decodeEntities, getAttribute } = require('../utils/xml');
+
+/**
+ * OpenDocument text (.odt) parser
+ * Walks content.xml to collect paragraphs, headings with their outline level,
+ * nested lists and tables, mirroring what the .docx parser gets from mammoth
+ */
+module.exports = {
+  name: 'odt',
+  extensions: ['.odt'],
+  mimeTypes: ['application/vnd.oasis.opendocument.text'],
+
+  /**
+   * Parse an OpenDocument text file
+   * @param {Buffer} buffer - Document contents
+   * @param {Object} options - Parsing options, see buildTaskEntries
+   * @returns {Promise<{text: string, entries: Array<Object>}>} Extracted text and task entries
+   */
+  async parse(buffer, options = {}) {
+    const zip = await JSZip.loadAsync(buffer);
+    const content = zip.file('content.xml');
+    if (!content) {
+      throw new Error('content.xml is missing');
+    }
+
+    const xml = await content.async('string');
+    const lines = [];
+    const outline = [];
+    const tables = [];
+    const tableStack = [];
+    let listDepth = 0;
+    let itemStarted = false;
+    let current = null;
+
+    const finishParagraph = () => {
+      const text = current ? current.text.replace(/\s+/g, ' ').trim() : '';
+      if (text) {
+        lines.push(text);
+        const table = tableStack[tableStack.length - 1];
+        if (table) {
+          table.cell.push(text);
+        } else if (current.node) {
+          outline.push({ ...current.node, text, lineIndex: lines.length - 1 });
+        }
+      }
+      current = null;
+    };
+
+    for (const token of xml.split(/(<[^>]+>)/)) {
+      if (!token.startsWith('<')) {
+        if (current) {
+          current.text += decodeEntities(token);
+        }
+        continue;
+      }
+
+      const [, closing, name] = token.match(/^<(\/?)([\w:.-]+)/) || [];
+      const selfClosing = token.endsWith('/>');
+
+      switch (name) {
+        case 'text:s':
+          if (current) {
+            current.text += ' '.repeat(Number(getAttribute(token, 'text:c')) || 1);
+          }
+          break;
+        case 'text:tab':
+        case 'text:line-break':
+          if (current) {
+            current.text += ' ';
+          }
+          break;
+        case 'text:h':
+          if (closing) {
+            finishParagraph();
+          } else if (!selfClosing) {
+            current = { text: '', node: { type: 'heading', level: Number(getAttribute(token, 'text:outline-level')) || 1 } };
+          }
+          break;
+        case 'text:p':
+          if (closing) {
+            finishParagraph();
+          } else if (!selfClosing) {
+            let node = { type: 'paragraph' };
+            if (listDepth > 0) {
+              // Only the first paragraph of a list item is the item itself
+              node = itemStarted ? null : { type: 'item', depth: listDepth - 1 };
+              itemStarted = true;
+            }
+            current = { text: '', node };
+          }
+          break;
+        case 'text:list':
+          if (!selfClosing) {
+            listDepth += closing ? -1 : 1;
+          }
+          break;
+        case 'text:list-item':
+          itemStarted = false;
+          break;
+        case 'table:table':
+          if (closing) {
+            tables.push(tableStack.pop().table);
+          } else {
+            tableStack.push({ table: { rows: [] }, cell: [] });
+          }
+          break;
+        case 'table:table-row':
+          if (!closing && tableStack.length > 0) {
+            tableStack[tableStack.length - 1].table.rows.push([]);
+          }
+          break;
+        case 'table:table-cell':
+          if (tableStack.length > 0) {
+            const table = tableStack[tableStack.length - 1];
+            const row = table.table.rows[table.table.rows.length - 1];
+            if (closing || selfClosing) {
+              row.push(table.cell.join('\n'));
+            }
+            table.cell = [];
+          }
+          break;
+        default:
+          break;
+      }
+    }
+
+    const text = lines.join('\n');
+
+    return {
+      text,
+      entries: buildTaskEntries({ text, tables, outline }, options),
+    };
+  },
+};
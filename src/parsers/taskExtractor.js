@@ -0,0 +1,666 @@
+const { recognizeDates, parseDateValue, findYear } = require('../utils/dates');
+const { taskIdentity } = require('../utils/fingerprint');
+
+/**
+ * Task Extractor
+ * Turns the text, tables and outline produced by the format parsers into task
+ * entries: { text, source, line, fields, ... } plus optional assignees,
+ * labels, milestone, dates and period, body, kind/parent/depth, section and warnings
+ */
+
+/**
+ * Default mapping from table header names (lowercase) to task properties
+ * Columns that are not mapped become project field values named after their header
+ */
+const DEFAULT_COLUMN_MAPPING = {
+  task: 'title',
+  title: 'title',
+  name: 'title',
+  item: 'title',
+  feature: 'title',
+  description: 'body',
+  details: 'body',
+  notes: 'body',
+  owner: 'assignee',
+  assignee: 'assignee',
+  assignees: 'assignee',
+  responsible: 'assignee',
+  label: 'labels',
+  labels: 'labels',
+  tags: 'labels',
+  milestone: 'milestone',
+  release: 'milestone',
+  start: 'startDate',
+  'start date': 'startDate',
+  due: 'dueDate',
+  'due date': 'dueDate',
+  deadline: 'dueDate',
+  'target date': 'dueDate',
+  quarter: 'period',
+  period: 'period',
+  timeframe: 'period'
+};
+
+// Markdown horizontal rule: three or more -, * or _, optionally spaced
+const THEMATIC_BREAK = /^([-*_])\s*(\1\s*){2,}$/;
+
+/**
+ * Split project field values off a task line
+ * Fields follow the task text as pipe-separated "Name: value" pairs, e.g.
+ * "Build login page | Status: In Progress | Target date: 2026-11-30"
+ * @param {string} text - Task text
+ * @returns {{text: string, fields: Object}} Task text without fields, and the field values by name
+ */
+function splitTaskFields(text) {
+  const [title, ...segments] = text.split(/\s+\|\s+/);
+  const fields = {};
+  const rest = [];
+
+  for (const segment of segments) {
+    const fieldMatch = segment.match(/^([A-Za-z][\w .-]*?)\s*:\s*(.+)$/);
+    if (fieldMatch) {
+      fields[fieldMatch[1]] = fieldMatch[2].trim();
+    } else {
+      rest.push(segment);
+    }
+  }
+
+  return {
+    text: [title, ...rest].join(' | ').trim(),
+    fields
+  };
+}
+
+/**
+ * Inline annotation keys ("key:value" tokens) and what they set on a task
+ */
+const ANNOTATION_KEYS = {
+  due: 'dueDate',
+  start: 'startDate',
+  milestone: 'milestone',
+  key: 'key',
+  quarter: 'period',
+  period: 'period',
+  est: 'Estimate',
+  estimate: 'Estimate',
+  status: 'Status',
+  iteration: 'Iteration',
+  priority: 'Priority'
+};
+
+/**
+ * Read a date annotation or cell into the task properties it sets
+ * Dates are normalized to YYYY-MM-DD; a period such as "Q1 2027" sets the
+ * period, and for a start or due date also its first or last day
+ * @param {string} property - "startDate", "dueDate" or "period"
+ * @param {string} value - Annotation value or cell text
+ * @returns {{values: Object, warning: string}} Properties to set, or why the value was ignored
+ */
+function readDateValue(property, value) {
+  const { date, period, warning } = parseDateValue(value);
+
+  if (warning) {
+    return { values: {}, warning };
+  }
+  if (property === 'period') {
+    return period ? { values: { period } } : { values: {}, warning: `"${value}" is a date, not a period` };
+  }
+  if (period) {
+    return { values: { period, [property]: property === 'startDate' ? period.start : period.end } };
+  }
+  return { values: { [property]: date } };
+}
+
+/**
+ * Parse inline metadata out of a task line
+ * Recognizes @assignee, #label, [P1] priorities and key:value annotations
+ * (due:2026-11-30, est:3d, milestone:"Q4", quarter:"Q1 2027", ...). A
+ * key:name annotation gives the task a stable identity across rewordings.
+ * Annotations are removed from the text; unknown or invalid ones are removed
+ * too and reported as warnings
+ * @param {string} text - Task text
+ * @returns {{text: string, assignees: Array<string>, labels: Array<string>, fields: Object, warnings: Array<string>}} Task text and metadata
+ */
+function parseAnnotations(text) {
+  const result = { text: '', assignees: [], labels: [], fields: {}, warnings: [] };
+  const words = [];
+
+  for (const token of text.match(/[^\s:]+:"[^"]*"|\S+/g) || []) {
+    const assigneeMatch = token.match(/^@([A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?)[,;.]?$/);
+    const labelMatch = token.match(/^#([^\d\s#][^\s,;]*)[,;.]?$/);
+    const priorityMatch = token.match(/^\[(P\d)\][,;.]?$/i);
+    const keyMatch = token.includes('//') ? null : token.match(/^([A-Za-z][\w-]*):(?:"([^"]*)"|(\S+))$/);
+
+    if (assigneeMatch) {
+      result.assignees.push(assigneeMatch[1]);
+    } else if (labelMatch) {
+      result.labels.push(labelMatch[1]);
+    } else if (priorityMatch) {
+      result.fields.Priority = priorityMatch[1].toUpperCase();
+    } else if (keyMatch) {
+      const key = keyMatch[1].toLowerCase();
+      const value = (keyMatch[2] !== undefined ? keyMatch[2] : keyMatch[3]).trim();
+      const property = ANNOTATION_KEYS[key];
+
+      if (!property) {
+        result.warnings.push(`Unknown annotation "${token}"`);
+      } else if (property === 'dueDate' || property === 'startDate' || property === 'period') {
+        const { values, warning } = readDateValue(property, value);
+        if (warning) {
+          result.warnings.push(`Invalid date in "${token}": ${warning}`);
+        }
+        Object.assign(result, values);
+      } else if (property === 'milestone' || property === 'key') {
+        result[property] = value;
+      } else {
+        result.fields[property] = value;
+      }
+    } else {
+      words.push(token);
+    }
+  }
+
+  result.text = words.join(' ');
+  return result;
+}
+
+/**
+ * Apply the inline annotations of an entry's text to the entry itself
+ * @param {Object} entry - Task entry
+ * @returns {Object} Entry with annotation-free text and merged metadata
+ */
+function applyAnnotations(entry) {
+  const { text, assignees, labels, fields, warnings, ...dates } = parseAnnotations(entry.text);
+  const merged = { ...entry, ...dates, text: text || entry.text };
+
+  if (assignees.length > 0) {
+    merged.assignees = [...new Set([...(entry.assignees || []), ...assignees])];
+  }
+  if (labels.length > 0) {
+    merged.labels = [...new Set([...(entry.labels || []), ...labels])];
+  }
+  if (warnings.length > 0) {
+    merged.warnings = [...(entry.warnings || []), ...warnings];
+  }
+  merged.fields = { ...(entry.fields || {}), ...fields };
+
+  return merged;
+}
+
+/**
+ * Extract task entries from mammoth-parsed text
+ * Like extractTasksFromText, but keeps track of which rule matched each line so
+ * callers can tell list items apart from lines picked up by the fallback rule
+ * @param {string} text - The extracted text from the Word document
+ * @returns {Array<{text: string, source: string, line: number, fields: Object}>} Extracted task entries
+ */
+function extractTaskEntries(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const entries = [];
+  const lines = text.split('\n').map((line, index) => ({ value: line.trim(), line: index + 1 }));
+
+  for (const { value: line, line: lineNumber } of lines) {
+    if (!line) {
+      continue;
+    }
+
+    // Skip Markdown-style headings (# Title, ## Title, etc.)
+    if (/^#{1,6}\s/.test(line)) {
+      continue;
+    }
+
+    // Skip horizontal rules (---, * * *, ___)
+    if (THEMATIC_BREAK.test(line)) {
+      continue;
+    }
+
+    // Match checklists (- [ ] task, - [x] done task)
+    const checklistMatch = line.match(/^(?:[•\-*+]|\d+[.)])\s+\[([ xX])\]\s+(.+)$/);
+    if (checklistMatch) {
+      entries.push({
+        text: checklistMatch[2].trim(),
+        source: 'checklist',
+        line: lineNumber,
+        ...(checklistMatch[1] !== ' ' && { done: true })
+      });
+      continue;
+    }
+
+    // Match numbered lists (1., 2., etc.)
+    const numberedMatch = line.match(/^\d+\.\s+(.+)$/);
+    if (numberedMatch) {
+      entries.push({ text: numberedMatch[1].trim(), source: 'numbered', line: lineNumber });
+      continue;
+    }
+
+    // Match bullet points (•, -, *, etc.)
+    const bulletMatch = line.match(/^[•\-*]\s+(.+)$/);
+    if (bulletMatch) {
+      entries.push({ text: bulletMatch[1].trim(), source: 'bullet', line: lineNumber });
+      continue;
+    }
+
+    // Match tasks with leading dash (with or without space)
+    const dashMatch = line.match(/^-\s*(.+)$/);
+    if (dashMatch) {
+      entries.push({ text: dashMatch[1].trim(), source: 'dash', line: lineNumber });
+      continue;
+    }
+
+    // If line is substantial and not a section header, treat it as a task
+    if (line.length > 3 && !line.endsWith(':')) {
+      entries.push({ text: line, source: 'fallback', line: lineNumber });
+    }
+  }
+
+  return entries
+    .map(entry => applyAnnotations({ ...entry, ...splitTaskFields(entry.text) }))
+    .filter((entry, index, self) =>
+      entry.text.length > 0 && self.findIndex(other => taskIdentity(other) === taskIdentity(entry)) === index
+    );
+}
+
+/**
+ * Extract tasks from mammoth-parsed text
+ * Supports multiple formats: numbered lists, bullet points, and dash-separated items
+ * @param {string} text - The extracted text from the Word document
+ * @returns {Array<string>} Array of extracted tasks
+ */
+function extractTasksFromText(text) {
+  return extractTaskEntries(text).map(entry => entry.text);
+}
+
+/**
+ * Create a function that finds successive lines of the raw document text
+ * Each lookup starts after the previous match, so repeated text resolves to
+ * the occurrence that follows in document order
+ * @param {Array<string>} lines - Raw text lines of the document
+ * @returns {Function} Lookup returning the line index (or -1); matched indexes are kept in its consumed set
+ */
+function createLineLocator(lines) {
+  let cursor = 0;
+  const consumed = new Set();
+
+  const locate = (text) => {
+    for (let i = cursor; i < lines.length; i++) {
+      if (lines[i].trim() === text) {
+        consumed.add(i);
+        cursor = i + 1;
+        return i;
+      }
+    }
+    return -1;
+  };
+  locate.consumed = consumed;
+
+  return locate;
+}
+
+/**
+ * Map a table header row to task properties
+ * @param {Array<string>} header - Header cell texts
+ * @param {Object} columns - Extra header name to property or project field name mapping, taking precedence over the defaults
+ * @returns {Array<string>|null} Property per column, or null if the row has no title column
+ */
+function mapTableColumns(header, columns = {}) {
+  const mapping = { ...DEFAULT_COLUMN_MAPPING };
+  for (const [name, property] of Object.entries(columns)) {
+    mapping[name.toLowerCase()] = property;
+  }
+
+  const properties = header.map(cell => mapping[cell.toLowerCase()] || null);
+  return properties.includes('title') ? properties : null;
+}
+
+/**
+ * Turn tables with a recognizable header row into task entries
+ * Each row becomes one task. Tables that know the line of each row
+ * (rowLines) report those lines as consumed; otherwise the raw text lines
+ * their cells occupy are located, so they are not extracted again as
+ * standalone tasks
+ * @param {Array<{rows: Array<Array<string>>, rowLines: Array<number>}>} tables - Tables found by a format parser (rowLines are 0-based line indexes)
+ * @param {Array<string>} lines - Raw text lines of the same document
+ * @param {Object} columns - Header name to property mapping for this request
+ * @param {Object} options - Table options
+ * @param {boolean} options.headerless - Use the first column as title when no header is recognized
+ * @returns {{entries: Array<Object>, consumedLines: Set<number>}} Task entries and consumed line indexes
+ */
+function extractTableTaskEntries(tables, lines, columns = {}, options = {}) {
+  const entries = [];
+  const locate = createLineLocator(lines);
+
+  for (const { rows, rowLines } of tables) {
+    if (rows.length < 2) {
+      continue;
+    }
+
+    const [header, ...body] = rows;
+    let properties = mapTableColumns(header, columns);
+    if (!properties && options.headerless) {
+      properties = header.map((cell, index) => (index === 0 ? 'title' : null));
+    }
+    if (!properties) {
+      continue;
+    }
+
+    if (rowLines) {
+      rowLines.forEach(line => locate.consumed.add(line));
+    } else {
+      header.forEach(cell => cell && cell.split('\n').forEach(locate));
+    }
+
+    body.forEach((row, rowIndex) => {
+      const entry = { text: '', source: 'table', line: null, fields: {} };
+
+      row.forEach((cell, index) => {
+        const cellLines = cell ? cell.split('\n') : [];
+        let firstLine = -1;
+        if (rowLines) {
+          firstLine = rowLines[rowIndex + 1];
+        } else {
+          firstLine = cellLines.length > 0 ? locate(cellLines[0]) : -1;
+          cellLines.slice(1).forEach(locate);
+        }
+
+        const property = properties[index];
+        if (!cell) {
+          return;
+        }
+
+        switch (property) {
+          case 'title':
+            Object.assign(entry, applyAnnotations({ ...entry, text: cell.replace(/\n/g, ' ') }));
+            entry.line = firstLine >= 0 ? firstLine + 1 : null;
+            break;
+          case 'body':
+            entry.body = cell;
+            break;
+          case 'assignee':
+            entry.assignees = [
+              ...(entry.assignees || []),
+              ...cell.split(/[,;\s]+/).map(login => login.replace(/^@/, '')).filter(login => login)
+            ];
+            break;
+          case 'labels':
+            entry.labels = [
+              ...(entry.labels || []),
+              ...cell.split(/[,;\n]+/).map(label => label.trim()).filter(label => label)
+            ];
+            break;
+          case 'milestone':
+            entry.milestone = cell.trim();
+            break;
+          case 'startDate':
+          case 'dueDate':
+          case 'period': {
+            const { values, warning } = readDateValue(property, cell.trim());
+            if (warning) {
+              entry.warnings = [...(entry.warnings || []), `${header[index]}: ${warning}`];
+            }
+            Object.assign(entry, values);
+            break;
+          }
+          default:
+            // Columns mapped to another name fill the project field of that name
+            entry.fields[property || header[index]] = cell.replace(/\n/g, ' ');
+        }
+      });
+
+      if (entry.text) {
+        entries.push(entry);
+      }
+    });
+  }
+
+  return { entries, consumedLines: locate.consumed };
+}
+
+/**
+ * Turn a document outline into a hierarchy of task entries
+ * Headings up to epicLevel become epics nested by level, list items become
+ * tasks under the closest heading, and nested bullets become children of the
+ * item above them. Paragraphs under a heading form the epic's description.
+ * Entries reference their parent by 1-based position (`parent`)
+ * @param {Array<Object>} outline - Outline nodes ({ type, text, level|depth, lineIndex?, done? })
+ * @param {Array<string>} lines - Raw text lines of the same document
+ * @param {Object} options - Hierarchy options
+ * @param {number} options.epicLevel - Deepest heading level that becomes an epic
+ * @returns {Array<Object>} Task entries with kind, parent and depth
+ */
+function extractOutlineTaskEntries(outline, lines, options = {}) {
+  const { epicLevel = 2 } = options;
+  const entries = [];
+  const idsByKey = new Map();
+  const headings = [];
+  let items = [];
+  const locate = createLineLocator(lines);
+
+  // The same text under another parent is another task
+  const add = (entry, node) => {
+    const key = `${entry.parent}\n${taskIdentity(entry)}`;
+    if (idsByKey.has(key)) {
+      return idsByKey.get(key);
+    }
+
+    const line = node.lineIndex !== undefined ? node.lineIndex : locate(node.text);
+    entries.push({ ...entry, line: line >= 0 ? line + 1 : null });
+    idsByKey.set(key, entries.length);
+    return entries.length;
+  };
+
+  for (const node of outline) {
+    const epic = headings.length > 0 ? headings[headings.length - 1] : null;
+
+    if (node.type === 'heading' && node.level <= epicLevel) {
+      while (headings.length > 0 && headings[headings.length - 1].level >= node.level) {
+        headings.pop();
+      }
+      const parent = headings.length > 0 ? headings[headings.length - 1].id : null;
+      const id = add({ text: node.text, source: 'heading', kind: 'epic', parent, depth: headings.length, fields: {} }, node);
+      headings.push({ level: node.level, id });
+      items = [];
+    } else if (node.type === 'item') {
+      items = items.slice(0, node.depth);
+      const parentItem = [...items].reverse().find(id => id);
+      const parent = parentItem || (epic ? epic.id : null);
+      const depth = parent ? entries[parent - 1].depth + 1 : 0;
+      items[node.depth] = add(applyAnnotations({
+        ...splitTaskFields(node.text),
+        source: 'list',
+        kind: 'task',
+        parent,
+        depth,
+        ...(node.done && { done: true })
+      }), node);
+    } else if (epic) {
+      const entry = entries[epic.id - 1];
+      entry.body = entry.body ? `${entry.body}\n\n${node.text}` : node.text;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Find the headings of a document with their line numbers and levels
+ * Headings come from the outline when the format has one, otherwise from
+ * Markdown-style "#" lines in the text
+ * @param {Array<string>} lines - Lines of the raw document text
+ * @param {Array<Object>} outline - Outline nodes, if any
+ * @returns {Array<{line: number, level: number, text: string}>} Headings in document order (1-based lines)
+ */
+function findHeadings(lines, outline) {
+  if (outline) {
+    const locate = createLineLocator(lines);
+    return outline
+      .filter(node => node.type === 'heading')
+      .map(node => ({
+        line: (node.lineIndex !== undefined ? node.lineIndex : locate(node.text)) + 1,
+        level: node.level,
+        text: node.text
+      }))
+      .filter(heading => heading.line > 0);
+  }
+
+  return lines
+    .map((line, index) => ({ line: index + 1, match: line.trim().match(/^(#{1,6})\s+(.+)$/) }))
+    .filter(heading => heading.match)
+    .map(heading => ({ line: heading.line, level: heading.match[1].length, text: heading.match[2].trim() }));
+}
+
+/**
+ * Record the heading each task appears under as its section
+ * @param {Array<Object>} entries - Task entries with line numbers
+ * @param {Array<string>} lines - Lines of the raw document text
+ * @param {Array<Object>} outline - Outline nodes, if any
+ * @returns {Array<Object>} The same entries, with section set where a heading precedes them
+ */
+function assignSections(entries, lines, outline) {
+  const headings = findHeadings(lines, outline);
+
+  for (const entry of entries) {
+    const heading = [...headings].reverse().find(h => entry.line && h.line < entry.line);
+    if (heading && !entry.section) {
+      entry.section = heading.text;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Fill in a schedule from the one it is nested in
+ * A schedule with its own period spans that period where it gives no dates;
+ * otherwise it takes the period and dates of the enclosing heading
+ * @param {Object} own - Period, start and due date found for an entry or heading
+ * @param {Object} parent - Resolved schedule of the enclosing heading, if any
+ * @returns {{period: Object, startDate: string, dueDate: string}} Resolved schedule
+ */
+function resolveSchedule(own, parent) {
+  const base = own.period ? { startDate: own.period.start, dueDate: own.period.end } : parent || {};
+
+  return {
+    period: own.period || base.period || null,
+    startDate: own.startDate || base.startDate || null,
+    dueDate: own.dueDate || base.dueDate || null
+  };
+}
+
+/**
+ * Give tasks the dates and periods written in their text or in the headings
+ * above them
+ * "Ship beta by 15 March" under "## Q1 2027" is due 2027-03-15 and belongs
+ * to Q1 2027; a task without dates of its own spans the period of its
+ * heading. Annotations and table cells take precedence over dates in the
+ * text, which stays as written. Dates that cannot be read without guessing
+ * become warnings, those of a heading on the first task under it
+ * @param {Array<Object>} entries - Task entries with line numbers
+ * @param {Array<string>} lines - Lines of the raw document text
+ * @param {Array<Object>} outline - Outline nodes, if any
+ * @returns {Array<Object>} The same entries, with period, startDate and dueDate set where known
+ */
+function assignDates(entries, lines, outline) {
+  const headings = findHeadings(lines, outline);
+  const stack = [];
+
+  for (const heading of headings) {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+
+    const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+    heading.year = findYear(heading.text) || (parent && parent.year);
+    const found = recognizeDates(heading.text, { year: heading.year });
+    heading.schedule = resolveSchedule(found, parent && parent.schedule);
+    heading.warnings = found.warnings;
+    stack.push(heading);
+  }
+
+  for (const entry of entries) {
+    const heading = [...headings].reverse().find(h => entry.line && h.line <= entry.line);
+    const warnings = heading ? heading.warnings.map(warning => `Heading "${heading.text}": ${warning}`) : [];
+    let schedule = heading ? heading.schedule : {};
+
+    if (heading) {
+      heading.warnings = [];
+    }
+
+    // Epics made of the heading itself already have its schedule
+    if (!heading || heading.line !== entry.line) {
+      const found = recognizeDates(entry.text, { year: heading && heading.year });
+      warnings.push(...found.warnings);
+      schedule = resolveSchedule({
+        period: entry.period || found.period,
+        startDate: entry.startDate || found.startDate,
+        dueDate: entry.dueDate || found.dueDate
+      }, heading && heading.schedule);
+    }
+
+    for (const [property, value] of Object.entries(schedule)) {
+      if (value) {
+        entry[property] = value;
+      }
+    }
+    if (schedule.startDate && schedule.dueDate && schedule.startDate > schedule.dueDate) {
+      warnings.push(`Start date ${schedule.startDate} is after due date ${schedule.dueDate}`);
+    }
+    if (warnings.length > 0) {
+      entry.warnings = [...new Set([...(entry.warnings || []), ...warnings])];
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Build task entries from what a format parser found in a document
+ * Tables with a header row are read as one task per row and the rest of the
+ * text goes through extractTaskEntries. In "epics" mode the outline is used
+ * instead, see extractOutlineTaskEntries
+ * @param {Object} document - Parsed document
+ * @param {string} document.text - Plain text, one paragraph per line
+ * @param {Array<Object>} document.tables - Tables ({ rows, rowLines? })
+ * @param {Array<Object>} document.outline - Outline nodes, if the format has headings and lists
+ * @param {Object} options - Parsing options
+ * @param {Object} options.columns - Table header name to task property mapping
+ * @param {boolean} options.headerless - Use the first column as title when no header is recognized
+ * @param {string} options.mode - "tasks" (default) or "epics"
+ * @param {number} options.epicLevel - Deepest heading level that becomes an epic in "epics" mode
+ * @returns {Array<Object>} Task entries in document order
+ */
+function buildTaskEntries({ text, tables = [], outline = null }, options = {}) {
+  const lines = text.split('\n');
+
+  if (options.mode === 'epics' && outline) {
+    const entries = extractOutlineTaskEntries(outline, lines, { epicLevel: options.epicLevel });
+    return assignDates(assignSections(entries, lines, outline), lines, outline);
+  }
+
+  const table = extractTableTaskEntries(tables, lines, options.columns, { headerless: options.headerless });
+  const remainingText = lines.map((line, index) => (table.consumedLines.has(index) ? '' : line)).join('\n');
+
+  const entries = [...table.entries, ...extractTaskEntries(remainingText)]
+    .sort((a, b) => (a.line || 0) - (b.line || 0))
+    .filter((entry, index, self) => self.findIndex(other => taskIdentity(other) === taskIdentity(entry)) === index);
+
+  return assignDates(assignSections(entries, lines, outline), lines, outline);
+}
+
+module.exports = {
+  DEFAULT_COLUMN_MAPPING,
+  THEMATIC_BREAK,
+  splitTaskFields,
+  parseAnnotations,
+  applyAnnotations,
+  extractTaskEntries,
+  extractTasksFromText,
+  mapTableColumns,
+  extractTableTaskEntries,
+  extractOutlineTaskEntries,
+  assignSections,
+  assignDates,
+  buildTaskEntries
+};
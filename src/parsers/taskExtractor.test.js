@@ -0,0 +1,189 @@
+const {
+  buildTaskEntries,
+  extractOutlineTaskEntries,
+  extractTaskEntries,
+  parseAnnotations,
+  applyAnnotations,
+  splitTaskFields,
+  mapTableColumns,
+  extractTableTaskEntries
+} = require('./taskExtractor');
+
+describe('extractOutlineTaskEntries', () => {
+  const outline = [
+    { type: 'heading', level: 1, text: 'Epic A' },
+    { type: 'item', depth: 0, text: 'Write docs' },
+    { type: 'heading', level: 1, text: 'Epic B' },
+    { type: 'paragraph', text: 'About B' },
+    { type: 'item', depth: 0, text: 'Write docs' },
+    { type: 'item', depth: 1, text: 'Proofread' }
+  ];
+  const lines = ['Epic A', 'Write docs', 'Epic B', 'About B', 'Write docs', 'Proofread'];
+
+  test('nests tasks under their epic and item', () => {
+    expect(extractOutlineTaskEntries(outline, lines)).toMatchObject([
+      { text: 'Epic A', kind: 'epic', parent: null, depth: 0, line: 1 },
+      { text: 'Write docs', kind: 'task', parent: 1, depth: 1, line: 2 },
+      { text: 'Epic B', kind: 'epic', parent: null, body: 'About B', line: 3 },
+      { text: 'Write docs', kind: 'task', parent: 3, depth: 1, line: 5 },
+      { text: 'Proofread', kind: 'task', parent: 4, depth: 2, line: 6 }
+    ]);
+  });
+
+  test('merges repeated tasks under the same parent only', () => {
+    const repeated = [
+      { type: 'heading', level: 1, text: 'Epic A' },
+      { type: 'item', depth: 0, text: 'Write docs' },
+      { type: 'item', depth: 0, text: 'write  docs' }
+    ];
+
+    expect(extractOutlineTaskEntries(repeated, ['Epic A', 'Write docs', 'write  docs'])).toHaveLength(2);
+  });
+
+  test('keeps headings deeper than epicLevel out of the hierarchy', () => {
+    const entries = buildTaskEntries({
+      text: 'Plan\nIntro\nOne',
+      outline: [
+        { type: 'heading', level: 1, text: 'Plan' },
+        { type: 'heading', level: 3, text: 'Intro' },
+        { type: 'item', depth: 0, text: 'One' }
+      ]
+    }, { mode: 'epics', epicLevel: 2 });
+
+    expect(entries.map(entry => entry.text)).toEqual(['Plan', 'One']);
+    expect(entries[1]).toMatchObject({ parent: 1, section: 'Intro' });
+  });
+});
+
+describe('extractTaskEntries', () => {
+  test('reads bullets, numbered items, checklists and dashes', () => {
+    expect(extractTaskEntries('• Bullet\n2. Numbered\n- [ ] Open\n- [x] Closed\n-Dashed')).toMatchObject([
+      { text: 'Bullet', source: 'bullet', line: 1 },
+      { text: 'Numbered', source: 'numbered', line: 2 },
+      { text: 'Open', source: 'checklist' },
+      { text: 'Closed', source: 'checklist', done: true },
+      { text: 'Dashed', source: 'dash' }
+    ]);
+  });
+
+  test('skips headings, section labels and horizontal rules', () => {
+    expect(extractTaskEntries('# Title\nGoals:\n---\n- - -\n***\n_ _ _\n- Real task')).toMatchObject([
+      { text: 'Real task' }
+    ]);
+  });
+
+  test('keeps one entry for tasks differing only in case or spacing', () => {
+    expect(extractTaskEntries('- Write docs\n- write  DOCS')).toHaveLength(1);
+  });
+
+  test('drops repeated tasks', () => {
+    expect(extractTaskEntries('1. Build login\n1. Build login')).toEqual([{ text: 'Build login', source: 'numbered', line: 1, fields: {} }]);
+  });
+});
+
+describe('parseAnnotations', () => {
+  test('reads assignees, labels, priorities and key:value annotations', () => {
+    expect(parseAnnotations('Build login @alice @bob, #auth [P1] est:3d status:"In Progress" milestone:"Beta 2" due:2027-03-05')).toEqual({
+      text: 'Build login',
+      assignees: ['alice', 'bob'],
+      labels: ['auth'],
+      fields: { Priority: 'P1', Estimate: '3d', Status: 'In Progress' },
+      milestone: 'Beta 2',
+      dueDate: '2027-03-05',
+      warnings: []
+    });
+  });
+
+  test('normalizes dates and periods', () => {
+    expect(parseAnnotations('Ship due:"March 5, 2027" start:2027-03-01')).toMatchObject({ dueDate: '2027-03-05', startDate: '2027-03-01' });
+    expect(parseAnnotations('Ship due:"Q1 2027"')).toMatchObject({ dueDate: '2027-03-31', period: { title: 'Q1 2027' } });
+  });
+
+  test('removes unknown and invalid annotations with a warning', () => {
+    expect(parseAnnotations('Ship foo:bar due:soon')).toEqual({
+      text: 'Ship',
+      assignees: [],
+      labels: [],
+      fields: {},
+      warnings: ['Unknown annotation "foo:bar"', 'Invalid date in "due:soon": "soon" is not a recognized date']
+    });
+  });
+
+  test('leaves URLs, issue numbers and e-mail addresses in the text', () => {
+    expect(parseAnnotations('See https://example.com/a:b and #12 mail a@b.com').text).toBe('See https://example.com/a:b and #12 mail a@b.com');
+  });
+
+  test('reads a stable key', () => {
+    expect(parseAnnotations('Build login key:login').key).toBe('login');
+  });
+});
+
+describe('applyAnnotations', () => {
+  test('merges annotations into the entry', () => {
+    const entry = applyAnnotations({ text: 'Build login @bob #ui', assignees: ['alice'], labels: ['ui'], fields: { Status: 'Todo' } });
+
+    expect(entry).toMatchObject({ text: 'Build login', assignees: ['alice', 'bob'], labels: ['ui'], fields: { Status: 'Todo' } });
+  });
+});
+
+describe('splitTaskFields', () => {
+  test('splits pipe-separated field values off the text', () => {
+    expect(splitTaskFields('Build login | Status: In Progress | web | Target date: 2026-11-30')).toEqual({
+      text: 'Build login | web',
+      fields: { Status: 'In Progress', 'Target date': '2026-11-30' }
+    });
+  });
+});
+
+describe('mapTableColumns', () => {
+  test('maps known headers and refuses tables without a title column', () => {
+    expect(mapTableColumns(['Task', 'Owner', 'Due date', 'Effort'])).toEqual(['title', 'assignee', 'dueDate', null]);
+    expect(mapTableColumns(['Name', 'Age'], { age: 'labels' })).toEqual(['title', 'labels']);
+    expect(mapTableColumns(['Owner', 'Effort'])).toBeNull();
+  });
+});
+
+describe('extractTableTaskEntries', () => {
+  const tables = [{
+    rows: [
+      ['Task', 'Owner', 'Labels', 'Due', 'Effort'],
+      ['Build login #auth', '@alice, bob', 'ui; web', '2027-03-05', '3d'],
+      ['Write docs', '', '', 'whenever', '']
+    ]
+  }];
+  const lines = ['Task', 'Owner', 'Labels', 'Due', 'Effort', 'Build login #auth', '@alice, bob', 'ui; web', '2027-03-05', '3d', 'Write docs', 'whenever'];
+
+  test('turns each row into a task', () => {
+    const { entries } = extractTableTaskEntries(tables, lines);
+
+    expect(entries[0]).toMatchObject({
+      text: 'Build login',
+      source: 'table',
+      line: 6,
+      assignees: ['alice', 'bob'],
+      labels: ['auth', 'ui', 'web'],
+      dueDate: '2027-03-05',
+      fields: { Effort: '3d' }
+    });
+    expect(entries[1]).toMatchObject({ text: 'Write docs', warnings: ['Due: "whenever" is not a recognized date'] });
+  });
+
+  test('stores columns mapped to a field name under that name', () => {
+    const { entries } = extractTableTaskEntries(tables, lines, { Effort: 'Estimate' });
+
+    expect(entries[0].fields).toEqual({ Estimate: '3d' });
+  });
+
+  test('reports the lines the table occupies', () => {
+    const { consumedLines } = extractTableTaskEntries(tables, lines);
+
+    expect([...consumedLines].sort((a, b) => a - b)).toEqual(lines.map((line, index) => index));
+  });
+
+  test('skips tables without a title column unless headerless', () => {
+    const plain = [{ rows: [['Alpha', 'x'], ['Beta', 'y']] }];
+
+    expect(extractTableTaskEntries(plain, []).entries).toEqual([]);
+    expect(extractTableTaskEntries(plain, [], {}, { headerless: true }).entries.map(entry => entry.text)).toEqual(['Beta']);
+  });
+});
@@ -0,0 +1,25 @@
+const { buildTaskEntries } = require('./taskExtractor');
+
+/**
+ * Plain text (.txt) parser
+ */
+module.exports = {
+  name: 'text',
+  extensions: ['.txt'],
+  mimeTypes: ['text/plain'],
+
+  /**
+   * Parse a plain text document
+   * @param {Buffer} buffer - Document contents
+   * @param {Object} options - Parsing options, see buildTaskEntries
+   * @returns {Promise<{text: string, entries: Array<Object>}>} Extracted text and task entries
+   */
+  async parse(buffer, options = {}) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+    return {
+      text,
+      entries: buildTaskEntries({ text }, options),
+    };
+  },
+};
@@ -0,0 +1,160 @@
+const JSZip = require('jszip');
+const { buildTaskEntries } = require('./taskExtractor');
+const { decodeEntities, getAttribute } = require('../utils/xml');
+
+// Built-in Excel number formats that display dates
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+/**
+ * Read an XML part of the workbook, or null if it does not exist
+ * @param {JSZip} zip - Workbook archive
+ * @param {string} path - Part path
+ * @returns {Promise<string|null>} Part contents
+ */
+async function readPart(zip, path) {
+  const file = zip.file(path);
+  return file ? file.async('string') : null;
+}
+
+/**
+ * Concatenate the text runs (<t>) of a string item
+ * @param {string} xml - Shared or inline string XML
+ * @returns {string} Text
+ */
+function readText(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(([, text]) => decodeEntities(text)).join('');
+}
+
+/**
+ * Find which cell styles display dates
+ * @param {string|null} stylesXml - xl/styles.xml
+ * @returns {Set<number>} Indexes of date cell styles
+ */
+function findDateStyles(stylesXml) {
+  const dateStyles = new Set();
+  if (!stylesXml) {
+    return dateStyles;
+  }
+
+  const dateFormats = new Set(DATE_FORMAT_IDS);
+  for (const [tag] of stylesXml.matchAll(/<numFmt\s[^>]*>/g)) {
+    const code = (getAttribute(tag, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/[dmy]/i.test(code)) {
+      dateFormats.add(Number(getAttribute(tag, 'numFmtId')));
+    }
+  }
+
+  const cellXfs = stylesXml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/);
+  if (cellXfs) {
+    [...cellXfs[1].matchAll(/<xf\s[^>]*>/g)].forEach(([tag], index) => {
+      if (dateFormats.has(Number(getAttribute(tag, 'numFmtId')))) {
+        dateStyles.add(index);
+      }
+    });
+  }
+
+  return dateStyles;
+}
+
+/**
+ * Convert a column reference ("A", "AB") to a 0-based index
+ * @param {string} letters - Column letters
+ * @returns {number} Column index
+ */
+function columnIndex(letters) {
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Excel spreadsheet (.xlsx) parser
+ * Reads the first worksheet (or the one named by options.sheet); its first
+ * row is the header, mapped to task properties like a Word table
+ */
+module.exports = {
+  name: 'xlsx',
+  extensions: ['.xlsx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+
+  /**
+   * Parse an Excel workbook
+   * @param {Buffer} buffer - Workbook contents
+   * @param {Object} options - Parsing options, see buildTaskEntries
+   * @param {string} options.sheet - Worksheet name (defaults to the first one)
+   * @returns {Promise<{text: string, entries: Array<Object>}>} Sheet text (tab separated) and task entries
+   */
+  async parse(buffer, options = {}) {
+    const zip = await JSZip.loadAsync(buffer);
+    const workbook = await readPart(zip, 'xl/workbook.xml');
+    const relationships = await readPart(zip, 'xl/_rels/workbook.xml.rels');
+    if (!workbook || !relationships) {
+      throw new Error('workbook.xml is missing');
+    }
+
+    const sheets = [...workbook.matchAll(/<sheet\s[^>]*>/g)].map(([tag]) => ({
+      name: getAttribute(tag, 'name'),
+      relationshipId: getAttribute(tag, 'r:id'),
+    }));
+    const sheet = options.sheet ? sheets.find(s => s.name === options.sheet) : sheets[0];
+    if (!sheet) {
+      throw new Error(`Worksheet "${options.sheet}" not found`);
+    }
+
+    const relationship = [...relationships.matchAll(/<Relationship\s[^>]*>/g)]
+      .map(([tag]) => tag)
+      .find(tag => getAttribute(tag, 'Id') === sheet.relationshipId);
+    const target = getAttribute(relationship || '', 'Target') || '';
+    const sheetXml = await readPart(zip, target.startsWith('/') ? target.substring(1) : `xl/${target}`);
+    if (!sheetXml) {
+      throw new Error(`Worksheet "${sheet.name}" is missing`);
+    }
+
+    const sharedStringsXml = await readPart(zip, 'xl/sharedStrings.xml');
+    const sharedStrings = sharedStringsXml
+      ? [...sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) => readText(item))
+      : [];
+    const dateStyles = findDateStyles(await readPart(zip, 'xl/styles.xml'));
+
+    const rows = [];
+    for (const [, rowXml] of sheetXml.matchAll(/<row[^>]*>([\s\S]*?)<\/row>/g)) {
+      const row = [];
+      for (const [, tag, cellXml = ''] of rowXml.matchAll(/(<c\s[^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const ref = getAttribute(`${tag}>`, 'r') || '';
+        const type = getAttribute(`${tag}>`, 't');
+        const style = Number(getAttribute(`${tag}>`, 's'));
+        const rawValue = (cellXml.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+        let value = '';
+        if (type === 's') {
+          value = sharedStrings[Number(rawValue)] || '';
+        } else if (type === 'inlineStr') {
+          value = readText(cellXml);
+        } else if (rawValue !== undefined && dateStyles.has(style)) {
+          // Excel stores dates as days since 1899-12-30
+          value = new Date(Date.UTC(1899, 11, 30) + Number(rawValue) * 86400000).toISOString().substring(0, 10);
+        } else if (rawValue !== undefined) {
+          value = decodeEntities(rawValue);
+        }
+
+        const column = ref ? columnIndex(ref.replace(/\d+/g, '')) : row.length;
+        while (row.length < column) {
+          row.push('');
+        }
+        row[column] = value.trim();
+      }
+
+      if (row.some(cell => cell)) {
+        rows.push(row);
+      }
+    }
+
+    const text = rows.map(row => row.join('\t')).join('\n');
+
+    return {
+      text,
+      entries: buildTaskEntries(
+        { text: text.replace(/[^\n]/g, ''), tables: [{ rows, rowLines: rows.map((row, index) => index) }] },
+        { ...options, headerless: true }
+      ),
+    };
+  },
+};
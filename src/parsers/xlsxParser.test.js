@@ -0,0 +1,48 @@
+const JSZip = require('jszip');
+const xlsxParser = require('./xlsxParser');
+
+const cell = (ref, value, extra = '') => (typeof value === 'number'
+  ? `<c r="${ref}"${extra}><v>${value}</v></c>`
+  : `<c r="${ref}" t="inlineStr"><is><t>${value}</t></is></c>`);
+
+async function buildWorkbook(sheets) {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', `<workbook><sheets>${sheets.map((sheet, i) =>
+    `<sheet name="${sheet.name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', `<Relationships>${sheets.map((sheet, i) =>
+    `<Relationship Id="rId${i + 1}" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}</Relationships>`);
+  zip.file('xl/sharedStrings.xml', '<sst><si><t>Task</t></si><si><r><t>Build </t></r><r><t>login &amp; signup</t></r></si></sst>');
+  zip.file('xl/styles.xml', '<styleSheet><cellXfs><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>');
+  sheets.forEach((sheet, i) => {
+    zip.file(`xl/worksheets/sheet${i + 1}.xml`, `<worksheet><sheetData>${sheet.rows.map((row, r) =>
+      `<row r="${r + 1}">${row.join('')}</row>`).join('')}</sheetData></worksheet>`);
+  });
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('xlsxParser', () => {
+  test('reads shared strings, inline strings, dates and sparse rows', async () => {
+    const buffer = await buildWorkbook([{
+      name: 'Roadmap',
+      rows: [
+        ['<c r="A1" t="s"><v>0</v></c>', cell('B1', 'Due'), cell('D1', 'Estimate')],
+        ['<c r="A2" t="s"><v>1</v></c>', cell('B2', 46456, ' s="1"'), cell('D2', 3)]
+      ]
+    }]);
+
+    const { text, entries } = await xlsxParser.parse(buffer);
+
+    expect(text).toBe('Task\tDue\t\tEstimate\nBuild login & signup\t2027-03-10\t\t3');
+    expect(entries).toMatchObject([{ text: 'Build login & signup', dueDate: '2027-03-10', fields: { Estimate: '3' } }]);
+  });
+
+  test('reads the worksheet named by options.sheet', async () => {
+    const buffer = await buildWorkbook([
+      { name: 'First', rows: [[cell('A1', 'Title')], [cell('A2', 'From first')]] },
+      { name: 'Second', rows: [[cell('A1', 'Title')], [cell('A2', 'From second')]] }
+    ]);
+
+    expect((await xlsxParser.parse(buffer, { sheet: 'Second' })).entries.map(entry => entry.text)).toEqual(['From second']);
+    await expect(xlsxParser.parse(buffer, { sheet: 'Third' })).rejects.toThrow('Worksheet "Third" not found');
+  });
+});
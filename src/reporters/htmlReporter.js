@@ -0,0 +1,58 @@
+const { escapeXml } = require('../utils/xml');
+const { describeReport, describeAssignee } = require('./summary');
+
+/**
+ * HTML reporter
+ * A standalone page with a progress table per group and the overdue tasks,
+ * styled inline so it survives being pasted into mail or a wiki
+ */
+module.exports = {
+  name: 'html',
+  extension: '.html',
+  mimeType: 'text/html; charset=utf-8',
+
+  /**
+   * Render a progress report
+   * @param {Object} report - Report from ReportService.buildProgressReport
+   * @returns {Promise<string>} HTML document
+   */
+  async render(report) {
+    const heading = { section: 'Section', milestone: 'Milestone', import: 'Import' }[report.groupBy];
+    const cell = 'style="padding:4px 8px;border-bottom:1px solid #ddd"';
+
+    const rows = report.groups.map((group) => {
+      const name = group.documentKey ? `${group.documentKey} (${group.name.substring(0, 8)})` : group.name;
+      const due = group.dueDate ? `<br><small>due ${escapeXml(group.dueDate.substring(0, 10))}</small>` : '';
+      const bar = `<div style="background:#eee;width:120px;height:8px"><div style="background:#2da44e;width:${group.percentComplete}%;height:8px"></div></div>`;
+
+      return `<tr><td ${cell}>${escapeXml(name)}${due}</td>`
+        + `<td ${cell}>${bar}${group.percentComplete}%</td>`
+        + `<td ${cell} align="right">${group.closed}/${group.total}</td>`
+        + `<td ${cell} align="right">${group.open}</td>`
+        + `<td ${cell} align="right">${group.overdue.length}</td>`
+        + `<td ${cell}>${escapeXml(group.assignees.map(describeAssignee).join(', '))}</td></tr>`;
+    });
+
+    const overdue = report.groups
+      .filter(group => group.overdue.length > 0)
+      .map(group => `<h3>${escapeXml(group.documentKey || group.name)}</h3><ul>${group.overdue.map(issue =>
+        `<li><a href="${escapeXml(issue.url)}">${escapeXml(issue.title)}</a> (#${issue.number}) — due ${escapeXml(issue.dueDate.substring(0, 10))}`
+        + `${issue.assignees.length > 0 ? ` · ${escapeXml(issue.assignees.map(login => `@${login}`).join(' '))}` : ''}</li>`).join('')}</ul>`);
+
+    return [
+      '<!DOCTYPE html>',
+      '<html><head><meta charset="utf-8">',
+      `<title>${escapeXml(report.title)}</title></head>`,
+      '<body style="font-family:sans-serif">',
+      `<h1>${escapeXml(report.title)}</h1>`,
+      `<p><em>${escapeXml(describeReport(report))}</em></p>`,
+      '<table style="border-collapse:collapse">',
+      `<tr><th ${cell} align="left">${heading}</th><th ${cell} align="left">Progress</th><th ${cell}>Done</th><th ${cell}>Open</th><th ${cell}>Overdue</th><th ${cell} align="left">Assignees</th></tr>`,
+      ...rows,
+      '</table>',
+      ...(overdue.length > 0 ? ['<h2>Overdue</h2>', ...overdue] : []),
+      '</body></html>',
+      '',
+    ].join('\n');
+  },
+};
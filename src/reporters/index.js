@@ -0,0 +1,44 @@
+/**
+ * Reporter registry
+ * Each reporter declares the format name it answers to and a
+ * render(report) function turning a progress report into a summary to paste
+ * into status updates; JSON is answered by the controller itself
+ */
+const reporters = [];
+
+/**
+ * Register a progress reporter
+ * @param {Object} reporter - Reporter ({ name, extension, mimeType, render })
+ */
+function registerReporter(reporter) {
+  reporters.push(reporter);
+}
+
+/**
+ * Find the reporter for a format
+ * @param {string} format - Format name or extension, e.g. "html" or ".md"
+ * @returns {Object|null} Reporter, or null if the format is not supported
+ */
+function findReporter(format) {
+  const name = String(format || '').toLowerCase().replace(/^\./, '');
+  return reporters.find(reporter => reporter.name === name || reporter.extension === `.${name}`) || null;
+}
+
+/**
+ * List the formats reports can be rendered in
+ * @returns {Array<string>} Format names
+ */
+function supportedFormats() {
+  return reporters.map(reporter => reporter.name);
+}
+
+[
+  require('./markdownReporter'),
+  require('./htmlReporter'),
+].forEach(registerReporter);
+
+module.exports = {
+  registerReporter,
+  findReporter,
+  supportedFormats,
+};
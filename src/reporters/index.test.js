@@ -0,0 +1,42 @@
+const { findReporter, supportedFormats } = require('./index');
+
+const report = {
+  title: 'acme/site progress',
+  groupBy: 'section',
+  source: 'records',
+  generatedAt: '2027-03-01T12:30:00.000Z',
+  totals: { total: 2, open: 1, closed: 1, percentComplete: 50, overdue: 1, imports: 1 },
+  groups: [{
+    name: 'Auth [v2]',
+    total: 2,
+    open: 1,
+    closed: 1,
+    percentComplete: 50,
+    assignees: [{ login: 'alice', total: 2, closed: 1 }],
+    overdue: [{ title: 'Build <login>', url: 'https://github.com/acme/site/issues/2', number: 2, dueDate: '2027-01-01', assignees: ['alice'] }]
+  }]
+};
+
+describe('reporters', () => {
+  test('are found by name or extension', () => {
+    expect(supportedFormats()).toEqual(['md', 'html']);
+    expect(findReporter('.MD').name).toBe('md');
+    expect(findReporter('pdf')).toBeNull();
+  });
+
+  test('render Markdown tables with overdue tasks', async () => {
+    const markdown = await findReporter('md').render(report);
+
+    expect(markdown).toContain('_1 of 2 tasks done (50%), 1 overdue, across 1 import; state from the import records as of 2027-03-01 12:30 UTC._');
+    expect(markdown).toContain('| Auth \\[v2\\] | █████░░░░░ 50% | 1/2 | 1 | 1 | @alice 1/2 |');
+    expect(markdown).toContain('- [Build <login>](https://github.com/acme/site/issues/2) (#2) — due 2027-01-01 · @alice');
+  });
+
+  test('escape HTML', async () => {
+    const html = await findReporter('html').render(report);
+
+    expect(html).toContain('<h1>acme/site progress</h1>');
+    expect(html).toContain('Build &lt;login&gt;');
+    expect(html).not.toContain('<login>');
+  });
+});
@@ -0,0 +1,60 @@
+const { describeReport, describeAssignee, progressBar } = require('./summary');
+
+/**
+ * Escape the characters that would turn text into Markdown links or tables
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([[\]|])/g, '\\$1');
+}
+
+/**
+ * Markdown reporter
+ * A table with one row per group, then the overdue tasks of each group, short
+ * enough to paste into an issue comment or a status update
+ */
+module.exports = {
+  name: 'md',
+  extension: '.md',
+  mimeType: 'text/markdown; charset=utf-8',
+
+  /**
+   * Render a progress report
+   * @param {Object} report - Report from ReportService.buildProgressReport
+   * @returns {Promise<string>} Markdown document
+   */
+  async render(report) {
+    const heading = { section: 'Section', milestone: 'Milestone', import: 'Import' }[report.groupBy];
+    const lines = [
+      `# ${report.title}`,
+      '',
+      `_${describeReport(report)}_`,
+      '',
+      `| ${heading} | Progress | Done | Open | Overdue | Assignees |`,
+      '| --- | --- | ---: | ---: | ---: | --- |',
+    ];
+
+    for (const group of report.groups) {
+      const name = group.documentKey ? `${group.documentKey} (${group.name.substring(0, 8)})` : group.name;
+      const due = group.dueDate ? ` — due ${group.dueDate.substring(0, 10)}` : '';
+
+      lines.push(`| ${escapeMarkdown(name)}${due} | ${progressBar(group.percentComplete)} ${group.percentComplete}% | ${group.closed}/${group.total} | ${group.open} | ${group.overdue.length} | ${group.assignees.map(describeAssignee).join(', ')} |`);
+    }
+
+    const overdue = report.groups.filter(group => group.overdue.length > 0);
+    if (overdue.length > 0) {
+      lines.push('', '## Overdue');
+
+      for (const group of overdue) {
+        lines.push('', `**${escapeMarkdown(group.documentKey || group.name)}**`, '');
+        for (const issue of group.overdue) {
+          const assignees = issue.assignees.map(login => `@${login}`).join(' ');
+          lines.push(`- [${escapeMarkdown(issue.title)}](${issue.url}) (#${issue.number}) — due ${issue.dueDate.substring(0, 10)}${assignees ? ` · ${assignees}` : ''}`);
+        }
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  },
+};
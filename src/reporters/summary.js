@@ -0,0 +1,36 @@
+/**
+ * Describe how a report was grouped and where its issue state came from
+ * @param {Object} report - Report from ReportService.buildProgressReport
+ * @returns {string} One-line summary
+ */
+function describeReport(report) {
+  const { totals } = report;
+  const source = report.source === 'github' ? 'live from GitHub' : 'from the import records';
+
+  return `${totals.closed} of ${totals.total} tasks done (${totals.percentComplete}%), ${totals.overdue} overdue, across ${totals.imports} import${totals.imports === 1 ? '' : 's'}; state ${source} as of ${report.generatedAt.substring(0, 16).replace('T', ' ')} UTC.`;
+}
+
+/**
+ * Describe an assignee's share of a group
+ * @param {Object} assignee - Assignee from ReportService.countAssignees
+ * @returns {string} e.g. "@octocat 2/3"
+ */
+function describeAssignee(assignee) {
+  return `${assignee.login ? `@${assignee.login}` : 'Unassigned'} ${assignee.closed}/${assignee.total}`;
+}
+
+/**
+ * Draw a text progress bar
+ * @param {number} percent - Percent complete
+ * @returns {string} Ten-cell bar, e.g. "███████░░░"
+ */
+function progressBar(percent) {
+  const filled = Math.round(percent / 10);
+  return '█'.repeat(filled) + '░'.repeat(10 - filled);
+}
+
+module.exports = {
+  describeReport,
+  describeAssignee,
+  progressBar,
+};
@@ -0,0 +1,11 @@
+const express = require('express');
+const credentialController = require('../controllers/credentialController');
+const { authorize } = require('../middleware/apiAuth');
+const { requestTarget } = require('../utils/apiAccess');
+
+const router = express.Router();
+
+router.get('/', credentialController.listCredentials);
+router.get('/:owner', authorize(requestTarget('params')), credentialController.checkCredential);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const exportController = require('../controllers/exportController');
+const validate = require('../middleware/validate');
+const { authorize } = require('../middleware/apiAuth');
+const { requestTarget } = require('../utils/apiAccess');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+router.get('/', validate(schemas.exportRoadmap), authorize(requestTarget('query')), exportController.exportRoadmap);
+
+module.exports = router;
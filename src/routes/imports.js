@@ -0,0 +1,30 @@
+const express = require('express');
+const multer = require('multer');
+const importController = require('../controllers/importController');
+const { fileFilter } = require('../parsers');
+const validate = require('../middleware/validate');
+const limitUploads = require('../middleware/uploadLimit');
+const { authorize } = require('../middleware/apiAuth');
+const { importTarget } = require('../utils/apiAccess');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Configure multer for file uploads
+const storage = multer.memoryStorage();
+const upload = multer({
+  storage,
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter,
+});
+
+// Routes; stored imports are checked against the allowlists by the controller
+router.get('/', validate(schemas.listImports), importController.listImports);
+router.post('/', limitUploads, upload.single('file'), validate(schemas.createImport), importController.createImport);
+router.get('/:id', validate(schemas.getImport), importController.getImport);
+router.delete('/:id', importController.deleteImport);
+router.patch('/:id/tasks/:n', validate(schemas.updateImportTask), importController.updateImportTask);
+router.post('/:id/commit', validate(schemas.commitImport), authorize(importTarget), importController.commitImport);
+router.post('/:id/rollback', validate(schemas.rollbackImport), importController.rollbackImport);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const issueController = require('../controllers/issueController');
+const validate = require('../middleware/validate');
+const { authorize } = require('../middleware/apiAuth');
+const { requestTarget } = require('../utils/apiAccess');
+const schemas = require('../validation/schemas');
+
+// Mounted under /api/repos/:owner/:repo/issues
+const router = express.Router({ mergeParams: true });
+
+router.use(authorize(requestTarget('params')));
+
+router.get('/', validate(schemas.listIssues), issueController.listIssues);
+router.get('/:number', validate(schemas.getIssue), issueController.getIssue);
+router.patch('/:number', validate(schemas.updateIssue), issueController.updateIssue);
+router.post('/:number/close', validate(schemas.getIssue), issueController.closeIssue);
+router.post('/:number/reopen', validate(schemas.getIssue), issueController.reopenIssue);
+router.post('/:number/comments', validate(schemas.addComment), issueController.addComment);
+
+module.exports = router;
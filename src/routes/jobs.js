@@ -0,0 +1,9 @@
+const express = require('express');
+const jobController = require('../controllers/jobController');
+
+const router = express.Router();
+
+router.get('/:id', jobController.getJob);
+router.get('/:id/events', jobController.streamJobEvents);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const projectController = require('../controllers/projectController');
+const validate = require('../middleware/validate');
+const { authorize } = require('../middleware/apiAuth');
+const { requestTarget } = require('../utils/apiAccess');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Boards are listed and created for an owner or repository, and otherwise named by their ID
+const byOwner = authorize(requestTarget('query'));
+const byBody = authorize(requestTarget('body'));
+const byProject = authorize(requestTarget('params'));
+
+router.get('/', validate(schemas.listProjects), byOwner, projectController.listProjects);
+router.post('/', validate(schemas.createProject), byBody, projectController.createProject);
+router.get('/:projectId', byProject, projectController.getProject);
+router.get('/:projectId/fields', byProject, projectController.listProjectFields);
+router.get('/:projectId/items', validate(schemas.listProjectItems), byProject, projectController.listProjectItems);
+router.post('/:projectId/items', validate(schemas.addProjectItem), byBody, projectController.addProjectItem);
+router.patch('/:projectId/items/:itemId', validate(schemas.updateProjectItem), byProject, projectController.updateProjectItem);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const reportController = require('../controllers/reportController');
+const validate = require('../middleware/validate');
+const { authorize } = require('../middleware/apiAuth');
+const { requestTarget } = require('../utils/apiAccess');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+router.get('/progress', validate(schemas.progressReport), authorize(requestTarget('query')), reportController.getProgressReport);
+
+module.exports = router;
@@ -1,6 +1,12 @@
 const express = require('express');
 const multer = require('multer');
 const uploadController = require('../controllers/uploadController');
+const { fileFilter } = require('../parsers');
+const validate = require('../middleware/validate');
+const limitUploads = require('../middleware/uploadLimit');
+const { authorize } = require('../middleware/apiAuth');
+const { requestTarget, importTarget } = require('../utils/apiAccess');
+const schemas = require('../validation/schemas');
 
 const router = express.Router();
 
@@ -8,17 +14,13 @@ const router = express.Router();
 const storage = multer.memoryStorage();
 const upload = multer({
   storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || 
-        file.originalname.endsWith('.docx')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only .docx files are allowed'));
-    }
-  },
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter,
 });
 
-// Routes
-router.post('/upload', upload.single('file'), uploadController.uploadTasks);
+// Routes; uploads are counted before multer reads the file, and its fields
+// are validated and checked against the allowlists before the document is parsed
+router.post('/upload', limitUploads, upload.single('file'), validate(schemas.upload), authorize(importTarget), uploadController.uploadFile);
+router.post('/upload/preview', limitUploads, upload.single('file'), validate(schemas.preview), authorize(requestTarget('body')), uploadController.previewUpload);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+const verifyGitHubSignature = require('../middleware/webhookSignature');
+
+const router = express.Router();
+
+// The signature covers the raw body, so it is read before any JSON parsing;
+// GitHub caps payloads at 25 MB
+router.post('/github', express.raw({ type: () => true, limit: '25mb' }), verifyGitHubSignature, webhookController.receiveGitHubEvent);
+
+module.exports = router;
@@ -1,30 +1,16 @@
 require('dotenv').config();
 const express = require('express');
-const multer = require('multer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Webhooks are signed by GitHub instead of sending an API key, and need their raw body
+app.use('/api/webhooks', require('./routes/webhooks'));
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Multer configuration
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage,
-  limits: { fileSize: 10 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    if (file.originalname.endsWith('.docx')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only .docx files allowed'));
-    }
-  },
-});
-
 // Routes
-const uploadController = require('./controllers/uploadController');
-
 app.get('/health', (req, res) => {
   res.json({
     status: 'OK',
@@ -33,7 +19,19 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.post('/api/upload', upload.single('file'), uploadController.uploadTasks);
+// Every API route needs an API key or bearer JWT; /health stays open
+const apiAuth = require('./config/apiAuth');
+const { authenticate } = require('./middleware/apiAuth');
+app.use('/api', authenticate);
+
+app.use('/api', require('./routes/upload'));
+app.use('/api/imports', require('./routes/imports'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/export', require('./routes/export'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/repos/:owner/:repo/issues', require('./routes/issues'));
+app.use('/api/projects', require('./routes/projects'));
+app.use('/api/credentials', require('./routes/credentials'));
 
 // Error handler
 const errorHandler = require('./middleware/errorHandler');
@@ -42,15 +40,31 @@ app.use(errorHandler);
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
-    error: 'Not Found',
-    message: `Route ${req.method} ${req.path} not found`,
+    success: false,
+    error: `Route ${req.method} ${req.path} not found`,
+    code: 'ROUTE_NOT_FOUND',
   });
 });
 
 app.listen(PORT, () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
-  console.log(`📝 POST /api/upload - Upload Word file`);
+  console.log(`📝 POST /api/upload - Upload a roadmap document (.docx, .doc, .odt, .md, .txt, .csv, .xlsx)`);
+  console.log(`🔍 POST /api/upload/preview - Preview issues without creating them`);
+  console.log(`📥 POST /api/imports - Upload a document for review before committing (GET for import history)`);
+  console.log(`⏳ GET /api/jobs/:id - Background import status (/events for live progress)`);
+  console.log(`📤 GET /api/export - Export a roadmap from GitHub issues (docx, md, csv)`);
+  console.log(`📊 GET /api/reports/progress - Roadmap progress per section, milestone or import (json, md, html)`);
+  console.log(`🐛 GET /api/repos/:owner/:repo/issues - List, update, close, reopen and comment on issues`);
+  console.log(`📋 GET /api/projects - Create and list Projects V2 boards, their fields and items`);
+  console.log(`🔑 GET /api/credentials - GitHub credentials by owner (/:owner to check scopes)`);
+  console.log(`🔔 POST /api/webhooks/github - GitHub webhook receiver (issues, issue_comment, projects_v2_item)`);
   console.log(`💚 GET /health - Health check`);
+
+  if (!apiAuth.enabled) {
+    console.warn('⚠️  API authentication is turned off (API_AUTH=false); anyone who can reach the server can use it');
+  } else if (apiAuth.keys.length === 0 && !apiAuth.jwt.secret) {
+    console.warn('⚠️  No API keys configured (API_KEY, API_KEYS_PATH or API_JWT_SECRET); every API request will be refused');
+  }
 });
 
 module.exports = app;
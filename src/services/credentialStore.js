@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const config = require('../config/github');
+const GitHubAppAuth = require('./githubAppAuth');
+
+const { requestGitHub } = GitHubAppAuth;
+
+// Scopes of recently seen tokens by credential key, so header tokens are not checked on every request
+const scopeCache = new Map();
+
+// Installation permissions that stand in for the OAuth scopes checked up front
+const APP_SCOPE_PERMISSIONS = {
+  repo: ['issues'],
+  project: ['organization_projects', 'repository_projects'],
+};
+
+/**
+ * Token Credential
+ * A personal access token or any other fixed token
+ */
+class TokenCredential {
+  /**
+   * @param {string} token - GitHub token
+   */
+  constructor(token) {
+    this.type = 'token';
+    // Rate limits are shared by everything sent with the same token; the key only holds its hash
+    this.key = `token:${crypto.createHash('sha256').update(token).digest('hex').substring(0, 16)}`;
+    this.token = token;
+  }
+
+  /**
+   * @returns {Promise<string>} Token to send
+   */
+  async getToken() {
+    return this.token;
+  }
+
+  /**
+   * Read the OAuth scopes granted to the token
+   * Fine-grained tokens report no scopes; their permissions cannot be checked up
+   * front. Neither can any token while GitHub is unreachable, which the request
+   * itself will then report
+   * @returns {Promise<Array<string>|null>} Scopes, or null when unknown
+   */
+  async getScopes() {
+    const cached = scopeCache.get(this.key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    // The rate limit endpoint does not count against the rate limit
+    const value = requestGitHub('GET', '/rate_limit', this.token)
+      .then(({ headers }) => {
+        const header = headers.get('x-oauth-scopes');
+        return header === null ? null : header.split(',').map(scope => scope.trim()).filter(Boolean);
+      })
+      .catch((error) => {
+        scopeCache.delete(this.key);
+        if (error.response && error.response.status === 401) {
+          throw new Error(`Failed to check token scopes: ${error.message}`, { cause: error });
+        }
+        return null;
+      });
+    scopeCache.set(this.key, { value, expiresAt: Date.now() + config.cacheTtl });
+
+    return value;
+  }
+}
+
+/**
+ * Installation Credential
+ * A GitHub App installation on one owner, whose short-lived token is
+ * refreshed whenever it is about to expire
+ */
+class InstallationCredential {
+  /**
+   * @param {GitHubAppAuth} appAuth - App the installation belongs to
+   * @param {string} owner - User or organization the app is installed on
+   * @param {string} installationId - Installation ID; looked up from the owner when missing
+   */
+  constructor(appAuth, owner, installationId = null) {
+    this.type = 'app';
+    this.key = `app:${appAuth.appId}:${owner.toLowerCase()}`;
+    this.appAuth = appAuth;
+    this.owner = owner;
+    this.installationId = installationId;
+  }
+
+  /**
+   * @returns {Promise<string>} Current installation token
+   */
+  async getToken() {
+    const { token } = await this._getInstallationToken();
+    return token;
+  }
+
+  /**
+   * Forget the current token so the next request gets a new one
+   */
+  invalidate() {
+    if (this.installationId) {
+      this.appAuth.invalidateToken(this.installationId);
+    }
+  }
+
+  /**
+   * Translate the installation's permissions into the scopes a token would need
+   * @returns {Promise<Array<string>>} Scopes covered by write permissions
+   */
+  async getScopes() {
+    const { permissions } = await this._getInstallationToken();
+
+    return Object.entries(APP_SCOPE_PERMISSIONS)
+      .filter(([, names]) => names.some(name => permissions[name] === 'write'))
+      .map(([scope]) => scope);
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object>} Installation token ({ token, expiresAt, permissions })
+   */
+  async _getInstallationToken() {
+    if (!this.installationId) {
+      this.installationId = await this.appAuth.getInstallationId(this.owner);
+    }
+    return this.appAuth.getInstallationToken(this.installationId);
+  }
+}
+
+/**
+ * Credential Store
+ * Picks the GitHub credentials of a repository or project owner, so one
+ * deployment can act for several organizations
+ */
+class CredentialStore {
+  /**
+   * @param {Object} entries - Credential entries by lowercase owner, "*" for any other owner (see config/credentials)
+   */
+  constructor(entries) {
+    this.entries = entries;
+    this.apps = new Map();
+    this.credentials = new Map();
+  }
+
+  /**
+   * Get the credential used for an owner
+   * Installation credentials are kept per owner so their tokens are reused
+   * @param {string} owner - User or organization login; empty for the default credential
+   * @returns {TokenCredential|InstallationCredential|null} Credential, or null when none is configured
+   */
+  forOwner(owner) {
+    const key = String(owner || '').toLowerCase();
+    const entryKey = key && this.entries[key] ? key : '*';
+    const entry = this.entries[entryKey];
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.token) {
+      return new TokenCredential(entry.token);
+    }
+
+    // An app without a fixed installation serves every owner it is installed on
+    const credentialKey = entry.installationId ? entryKey : `${entryKey}:${key}`;
+    if (!this.credentials.has(credentialKey)) {
+      if (!key && !entry.installationId) {
+        return null;
+      }
+      this.credentials.set(credentialKey, new InstallationCredential(this._getApp(entry), key || entryKey, entry.installationId));
+    }
+
+    return this.credentials.get(credentialKey);
+  }
+
+  /**
+   * List the configured owners without their secrets
+   * @returns {Array<Object>} Entries ({ owner, type, appId, installationId })
+   */
+  list() {
+    return Object.entries(this.entries).map(([owner, entry]) => ({
+      owner,
+      type: entry.token ? 'token' : 'app',
+      ...(entry.appId && { appId: entry.appId, installationId: entry.installationId }),
+    }));
+  }
+
+  /**
+   * @private
+   * @param {Object} entry - App credential entry
+   * @returns {GitHubAppAuth} Shared auth of the app
+   */
+  _getApp({ appId, privateKey }) {
+    if (!this.apps.has(appId)) {
+      this.apps.set(appId, new GitHubAppAuth({ appId, privateKey }));
+    }
+    return this.apps.get(appId);
+  }
+}
+
+CredentialStore.TokenCredential = TokenCredential;
+CredentialStore.InstallationCredential = InstallationCredential;
+
+module.exports = CredentialStore;
@@ -0,0 +1,65 @@
+const CredentialStore = require('./credentialStore');
+
+const { TokenCredential, InstallationCredential } = CredentialStore;
+
+describe('CredentialStore', () => {
+  const store = new CredentialStore({
+    '*': { appId: '123', privateKey: 'key', installationId: null },
+    acme: { token: 'ghp_acme' },
+    globex: { appId: '123', privateKey: 'key', installationId: '9' }
+  });
+
+  test('picks the credential configured for an owner, case-insensitively', async () => {
+    const credential = store.forOwner('ACME');
+
+    expect(credential).toBeInstanceOf(TokenCredential);
+    await expect(credential.getToken()).resolves.toBe('ghp_acme');
+    expect(credential.key).not.toContain('ghp_acme');
+  });
+
+  test('shares one app and one credential per installation', () => {
+    const globex = store.forOwner('globex');
+    const initech = store.forOwner('initech');
+
+    expect(globex).toBeInstanceOf(InstallationCredential);
+    expect(globex.installationId).toBe('9');
+    expect(store.forOwner('Globex')).toBe(globex);
+    expect(initech.installationId).toBeNull();
+    expect(initech.key).toBe('app:123:initech');
+    expect(initech.appAuth).toBe(globex.appAuth);
+    expect(store.forOwner('umbrella')).not.toBe(initech);
+  });
+
+  test('has no app credential without an owner or installation', () => {
+    expect(store.forOwner()).toBeNull();
+    expect(new CredentialStore({}).forOwner('acme')).toBeNull();
+  });
+
+  test('lists owners without their secrets', () => {
+    expect(store.list()).toEqual([
+      { owner: '*', type: 'app', appId: '123', installationId: null },
+      { owner: 'acme', type: 'token' },
+      { owner: 'globex', type: 'app', appId: '123', installationId: '9' }
+    ]);
+  });
+});
+
+describe('InstallationCredential', () => {
+  test('finds the installation once and maps its permissions to scopes', async () => {
+    const appAuth = {
+      appId: '123',
+      getInstallationId: jest.fn(async () => '42'),
+      getInstallationToken: jest.fn(async () => ({ token: 'ghs_1', permissions: { issues: 'write', repository_projects: 'read' } })),
+      invalidateToken: jest.fn()
+    };
+    const credential = new InstallationCredential(appAuth, 'acme');
+
+    await expect(credential.getToken()).resolves.toBe('ghs_1');
+    await expect(credential.getScopes()).resolves.toEqual(['repo']);
+    credential.invalidate();
+
+    expect(appAuth.getInstallationId).toHaveBeenCalledTimes(1);
+    expect(appAuth.getInstallationToken).toHaveBeenCalledWith('42');
+    expect(appAuth.invalidateToken).toHaveBeenCalledWith('42');
+  });
+});
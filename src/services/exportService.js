@@ -0,0 +1,125 @@
+/**
+ * Group names for issues without a value, listed after the named groups
+ */
+const EMPTY_GROUPS = {
+  milestone: 'No milestone',
+  label: 'Unlabeled',
+  status: 'No status',
+};
+
+/**
+ * Export Service
+ * Collects repository issues (and their project Status) into a roadmap
+ * report grouped by milestone, label or Status, ready for an exporter
+ */
+class ExportService {
+  /**
+   * @param {GitHubService} githubService - Authenticated GitHub service
+   */
+  constructor(githubService) {
+    this.githubService = githubService;
+  }
+
+  /**
+   * Build a roadmap report for a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - Report options
+   * @param {string} options.groupBy - "milestone" (default), "label" or "status"
+   * @param {string} options.state - Issue state: OPEN, CLOSED or ALL (default)
+   * @param {string} options.projectId - Projects V2 board to read Status from
+   * @param {string} options.title - Report title
+   * @returns {Promise<Object>} Report ({ title, repository, generatedAt, groupBy, groups, totals })
+   */
+  async buildReport(owner, repo, options = {}) {
+    const { groupBy = 'milestone', state = 'ALL', projectId = null } = options;
+
+    if (!EMPTY_GROUPS[groupBy]) {
+      const error = new Error(`groupBy must be one of: ${Object.keys(EMPTY_GROUPS).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    if (groupBy === 'status' && !projectId) {
+      const error = new Error('Grouping by status requires a projectId');
+      error.status = 400;
+      throw error;
+    }
+
+    const issues = await this.githubService.getAllRepositoryIssues(owner, repo, { state });
+
+    const statuses = new Map();
+    if (projectId) {
+      const items = await this.githubService.getAllProjectItems(projectId);
+      for (const item of items) {
+        if (item.content && item.content.id) {
+          statuses.set(item.content.id, item.fields.Status || null);
+        }
+      }
+    }
+
+    const rows = issues.map(issue => ({
+      number: issue.number,
+      title: issue.title,
+      url: issue.url,
+      state: issue.state,
+      labels: issue.labels.nodes.map(label => label.name),
+      assignees: (issue.assignees ? issue.assignees.nodes : []).map(user => user.login),
+      milestone: issue.milestone ? issue.milestone.title : null,
+      dueOn: issue.milestone ? issue.milestone.dueOn : null,
+      status: statuses.get(issue.id) || null,
+    }));
+
+    return {
+      title: options.title || `${owner}/${repo} roadmap`,
+      repository: `${owner}/${repo}`,
+      generatedAt: new Date().toISOString(),
+      groupBy,
+      groups: this.groupIssues(rows, groupBy),
+      totals: {
+        issues: rows.length,
+        open: rows.filter(row => row.state === 'OPEN').length,
+        closed: rows.filter(row => row.state !== 'OPEN').length,
+      },
+    };
+  }
+
+  /**
+   * Group report rows; an issue with several labels is listed under each of them
+   * Milestones are ordered by due date, other groups by name, and the group of
+   * issues without a value comes last
+   * @param {Array<Object>} rows - Report rows
+   * @param {string} groupBy - "milestone", "label" or "status"
+   * @returns {Array<Object>} Groups ({ name, dueOn, issues, open, closed })
+   */
+  groupIssues(rows, groupBy) {
+    const groups = new Map();
+    const add = (name, row) => {
+      if (!groups.has(name)) {
+        groups.set(name, { name, dueOn: groupBy === 'milestone' ? row.dueOn : null, issues: [] });
+      }
+      groups.get(name).issues.push(row);
+    };
+
+    for (const row of rows) {
+      const names = groupBy === 'label' ? row.labels : [row[groupBy]].filter(Boolean);
+      if (names.length === 0) {
+        add(EMPTY_GROUPS[groupBy], row);
+      }
+      names.forEach(name => add(name, row));
+    }
+
+    const empty = EMPTY_GROUPS[groupBy];
+    return [...groups.values()]
+      .sort((a, b) => (a.name === empty) - (b.name === empty)
+        || (a.dueOn || '9999').localeCompare(b.dueOn || '9999')
+        || a.name.localeCompare(b.name))
+      .map(group => ({
+        ...group,
+        issues: group.issues.sort((a, b) => a.number - b.number),
+        open: group.issues.filter(row => row.state === 'OPEN').length,
+        closed: group.issues.filter(row => row.state !== 'OPEN').length,
+      }));
+  }
+}
+
+module.exports = ExportService;
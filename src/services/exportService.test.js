@@ -0,0 +1,63 @@
+const ExportService = require('./exportService');
+
+const issue = (number, extra = {}) => ({
+  id: `I${number}`,
+  number,
+  title: `Issue ${number}`,
+  url: `https://github.com/acme/site/issues/${number}`,
+  state: 'OPEN',
+  labels: { nodes: [] },
+  assignees: { nodes: [] },
+  milestone: null,
+  ...extra
+});
+
+function createGitHub() {
+  return {
+    getAllRepositoryIssues: jest.fn(async () => [
+      issue(3, { milestone: { title: 'Beta', dueOn: '2027-06-01T00:00:00Z' }, labels: { nodes: [{ name: 'ui' }, { name: 'auth' }] } }),
+      issue(1, { state: 'CLOSED', milestone: { title: 'Alpha', dueOn: '2027-03-01T00:00:00Z' }, labels: { nodes: [{ name: 'auth' }] } }),
+      issue(2)
+    ]),
+    getAllProjectItems: jest.fn(async () => [
+      { content: { id: 'I1' }, fields: { Status: 'Done' } },
+      { content: { id: 'I3' }, fields: { Status: 'In Progress' } }
+    ])
+  };
+}
+
+describe('ExportService.buildReport', () => {
+  test('groups issues by milestone in due order, without one last', async () => {
+    const report = await new ExportService(createGitHub()).buildReport('acme', 'site');
+
+    expect(report.groups.map(group => [group.name, group.issues.map(row => row.number)])).toEqual([
+      ['Alpha', [1]],
+      ['Beta', [3]],
+      ['No milestone', [2]]
+    ]);
+    expect(report.totals).toEqual({ issues: 3, open: 2, closed: 1 });
+  });
+
+  test('lists an issue under each of its labels', async () => {
+    const report = await new ExportService(createGitHub()).buildReport('acme', 'site', { groupBy: 'label' });
+
+    expect(report.groups.map(group => [group.name, group.issues.map(row => row.number), group.closed])).toEqual([
+      ['auth', [1, 3], 1],
+      ['ui', [3], 0],
+      ['Unlabeled', [2], 0]
+    ]);
+  });
+
+  test('groups by project status', async () => {
+    const github = createGitHub();
+    const report = await new ExportService(github).buildReport('acme', 'site', { groupBy: 'status', projectId: 'PVT_1' });
+
+    expect(github.getAllProjectItems).toHaveBeenCalledWith('PVT_1');
+    expect(report.groups.map(group => group.name)).toEqual(['Done', 'In Progress', 'No status']);
+  });
+
+  test('needs a project to group by status', async () => {
+    await expect(new ExportService(createGitHub()).buildReport('acme', 'site', { groupBy: 'status' }))
+      .rejects.toMatchObject({ status: 400, message: 'Grouping by status requires a projectId' });
+  });
+});
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const config = require('../config/github');
+
+// App JWTs may live up to 10 minutes; the issue time is backdated against clock drift
+const JWT_LIFETIME = 9 * 60;
+const JWT_CLOCK_SKEW = 60;
+
+/**
+ * Send a REST request to GitHub outside the throttled client, for
+ * authentication endpoints that must answer before any client exists
+ * Failures are thrown in the same shape as GitHubClient errors
+ * @param {string} method - HTTP method
+ * @param {string} path - API path, e.g. "/app/installations/1/access_tokens"
+ * @param {string} token - Bearer token (app JWT or access token)
+ * @returns {Promise<{data: Object, headers: Headers}>} Response body and headers
+ */
+async function requestGitHub(method, path, token) {
+  const response = await fetch(`${config.restEndpoint}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      Accept: 'application/vnd.github+json',
+    },
+  });
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const error = new Error((data && data.message) || `HTTP ${response.status}`);
+    error.response = {
+      status: response.status,
+      headers: response.headers,
+      errors: [{ message: error.message }],
+    };
+    throw error;
+  }
+
+  return { data, headers: response.headers };
+}
+
+/**
+ * Encode a JSON value as unpadded base64url
+ * @param {Object} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * GitHub App Auth
+ * Signs app JWTs, finds the app's installation on an owner and hands out
+ * installation tokens, refreshed shortly before they expire
+ */
+class GitHubAppAuth {
+  /**
+   * @param {Object} params - App settings
+   * @param {string} params.appId - GitHub App ID
+   * @param {string} params.privateKey - PEM private key of the app
+   */
+  constructor({ appId, privateKey }) {
+    this.appId = appId;
+    this.privateKey = privateKey;
+    this.installations = new Map();
+    this.tokens = new Map();
+  }
+
+  /**
+   * Sign a JWT authenticating as the app itself
+   * @returns {string} RS256 JWT
+   */
+  createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = `${base64url({ alg: 'RS256', typ: 'JWT' })}.${base64url({
+      iat: now - JWT_CLOCK_SKEW,
+      exp: now + JWT_LIFETIME,
+      iss: this.appId,
+    })}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.privateKey, 'base64url');
+
+    return `${unsigned}.${signature}`;
+  }
+
+  /**
+   * Find the ID of the app's installation on a user or organization
+   * @param {string} owner - User or organization login
+   * @returns {Promise<string>} Installation ID
+   */
+  async getInstallationId(owner) {
+    const key = owner.toLowerCase();
+
+    if (!this.installations.has(key)) {
+      const lookup = this._findInstallation(owner).catch((error) => {
+        this.installations.delete(key);
+        throw error;
+      });
+      this.installations.set(key, lookup);
+    }
+
+    return this.installations.get(key);
+  }
+
+  /**
+   * Get an installation token, reusing the current one until it is about to expire
+   * @param {string} installationId - Installation ID
+   * @returns {Promise<{token: string, expiresAt: number, permissions: Object}>} Installation token
+   */
+  async getInstallationToken(installationId) {
+    const cached = this.tokens.get(installationId);
+
+    // Pending requests are shared, so concurrent callers trigger one refresh
+    if (cached && (cached.then || cached.expiresAt - Date.now() > config.tokenRefreshMargin)) {
+      return cached;
+    }
+
+    const request = this._createInstallationToken(installationId)
+      .then((token) => {
+        this.tokens.set(installationId, token);
+        return token;
+      })
+      .catch((error) => {
+        this.tokens.delete(installationId);
+        throw error;
+      });
+    this.tokens.set(installationId, request);
+
+    return request;
+  }
+
+  /**
+   * Drop a cached installation token, e.g. after GitHub rejected it
+   * @param {string} installationId - Installation ID
+   */
+  invalidateToken(installationId) {
+    this.tokens.delete(installationId);
+  }
+
+  /**
+   * @private
+   * @param {string} owner - User or organization login
+   * @returns {Promise<string>} Installation ID
+   */
+  async _findInstallation(owner) {
+    const jwt = this.createJwt();
+    const name = encodeURIComponent(owner);
+
+    try {
+      const { data } = await requestGitHub('GET', `/orgs/${name}/installation`, jwt);
+      return String(data.id);
+    } catch (error) {
+      if (!error.response || error.response.status !== 404) {
+        throw new Error(`Failed to find GitHub App installation on ${owner}: ${error.message}`, { cause: error });
+      }
+    }
+
+    try {
+      const { data } = await requestGitHub('GET', `/users/${name}/installation`, jwt);
+      return String(data.id);
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        const notInstalled = new Error(`The GitHub App is not installed on ${owner}`, { cause: error });
+        notInstalled.status = 404;
+        notInstalled.code = 'GITHUB_APP_NOT_INSTALLED';
+        throw notInstalled;
+      }
+      throw new Error(`Failed to find GitHub App installation on ${owner}: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} installationId - Installation ID
+   * @returns {Promise<{token: string, expiresAt: number, permissions: Object}>} New installation token
+   */
+  async _createInstallationToken(installationId) {
+    try {
+      const { data } = await requestGitHub('POST', `/app/installations/${installationId}/access_tokens`, this.createJwt());
+
+      return {
+        token: data.token,
+        expiresAt: new Date(data.expires_at).getTime(),
+        permissions: data.permissions || {},
+      };
+    } catch (error) {
+      throw new Error(`Failed to create installation token: ${error.message}`, { cause: error });
+    }
+  }
+}
+
+GitHubAppAuth.requestGitHub = requestGitHub;
+
+module.exports = GitHubAppAuth;
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const GitHubAppAuth = require('./githubAppAuth');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const pem = privateKey.export({ type: 'pkcs1', format: 'pem' });
+
+const reply = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+
+describe('GitHubAppAuth', () => {
+  let auth;
+
+  beforeEach(() => {
+    auth = new GitHubAppAuth({ appId: '123', privateKey: pem });
+    jest.spyOn(global, 'fetch');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('signs app JWTs with the private key', () => {
+    const [header, payload, signature] = auth.createJwt().split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const now = Math.floor(Date.now() / 1000);
+
+    expect(JSON.parse(Buffer.from(header, 'base64url').toString())).toEqual({ alg: 'RS256', typ: 'JWT' });
+    expect(claims.iss).toBe('123');
+    expect(claims.iat).toBeLessThan(now);
+    expect(claims.exp - now).toBeLessThanOrEqual(10 * 60);
+    expect(crypto.createVerify('RSA-SHA256').update(`${header}.${payload}`).verify(publicKey, signature, 'base64url')).toBe(true);
+  });
+
+  test('looks up user installations when the owner is not an organization', async () => {
+    fetch
+      .mockResolvedValueOnce(reply(404, { message: 'Not Found' }))
+      .mockResolvedValueOnce(reply(200, { id: 42 }));
+
+    await expect(auth.getInstallationId('Octocat')).resolves.toBe('42');
+    await expect(auth.getInstallationId('octocat')).resolves.toBe('42');
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      'https://api.github.com/orgs/Octocat/installation',
+      'https://api.github.com/users/Octocat/installation'
+    ]);
+    expect(fetch.mock.calls[0][1].headers.Authorization).toMatch(/^Bearer ey/);
+  });
+
+  test('reports owners the app is not installed on', async () => {
+    fetch.mockImplementation(async () => reply(404, { message: 'Not Found' }));
+
+    await expect(auth.getInstallationId('acme')).rejects.toMatchObject({ status: 404, code: 'GITHUB_APP_NOT_INSTALLED' });
+  });
+
+  test('reuses installation tokens until they are about to expire', async () => {
+    const token = (value, minutes) => reply(201, {
+      token: value,
+      expires_at: new Date(Date.now() + minutes * 60 * 1000).toISOString(),
+      permissions: { issues: 'write' }
+    });
+    fetch
+      .mockResolvedValueOnce(token('ghs_first', 2))
+      .mockResolvedValueOnce(token('ghs_second', 60));
+
+    const [first, concurrent] = await Promise.all([auth.getInstallationToken('7'), auth.getInstallationToken('7')]);
+    expect(first).toBe(concurrent);
+    expect(first).toMatchObject({ token: 'ghs_first', permissions: { issues: 'write' } });
+
+    // Two minutes left is within the refresh margin
+    await expect(auth.getInstallationToken('7')).resolves.toMatchObject({ token: 'ghs_second' });
+    await expect(auth.getInstallationToken('7')).resolves.toMatchObject({ token: 'ghs_second' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[0][0]).toBe('https://api.github.com/app/installations/7/access_tokens');
+  });
+
+  test('does not cache failed token requests', async () => {
+    fetch
+      .mockResolvedValueOnce(reply(401, { message: 'Bad credentials' }))
+      .mockResolvedValueOnce(reply(201, { token: 'ghs_ok', expires_at: new Date(Date.now() + 3600000).toISOString() }));
+
+    await expect(auth.getInstallationToken('7')).rejects.toThrow('Failed to create installation token: Bad credentials');
+    await expect(auth.getInstallationToken('7')).resolves.toMatchObject({ token: 'ghs_ok' });
+  });
+});
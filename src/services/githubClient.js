@@ -0,0 +1,370 @@
+const { GraphQLClient } = require('graphql-request');
+const config = require('../config/github');
+
+// Error codes of network failures worth retrying
+const TRANSIENT_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// GitHub asks clients to wait at least a minute after a secondary rate limit without Retry-After
+const SECONDARY_LIMIT_DELAY = 60000;
+
+// Requests made with the same credential share one budget, whichever service instance sends them
+const sharedStates = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get the concurrency and rate limit state shared by every client using a credential
+ * @param {string} key - Credential key
+ * @returns {Object} Shared state
+ */
+function getSharedState(key) {
+  if (!sharedStates.has(key)) {
+    sharedStates.set(key, {
+      active: 0,
+      mutating: false,
+      lastMutationAt: 0,
+      queue: [],
+      pausedUntil: 0,
+      rateLimit: { limit: null, remaining: null, used: null, resetAt: null },
+    });
+  }
+  return sharedStates.get(key);
+}
+
+/**
+ * Whether a request failed in transit or on GitHub's side, so it may or may not have been applied
+ * @param {Error} error - Request error
+ * @returns {boolean} True for network errors and 5xx responses
+ */
+function isTransient(error) {
+  if (error.response) {
+    return error.response.status >= 500;
+  }
+
+  const code = error.code || (error.cause && error.cause.code);
+  return TRANSIENT_NETWORK_ERRORS.includes(code) || error.type === 'system';
+}
+
+/**
+ * Read a header from a fetch Headers object or a plain object
+ * @param {Object} headers - Response headers
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ */
+function readHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+  return headers[name] || null;
+}
+
+/**
+ * GitHub Client
+ * Drop-in replacement for GraphQLClient that throttles concurrency, retries
+ * transient failures with backoff and pauses when the rate limit budget runs low
+ *
+ * Mutations are sent one at a time, as GitHub recommends to avoid secondary limits,
+ * and are not retried after a network error or a 5xx response: GitHub may have
+ * applied them anyway, so callers check before sending them again.
+ * The token is read from the credential for every request, so installation
+ * tokens that expire during a long import are replaced transparently.
+ */
+class GitHubClient {
+  /**
+   * @param {string} endpoint - GraphQL endpoint
+   * @param {Object} options - Client options
+   * @param {Object} options.credential - Credential ({ key, getToken(), invalidate() }), see CredentialStore
+   * @param {Object} options.headers - Extra request headers
+   * @param {number} options.maxConcurrency - Requests in flight at once
+   * @param {number} options.maxRetries - Retries of a failed request
+   * @param {number} options.retryDelay - Base backoff delay in milliseconds
+   * @param {number} options.maxRetryDelay - Longest single wait in milliseconds
+   * @param {number} options.minRemaining - Pause until the reset when fewer points remain
+   * @param {number} options.mutationInterval - Minimum milliseconds between mutations
+   */
+  constructor(endpoint, { credential, headers = {}, ...options } = {}) {
+    this.credential = credential;
+    this.headers = headers;
+    this.client = new GraphQLClient(endpoint, { headers });
+    this.restEndpoint = endpoint.replace(/\/graphql$/, '');
+    this.options = { ...config.requestLimits, ...options };
+    this.state = getSharedState(credential.key);
+    this.cost = 0;
+  }
+
+  /**
+   * Send a GraphQL query or mutation
+   * @param {string} document - GraphQL document
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} Response data
+   */
+  async request(document, variables) {
+    return this._send(/^\s*mutation\b/.test(document), async () =>
+      this.client.rawRequest(document, variables, await this._authorization()));
+  }
+
+  /**
+   * Send a REST API request, for the few operations GraphQL does not offer
+   * Failures are thrown in the same shape as GraphQL errors so they are retried alike
+   * @param {string} method - HTTP method
+   * @param {string} path - API path, e.g. "/repos/octocat/hello/milestones"
+   * @param {Object} body - JSON request body
+   * @returns {Promise<Object>} Response body
+   */
+  async rest(method, path, body) {
+    return this._send(method !== 'GET', async () => {
+      const response = await fetch(`${this.restEndpoint}${path}`, {
+        method,
+        headers: {
+          ...this.headers,
+          ...await this._authorization(),
+          Accept: 'application/vnd.github+json',
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+      const data = await response.json().catch(() => null);
+
+      if (!response.ok) {
+        const message = (data && data.message) || `HTTP ${response.status}`;
+        const details = data && data.errors ? data.errors.map(e => e.message || e.code).join(', ') : '';
+        const error = new Error(details ? `${message}: ${details}` : message);
+        error.response = {
+          status: response.status,
+          headers: response.headers,
+          errors: [{ message: error.message }],
+        };
+        throw error;
+      }
+
+      return { data, headers: response.headers };
+    });
+  }
+
+  /**
+   * Build the Authorization header from the credential's current token
+   * @private
+   * @returns {Promise<Object>} { Authorization }
+   */
+  async _authorization() {
+    return { Authorization: `Bearer ${await this.credential.getToken()}` };
+  }
+
+  /**
+   * Send a request through the concurrency, budget and retry handling
+   * @private
+   * @param {boolean} mutation - Whether the request changes data
+   * @param {Function} perform - async () => { data, headers }
+   * @returns {Promise<Object>} Response data
+   */
+  async _send(mutation, perform) {
+    const release = await this._acquire(mutation);
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        await this._waitForBudget();
+
+        try {
+          const { data, headers } = await perform();
+          this._recordRateLimit(headers);
+          return data;
+        } catch (error) {
+          if (error.response) {
+            this._recordRateLimit(error.response.headers);
+          }
+
+          const retry = this._getRetry(error, attempt, mutation);
+          if (!retry) {
+            throw error;
+          }
+
+          console.warn(`GitHub request failed (${retry.reason}), retrying in ${Math.ceil(retry.delay / 1000)}s`);
+          if (retry.pauseAll) {
+            this.state.pausedUntil = Math.max(this.state.pausedUntil, Date.now() + retry.delay);
+          }
+          await sleep(retry.delay);
+        }
+      }
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Get the latest known rate limit of the token and the points this client spent
+   * @returns {Object} { limit, remaining, used, resetAt, cost }
+   */
+  getRateLimit() {
+    const { limit, remaining, used, resetAt } = this.state.rateLimit;
+
+    return {
+      limit,
+      remaining,
+      used,
+      resetAt: resetAt && new Date(resetAt).toISOString(),
+      cost: this.cost,
+    };
+  }
+
+  /**
+   * Wait for a free request slot; mutations also wait for the previous mutation
+   * @private
+   * @param {boolean} mutation - Whether the request is a mutation
+   * @returns {Promise<Function>} Releases the slot
+   */
+  _acquire(mutation) {
+    return new Promise(resolve => {
+      this.state.queue.push({ mutation, resolve });
+      this._drain();
+    });
+  }
+
+  /**
+   * Hand free slots to queued requests in order
+   * @private
+   */
+  _drain() {
+    const state = this.state;
+
+    while (state.active < this.options.maxConcurrency) {
+      const index = state.queue.findIndex(entry => !entry.mutation || !state.mutating);
+      if (index === -1) {
+        return;
+      }
+
+      const [entry] = state.queue.splice(index, 1);
+      state.active++;
+      if (entry.mutation) {
+        state.mutating = true;
+      }
+
+      entry.resolve(async () => {
+        state.active--;
+        if (entry.mutation) {
+          // Keep the mutation lock through the interval so the next one cannot start early
+          const wait = state.lastMutationAt + this.options.mutationInterval - Date.now();
+          state.lastMutationAt = Date.now();
+          if (wait > 0) {
+            await sleep(wait);
+          }
+          state.mutating = false;
+        }
+        this._drain();
+      });
+    }
+  }
+
+  /**
+   * Pause while another request hit a limit or too few points remain
+   * @private
+   */
+  async _waitForBudget() {
+    const { rateLimit } = this.state;
+
+    if (rateLimit.remaining !== null && rateLimit.remaining < this.options.minRemaining && rateLimit.resetAt > Date.now()) {
+      if (this.state.pausedUntil < rateLimit.resetAt) {
+        console.warn(`GitHub rate limit low (${rateLimit.remaining} points left), pausing until ${new Date(rateLimit.resetAt).toISOString()}`);
+      }
+      this.state.pausedUntil = Math.max(this.state.pausedUntil, rateLimit.resetAt);
+    }
+
+    const wait = this.state.pausedUntil - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Update the shared rate limit from response headers and count the points spent
+   * @private
+   * @param {Object} headers - Response headers
+   */
+  _recordRateLimit(headers) {
+    const remaining = readHeader(headers, 'x-ratelimit-remaining');
+    const resource = readHeader(headers, 'x-ratelimit-resource');
+
+    // REST calls draw from a separate budget
+    if (remaining === null || (resource && resource !== 'graphql')) {
+      return;
+    }
+
+    const { rateLimit } = this.state;
+    const used = Number(readHeader(headers, 'x-ratelimit-used'));
+    const resetAt = Number(readHeader(headers, 'x-ratelimit-reset')) * 1000;
+
+    // Within one window "used" only grows, so the difference is this request's cost
+    if (rateLimit.used !== null && rateLimit.resetAt === resetAt && used > rateLimit.used) {
+      this.cost += used - rateLimit.used;
+    }
+
+    if (rateLimit.resetAt !== resetAt || rateLimit.used === null || used >= rateLimit.used) {
+      Object.assign(rateLimit, {
+        limit: Number(readHeader(headers, 'x-ratelimit-limit')),
+        remaining: Number(remaining),
+        used,
+        resetAt,
+      });
+    }
+  }
+
+  /**
+   * Decide whether a failed request is retried and how long to wait first
+   * @private
+   * @param {Error} error - Request error
+   * @param {number} attempt - Retries made so far
+   * @param {boolean} mutation - Whether the request changes data
+   * @returns {Object|null} { delay, reason, pauseAll }, or null to give up
+   */
+  _getRetry(error, attempt, mutation = false) {
+    if (attempt >= this.options.maxRetries || (mutation && isTransient(error))) {
+      return null;
+    }
+
+    const { retryDelay, maxRetryDelay } = this.options;
+    const backoff = Math.min(maxRetryDelay, retryDelay * 2 ** attempt * (1 + Math.random() * 0.25));
+    const response = error.response;
+
+    if (!response) {
+      return isTransient(error)
+        ? { delay: backoff, reason: error.code || (error.cause && error.cause.code) || error.message }
+        : null;
+    }
+
+    const status = response.status;
+    const errors = response.errors || [];
+    const retryAfter = Number(readHeader(response.headers, 'retry-after'));
+    const message = errors.map(e => e.message).join(' ') || error.message;
+
+    // Primary limit: the hourly point budget is spent, wait for the reset
+    if (errors.some(e => e.type === 'RATE_LIMITED') || ([403, 429].includes(status) && readHeader(response.headers, 'x-ratelimit-remaining') === '0')) {
+      const resetAt = Number(readHeader(response.headers, 'x-ratelimit-reset')) * 1000 || this.state.rateLimit.resetAt;
+      const delay = retryAfter ? retryAfter * 1000 : Math.max(resetAt - Date.now(), backoff);
+      return { delay, reason: 'rate limit exceeded', pauseAll: true };
+    }
+
+    // Secondary limit: too many requests or mutations in a short time
+    if ([403, 429].includes(status) && (retryAfter || /secondary rate limit|abuse/i.test(message))) {
+      const delay = retryAfter ? retryAfter * 1000 : Math.max(SECONDARY_LIMIT_DELAY, backoff);
+      return { delay, reason: 'secondary rate limit', pauseAll: true };
+    }
+
+    if (status >= 500) {
+      return { delay: backoff, reason: `HTTP ${status}` };
+    }
+
+    // Installation tokens can be revoked before they expire; retry once with a new one
+    if (status === 401 && attempt === 0 && this.credential.invalidate) {
+      this.credential.invalidate();
+      return { delay: 0, reason: 'token rejected, refreshing' };
+    }
+
+    return null;
+  }
+}
+
+GitHubClient.isTransient = isTransient;
+
+module.exports = GitHubClient;
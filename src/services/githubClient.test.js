@@ -0,0 +1,139 @@
+const GitHubClient = require('./githubClient');
+
+let credentials = 0;
+
+function createClient(options = {}) {
+  const credential = { key: `test-${credentials++}`, getToken: async () => 'token', invalidate: jest.fn() };
+  const client = new GitHubClient('https://api.github.com/graphql', { credential, retryDelay: 0, maxRetries: 2, ...options });
+  client.client.rawRequest = jest.fn();
+  return client;
+}
+
+const httpError = (status, errors = [], headers = {}) => Object.assign(new Error(`HTTP ${status}`), {
+  response: { status, errors, headers },
+});
+
+const networkError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+describe('GitHubClient', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('retries queries after a 5xx response or a network error', async () => {
+    const client = createClient();
+    client.client.rawRequest
+      .mockRejectedValueOnce(httpError(502))
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValueOnce({ data: { viewer: { login: 'octocat' } }, headers: {} });
+
+    await expect(client.request('query { viewer { login } }')).resolves.toEqual({ viewer: { login: 'octocat' } });
+    expect(client.client.rawRequest).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry mutations after a 5xx response or a network error', async () => {
+    const client = createClient();
+    client.client.rawRequest.mockRejectedValueOnce(httpError(502));
+
+    await expect(client.request('mutation { createIssue { issue { id } } }')).rejects.toThrow('HTTP 502');
+
+    client.client.rawRequest.mockRejectedValueOnce(networkError());
+    await expect(client.request('mutation { createIssue { issue { id } } }')).rejects.toThrow('socket hang up');
+    expect(client.client.rawRequest).toHaveBeenCalledTimes(2);
+  });
+
+  test('retries mutations GitHub refused because of a rate limit', async () => {
+    const client = createClient();
+    client.client.rawRequest
+      .mockRejectedValueOnce(httpError(200, [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }], { 'x-ratelimit-reset': '1' }))
+      .mockResolvedValueOnce({ data: { createIssue: { issue: { id: 'I1' } } }, headers: {} });
+
+    await expect(client.request('mutation { createIssue { issue { id } } }')).resolves.toEqual({ createIssue: { issue: { id: 'I1' } } });
+  });
+
+  test('refreshes a rejected token once', async () => {
+    const client = createClient();
+    client.client.rawRequest
+      .mockRejectedValueOnce(httpError(401))
+      .mockRejectedValueOnce(httpError(401));
+
+    await expect(client.request('query { viewer { login } }')).rejects.toThrow('HTTP 401');
+    expect(client.credential.invalidate).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after maxRetries', async () => {
+    const client = createClient();
+    client.client.rawRequest.mockRejectedValue(httpError(503));
+
+    await expect(client.request('query { viewer { login } }')).rejects.toThrow('HTTP 503');
+    expect(client.client.rawRequest).toHaveBeenCalledTimes(3);
+  });
+
+  test('counts the points each request spends', async () => {
+    const client = createClient();
+    const headers = (used) => ({ 'x-ratelimit-remaining': String(5000 - used), 'x-ratelimit-used': String(used), 'x-ratelimit-limit': '5000', 'x-ratelimit-reset': '2000000000' });
+    client.client.rawRequest
+      .mockResolvedValueOnce({ data: {}, headers: headers(10) })
+      .mockResolvedValueOnce({ data: {}, headers: headers(13) });
+
+    await client.request('query { a }');
+    await client.request('query { b }');
+
+    expect(client.getRateLimit()).toMatchObject({ limit: 5000, remaining: 4987, used: 13, cost: 3 });
+  });
+
+  test('keeps at most maxConcurrency requests in flight', async () => {
+    const client = createClient({ maxConcurrency: 2 });
+    let active = 0;
+    let peak = 0;
+    client.client.rawRequest.mockImplementation(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setImmediate(resolve));
+      active--;
+      return { data: {}, headers: {} };
+    });
+
+    await Promise.all([1, 2, 3, 4, 5].map(n => client.request(`query { q${n} }`)));
+
+    expect(client.client.rawRequest).toHaveBeenCalledTimes(5);
+    expect(peak).toBe(2);
+  });
+
+  test('sends one mutation at a time, across clients sharing a credential', async () => {
+    const first = createClient({ maxConcurrency: 4, mutationInterval: 0 });
+    const second = new GitHubClient('https://api.github.com/graphql', { credential: first.credential, retryDelay: 0, mutationInterval: 0 });
+    let mutating = 0;
+    let overlapped = false;
+    const perform = async () => {
+      mutating++;
+      overlapped = overlapped || mutating > 1;
+      await new Promise(resolve => setImmediate(resolve));
+      mutating--;
+      return { data: {}, headers: {} };
+    };
+    first.client.rawRequest.mockImplementation(perform);
+    second.client.rawRequest = jest.fn(perform);
+
+    await Promise.all([
+      first.request('mutation { a }'),
+      second.request('mutation { b }'),
+      first.request('mutation { c }')
+    ]);
+
+    expect(overlapped).toBe(false);
+  });
+
+  test('waits for Retry-After on a secondary rate limit', () => {
+    const client = createClient();
+    const error = httpError(403, [], { 'retry-after': '30' });
+
+    expect(client._getRetry(error, 0, true)).toEqual({ delay: 30000, reason: 'secondary rate limit', pauseAll: true });
+    expect(client._getRetry(httpError(403, [{ message: 'You have exceeded a secondary rate limit' }]), 0).reason).toBe('secondary rate limit');
+    expect(client._getRetry(httpError(403), 0)).toBeNull();
+  });
+});
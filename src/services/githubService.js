@@ -1,18 +1,162 @@
-const { GraphQLClient, gql } = require('graphql-request');
+const { gql } = require('graphql-request');
+const config = require('../config/github');
+const GitHubClient = require('./githubClient');
+const { TokenCredential } = require('./credentialStore');
+const { readMarker } = require('../utils/fingerprint');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fields returned for every created issue
+const CREATED_ISSUE_FRAGMENT = `
+  fragment CreatedIssue on Issue {
+    id
+    number
+    title
+    body
+    url
+    createdAt
+    state
+    labels(first: 10) {
+      nodes {
+        name
+        color
+      }
+    }
+    assignees(first: 10) {
+      nodes {
+        login
+        name
+      }
+    }
+  }
+`;
+
+// Field values of a project item, each with the name of its field
+const FIELD_VALUES_FRAGMENT = `
+  fragment ItemFieldValues on ProjectV2ItemFieldValueConnection {
+    nodes {
+      ... on ProjectV2ItemFieldTextValue {
+        text
+        field {
+          ... on ProjectV2FieldCommon {
+            name
+          }
+        }
+      }
+      ... on ProjectV2ItemFieldNumberValue {
+        number
+        field {
+          ... on ProjectV2FieldCommon {
+            name
+          }
+        }
+      }
+      ... on ProjectV2ItemFieldDateValue {
+        date
+        field {
+          ... on ProjectV2FieldCommon {
+            name
+          }
+        }
+      }
+      ... on ProjectV2ItemFieldSingleSelectValue {
+        name
+        field {
+          ... on ProjectV2FieldCommon {
+            name
+          }
+        }
+      }
+      ... on ProjectV2ItemFieldIterationValue {
+        title
+        field {
+          ... on ProjectV2FieldCommon {
+            name
+          }
+        }
+      }
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+`;
+
+// Fields returned for every project
+const PROJECT_FRAGMENT = `
+  fragment ProjectSummary on ProjectV2 {
+    id
+    number
+    title
+    shortDescription
+    url
+    closed
+    public
+    createdAt
+    updatedAt
+  }
+`;
 
 /**
  * GitHub Service
  * Provides GraphQL client implementation for creating issues and managing projects
+ * Requests go through GitHubClient, which throttles, retries and respects rate limits
  */
 class GitHubService {
-  constructor(token) {
-    this.token = token;
-    this.endpoint = 'https://api.github.com/graphql';
-    this.client = new GraphQLClient(this.endpoint, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
+  /**
+   * @param {string|Object} credential - GitHub token, or a credential from CredentialStore
+   */
+  constructor(credential) {
+    this.endpoint = `${config.restEndpoint}/graphql`;
+    this.credential = typeof credential === 'string' ? new TokenCredential(credential) : credential;
+    this.client = new GitHubClient(this.endpoint, { credential: this.credential });
+    this.batchSize = config.batchSize;
+    this.cacheTtl = config.cacheTtl;
+    this.cache = new Map();
+  }
+
+  /**
+   * Return a cached lookup, or run it and cache the result for cacheTtl
+   * Failed lookups are not cached
+   * @private
+   * @param {string} key - Cache key
+   * @param {Function} load - async () => value
+   * @returns {Promise<*>} Cached or loaded value
+   */
+  _cached(key, load) {
+    const entry = this.cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+
+    // The promise is cached so concurrent lookups of the same key share one request
+    const value = load().catch((error) => {
+      this.cache.delete(key);
+      throw error;
     });
+    this.cache.set(key, { value, expiresAt: Date.now() + this.cacheTtl });
+    return value;
+  }
+
+  /**
+   * Forget cached lookups, e.g. after labels or milestones changed on GitHub
+   * @param {string} prefix - Only clear keys starting with this prefix
+   */
+  clearCache(prefix = '') {
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(prefix)) {
+        this.cache.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get the rate limit status of the token used by this service
+   * @returns {Object} { limit, remaining, used, resetAt, cost }
+   */
+  getRateLimit() {
+    return this.client.getRateLimit();
   }
 
   /**
@@ -24,44 +168,420 @@ class GitHubService {
    * @param {string} params.body - Issue body/description
    * @param {Array<string>} params.labels - Issue labels
    * @param {Array<string>} params.assignees - User logins to assign
+   * @param {string} params.milestone - Milestone title
    * @returns {Promise<Object>} Created issue object
    */
-  async createIssue({ owner, repo, title, body, labels = [], assignees = [] }) {
-    const mutation = gql`
-      mutation CreateIssue(
-        $repositoryId: ID!
-        $title: String!
-        $body: String
-        $labelIds: [ID!]
-        $assigneeIds: [ID!]
-      ) {
-        createIssue(
-          input: {
-            repositoryId: $repositoryId
-            title: $title
-            body: $body
-            labelIds: $labelIds
-            assigneeIds: $assigneeIds
+  async createIssue({ owner, repo, ...issue }) {
+    const [result] = await this.createIssues(owner, repo, [issue]);
+
+    if (result.error) {
+      throw new Error(`Failed to create issue: ${result.error}`);
+    }
+
+    return result.issue;
+  }
+
+  /**
+   * Create several issues in a repository
+   * Issues are sent in batches of aliased createIssue mutations, one request
+   * per batch; each issue still succeeds or fails on its own. When a batch
+   * fails in transit GitHub may have created some of its issues, so they are
+   * looked up by the fingerprint marker in their body and only the missing
+   * ones are sent again; issues without a marker are reported as failed
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<Object>} issues - Issue parameters ({ title, body, labels, assignees, milestone })
+   * @returns {Promise<Array<{issue: Object}|{error: string}>>} Outcome per issue, in input order
+   */
+  async createIssues(owner, repo, issues) {
+    const results = new Array(issues.length);
+    const batch = [];
+
+    // Resolve names to IDs first; lookups are cached, so this costs a few requests per import
+    for (const [index, issue] of issues.entries()) {
+      try {
+        batch.push({ index, input: await this._buildIssueInput(owner, repo, issue) });
+      } catch (error) {
+        results[index] = { error: error.message };
+      }
+    }
+
+    for (let start = 0; start < batch.length; start += this.batchSize) {
+      let chunk = batch.slice(start, start + this.batchSize);
+
+      for (let attempt = 0; chunk.length > 0; attempt++) {
+        let data;
+        let errors = [];
+        try {
+          data = await this.client.request(this._createIssuesMutation(chunk), Object.fromEntries(
+            chunk.map(({ input }, n) => [`input${n}`, input])
+          ));
+        } catch (error) {
+          if (!error.response || !error.response.data) {
+            if (GitHubClient.isTransient(error) && attempt < this.client.options.maxRetries) {
+              await sleep(this.client.options.retryDelay * 2 ** attempt);
+              chunk = await this._findUncreatedIssues(owner, repo, chunk, results, error);
+              continue;
+            }
+            chunk.forEach(({ index }) => {
+              results[index] = { error: error.message };
+            });
+            break;
           }
+          // A failed alias comes back as null next to the others, with its own error
+          data = error.response.data;
+          errors = error.response.errors || [];
+        }
+
+        chunk.forEach(({ index }, n) => {
+          const created = data[`issue${n}`];
+          if (created && created.issue) {
+            results[index] = { issue: created.issue };
+            return;
+          }
+
+          const aliasError = errors.find(e => e.path && e.path[0] === `issue${n}`);
+          results[index] = { error: aliasError ? aliasError.message : 'Issue was not created' };
+        });
+        break;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Build the aliased mutation creating a batch of issues
+   * @private
+   * @param {Array<Object>} chunk - Batch entries ({ index, input })
+   * @returns {string} GraphQL mutation taking $input0, $input1...
+   */
+  _createIssuesMutation(chunk) {
+    const definitions = chunk.map((entry, n) => `$input${n}: CreateIssueInput!`);
+    const fields = chunk.map((entry, n) => `issue${n}: createIssue(input: $input${n}) { issue { ...CreatedIssue } }`);
+
+    return `
+      mutation CreateIssues(${definitions.join(', ')}) {
+        ${fields.join('\n        ')}
+      }
+      ${CREATED_ISSUE_FRAGMENT}
+    `;
+  }
+
+  /**
+   * After a batch failed in transit, record the issues GitHub created anyway
+   * @private
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<Object>} chunk - Batch entries ({ index, input })
+   * @param {Array<Object>} results - Outcomes, filled in for found and unrecoverable issues
+   * @param {Error} error - Error of the failed batch
+   * @returns {Promise<Array<Object>>} Entries still to create
+   */
+  async _findUncreatedIssues(owner, repo, chunk, results, error) {
+    // New issues come first, and a batch is far smaller than a page
+    let nodes;
+    try {
+      ({ nodes } = await this.getRepositoryIssuesPage(owner, repo, { state: 'ALL', first: 100 }));
+    } catch (lookupError) {
+      chunk.forEach(({ index }) => {
+        results[index] = { error: `${error.message}; the issue may have been created anyway` };
+      });
+      return [];
+    }
+
+    const byMarker = new Map();
+    for (const issue of nodes) {
+      const marker = readMarker(issue.body);
+      if (marker) {
+        byMarker.set(`${marker.document}:${marker.fingerprint}`, issue);
+      }
+    }
+
+    return chunk.filter(({ index, input }) => {
+      const marker = readMarker(input.body);
+      if (!marker) {
+        results[index] = { error: `${error.message}; the issue may have been created anyway` };
+        return false;
+      }
+
+      const issue = byMarker.get(`${marker.document}:${marker.fingerprint}`);
+      if (issue) {
+        results[index] = { issue };
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Build the CreateIssueInput for an issue, resolving names to IDs
+   * @private
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} issue - Issue parameters ({ title, body, labels, assignees, milestone })
+   * @returns {Promise<Object>} CreateIssueInput
+   */
+  async _buildIssueInput(owner, repo, { title, body, labels = [], assignees = [], milestone = null }) {
+    const repositoryId = await this.getRepositoryId(owner, repo);
+
+    return {
+      repositoryId,
+      title,
+      body: body || '',
+      labelIds: labels.length > 0 ? await this.getLabelIds(repositoryId, labels) : [],
+      assigneeIds: assignees.length > 0 ? await this.getAssigneeIds(assignees) : [],
+      milestoneId: milestone ? await this.getMilestoneId(owner, repo, milestone) : null,
+    };
+  }
+
+  /**
+   * Get repository ID by owner and name
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<string>} Repository ID
+   */
+  async getRepositoryId(owner, repo) {
+    const query = gql`
+      query GetRepositoryId($owner: String!, $name: String!) {
+        repository(owner: $owner, name: $name) {
+          id
+        }
+      }
+    `;
+
+    return this._cached(`repository:${owner}/${repo}`.toLowerCase(), async () => {
+      try {
+        const data = await this.client.request(query, { owner, name: repo });
+        return data.repository.id;
+      } catch (error) {
+        throw new Error(`Failed to get repository ID: ${error.message}`, { cause: error });
+      }
+    });
+  }
+
+  /**
+   * Get label IDs by label names
+   * Names are matched case-insensitively; labels missing from the repository are skipped
+   * @param {string} repositoryId - Repository ID
+   * @param {Array<string>} labels - Label names
+   * @returns {Promise<Array<string>>} Label IDs
+   */
+  async getLabelIds(repositoryId, labels) {
+    const existing = await this.getRepositoryLabels(repositoryId);
+    const byName = new Map(existing.map(label => [label.name.toLowerCase(), label.id]));
+
+    return labels
+      .map(name => byName.get(name.toLowerCase()))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get every label of a repository
+   * @param {string} repositoryId - Repository ID
+   * @returns {Promise<Array<Object>>} Labels ({ id, name, color, description })
+   */
+  async getRepositoryLabels(repositoryId) {
+    const query = gql`
+      query GetLabels($repositoryId: ID!, $after: String) {
+        node(id: $repositoryId) {
+          ... on Repository {
+            labels(first: 100, after: $after) {
+              nodes {
+                id
+                name
+                color
+                description
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    return this._cached(`labels:${repositoryId}`, async () => {
+      try {
+        const labels = [];
+        let after = null;
+
+        do {
+          const data = await this.client.request(query, { repositoryId, after });
+          labels.push(...data.node.labels.nodes);
+          after = data.node.labels.pageInfo.hasNextPage ? data.node.labels.pageInfo.endCursor : null;
+        } while (after);
+
+        return labels;
+      } catch (error) {
+        throw new Error(`Failed to get label IDs: ${error.message}`, { cause: error });
+      }
+    });
+  }
+
+  /**
+   * Get milestone ID by title
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} title - Milestone title
+   * @returns {Promise<string>} Milestone ID
+   */
+  async getMilestoneId(owner, repo, title) {
+    const milestones = await this.getRepositoryMilestones(owner, repo);
+    const milestone = milestones.find(
+      (node) => node.title.toLowerCase() === title.toLowerCase()
+    );
+
+    if (!milestone) {
+      throw new Error(`Failed to get milestone ID: Milestone "${title}" does not exist`);
+    }
+
+    return milestone.id;
+  }
+
+  /**
+   * Get every milestone of a repository, open and closed
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array<Object>>} Milestones ({ id, number, title, state, dueOn })
+   */
+  async getRepositoryMilestones(owner, repo) {
+    const query = gql`
+      query GetMilestones($owner: String!, $repo: String!, $after: String) {
+        repository(owner: $owner, name: $repo) {
+          milestones(first: 100, after: $after) {
+            nodes {
+              id
+              number
+              title
+              state
+              dueOn
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `;
+
+    return this._cached(`milestones:${owner}/${repo}`.toLowerCase(), async () => {
+      try {
+        const milestones = [];
+        let after = null;
+
+        do {
+          const data = await this.client.request(query, { owner, repo, after });
+          milestones.push(...data.repository.milestones.nodes);
+          after = data.repository.milestones.pageInfo.hasNextPage ? data.repository.milestones.pageInfo.endCursor : null;
+        } while (after);
+
+        return milestones;
+      } catch (error) {
+        throw new Error(`Failed to get milestones: ${error.message}`, { cause: error });
+      }
+    });
+  }
+
+  /**
+   * Create a label in a repository
+   * @param {Object} params - Parameters for creating a label
+   * @param {string} params.repositoryId - Repository ID
+   * @param {string} params.name - Label name
+   * @param {string} params.color - Hex color without "#"
+   * @param {string} params.description - Label description
+   * @returns {Promise<Object>} Created label ({ id, name, color, description })
+   */
+  async createLabel({ repositoryId, name, color, description = '' }) {
+    const mutation = gql`
+      mutation CreateLabel($repositoryId: ID!, $name: String!, $color: String!, $description: String) {
+        createLabel(
+          input: { repositoryId: $repositoryId, name: $name, color: $color, description: $description }
         ) {
-          issue {
+          label {
             id
-            number
+            name
+            color
+            description
+          }
+        }
+      }
+    `;
+
+    try {
+      const data = await this.client.request(mutation, {
+        repositoryId,
+        name,
+        color,
+        description,
+      });
+
+      this.clearCache(`labels:${repositoryId}`);
+      return data.createLabel.label;
+    } catch (error) {
+      throw new Error(`Failed to create label: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Create a milestone in a repository
+   * The GraphQL API has no milestone mutation, so this uses the REST API
+   * @param {Object} params - Parameters for creating a milestone
+   * @param {string} params.owner - Repository owner
+   * @param {string} params.repo - Repository name
+   * @param {string} params.title - Milestone title
+   * @param {string} params.description - Milestone description
+   * @param {string} params.dueOn - Due date (YYYY-MM-DD)
+   * @returns {Promise<Object>} Created milestone ({ id, number, title, state, dueOn })
+   */
+  async createMilestone({ owner, repo, title, description = '', dueOn = null }) {
+    try {
+      const milestone = await this.client.rest('POST', `/repos/${owner}/${repo}/milestones`, {
+        title,
+        description,
+        ...(dueOn && { due_on: new Date(dueOn).toISOString() }),
+      });
+
+      this.clearCache(`milestones:${owner}/${repo}`.toLowerCase());
+      return {
+        id: milestone.node_id,
+        number: milestone.number,
+        title: milestone.title,
+        state: milestone.state.toUpperCase(),
+        dueOn: milestone.due_on,
+      };
+    } catch (error) {
+      throw new Error(`Failed to create milestone: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get the Markdown issue templates of a repository (.github/ISSUE_TEMPLATE)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @returns {Promise<Array<Object>>} Templates ({ name, filename, about, title, body, labels, assignees })
+   */
+  async getIssueTemplates(owner, repo) {
+    const query = gql`
+      query GetIssueTemplates($owner: String!, $repo: String!) {
+        repository(owner: $owner, name: $repo) {
+          issueTemplates {
+            name
+            filename
+            about
             title
             body
-            url
-            createdAt
-            state
-            labels(first: 10) {
+            labels(first: 20) {
               nodes {
                 name
-                color
               }
             }
             assignees(first: 10) {
               nodes {
                 login
-                name
               }
             }
           }
@@ -69,252 +589,693 @@ class GitHubService {
       }
     `;
 
-    try {
-      // Get repository ID
-      const repoId = await this.getRepositoryId(owner, repo);
+    return this._cached(`issueTemplates:${owner}/${repo}`.toLowerCase(), async () => {
+      try {
+        const data = await this.client.request(query, { owner, repo });
+
+        return (data.repository.issueTemplates || []).map(template => ({
+          ...template,
+          labels: template.labels.nodes.map(label => label.name),
+          assignees: template.assignees.nodes.map(user => user.login),
+        }));
+      } catch (error) {
+        throw new Error(`Failed to get issue templates: ${error.message}`, { cause: error });
+      }
+    });
+  }
+
+  /**
+   * Get assignee IDs by user logins
+   * The lookups run in parallel up to the client's concurrency limit
+   * @param {Array<string>} logins - User logins
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  async getAssigneeIds(logins) {
+    const promises = logins.map((login) => this.getUserId(login));
+    return Promise.all(promises);
+  }
+
+  /**
+   * Get user ID by login
+   * @param {string} login - User login
+   * @returns {Promise<string>} User ID
+   */
+  async getUserId(login) {
+    const query = gql`
+      query GetUser($login: String!) {
+        user(login: $login) {
+          id
+        }
+      }
+    `;
+
+    return this._cached(`user:${login}`.toLowerCase(), async () => {
+      try {
+        const data = await this.client.request(query, { login });
+        return data.user.id;
+      } catch (error) {
+        throw new Error(`Failed to get user ID for ${login}: ${error.message}`, { cause: error });
+      }
+    });
+  }
+
+  /**
+   * Get the user the token belongs to
+   * @returns {Promise<Object>} User ({ id, login })
+   */
+  async getViewer() {
+    const query = gql`
+      query GetViewer {
+        viewer {
+          id
+          login
+        }
+      }
+    `;
+
+    return this._cached('viewer', async () => {
+      try {
+        const data = await this.client.request(query);
+        return data.viewer;
+      } catch (error) {
+        throw new Error(`Failed to get authenticated user: ${error.message}`, { cause: error });
+      }
+    });
+  }
+
+  /**
+   * Get the node ID and type of a user or organization
+   * @param {string} login - User or organization login
+   * @returns {Promise<Object>} Owner ({ id, login, type })
+   */
+  async getOwner(login) {
+    const query = gql`
+      query GetOwner($login: String!) {
+        repositoryOwner(login: $login) {
+          id
+          login
+          __typename
+        }
+      }
+    `;
+
+    return this._cached(`owner:${login}`.toLowerCase(), async () => {
+      try {
+        const data = await this.client.request(query, { login });
 
-      // Get label IDs
-      let labelIds = [];
-      if (labels.length > 0) {
-        labelIds = await this.getLabelIds(repoId, labels);
+        if (!data.repositoryOwner) {
+          throw new Error(`No user or organization named ${login}`);
+        }
+
+        const { __typename: type, ...owner } = data.repositoryOwner;
+        return { ...owner, type };
+      } catch (error) {
+        throw new Error(`Failed to get owner: ${error.message}`, { cause: error });
       }
+    });
+  }
 
-      // Get assignee IDs
-      let assigneeIds = [];
-      if (assignees.length > 0) {
-        assigneeIds = await this.getAssigneeIds(assignees);
+  /**
+   * Create a Projects V2 board
+   * @param {Object} params - Parameters for creating a project
+   * @param {string} params.ownerId - Owner ID (user or organization)
+   * @param {string} params.title - Project title
+   * @param {string} params.description - Project short description
+   * @param {string} params.repositoryId - Repository to link the project to
+   * @returns {Promise<Object>} Created project object
+   */
+  async createProject({ ownerId, title, description = '', repositoryId = null }) {
+    const mutation = gql`
+      mutation CreateProject($ownerId: ID!, $title: String!, $repositoryId: ID) {
+        createProjectV2(
+          input: { ownerId: $ownerId, title: $title, repositoryId: $repositoryId }
+        ) {
+          projectV2 {
+            ...ProjectSummary
+          }
+        }
+      }
+      ${PROJECT_FRAGMENT}
+    `;
+
+    try {
+      const data = await this.client.request(mutation, { ownerId, title, repositoryId });
+      const project = data.createProjectV2.projectV2;
+
+      // The short description cannot be given on creation
+      return description
+        ? this.updateProject({ projectId: project.id, description })
+        : project;
+    } catch (error) {
+      throw new Error(`Failed to create project: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Update a Projects V2 board
+   * @param {Object} params - Parameters for updating a project
+   * @param {string} params.projectId - Project ID
+   * @param {string} params.title - Updated title
+   * @param {string} params.description - Updated short description
+   * @param {boolean} params.closed - Whether the project is closed
+   * @returns {Promise<Object>} Updated project object
+   */
+  async updateProject({ projectId, title, description, closed }) {
+    const mutation = gql`
+      mutation UpdateProject($projectId: ID!, $title: String, $description: String, $closed: Boolean) {
+        updateProjectV2(
+          input: { projectId: $projectId, title: $title, shortDescription: $description, closed: $closed }
+        ) {
+          projectV2 {
+            ...ProjectSummary
+          }
+        }
       }
+      ${PROJECT_FRAGMENT}
+    `;
 
+    try {
       const variables = {
-        repositoryId: repoId,
-        title,
-        body: body || '',
-        labelIds,
-        assigneeIds,
+        projectId,
+        ...(title && { title }),
+        ...(description !== undefined && { description }),
+        ...(closed !== undefined && { closed }),
       };
 
       const data = await this.client.request(mutation, variables);
-      return data.createIssue.issue;
+      return data.updateProjectV2.projectV2;
     } catch (error) {
-      throw new Error(`Failed to create issue: ${error.message}`);
+      throw new Error(`Failed to update project: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Get repository ID by owner and name
+   * Get a Projects V2 board
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object|null>} Project, or null if it does not exist
+   */
+  async getProject(projectId) {
+    const query = gql`
+      query GetProject($projectId: ID!) {
+        node(id: $projectId) {
+          ... on ProjectV2 {
+            ...ProjectSummary
+          }
+        }
+      }
+      ${PROJECT_FRAGMENT}
+    `;
+
+    try {
+      const data = await this.client.request(query, { projectId });
+      return data.node && data.node.id ? data.node : null;
+    } catch (error) {
+      const errors = (error.response && error.response.errors) || [];
+      if (errors.length > 0 && errors.every(e => e.type === 'NOT_FOUND')) {
+        return null;
+      }
+      throw new Error(`Failed to get project: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get one page of the Projects V2 boards of a user or organization
+   * @param {string} login - User or organization login
+   * @param {Object} options - Pagination options
+   * @param {number} options.first - Number of projects to fetch
+   * @param {string} options.after - Cursor of the previous page
+   * @returns {Promise<{nodes: Array<Object>, pageInfo: Object, totalCount: number}>} Projects and pagination info
+   */
+  async getOwnerProjectsPage(login, { first = 20, after = null } = {}) {
+    const query = gql`
+      query GetOwnerProjects($login: String!, $first: Int!, $after: String) {
+        repositoryOwner(login: $login) {
+          ... on ProjectV2Owner {
+            projectsV2(first: $first, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+              totalCount
+              nodes {
+                ...ProjectSummary
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        }
+      }
+      ${PROJECT_FRAGMENT}
+    `;
+
+    try {
+      const data = await this.client.request(query, { login, first, after });
+
+      if (!data.repositoryOwner) {
+        throw new Error(`No user or organization named ${login}`);
+      }
+
+      return data.repositoryOwner.projectsV2;
+    } catch (error) {
+      throw new Error(`Failed to get projects: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get one page of the Projects V2 boards linked to a repository
    * @param {string} owner - Repository owner
    * @param {string} repo - Repository name
-   * @returns {Promise<string>} Repository ID
+   * @param {Object} options - Pagination options
+   * @param {number} options.first - Number of projects to fetch
+   * @param {string} options.after - Cursor of the previous page
+   * @returns {Promise<{nodes: Array<Object>, pageInfo: Object, totalCount: number}>} Projects and pagination info
    */
-  async getRepositoryId(owner, repo) {
+  async getRepositoryProjectsPage(owner, repo, { first = 20, after = null } = {}) {
     const query = gql`
-      query GetRepositoryId($owner: String!, $name: String!) {
-        repository(owner: $owner, name: $name) {
-          id
+      query GetRepositoryProjects($owner: String!, $repo: String!, $first: Int!, $after: String) {
+        repository(owner: $owner, name: $repo) {
+          projectsV2(first: $first, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+            totalCount
+            nodes {
+              ...ProjectSummary
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
         }
       }
+      ${PROJECT_FRAGMENT}
     `;
 
     try {
-      const data = await this.client.request(query, { owner, name: repo });
-      return data.repository.id;
+      const data = await this.client.request(query, { owner, repo, first, after });
+      return data.repository.projectsV2;
     } catch (error) {
-      throw new Error(`Failed to get repository ID: ${error.message}`);
+      throw new Error(`Failed to get projects: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Get label IDs by label names
-   * @param {string} repositoryId - Repository ID
-   * @param {Array<string>} labels - Label names
-   * @returns {Promise<Array<string>>} Label IDs
+   * Get projects for a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} first - Number of projects to fetch
+   * @returns {Promise<Array<Object>>} Array of projects
    */
-  async getLabelIds(repositoryId, labels) {
+  async getRepositoryProjects(owner, repo, first = 10) {
+    const page = await this.getRepositoryProjectsPage(owner, repo, { first });
+    return page.nodes;
+  }
+
+  /**
+   * Get the repository an issue or pull request belongs to
+   * @param {string} contentId - Issue or pull request node ID
+   * @returns {Promise<{owner: string, repo: string}|null>} Repository, or null when the node is neither
+   */
+  async getContentRepository(contentId) {
     const query = gql`
-      query GetLabels($repositoryId: ID!, $labelNames: [String!]!) {
-        repository(id: $repositoryId) {
-          labels(first: 100, query: $labelNames) {
-            nodes {
-              id
+      query GetContentRepository($contentId: ID!) {
+        node(id: $contentId) {
+          ... on Issue {
+            repository {
               name
+              owner {
+                login
+              }
+            }
+          }
+          ... on PullRequest {
+            repository {
+              name
+              owner {
+                login
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    try {
+      const data = await this.client.request(query, { contentId });
+      const repository = data.node && data.node.repository;
+      return repository ? { owner: repository.owner.login, repo: repository.name } : null;
+    } catch (error) {
+      const errors = (error.response && error.response.errors) || [];
+      if (errors.length > 0 && errors.every(e => e.type === 'NOT_FOUND')) {
+        return null;
+      }
+      throw new Error(`Failed to get content repository: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Add issue to project
+   * @param {Object} params - Parameters for adding issue to project
+   * @param {string} params.projectId - Project ID
+   * @param {string} params.issueId - Issue ID
+   * @returns {Promise<Object>} Project item object
+   */
+  async addIssueToProject({ projectId, issueId }) {
+    const mutation = gql`
+      mutation AddIssueToProject($projectId: ID!, $issueId: ID!) {
+        addProjectV2ItemById(input: { projectId: $projectId, contentId: $issueId }) {
+          item {
+            id
+            contentType
+            type
+            createdAt
+          }
+        }
+      }
+    `;
+
+    try {
+      const variables = {
+        projectId,
+        issueId,
+      };
+
+      const data = await this.client.request(mutation, variables);
+      return data.addProjectV2ItemById.item;
+    } catch (error) {
+      throw new Error(`Failed to add issue to project: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Remove an item from a project; the issue itself is kept
+   * @param {Object} params - Parameters for removing the item
+   * @param {string} params.projectId - Project ID
+   * @param {string} params.itemId - Project item ID
+   * @returns {Promise<string>} ID of the removed item
+   */
+  async deleteProjectItem({ projectId, itemId }) {
+    const mutation = gql`
+      mutation DeleteProjectItem($projectId: ID!, $itemId: ID!) {
+        deleteProjectV2Item(input: { projectId: $projectId, itemId: $itemId }) {
+          deletedItemId
+        }
+      }
+    `;
+
+    try {
+      const data = await this.client.request(mutation, { projectId, itemId });
+      return data.deleteProjectV2Item.deletedItemId;
+    } catch (error) {
+      throw new Error(`Failed to remove project item: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get the fields of a Projects V2 board, with single-select options and iterations
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array<Object>>} Array of fields ({ id, name, dataType, options?, iterations? })
+   */
+  async getProjectFields(projectId) {
+    const query = gql`
+      query GetProjectFields($projectId: ID!, $after: String) {
+        node(id: $projectId) {
+          ... on ProjectV2 {
+            fields(first: 50, after: $after) {
+              nodes {
+                ... on ProjectV2FieldCommon {
+                  id
+                  name
+                  dataType
+                }
+                ... on ProjectV2SingleSelectField {
+                  options {
+                    id
+                    name
+                  }
+                }
+                ... on ProjectV2IterationField {
+                  configuration {
+                    iterations {
+                      id
+                      title
+                      startDate
+                    }
+                  }
+                }
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
             }
           }
         }
       }
     `;
 
-    try {
-      const data = await this.client.request(query, {
-        repositoryId,
-        labelNames: labels,
-      });
+    return this._cached(`projectFields:${projectId}`, async () => {
+      try {
+        const nodes = [];
+        let after = null;
 
-      return data.repository.labels.nodes.map((label) => label.id);
-    } catch (error) {
-      throw new Error(`Failed to get label IDs: ${error.message}`);
-    }
-  }
+        do {
+          const data = await this.client.request(query, { projectId, after });
 
-  /**
-   * Get assignee IDs by user logins
-   * @param {Array<string>} logins - User logins
-   * @returns {Promise<Array<string>>} User IDs
-   */
-  async getAssigneeIds(logins) {
-    const promises = logins.map((login) => this.getUserId(login));
-    return Promise.all(promises);
+          if (!data.node || !data.node.fields) {
+            throw new Error(`Project ${projectId} not found`);
+          }
+
+          nodes.push(...data.node.fields.nodes);
+          after = data.node.fields.pageInfo.hasNextPage ? data.node.fields.pageInfo.endCursor : null;
+        } while (after);
+
+        return nodes.map(({ configuration, ...field }) => ({
+          ...field,
+          ...(configuration && { iterations: configuration.iterations }),
+        }));
+      } catch (error) {
+        throw new Error(`Failed to get project fields: ${error.message}`, { cause: error });
+      }
+    });
   }
 
   /**
-   * Get user ID by login
-   * @param {string} login - User login
-   * @returns {Promise<string>} User ID
+   * Get one page of the items of a Projects V2 board with their field values
+   * @param {string} projectId - Project ID
+   * @param {Object} options - Pagination options
+   * @param {number} options.first - Number of items to fetch
+   * @param {string} options.after - Cursor of the previous page
+   * @returns {Promise<{nodes: Array<Object>, pageInfo: Object}>} Items ({ id, type, content, fields }) and pagination info
    */
-  async getUserId(login) {
+  async getProjectItemsPage(projectId, { first = 50, after = null } = {}) {
     const query = gql`
-      query GetUser($login: String!) {
-        user(login: $login) {
-          id
+      query GetProjectItems($projectId: ID!, $first: Int!, $after: String) {
+        node(id: $projectId) {
+          ... on ProjectV2 {
+            items(first: $first, after: $after) {
+              nodes {
+                id
+                type
+                content {
+                  ... on Issue {
+                    id
+                    number
+                    title
+                    url
+                    state
+                  }
+                  ... on PullRequest {
+                    id
+                    number
+                    title
+                    url
+                    state
+                  }
+                  ... on DraftIssue {
+                    id
+                    title
+                  }
+                }
+                fieldValues(first: 50) {
+                  ...ItemFieldValues
+                }
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
         }
       }
+      ${FIELD_VALUES_FRAGMENT}
     `;
 
     try {
-      const data = await this.client.request(query, { login });
-      return data.user.id;
+      const data = await this.client.request(query, { projectId, first, after });
+
+      if (!data.node || !data.node.items) {
+        throw new Error(`Project ${projectId} not found`);
+      }
+
+      const { nodes, pageInfo } = data.node.items;
+      const items = [];
+      for (const { fieldValues, ...item } of nodes) {
+        const values = [...fieldValues.nodes];
+        for (let page = fieldValues.pageInfo; page.hasNextPage;) {
+          const next = await this._getItemFieldValuesPage(item.id, page.endCursor);
+          values.push(...next.nodes);
+          page = next.pageInfo;
+        }
+
+        items.push({
+          ...item,
+          fields: Object.fromEntries(values
+            .filter(value => value.field)
+            .map(({ field, ...value }) => [field.name, Object.values(value)[0]])),
+        });
+      }
+
+      return { nodes: items, pageInfo };
     } catch (error) {
-      throw new Error(`Failed to get user ID for ${login}: ${error.message}`);
+      throw new Error(`Failed to get project items: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Create a GitHub project
-   * @param {Object} params - Parameters for creating a project
-   * @param {string} params.ownerId - Owner ID (user or organization)
-   * @param {string} params.title - Project title
-   * @param {string} params.description - Project description
-   * @returns {Promise<Object>} Created project object
+   * Get the field values of a project item past the first page
+   * @private
+   * @param {string} itemId - Project item ID
+   * @param {string} after - Cursor of the previous page
+   * @returns {Promise<{nodes: Array<Object>, pageInfo: Object}>} Field values and pagination info
    */
-  async createProject({ ownerId, title, description = '' }) {
-    const mutation = gql`
-      mutation CreateProject($ownerId: ID!, $title: String!, $description: String) {
-        createProject(
-          input: { ownerId: $ownerId, title: $title, body: $description }
-        ) {
-          project {
-            id
-            title
-            body
-            url
-            createdAt
-            state
+  async _getItemFieldValuesPage(itemId, after) {
+    const query = gql`
+      query GetItemFieldValues($itemId: ID!, $after: String) {
+        node(id: $itemId) {
+          ... on ProjectV2Item {
+            fieldValues(first: 100, after: $after) {
+              ...ItemFieldValues
+            }
           }
         }
       }
+      ${FIELD_VALUES_FRAGMENT}
     `;
 
-    try {
-      const variables = {
-        ownerId,
-        title,
-        description,
-      };
+    const data = await this.client.request(query, { itemId, after });
+    return data.node.fieldValues;
+  }
 
-      const data = await this.client.request(mutation, variables);
-      return data.createProject.project;
-    } catch (error) {
-      throw new Error(`Failed to create project: ${error.message}`);
-    }
+  /**
+   * Get every item of a Projects V2 board, following pagination
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array<Object>>} Items ({ id, type, content, fields })
+   */
+  async getAllProjectItems(projectId) {
+    const items = [];
+    let after = null;
+
+    do {
+      const page = await this.getProjectItemsPage(projectId, { first: 100, after });
+      items.push(...page.nodes);
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    return items;
   }
 
   /**
-   * Get projects for a repository
-   * @param {string} owner - Repository owner
-   * @param {string} repo - Repository name
-   * @param {number} first - Number of projects to fetch
-   * @returns {Promise<Array<Object>>} Array of projects
+   * Set a field value on a project item
+   * @param {Object} params - Parameters for updating the field
+   * @param {string} params.projectId - Project ID
+   * @param {string} params.itemId - Project item ID
+   * @param {string} params.fieldId - Field ID
+   * @param {Object} params.value - Field value ({ text }, { number }, { date }, { singleSelectOptionId } or { iterationId })
+   * @returns {Promise<Object>} Updated project item
    */
-  async getRepositoryProjects(owner, repo, first = 10) {
-    const query = gql`
-      query GetRepositoryProjects($owner: String!, $repo: String!, $first: Int!) {
-        repository(owner: $owner, name: $repo) {
-          projectsV2(first: $first) {
-            nodes {
-              id
-              title
-              url
-              state
-              createdAt
-              updatedAt
-            }
+  async updateProjectItemFieldValue({ projectId, itemId, fieldId, value }) {
+    const mutation = gql`
+      mutation UpdateProjectItemField(
+        $projectId: ID!
+        $itemId: ID!
+        $fieldId: ID!
+        $value: ProjectV2FieldValue!
+      ) {
+        updateProjectV2ItemFieldValue(
+          input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: $value }
+        ) {
+          projectV2Item {
+            id
           }
         }
       }
     `;
 
     try {
-      const data = await this.client.request(query, {
-        owner,
-        repo,
-        first,
+      const data = await this.client.request(mutation, {
+        projectId,
+        itemId,
+        fieldId,
+        value,
       });
 
-      return data.repository.projectsV2.nodes;
+      return data.updateProjectV2ItemFieldValue.projectV2Item;
     } catch (error) {
-      throw new Error(`Failed to get projects: ${error.message}`);
+      throw new Error(`Failed to update project field: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Add issue to project
-   * @param {Object} params - Parameters for adding issue to project
+   * Clear a field value on a project item
+   * @param {Object} params - Parameters for clearing the field
    * @param {string} params.projectId - Project ID
-   * @param {string} params.issueId - Issue ID
-   * @returns {Promise<Object>} Project item object
+   * @param {string} params.itemId - Project item ID
+   * @param {string} params.fieldId - Field ID
+   * @returns {Promise<Object>} Updated project item
    */
-  async addIssueToProject({ projectId, issueId }) {
+  async clearProjectItemFieldValue({ projectId, itemId, fieldId }) {
     const mutation = gql`
-      mutation AddIssueToProject($projectId: ID!, $issueId: ID!) {
-        addProjectV2ItemById(input: { projectId: $projectId, contentId: $issueId }) {
-          item {
+      mutation ClearProjectItemField($projectId: ID!, $itemId: ID!, $fieldId: ID!) {
+        clearProjectV2ItemFieldValue(
+          input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId }
+        ) {
+          projectV2Item {
             id
-            contentType
-            type
-            createdAt
           }
         }
       }
     `;
 
     try {
-      const variables = {
-        projectId,
-        issueId,
-      };
-
-      const data = await this.client.request(mutation, variables);
-      return data.addProjectV2ItemById.item;
+      const data = await this.client.request(mutation, { projectId, itemId, fieldId });
+      return data.clearProjectV2ItemFieldValue.projectV2Item;
     } catch (error) {
-      throw new Error(`Failed to add issue to project: ${error.message}`);
+      throw new Error(`Failed to clear project field: ${error.message}`, { cause: error });
     }
   }
 
   /**
    * Update issue
+   * Omitted fields are left unchanged; pass milestoneId null to remove the milestone
    * @param {Object} params - Parameters for updating an issue
    * @param {string} params.issueId - Issue ID
    * @param {string} params.title - Updated title
    * @param {string} params.body - Updated body
    * @param {string} params.state - Updated state (OPEN or CLOSED)
+   * @param {Array<string>} params.labelIds - Label IDs replacing the current labels
+   * @param {Array<string>} params.assigneeIds - User IDs replacing the current assignees
+   * @param {string|null} params.milestoneId - Milestone ID
    * @returns {Promise<Object>} Updated issue object
    */
-  async updateIssue({ issueId, title, body, state }) {
+  async updateIssue({ issueId, title, body, state, labelIds, assigneeIds, milestoneId }) {
     const mutation = gql`
       mutation UpdateIssue(
         $issueId: ID!
         $title: String
         $body: String
         $state: IssueState
+        $labelIds: [ID!]
+        $assigneeIds: [ID!]
+        $milestoneId: ID
       ) {
         updateIssue(
           input: {
@@ -322,6 +1283,9 @@ class GitHubService {
             title: $title
             body: $body
             state: $state
+            labelIds: $labelIds
+            assigneeIds: $assigneeIds
+            milestoneId: $milestoneId
           }
         ) {
           issue {
@@ -330,7 +1294,22 @@ class GitHubService {
             title
             body
             state
+            url
             updatedAt
+            labels(first: 20) {
+              nodes {
+                name
+              }
+            }
+            assignees(first: 10) {
+              nodes {
+                login
+              }
+            }
+            milestone {
+              title
+              dueOn
+            }
           }
         }
       }
@@ -340,14 +1319,61 @@ class GitHubService {
       const variables = {
         issueId,
         ...(title && { title }),
-        ...(body && { body }),
+        ...(body !== undefined && { body }),
         ...(state && { state }),
+        ...(labelIds && { labelIds }),
+        ...(assigneeIds && { assigneeIds }),
+        ...(milestoneId !== undefined && { milestoneId }),
       };
 
       const data = await this.client.request(mutation, variables);
       return data.updateIssue.issue;
     } catch (error) {
-      throw new Error(`Failed to update issue: ${error.message}`);
+      throw new Error(`Failed to update issue: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Add labels to an issue, keeping the labels it already has
+   * @param {string} issueId - Issue ID
+   * @param {Array<string>} labelIds - Label IDs to add
+   * @returns {Promise<void>}
+   */
+  async addLabelsToIssue(issueId, labelIds) {
+    const mutation = gql`
+      mutation AddLabels($issueId: ID!, $labelIds: [ID!]!) {
+        addLabelsToLabelable(input: { labelableId: $issueId, labelIds: $labelIds }) {
+          clientMutationId
+        }
+      }
+    `;
+
+    try {
+      await this.client.request(mutation, { issueId, labelIds });
+    } catch (error) {
+      throw new Error(`Failed to add labels: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Add assignees to an issue, keeping the users already assigned
+   * @param {string} issueId - Issue ID
+   * @param {Array<string>} assigneeIds - User IDs to add
+   * @returns {Promise<void>}
+   */
+  async addAssigneesToIssue(issueId, assigneeIds) {
+    const mutation = gql`
+      mutation AddAssignees($issueId: ID!, $assigneeIds: [ID!]!) {
+        addAssigneesToAssignable(input: { assignableId: $issueId, assigneeIds: $assigneeIds }) {
+          clientMutationId
+        }
+      }
+    `;
+
+    try {
+      await this.client.request(mutation, { issueId, assigneeIds });
+    } catch (error) {
+      throw new Error(`Failed to add assignees: ${error.message}`, { cause: error });
     }
   }
 
@@ -375,6 +1401,57 @@ class GitHubService {
     });
   }
 
+  /**
+   * Delete an issue
+   * Only repository admins may delete issues; others should close them instead
+   * @param {string} issueId - Issue ID
+   * @returns {Promise<void>}
+   */
+  async deleteIssue(issueId) {
+    const mutation = gql`
+      mutation DeleteIssue($issueId: ID!) {
+        deleteIssue(input: { issueId: $issueId }) {
+          clientMutationId
+        }
+      }
+    `;
+
+    try {
+      await this.client.request(mutation, { issueId });
+    } catch (error) {
+      throw new Error(`Failed to delete issue: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Add an issue as a sub-issue of another
+   * @param {Object} params - Parameters for linking the issues
+   * @param {string} params.issueId - Parent issue ID
+   * @param {string} params.subIssueId - Child issue ID
+   * @returns {Promise<Object>} Parent and child issue numbers
+   */
+  async addSubIssue({ issueId, subIssueId }) {
+    const mutation = gql`
+      mutation AddSubIssue($issueId: ID!, $subIssueId: ID!) {
+        addSubIssue(input: { issueId: $issueId, subIssueId: $subIssueId }) {
+          issue {
+            number
+          }
+          subIssue {
+            number
+          }
+        }
+      }
+    `;
+
+    try {
+      const data = await this.client.request(mutation, { issueId, subIssueId });
+      return data.addSubIssue;
+    } catch (error) {
+      throw new Error(`Failed to add sub-issue: ${error.message}`, { cause: error });
+    }
+  }
+
   /**
    * Get issues for a repository
    * @param {string} owner - Repository owner
@@ -385,17 +1462,38 @@ class GitHubService {
    * @returns {Promise<Array<Object>>} Array of issues
    */
   async getRepositoryIssues(owner, repo, filters = {}) {
-    const { state = 'OPEN', first = 20 } = filters;
+    const page = await this.getRepositoryIssuesPage(owner, repo, filters);
+    return page.nodes;
+  }
+
+  /**
+   * Get one page of issues for a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} filters - Filter options
+   * @param {string} filters.state - Filter by state (OPEN, CLOSED, or ALL)
+   * @param {Array<string>} filters.labels - Only issues with one of these labels
+   * @param {string} filters.assignee - Only issues assigned to this login ("*" for any, "none" for unassigned)
+   * @param {string} filters.milestoneNumber - Only issues in this milestone ("*" for any, "none" for none)
+   * @param {number} filters.first - Number of issues to fetch
+   * @param {string} filters.after - Cursor of the previous page
+   * @returns {Promise<{nodes: Array<Object>, pageInfo: Object, totalCount: number}>} Issues and pagination info
+   */
+  async getRepositoryIssuesPage(owner, repo, filters = {}) {
+    const { state = 'OPEN', first = 20, after = null, labels, assignee, milestoneNumber } = filters;
 
     const query = gql`
       query GetRepositoryIssues(
         $owner: String!
         $repo: String!
         $states: [IssueState!]
+        $filterBy: IssueFilters
         $first: Int!
+        $after: String
       ) {
         repository(owner: $owner, name: $repo) {
-          issues(first: $first, states: $states, orderBy: { field: CREATED_AT, direction: DESC }) {
+          issues(first: $first, after: $after, states: $states, filterBy: $filterBy, orderBy: { field: CREATED_AT, direction: DESC }) {
+            totalCount
             nodes {
               id
               number
@@ -408,11 +1506,24 @@ class GitHubService {
               author {
                 login
               }
-              labels(first: 5) {
+              labels(first: 20) {
                 nodes {
                   name
                 }
               }
+              assignees(first: 10) {
+                nodes {
+                  login
+                }
+              }
+              milestone {
+                title
+                dueOn
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
             }
           }
         }
@@ -421,19 +1532,110 @@ class GitHubService {
 
     try {
       const states = state === 'ALL' ? ['OPEN', 'CLOSED'] : [state];
+      const filterBy = {
+        ...(labels && labels.length > 0 && { labels }),
+        ...(assignee && { assignee }),
+        ...(milestoneNumber && { milestoneNumber: String(milestoneNumber) }),
+      };
       const data = await this.client.request(query, {
         owner,
         repo,
         states,
+        filterBy,
         first,
+        after,
       });
 
-      return data.repository.issues.nodes;
+      return data.repository.issues;
+    } catch (error) {
+      throw new Error(`Failed to get issues: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get an issue by number
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} number - Issue number
+   * @returns {Promise<Object|null>} Issue, or null if it does not exist
+   */
+  async getIssue(owner, repo, number) {
+    const query = gql`
+      query GetIssue($owner: String!, $repo: String!, $number: Int!) {
+        repository(owner: $owner, name: $repo) {
+          issue(number: $number) {
+            id
+            number
+            title
+            body
+            state
+            createdAt
+            updatedAt
+            closedAt
+            url
+            author {
+              login
+            }
+            labels(first: 20) {
+              nodes {
+                name
+              }
+            }
+            assignees(first: 10) {
+              nodes {
+                login
+              }
+            }
+            milestone {
+              title
+              dueOn
+            }
+            comments {
+              totalCount
+            }
+          }
+        }
+      }
+    `;
+
+    try {
+      const data = await this.client.request(query, { owner, repo, number: Number(number) });
+      return data.repository.issue;
     } catch (error) {
-      throw new Error(`Failed to get issues: ${error.message}`);
+      const errors = (error.response && error.response.errors) || [];
+      if (errors.length > 0 && errors.every(e => e.type === 'NOT_FOUND') && error.response.data && error.response.data.repository) {
+        return null;
+      }
+      throw new Error(`Failed to get issue: ${error.message}`, { cause: error });
     }
   }
 
+  /**
+   * Get every issue of a repository, following pagination
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} filters - Filter options
+   * @param {string} filters.state - Filter by state (OPEN, CLOSED, or ALL)
+   * @returns {Promise<Array<Object>>} Array of issues
+   */
+  async getAllRepositoryIssues(owner, repo, filters = {}) {
+    const issues = [];
+    let after = null;
+
+    do {
+      const page = await this.getRepositoryIssuesPage(owner, repo, {
+        ...filters,
+        first: 100,
+        after,
+      });
+
+      issues.push(...page.nodes);
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    return issues;
+  }
+
   /**
    * Add comment to issue
    * @param {string} subjectId - Issue ID
@@ -466,7 +1668,7 @@ class GitHubService {
 
       return data.addComment.commentEdge.node;
     } catch (error) {
-      throw new Error(`Failed to add comment: ${error.message}`);
+      throw new Error(`Failed to add comment: ${error.message}`, { cause: error });
     }
   }
 }
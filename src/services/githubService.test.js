@@ -0,0 +1,153 @@
+const GitHubService = require('./githubService');
+const { buildMarker } = require('../utils/fingerprint');
+
+function createService() {
+  const service = new GitHubService('token');
+  service.client.options.retryDelay = 0;
+  service.client.request = jest.fn();
+  jest.spyOn(service, 'getRepositoryId').mockResolvedValue('R1');
+  return service;
+}
+
+const issueInput = (text) => ({ title: text, body: `${text}\n\n${buildMarker('plan.md', text)}` });
+
+const createdIssue = (number, { title, body }) => ({ id: `I${number}`, number, title, body });
+
+const networkError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+describe('GitHubService.createIssues', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates a batch of issues in one mutation', async () => {
+    const service = createService();
+    const issues = [issueInput('One'), issueInput('Two')];
+    service.client.request.mockResolvedValueOnce({
+      issue0: { issue: createdIssue(1, issues[0]) },
+      issue1: { issue: createdIssue(2, issues[1]) },
+    });
+
+    const results = await service.createIssues('octo', 'repo', issues);
+
+    expect(results.map(result => result.issue.number)).toEqual([1, 2]);
+    expect(service.client.request).toHaveBeenCalledTimes(1);
+    expect(service.client.request.mock.calls[0][1]).toMatchObject({ input0: { title: 'One', repositoryId: 'R1' }, input1: { title: 'Two' } });
+  });
+
+  test('reports the error of each failed alias', async () => {
+    const service = createService();
+    const issues = [issueInput('One'), issueInput('Two'), issueInput('Three')];
+    service.client.request.mockRejectedValueOnce(Object.assign(new Error('GraphQL error'), {
+      response: {
+        status: 200,
+        data: { issue0: { issue: createdIssue(1, issues[0]) }, issue1: null, issue2: null },
+        errors: [{ message: 'Title is too long', path: ['issue1'] }, { message: 'Something else' }],
+      },
+    }));
+
+    const results = await service.createIssues('octo', 'repo', issues);
+
+    expect(results).toEqual([
+      { issue: createdIssue(1, issues[0]) },
+      { error: 'Title is too long' },
+      { error: 'Issue was not created' },
+    ]);
+  });
+
+  test('creates only the missing issues after a batch failed in transit', async () => {
+    const service = createService();
+    const issues = [issueInput('One'), issueInput('Two')];
+    jest.spyOn(service, 'getRepositoryIssuesPage').mockResolvedValueOnce({ nodes: [createdIssue(7, issues[0])] });
+    service.client.request
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValueOnce({ issue0: { issue: createdIssue(8, issues[1]) } });
+
+    const results = await service.createIssues('octo', 'repo', issues);
+
+    expect(results.map(result => result.issue.number)).toEqual([7, 8]);
+    expect(service.client.request).toHaveBeenCalledTimes(2);
+    expect(service.client.request.mock.calls[1][1]).toEqual({ input0: expect.objectContaining({ title: 'Two' }) });
+  });
+
+  test('does not send issues without a marker again', async () => {
+    const service = createService();
+    jest.spyOn(service, 'getRepositoryIssuesPage').mockResolvedValueOnce({ nodes: [] });
+    service.client.request.mockRejectedValueOnce(Object.assign(new Error('HTTP 502'), { response: { status: 502, errors: [] } }));
+
+    const results = await service.createIssues('octo', 'repo', [{ title: 'Manual', body: 'No marker' }]);
+
+    expect(results).toEqual([{ error: 'HTTP 502; the issue may have been created anyway' }]);
+    expect(service.client.request).toHaveBeenCalledTimes(1);
+  });
+
+  test('fails the batch on errors that are not transient', async () => {
+    const service = createService();
+    service.client.request.mockRejectedValueOnce(Object.assign(new Error('Bad credentials'), { response: { status: 401, errors: [] } }));
+
+    const results = await service.createIssues('octo', 'repo', [issueInput('One')]);
+
+    expect(results).toEqual([{ error: 'Bad credentials' }]);
+  });
+});
+
+describe('GitHubService project pagination', () => {
+  const page = (nodes, endCursor = null) => ({ nodes, pageInfo: { hasNextPage: Boolean(endCursor), endCursor } });
+
+  test('reads every page of project fields', async () => {
+    const service = createService();
+    service.client.request
+      .mockResolvedValueOnce({ node: { fields: page([{ id: 'F1', name: 'Status', dataType: 'SINGLE_SELECT', options: [] }], 'c1') } })
+      .mockResolvedValueOnce({ node: { fields: page([{ id: 'F2', name: 'Sprint', dataType: 'ITERATION', configuration: { iterations: [{ id: 'S1' }] } }]) } });
+
+    const fields = await service.getProjectFields('P1');
+
+    expect(fields.map(field => field.name)).toEqual(['Status', 'Sprint']);
+    expect(fields[1].iterations).toEqual([{ id: 'S1' }]);
+    expect(service.client.request.mock.calls[1][1]).toEqual({ projectId: 'P1', after: 'c1' });
+  });
+
+  test('reads every page of an item\'s field values', async () => {
+    const service = createService();
+    const item = { id: 'PI1', type: 'ISSUE', content: { id: 'I1', number: 1 } };
+    service.client.request
+      .mockResolvedValueOnce({ node: { items: page([{ ...item, fieldValues: page([{ text: 'Build login', field: { name: 'Title' } }], 'v1') }]) } })
+      .mockResolvedValueOnce({ node: { fieldValues: page([{ name: 'Done', field: { name: 'Status' } }, {}]) } });
+
+    const { nodes } = await service.getProjectItemsPage('P1');
+
+    expect(nodes).toEqual([{ ...item, fields: { Title: 'Build login', Status: 'Done' } }]);
+    expect(service.client.request.mock.calls[1][1]).toEqual({ itemId: 'PI1', after: 'v1' });
+  });
+});
+
+describe('GitHubService.updateIssue', () => {
+  test('sends an empty body to clear the description, and leaves out fields not given', async () => {
+    const service = createService();
+    service.client.request.mockResolvedValue({ updateIssue: { issue: { id: 'I1' } } });
+
+    await service.updateIssue({ issueId: 'I1', body: '' });
+    await service.updateIssue({ issueId: 'I1', state: 'CLOSED' });
+
+    expect(service.client.request.mock.calls[0][1]).toEqual({ issueId: 'I1', body: '' });
+    expect(service.client.request.mock.calls[1][1]).toEqual({ issueId: 'I1', state: 'CLOSED' });
+  });
+});
+
+describe('GitHubService.createMilestone', () => {
+  test('creates the milestone and refetches the milestone list afterwards', async () => {
+    const service = createService();
+    service.client.rest = jest.fn().mockResolvedValue({ node_id: 'M1', number: 3, title: 'Beta', state: 'open', due_on: '2027-03-31T00:00:00Z' });
+    service.client.request
+      .mockResolvedValueOnce({ repository: { milestones: { nodes: [], pageInfo: { hasNextPage: false, endCursor: null } } } })
+      .mockResolvedValueOnce({ repository: { milestones: { nodes: [{ id: 'M1', title: 'Beta', state: 'OPEN' }], pageInfo: { hasNextPage: false, endCursor: null } } } });
+
+    await service.getRepositoryMilestones('octo', 'repo');
+    const milestone = await service.createMilestone({ owner: 'octo', repo: 'repo', title: 'Beta', dueOn: '2027-03-31' });
+    const milestones = await service.getRepositoryMilestones('octo', 'repo');
+
+    expect(service.client.rest).toHaveBeenCalledWith('POST', '/repos/octo/repo/milestones', { title: 'Beta', description: '', due_on: '2027-03-31T00:00:00.000Z' });
+    expect(milestone).toEqual({ id: 'M1', number: 3, title: 'Beta', state: 'OPEN', dueOn: '2027-03-31T00:00:00Z' });
+    expect(milestones.map(m => m.title)).toEqual(['Beta']);
+  });
+});
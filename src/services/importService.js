@@ -0,0 +1,677 @@
+const crypto = require('crypto');
+const labelCatalog = require('../config/labels');
+const { recognizeDates } = require('../utils/dates');
+const { documentFingerprint, readMarker } = require('../utils/fingerprint');
+const { resolveFieldValue } = require('../utils/projectFields');
+const { findSimilar } = require('../utils/similarity');
+
+// Colors for created labels that have no catalog entry, picked by name so they stay stable
+const LABEL_COLORS = ['1d76db', '0e8a16', 'fbca04', 'd93f0b', '5319e7', 'c5def5', 'bfd4f2', 'f9d0c4', 'c2e0c6', 'e99695'];
+
+// What to do with a new task that looks like an existing open issue
+const DUPLICATE_POLICIES = ['flag', 'link', 'skip', 'off'];
+
+// Similarity from which an open issue is reported as a likely duplicate
+const DEFAULT_DUPLICATE_THRESHOLD = 0.8;
+
+/**
+ * Look up the color and description of a new label
+ * @param {string} name - Label name
+ * @param {Object} catalog - Label styles by lowercase name
+ * @returns {{color: string, description: string}} Label style
+ */
+function labelStyle(name, catalog) {
+  const style = catalog[name.toLowerCase()] || {};
+  const hash = crypto.createHash('sha1').update(name.toLowerCase()).digest();
+
+  return {
+    color: String(style.color || LABEL_COLORS[hash[0] % LABEL_COLORS.length]).replace(/^#/, ''),
+    description: style.description || '',
+  };
+}
+
+/**
+ * Insert a task-list checklist of child issues above the fingerprint marker
+ * @param {string} body - Issue body ending with the fingerprint marker
+ * @param {Array<Object>} children - Child issues ({ number, state })
+ * @returns {string} Issue body with the checklist
+ */
+function withTaskList(body, children) {
+  const checklist = children
+    .map(child => `- [${child.state === 'CLOSED' ? 'x' : ' '}] #${child.number}`)
+    .join('\n');
+  const markerIndex = body.lastIndexOf('<!-- roadmap-api:');
+
+  return `${body.substring(0, markerIndex)}### Tasks\n\n${checklist}\n\n${body.substring(markerIndex)}`;
+}
+
+/**
+ * Import Service
+ * Creates GitHub issues for imported tasks through GitHubService
+ */
+class ImportService {
+  /**
+   * @param {GitHubService} githubService - Authenticated GitHub service
+   */
+  constructor(githubService) {
+    this.githubService = githubService;
+  }
+
+  /**
+   * Create one issue per payload, reporting each result individually
+   * The issues are created in batches by GitHubService.createIssues
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<Object>} payloads - Issue parameters from buildIssuePayloads
+   * @returns {Promise<Array<Object>>} Created issues, or the error for each failed task
+   */
+  async createIssues(owner, repo, payloads) {
+    const results = await this.githubService.createIssues(owner, repo, payloads.map(payload => ({
+      title: payload.title,
+      body: payload.body,
+      labels: payload.labels,
+      assignees: payload.assignees,
+      milestone: payload.milestone,
+    })));
+
+    return results.map(({ issue, error }, index) => {
+      const payload = payloads[index];
+
+      if (error) {
+        console.error(`Failed to create issue for task "${payload.title}":`, error);
+        return {
+          task: payload.title,
+          fingerprint: payload.fingerprint,
+          error,
+        };
+      }
+
+      console.log(`Created issue #${issue.number}: ${issue.title}`);
+      return {
+        id: issue.id,
+        number: issue.number,
+        title: issue.title,
+        url: issue.url,
+        milestone: payload.milestone || null,
+        fingerprint: payload.fingerprint,
+      };
+    });
+  }
+
+  /**
+   * Find the labels and milestones the payloads reference that the repository
+   * lacks, and create them when createMissing is set
+   * Without them GitHub would drop the labels and reject the milestone, so
+   * milestones still missing are taken off the payloads they are set on.
+   * Payloads with a period but no milestone are assigned the milestone for
+   * that period: one whose title names the same period ("Q1 2027",
+   * "2027-Q1 Beta"), or with createMissing a new one due at the period's end
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<Object>} payloads - Issue parameters from buildIssuePayloads
+   * @param {Object} options - Options
+   * @param {boolean} options.createMissing - Create missing labels and milestones
+   * @param {Object} options.labelCatalog - Label colors and descriptions by name, over the configured catalog
+   * @returns {Promise<{created: Object, missing: Object, warnings: Array<string>}>} Created and still missing names
+   */
+  async ensureMetadata(owner, repo, payloads, options = {}) {
+    const { createMissing = false } = options;
+    const catalog = { ...labelCatalog };
+    for (const [name, style] of Object.entries(options.labelCatalog || {})) {
+      catalog[name.toLowerCase()] = style;
+    }
+
+    const unique = (values) => [...new Map(values.map(value => [value.toLowerCase(), value])).values()];
+    const result = { created: { labels: [], milestones: [] }, missing: { labels: [], milestones: [] }, warnings: [] };
+
+    const scheduled = payloads.filter(payload => !payload.milestone && payload.period);
+    if (scheduled.length > 0) {
+      await this.assignPeriodMilestones(owner, repo, scheduled, { createMissing, result });
+    }
+
+    const labels = unique(payloads.flatMap(payload => payload.labels || []));
+    const milestones = unique(payloads.map(payload => payload.milestone).filter(Boolean));
+
+    if (labels.length > 0) {
+      const repositoryId = await this.githubService.getRepositoryId(owner, repo);
+      const existing = await this.githubService.getRepositoryLabels(repositoryId);
+      const names = new Set(existing.map(label => label.name.toLowerCase()));
+
+      for (const name of labels.filter(label => !names.has(label.toLowerCase()))) {
+        if (!createMissing) {
+          result.missing.labels.push(name);
+          continue;
+        }
+
+        try {
+          await this.githubService.createLabel({ repositoryId, name, ...labelStyle(name, catalog) });
+          result.created.labels.push(name);
+        } catch (error) {
+          result.missing.labels.push(name);
+          result.warnings.push(`Label "${name}": ${error.message}`);
+        }
+      }
+    }
+
+    if (milestones.length > 0) {
+      const existing = await this.githubService.getRepositoryMilestones(owner, repo);
+      const titles = new Set(existing.map(milestone => milestone.title.toLowerCase()));
+
+      for (const title of milestones.filter(milestone => !titles.has(milestone.toLowerCase()))) {
+        if (!createMissing) {
+          result.missing.milestones.push(title);
+          continue;
+        }
+
+        try {
+          await this.githubService.createMilestone({ owner, repo, title });
+          result.created.milestones.push(title);
+        } catch (error) {
+          result.missing.milestones.push(title);
+          result.warnings.push(`Milestone "${title}": ${error.message}`);
+        }
+      }
+    }
+
+    if (result.missing.labels.length > 0) {
+      result.warnings.push(`Labels not in the repository were left off the issues: ${result.missing.labels.join(', ')}`);
+    }
+    if (result.missing.milestones.length > 0) {
+      const missing = new Set(result.missing.milestones.map(title => title.toLowerCase()));
+      payloads
+        .filter(payload => payload.milestone && missing.has(payload.milestone.toLowerCase()))
+        .forEach((payload) => { payload.milestone = null; });
+      result.warnings.push(`Milestones not in the repository were left off the issues: ${result.missing.milestones.join(', ')}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Set the milestone of payloads from their period
+   * Open milestones are preferred over closed ones naming the same period
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<Object>} payloads - Issue parameters with a period and no milestone
+   * @param {Object} options - Options
+   * @param {boolean} options.createMissing - Create milestones for periods without one
+   * @param {Object} options.result - ensureMetadata result to record created milestones and warnings in
+   * @returns {Promise<void>}
+   */
+  async assignPeriodMilestones(owner, repo, payloads, { createMissing, result }) {
+    const existing = await this.githubService.getRepositoryMilestones(owner, repo);
+    const periods = new Map(payloads.map(payload => [payload.period.title, payload.period]));
+
+    for (const period of periods.values()) {
+      const match = existing
+        .filter(milestone => milestone.title.toLowerCase() === period.title.toLowerCase()
+          || (recognizeDates(milestone.title).period || {}).title === period.title)
+        .sort((a, b) => (a.state !== 'OPEN') - (b.state !== 'OPEN'))[0];
+      let title = match ? match.title : null;
+
+      if (!match && createMissing) {
+        try {
+          const milestone = await this.githubService.createMilestone({ owner, repo, title: period.title, dueOn: period.end });
+          existing.push(milestone);
+          result.created.milestones.push(milestone.title);
+          title = milestone.title;
+        } catch (error) {
+          result.warnings.push(`Milestone "${period.title}": ${error.message}`);
+        }
+      } else if (!match) {
+        result.warnings.push(`No milestone for ${period.title}; its issues were created without one (set createMissing to create it)`);
+      }
+
+      payloads
+        .filter(payload => payload.period.title === period.title)
+        .forEach((payload) => { payload.milestone = title; });
+    }
+  }
+
+  /**
+   * Run a complete import: sync the issues, then add the new ones to the
+   * project board with the field values found in the document
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<Object>} payloads - Issue parameters from buildIssuePayloads
+   * @param {Object} options - Import options, see syncIssues and ensureMetadata
+   * @param {string} options.projectId - Projects V2 board for new issues
+   * @returns {Promise<{counts: Object, details: Array<Object>, metadata: Object, projectError: string, rateLimit: Object}>} Per-task outcome, totals, created labels and milestones, and the remaining GitHub budget
+   */
+  async importDocument(owner, repo, payloads, options = {}) {
+    const { projectId } = options;
+    const metadata = await this.ensureMetadata(owner, repo, payloads, options);
+    const { counts, details } = await this.syncIssues(owner, repo, payloads, options);
+
+    let projectError;
+    if (projectId) {
+      const created = details.filter(d => d.action === 'created');
+
+      try {
+        const projectResults = await this.addIssuesToProject(projectId, created.map(d => ({
+          issueId: d.id,
+          fields: payloads.find(p => p.fingerprint === d.fingerprint).fields,
+        })));
+
+        created.forEach((detail, index) => {
+          const { issueId, ...project } = projectResults[index];
+          detail.project = project;
+        });
+      } catch (error) {
+        // The issues exist at this point, so report the project failure alongside them
+        console.error('Project error:', error);
+        projectError = error.message;
+      }
+    }
+
+    return { counts, details, metadata, projectError, rateLimit: this.githubService.getRateLimit() };
+  }
+
+  /**
+   * Import payloads idempotently: issues previously generated from the same
+   * document are matched by their fingerprint marker and updated in place
+   * (title, body, and the labels, assignees and milestone they lack), only
+   * new tasks are created, and issues whose task left the document can be
+   * closed. Tasks sharing a fingerprint with an earlier one are skipped.
+   *
+   * Payloads with a parent are processed before it, so that parents can list
+   * their children: as a task-list checklist in the parent body ("tasklist",
+   * the default) or as GitHub sub-issues ("sub-issues")
+   *
+   * New tasks are compared with the repository's other open issues; likely
+   * duplicates are reported on the task ("flag", the default), referenced in
+   * a comment on the new issue ("link"), or not created at all ("skip")
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array<Object>} allPayloads - Issue parameters from buildIssuePayloads
+   * @param {Object} options - Sync options
+   * @param {string} options.documentKey - Key the payloads were built with
+   * @param {boolean} options.closeRemoved - Close open issues whose task is no longer in the document
+   * @param {string} options.hierarchy - How parents link their children: "tasklist" or "sub-issues"
+   * @param {string} options.duplicatePolicy - "flag", "link", "skip" or "off"
+   * @param {number} options.duplicateThreshold - Similarity (0 to 1) from which an open issue counts as a duplicate
+   * @param {Function} options.onProgress - Called with each task outcome as soon as it is known; issues closed by closeRemoved come with { removed: true }
+   * @returns {Promise<{counts: Object, details: Array<Object>}>} Per-task outcome and totals
+   */
+  async syncIssues(owner, repo, allPayloads, options = {}) {
+    const {
+      documentKey = '',
+      closeRemoved = false,
+      hierarchy = 'tasklist',
+      duplicatePolicy = 'flag',
+      duplicateThreshold = DEFAULT_DUPLICATE_THRESHOLD,
+      onProgress = () => {},
+    } = options;
+    const document = documentFingerprint(documentKey);
+
+    // Tasks whose text only differs in case or spacing share a fingerprint, and so an issue
+    const repeated = new Map();
+    const payloads = allPayloads.filter((payload, index) => {
+      const first = allPayloads.findIndex(other => other.fingerprint === payload.fingerprint);
+      if (first !== index) {
+        repeated.set(index, { action: 'skipped', task: payload.title, fingerprint: payload.fingerprint, reason: `Same task as task ${first + 1}` });
+      }
+      return first === index;
+    });
+
+    const existing = new Map();
+    const others = [];
+    const issues = await this.githubService.getAllRepositoryIssues(owner, repo, { state: 'ALL' });
+    for (const issue of issues) {
+      const marker = readMarker(issue.body);
+      if (marker && marker.document === document) {
+        existing.set(marker.fingerprint, issue);
+      } else if (issue.state === 'OPEN') {
+        others.push(issue);
+      }
+    }
+
+    const findDuplicates = (payload) => duplicatePolicy === 'off'
+      ? []
+      : findSimilar(payload.title, others, { threshold: duplicateThreshold }).map(({ candidate, score }) => ({
+        number: candidate.number,
+        title: candidate.title,
+        url: candidate.url,
+        score: Math.round(score * 100) / 100,
+      }));
+
+    const depthOf = (payload) => {
+      let depth = 0;
+      for (let current = payload; current.parent && depth < payloads.length; depth++) {
+        current = payloads.find(other => other.fingerprint === current.parent) || {};
+      }
+      return depth;
+    };
+    const levels = new Map();
+    payloads.forEach((payload) => {
+      const depth = depthOf(payload);
+      levels.set(depth, [...(levels.get(depth) || []), payload]);
+    });
+
+    const results = new Map();
+    const record = (payload, detail) => {
+      detail.fingerprint = payload.fingerprint;
+      if (payload.parent) {
+        detail.parent = payload.parent;
+      }
+      results.set(payload.fingerprint, detail);
+      onProgress(detail);
+    };
+
+    // Deepest level first; new issues of one level are created together in batches
+    const depths = [...levels.keys()].sort((a, b) => b - a);
+    for (const depth of depths) {
+      const toCreate = [];
+
+      for (const payload of levels.get(depth)) {
+        const children = payloads
+          .filter(child => child.parent === payload.fingerprint)
+          .map(child => results.get(child.fingerprint))
+          .filter(child => child && child.number);
+        const body = hierarchy === 'tasklist' && children.length > 0
+          ? withTaskList(payload.body, children)
+          : payload.body;
+
+        const fingerprint = existing.has(payload.fingerprint) ? payload.fingerprint : payload.textFingerprint;
+        const issue = existing.get(fingerprint);
+        existing.delete(fingerprint);
+
+        if (!issue) {
+          const duplicates = findDuplicates(payload);
+
+          if (duplicatePolicy === 'skip' && duplicates.length > 0) {
+            record(payload, { action: 'skipped', task: payload.title, duplicates });
+          } else {
+            toCreate.push({ ...payload, body, duplicates });
+          }
+        } else {
+          try {
+            const changes = await this.metadataChanges(owner, repo, issue, payload);
+
+            if (issue.title === payload.title && issue.body === body && !changes) {
+              record(payload, { action: 'unchanged', id: issue.id, number: issue.number, title: issue.title, url: issue.url, state: issue.state });
+              continue;
+            }
+
+            // Labels and assignees are added, as updateIssue would replace the whole set
+            const { labelIds, assigneeIds, milestoneId } = changes || {};
+            const updated = issue.title !== payload.title || issue.body !== body || milestoneId
+              ? await this.githubService.updateIssue({ issueId: issue.id, title: payload.title, body, milestoneId })
+              : issue;
+            if (labelIds) {
+              await this.githubService.addLabelsToIssue(issue.id, labelIds);
+            }
+            if (assigneeIds) {
+              await this.githubService.addAssigneesToIssue(issue.id, assigneeIds);
+            }
+            record(payload, { action: 'updated', id: updated.id, number: updated.number, title: updated.title, url: issue.url, state: updated.state });
+          } catch (error) {
+            console.error(`Failed to update issue #${issue.number}:`, error.message);
+            record(payload, { action: 'failed', task: payload.title, number: issue.number, error: error.message });
+          }
+        }
+      }
+
+      const created = toCreate.length > 0 ? await this.createIssues(owner, repo, toCreate) : [];
+      for (const [index, result] of created.entries()) {
+        const payload = toCreate[index];
+        const detail = result.error ? { action: 'failed', ...result } : { action: 'created', ...result, state: 'OPEN' };
+        if (payload.duplicates.length > 0) {
+          detail.duplicates = payload.duplicates;
+        }
+
+        if (duplicatePolicy === 'link' && payload.duplicates.length > 0 && !result.error) {
+          const references = payload.duplicates
+            .map(duplicate => `- #${duplicate.number} (${Math.round(duplicate.score * 100)}% similar)`)
+            .join('\n');
+
+          try {
+            await this.githubService.addCommentToIssue(result.id, `Possible duplicate of:\n\n${references}`);
+          } catch (error) {
+            detail.warnings = [`Could not link likely duplicates: ${error.message}`];
+          }
+        }
+
+        // Checked checklist items are imported as already completed
+        if (payload.done && !result.error) {
+          try {
+            await this.githubService.closeIssue(result.id);
+            detail.state = 'CLOSED';
+          } catch (error) {
+            detail.warnings = [...(detail.warnings || []), `Could not close completed task: ${error.message}`];
+          }
+        }
+
+        record(payload, detail);
+      }
+    }
+
+    if (hierarchy === 'sub-issues') {
+      await this.linkSubIssues(payloads, results);
+    }
+
+    // Report in document order
+    const details = allPayloads.map((payload, index) => repeated.get(index) || results.get(payload.fingerprint));
+
+    if (closeRemoved) {
+      for (const issue of existing.values()) {
+        if (issue.state !== 'OPEN') {
+          continue;
+        }
+
+        try {
+          await this.githubService.closeIssue(issue.id);
+          details.push({ action: 'closed', id: issue.id, number: issue.number, title: issue.title, url: issue.url });
+        } catch (error) {
+          console.error(`Failed to close issue #${issue.number}:`, error.message);
+          details.push({ action: 'failed', task: issue.title, number: issue.number, error: error.message });
+        }
+        onProgress(details[details.length - 1], { removed: true });
+      }
+    }
+
+    const counts = { created: 0, updated: 0, unchanged: 0, closed: 0, skipped: 0, failed: 0 };
+    for (const detail of details) {
+      counts[detail.action] += 1;
+    }
+
+    return { counts, details };
+  }
+
+  /**
+   * Work out the labels, assignees and milestone an existing issue lacks
+   * Labels and assignees from the document are added to those set on GitHub,
+   * never removed. Labels and milestones the repository does not have are
+   * ignored; ensureMetadata reports them
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} issue - Existing issue from getAllRepositoryIssues
+   * @param {Object} payload - Issue parameters from buildIssuePayloads
+   * @returns {Promise<Object|null>} Changes ({ labelIds, assigneeIds } to add, milestoneId to set), or null when nothing is missing
+   */
+  async metadataChanges(owner, repo, issue, payload) {
+    const names = connection => ((connection && connection.nodes) || []).map(node => (node.name || node.login).toLowerCase());
+    const labels = names(issue.labels);
+    const assignees = names(issue.assignees);
+    const changes = {};
+
+    const newLabels = (payload.labels || []).filter(label => !labels.includes(label.toLowerCase()));
+    if (newLabels.length > 0) {
+      const repositoryId = await this.githubService.getRepositoryId(owner, repo);
+      const labelIds = await this.githubService.getLabelIds(repositoryId, newLabels);
+      if (labelIds.length > 0) {
+        changes.labelIds = labelIds;
+      }
+    }
+
+    const newAssignees = (payload.assignees || []).filter(login => !assignees.includes(login.toLowerCase()));
+    if (newAssignees.length > 0) {
+      changes.assigneeIds = await this.githubService.getAssigneeIds(newAssignees);
+    }
+
+    const milestone = payload.milestone && payload.milestone.toLowerCase();
+    if (milestone && (!issue.milestone || issue.milestone.title.toLowerCase() !== milestone)) {
+      const milestones = await this.githubService.getRepositoryMilestones(owner, repo);
+      const found = milestones.find(candidate => candidate.title.toLowerCase() === milestone);
+      if (found) {
+        changes.milestoneId = found.id;
+      }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * Link newly created issues to their parent as GitHub sub-issues
+   * Pairs where both issues already existed were linked by an earlier import
+   * @param {Array<Object>} payloads - Issue parameters from buildIssuePayloads
+   * @param {Map<string, Object>} results - Sync outcome by fingerprint
+   * @returns {Promise<void>}
+   */
+  async linkSubIssues(payloads, results) {
+    for (const payload of payloads) {
+      const child = results.get(payload.fingerprint);
+      const parent = payload.parent ? results.get(payload.parent) : null;
+
+      if (!parent || !parent.id || !child.id) {
+        continue;
+      }
+      if (child.action !== 'created' && parent.action !== 'created') {
+        continue;
+      }
+
+      try {
+        await this.githubService.addSubIssue({ issueId: parent.id, subIssueId: child.id });
+      } catch (error) {
+        console.error(`Failed to link #${child.number} under #${parent.number}:`, error.message);
+        child.warnings = [...(child.warnings || []), `Could not link as sub-issue of #${parent.number}: ${error.message}`];
+      }
+    }
+  }
+
+  /**
+   * Add issues to a Projects V2 board and set their field values
+   * Field names are matched case-insensitively against the board's fields;
+   * values that cannot be applied are reported as warnings on the issue
+   * @param {string} projectId - Project ID
+   * @param {Array<{issueId: string, fields: Object}>} issues - Issues with the field values found in the document
+   * @returns {Promise<Array<Object>>} Per-issue project item, fields set and warnings
+   */
+  async addIssuesToProject(projectId, issues) {
+    const projectFields = await this.githubService.getProjectFields(projectId);
+    const fieldsByName = new Map(projectFields.map(field => [field.name.toLowerCase(), field]));
+    const results = [];
+
+    for (const { issueId, fields = {} } of issues) {
+      const result = { issueId, itemId: null, fieldsSet: [], warnings: [] };
+      results.push(result);
+
+      try {
+        const item = await this.githubService.addIssueToProject({ projectId, issueId });
+        result.itemId = item.id;
+      } catch (error) {
+        console.error(`Failed to add issue ${issueId} to project:`, error.message);
+        result.error = error.message;
+        continue;
+      }
+
+      for (const [name, raw] of Object.entries(fields)) {
+        const field = fieldsByName.get(name.toLowerCase());
+        if (!field) {
+          result.warnings.push(`Project has no field named "${name}"`);
+          continue;
+        }
+
+        try {
+          await this.githubService.updateProjectItemFieldValue({
+            projectId,
+            itemId: result.itemId,
+            fieldId: field.id,
+            value: resolveFieldValue(field, raw),
+          });
+          result.fieldsSet.push(field.name);
+        } catch (error) {
+          result.warnings.push(`${field.name}: ${error.message}`);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Undo a committed import: remove the issues it created from the project,
+   * close them (or delete them, where the token may), and reopen the issues it
+   * closed. Issues it only updated are left as they are, since their earlier
+   * content was not recorded
+   * @param {Object} session - Committed import from ImportStore
+   * @param {Object} options - Rollback options
+   * @param {boolean} options.deleteIssues - Delete created issues instead of closing them
+   * @param {Function} options.onProgress - Called with each issue outcome as soon as it is known
+   * @returns {Promise<{counts: Object, details: Array<Object>}>} Per-issue outcome and totals
+   */
+  async rollbackImport(session, options = {}) {
+    const { deleteIssues = false, onProgress = () => {} } = options;
+    const details = [];
+    const record = (detail) => {
+      details.push(detail);
+      onProgress(detail);
+    };
+
+    for (const result of session.results || []) {
+      const issue = { id: result.id, number: result.number, title: result.title, url: result.url };
+
+      if (result.action === 'created') {
+        const warnings = [];
+
+        if (session.projectId && result.project && result.project.itemId) {
+          try {
+            await this.githubService.deleteProjectItem({ projectId: session.projectId, itemId: result.project.itemId });
+          } catch (error) {
+            warnings.push(`Could not remove from project: ${error.message}`);
+          }
+        }
+
+        if (deleteIssues) {
+          try {
+            await this.githubService.deleteIssue(result.id);
+            record({ action: 'deleted', ...issue, ...(warnings.length > 0 && { warnings }) });
+            continue;
+          } catch (error) {
+            // Deleting needs admin rights; closing is the next best thing
+            warnings.push(`Closed instead of deleted: ${error.message}`);
+          }
+        }
+
+        try {
+          await this.githubService.closeIssue(result.id);
+          record({ action: 'closed', ...issue, ...(warnings.length > 0 && { warnings }) });
+        } catch (error) {
+          console.error(`Failed to close issue #${result.number}:`, error.message);
+          record({ action: 'failed', ...issue, error: error.message, ...(warnings.length > 0 && { warnings }) });
+        }
+      } else if (result.action === 'closed') {
+        try {
+          await this.githubService.reopenIssue(result.id);
+          record({ action: 'reopened', ...issue });
+        } catch (error) {
+          console.error(`Failed to reopen issue #${result.number}:`, error.message);
+          record({ action: 'failed', ...issue, error: error.message });
+        }
+      } else if (result.action === 'updated') {
+        record({ action: 'skipped', ...issue, reason: 'Updated issues are not reverted' });
+      }
+    }
+
+    const counts = { closed: 0, deleted: 0, reopened: 0, skipped: 0, failed: 0 };
+    for (const detail of details) {
+      counts[detail.action] += 1;
+    }
+
+    return { counts, details };
+  }
+}
+
+ImportService.DUPLICATE_POLICIES = DUPLICATE_POLICIES;
+
+module.exports = ImportService;
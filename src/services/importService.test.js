@@ -0,0 +1,413 @@
+jest.mock('@octokit/rest', () => ({ Octokit: jest.fn() }), { virtual: true });
+
+const ImportService = require('./importService');
+const { buildIssuePayloads } = require('../controllers/uploadController');
+const { buildMarker } = require('../utils/fingerprint');
+
+const LABELS = [{ id: 'L-auth', name: 'auth' }, { id: 'L-ui', name: 'ui' }];
+const MILESTONES = [{ id: 'M-beta', title: 'Beta', state: 'OPEN' }];
+
+function createGitHub(issues = []) {
+  let number = 100;
+
+  return {
+    getAllRepositoryIssues: jest.fn(async () => issues),
+    getRepositoryId: jest.fn(async () => 'R1'),
+    getRepositoryLabels: jest.fn(async () => LABELS),
+    getLabelIds: jest.fn(async (repositoryId, names) => names
+      .map(name => LABELS.find(label => label.name === name.toLowerCase()))
+      .filter(Boolean)
+      .map(label => label.id)),
+    getAssigneeIds: jest.fn(async logins => logins.map(login => `U-${login}`)),
+    getRepositoryMilestones: jest.fn(async () => MILESTONES),
+    createIssues: jest.fn(async (owner, repo, inputs) => inputs.map(input => {
+      number += 1;
+      return { issue: { id: `I${number}`, number, title: input.title, url: `https://github.com/o/r/issues/${number}` } };
+    })),
+    updateIssue: jest.fn(async ({ issueId, title }) => ({ id: issueId, number: 1, title, state: 'OPEN' })),
+    addLabelsToIssue: jest.fn(async () => {}),
+    addAssigneesToIssue: jest.fn(async () => {})
+  };
+}
+
+function existingIssue(payload, extra = {}) {
+  return {
+    id: 'I1',
+    number: 1,
+    title: payload.title,
+    body: payload.body,
+    state: 'OPEN',
+    url: 'https://github.com/o/r/issues/1',
+    labels: { nodes: [] },
+    assignees: { nodes: [] },
+    milestone: null,
+    ...extra
+  };
+}
+
+describe('ImportService.syncIssues', () => {
+  const documentKey = 'roadmap.md';
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('leaves issues matching the document unchanged', async () => {
+    const [payload] = buildIssuePayloads(['Build login'], { documentKey, labels: ['auth'] });
+    const github = createGitHub([existingIssue(payload, { labels: { nodes: [{ name: 'auth' }] } })]);
+
+    const { counts } = await new ImportService(github).syncIssues('o', 'r', [payload], { documentKey });
+
+    expect(counts.unchanged).toBe(1);
+    expect(github.updateIssue).not.toHaveBeenCalled();
+  });
+
+  test('adds labels, assignees and milestone the issue lacks', async () => {
+    const [payload] = buildIssuePayloads([{ text: 'Build login', labels: ['auth', 'ui'], assignees: ['bob'], milestone: 'Beta' }], { documentKey });
+    const github = createGitHub([existingIssue(payload, {
+      labels: { nodes: [{ name: 'auth' }] },
+      assignees: { nodes: [{ login: 'alice' }] }
+    })]);
+
+    const { counts } = await new ImportService(github).syncIssues('o', 'r', [payload], { documentKey });
+
+    expect(counts.updated).toBe(1);
+    expect(github.updateIssue).toHaveBeenCalledWith(expect.objectContaining({ issueId: 'I1', milestoneId: 'M-beta' }));
+    expect(github.updateIssue.mock.calls[0][0]).not.toHaveProperty('labelIds');
+    expect(github.addLabelsToIssue).toHaveBeenCalledWith('I1', ['L-ui']);
+    expect(github.addAssigneesToIssue).toHaveBeenCalledWith('I1', ['U-bob']);
+  });
+
+  test('adds labels without rewriting the ones already on the issue', async () => {
+    // Only the first 20 labels are fetched, so the rest must survive a re-import
+    const [payload] = buildIssuePayloads(['Build login'], { documentKey, labels: ['ui'] });
+    const github = createGitHub([existingIssue(payload, { labels: { nodes: [{ name: 'auth' }, { name: 'not-in-catalog' }] } })]);
+
+    await new ImportService(github).syncIssues('o', 'r', [payload], { documentKey });
+
+    expect(github.updateIssue).not.toHaveBeenCalled();
+    expect(github.addLabelsToIssue).toHaveBeenCalledWith('I1', ['L-ui']);
+    expect(github.getLabelIds).toHaveBeenCalledWith('R1', ['ui']);
+  });
+
+  test('rewrites changed titles and bodies', async () => {
+    const [before] = buildIssuePayloads(['Build login'], { documentKey });
+    const [after] = buildIssuePayloads(['build LOGIN'], { documentKey });
+    const github = createGitHub([existingIssue(before)]);
+
+    const { counts } = await new ImportService(github).syncIssues('o', 'r', [after], { documentKey });
+
+    expect(counts.updated).toBe(1);
+    expect(github.updateIssue).toHaveBeenCalledWith({ issueId: 'I1', title: 'build LOGIN', body: after.body });
+  });
+
+  test('ignores labels and milestones the repository does not have', async () => {
+    const [payload] = buildIssuePayloads([{ text: 'Build login', labels: ['unknown'], milestone: 'Gone' }], { documentKey });
+    const github = createGitHub([existingIssue(payload)]);
+
+    const { counts } = await new ImportService(github).syncIssues('o', 'r', [payload], { documentKey });
+
+    expect(counts.unchanged).toBe(1);
+  });
+
+  test('skips tasks sharing a fingerprint with an earlier one', async () => {
+    const payloads = buildIssuePayloads(['Build login', 'build  LOGIN'], { documentKey });
+    const github = createGitHub();
+
+    const { counts, details } = await new ImportService(github).syncIssues('o', 'r', payloads, { documentKey });
+
+    expect(counts).toMatchObject({ created: 1, skipped: 1 });
+    expect(details[1]).toMatchObject({ action: 'skipped', reason: 'Same task as task 1' });
+    expect(github.createIssues.mock.calls[0][2]).toHaveLength(1);
+  });
+
+  test('reports issues closed for removed tasks apart from the tasks', async () => {
+    const [kept, removed] = buildIssuePayloads(['Build login', 'Write docs'], { documentKey });
+    const github = createGitHub([existingIssue(kept), existingIssue(removed, { id: 'I2', number: 2 })]);
+    github.closeIssue = jest.fn(async () => ({}));
+    const onProgress = jest.fn();
+
+    const { counts } = await new ImportService(github).syncIssues('o', 'r', [kept], { documentKey, closeRemoved: true, onProgress });
+
+    expect(counts).toMatchObject({ unchanged: 1, closed: 1 });
+    expect(onProgress.mock.calls.map(([detail, flags]) => [detail.action, flags])).toEqual([['unchanged', undefined], ['closed', { removed: true }]]);
+  });
+});
+
+describe('ImportService.syncIssues with keys', () => {
+  const documentKey = 'roadmap.md';
+
+  test('matches a reworded task by its key', async () => {
+    const [before] = buildIssuePayloads([{ text: 'Build login', key: 'login' }], { documentKey });
+    const [after] = buildIssuePayloads([{ text: 'Build the sign-in page', key: 'login' }], { documentKey });
+    const github = createGitHub([existingIssue(before)]);
+
+    const { counts } = await new ImportService(github).syncIssues('o', 'r', [after], { documentKey });
+
+    expect(counts).toMatchObject({ created: 0, updated: 1 });
+  });
+});
+
+describe('ImportService project boards', () => {
+  const FIELDS = [
+    { id: 'F-status', name: 'Status', dataType: 'SINGLE_SELECT', options: [{ id: 'O-todo', name: 'Todo' }] },
+    { id: 'F-estimate', name: 'Estimate', dataType: 'NUMBER' }
+  ];
+
+  function createProjectGitHub(issues) {
+    let item = 0;
+    return {
+      ...createGitHub(issues),
+      getRateLimit: jest.fn(() => null),
+      getProjectFields: jest.fn(async () => FIELDS),
+      addIssueToProject: jest.fn(async () => {
+        item += 1;
+        return { id: `PVTI_${item}` };
+      }),
+      updateProjectItemFieldValue: jest.fn(async () => ({}))
+    };
+  }
+
+  test('adds created issues to the project with their field values', async () => {
+    const payloads = buildIssuePayloads([{ text: 'Build login', fields: { status: 'todo', Estimate: '3', Owner: 'alice' } }], { documentKey: 'roadmap.md' });
+    const github = createProjectGitHub();
+
+    const { details, projectError } = await new ImportService(github).importDocument('o', 'r', payloads, { documentKey: 'roadmap.md', projectId: 'PVT_1' });
+
+    expect(projectError).toBeUndefined();
+    expect(github.addIssueToProject).toHaveBeenCalledWith({ projectId: 'PVT_1', issueId: 'I101' });
+    expect(github.updateProjectItemFieldValue).toHaveBeenCalledWith({ projectId: 'PVT_1', itemId: 'PVTI_1', fieldId: 'F-status', value: { singleSelectOptionId: 'O-todo' } });
+    expect(github.updateProjectItemFieldValue).toHaveBeenCalledWith({ projectId: 'PVT_1', itemId: 'PVTI_1', fieldId: 'F-estimate', value: { number: 3 } });
+    expect(details[0].project).toEqual({ itemId: 'PVTI_1', fieldsSet: ['Status', 'Estimate'], warnings: ['Project has no field named "Owner"'] });
+  });
+
+  test('leaves issues that already existed off the project', async () => {
+    const [payload] = buildIssuePayloads(['Build login'], { documentKey: 'roadmap.md' });
+    const github = createProjectGitHub([existingIssue(payload)]);
+
+    await new ImportService(github).importDocument('o', 'r', [payload], { documentKey: 'roadmap.md', projectId: 'PVT_1' });
+
+    expect(github.addIssueToProject).not.toHaveBeenCalled();
+  });
+
+  test('reports project failures alongside the created issues', async () => {
+    const payloads = buildIssuePayloads(['Build login'], { documentKey: 'roadmap.md' });
+    const github = createProjectGitHub();
+    github.getProjectFields.mockRejectedValue(new Error('Could not resolve to a ProjectV2'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { counts, projectError } = await new ImportService(github).importDocument('o', 'r', payloads, { documentKey: 'roadmap.md', projectId: 'PVT_1' });
+
+    expect(counts.created).toBe(1);
+    expect(projectError).toBe('Could not resolve to a ProjectV2');
+    console.error.mockRestore();
+  });
+
+  test('keeps adding issues when one cannot be added', async () => {
+    const github = createProjectGitHub();
+    github.addIssueToProject.mockRejectedValueOnce(new Error('Issue is archived'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const results = await new ImportService(github).addIssuesToProject('PVT_1', [{ issueId: 'I1' }, { issueId: 'I2', fields: { Estimate: 'lots' } }]);
+
+    expect(results[0]).toMatchObject({ issueId: 'I1', itemId: null, error: 'Issue is archived' });
+    expect(results[1]).toMatchObject({ issueId: 'I2', itemId: 'PVTI_1', fieldsSet: [] });
+    expect(results[1].warnings).toHaveLength(1);
+    console.error.mockRestore();
+  });
+});
+
+describe('ImportService.syncIssues with epics', () => {
+  const documentKey = 'roadmap.md';
+  const tasks = [
+    { text: 'Epic A', kind: 'epic' },
+    { text: 'Write docs', parent: 1 },
+    { text: 'Epic B', kind: 'epic' },
+    { text: 'Write docs', parent: 3 }
+  ];
+
+  test('creates one issue per epic for the same task text', async () => {
+    const payloads = buildIssuePayloads(tasks, { documentKey });
+    const github = createGitHub();
+
+    const { counts } = await new ImportService(github).syncIssues('o', 'r', payloads, { documentKey, hierarchy: 'sub-issues' });
+
+    expect(payloads[1].fingerprint).not.toBe(payloads[3].fingerprint);
+    expect(counts).toMatchObject({ created: 4, skipped: 0 });
+  });
+
+  test('finds issues imported before fingerprints included the parent', async () => {
+    const payloads = buildIssuePayloads(tasks, { documentKey });
+    const previous = existingIssue(payloads[1], { body: `Task: Write docs\n\n${buildMarker(documentKey, 'Write docs')}` });
+    const github = createGitHub([previous]);
+
+    const { details } = await new ImportService(github).syncIssues('o', 'r', payloads, { documentKey, hierarchy: 'sub-issues' });
+
+    expect(details[1]).toMatchObject({ action: 'updated', id: 'I1' });
+    expect(details[3]).toMatchObject({ action: 'created' });
+  });
+});
+
+describe('ImportService.ensureMetadata', () => {
+  const documentKey = 'roadmap.md';
+
+  test('takes missing milestones off the issues and says so', async () => {
+    const payloads = buildIssuePayloads([
+      { text: 'Build login', milestone: 'Gamma' },
+      { text: 'Ship beta', milestone: 'beta' }
+    ], { documentKey });
+    const github = createGitHub();
+
+    const result = await new ImportService(github).ensureMetadata('o', 'r', payloads);
+
+    expect(result.missing.milestones).toEqual(['Gamma']);
+    expect(result.warnings).toEqual(['Milestones not in the repository were left off the issues: Gamma']);
+    expect(payloads.map(payload => payload.milestone)).toEqual([null, 'beta']);
+
+    await new ImportService(github).syncIssues('o', 'r', payloads, { documentKey });
+    expect(github.createIssues.mock.calls[0][2].map(input => input.milestone)).toEqual([null, 'beta']);
+  });
+
+  test('creates missing labels and milestones when asked', async () => {
+    const payloads = buildIssuePayloads([{ text: 'Build login', labels: ['backend'], milestone: 'Gamma' }], { documentKey });
+    const github = createGitHub();
+    github.createLabel = jest.fn(async ({ name }) => ({ id: 'L-new', name }));
+    github.createMilestone = jest.fn(async ({ title }) => ({ id: 'M-new', title }));
+
+    const result = await new ImportService(github).ensureMetadata('o', 'r', payloads, { createMissing: true });
+
+    expect(result.created).toEqual({ labels: ['backend'], milestones: ['Gamma'] });
+    expect(result.warnings).toEqual([]);
+    expect(payloads[0].milestone).toBe('Gamma');
+  });
+
+  test('leaves milestones it could not create off the issues', async () => {
+    const payloads = buildIssuePayloads([{ text: 'Build login', milestone: 'Gamma' }], { documentKey });
+    const github = createGitHub();
+    github.createMilestone = jest.fn(async () => {
+      throw new Error('Failed to create milestone: Resource not accessible by integration');
+    });
+
+    const result = await new ImportService(github).ensureMetadata('o', 'r', payloads, { createMissing: true });
+
+    expect(github.createMilestone).toHaveBeenCalledWith({ owner: 'o', repo: 'r', title: 'Gamma' });
+    expect(result.created.milestones).toEqual([]);
+    expect(result.warnings).toEqual([
+      'Milestone "Gamma": Failed to create milestone: Resource not accessible by integration',
+      'Milestones not in the repository were left off the issues: Gamma'
+    ]);
+    expect(payloads[0].milestone).toBeNull();
+  });
+});
+
+describe('ImportService.rollbackImport', () => {
+  const session = {
+    projectId: 'PVT_1',
+    results: [
+      { action: 'created', id: 'I1', number: 1, title: 'Build login', project: { itemId: 'PVTI_1' } },
+      { action: 'created', id: 'I2', number: 2, title: 'Write docs' },
+      { action: 'closed', id: 'I3', number: 3, title: 'Old task' },
+      { action: 'updated', id: 'I4', number: 4, title: 'Changed task' },
+      { action: 'unchanged', id: 'I5', number: 5, title: 'Same task' }
+    ]
+  };
+
+  function createRollbackGitHub() {
+    return {
+      deleteProjectItem: jest.fn(async () => {}),
+      deleteIssue: jest.fn(async () => {}),
+      closeIssue: jest.fn(async () => ({})),
+      reopenIssue: jest.fn(async () => ({}))
+    };
+  }
+
+  test('closes created issues, reopens closed ones and leaves updated ones', async () => {
+    const github = createRollbackGitHub();
+    const onProgress = jest.fn();
+
+    const { counts, details } = await new ImportService(github).rollbackImport(session, { onProgress });
+
+    expect(github.deleteProjectItem).toHaveBeenCalledWith({ projectId: 'PVT_1', itemId: 'PVTI_1' });
+    expect(github.closeIssue.mock.calls.map(([id]) => id)).toEqual(['I1', 'I2']);
+    expect(github.reopenIssue).toHaveBeenCalledWith('I3');
+    expect(counts).toEqual({ closed: 2, deleted: 0, reopened: 1, skipped: 1, failed: 0 });
+    expect(details[3]).toMatchObject({ action: 'skipped', number: 4, reason: 'Updated issues are not reverted' });
+    expect(onProgress).toHaveBeenCalledTimes(4);
+  });
+
+  test('closes issues it may not delete and reports project failures', async () => {
+    const github = createRollbackGitHub();
+    github.deleteIssue.mockRejectedValueOnce(new Error('Must have admin rights'));
+    github.deleteProjectItem.mockRejectedValue(new Error('Item not found'));
+
+    const { counts, details } = await new ImportService(github).rollbackImport(session, { deleteIssues: true });
+
+    expect(counts).toMatchObject({ closed: 1, deleted: 1 });
+    expect(details[0]).toMatchObject({
+      action: 'closed',
+      number: 1,
+      warnings: ['Could not remove from project: Item not found', 'Closed instead of deleted: Must have admin rights']
+    });
+    expect(details[1]).toMatchObject({ action: 'deleted', number: 2 });
+  });
+
+  test('reports issues it could not close', async () => {
+    const github = createRollbackGitHub();
+    github.closeIssue.mockRejectedValue(new Error('Failed to update issue: Not found'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { counts } = await new ImportService(github).rollbackImport({ results: [session.results[1]] });
+
+    expect(counts.failed).toBe(1);
+    console.error.mockRestore();
+  });
+});
+
+describe('ImportService.syncIssues duplicates', () => {
+  const documentKey = 'roadmap.md';
+  const openIssue = { id: 'I9', number: 9, title: 'Build the login page', body: 'Filed by hand', state: 'OPEN', url: 'https://github.com/o/r/issues/9' };
+
+  test('flags likely duplicates of open issues', async () => {
+    const payloads = buildIssuePayloads(['Build login page'], { documentKey });
+    const github = createGitHub([openIssue]);
+
+    const { details } = await new ImportService(github).syncIssues('o', 'r', payloads, { documentKey });
+
+    expect(details[0]).toMatchObject({ action: 'created', duplicates: [{ number: 9, title: 'Build the login page' }] });
+  });
+
+  test('skips them when asked', async () => {
+    const payloads = buildIssuePayloads(['Build login page'], { documentKey });
+    const github = createGitHub([openIssue]);
+
+    const { counts, details } = await new ImportService(github).syncIssues('o', 'r', payloads, { documentKey, duplicatePolicy: 'skip' });
+
+    expect(details[0].action).toBe('skipped');
+    expect(counts.created).toBe(0);
+    expect(github.createIssues).not.toHaveBeenCalled();
+  });
+
+  test('links them in a comment', async () => {
+    const payloads = buildIssuePayloads(['Build login page'], { documentKey });
+    const github = createGitHub([openIssue]);
+    github.addCommentToIssue = jest.fn(async () => ({}));
+
+    await new ImportService(github).syncIssues('o', 'r', payloads, { documentKey, duplicatePolicy: 'link' });
+
+    expect(github.addCommentToIssue).toHaveBeenCalledWith('I101', expect.stringMatching(/^Possible duplicate of:\n\n- #9 \(\d+% similar\)$/));
+  });
+
+  test('does not compare issues of the same document', async () => {
+    const payloads = buildIssuePayloads(['Build login page', 'Build the login page'], { documentKey });
+    const github = createGitHub([existingIssue(payloads[0])]);
+
+    const { details } = await new ImportService(github).syncIssues('o', 'r', payloads, { documentKey });
+
+    expect(details[1].action).toBe('created');
+    expect(details[1].duplicates).toBeUndefined();
+  });
+});
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const path = require('path');
+const JsonFileStore = require('./jsonFileStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Import Store
+ * Keeps parsed documents and their task lists between upload and commit, and
+ * the record of what each import did in GitHub, so imports can be audited
+ * and rolled back after a restart. After the retention period uncommitted
+ * and rolled-back imports are deleted, and committed ones lose their
+ * document text but keep the tasks and results reports and rollback use
+ */
+class ImportStore {
+  /**
+   * @param {string} dataDir - Directory the import file is saved in
+   * @param {Object} options - Store options
+   * @param {number} options.retentionDays - Days imports are kept in full
+   */
+  constructor(dataDir, { retentionDays = 30 } = {}) {
+    this.store = new JsonFileStore(path.join(dataDir, 'imports.json'));
+    this.retentionDays = retentionDays;
+
+    // Work cut off by a restart failed as a job; let it be retried
+    for (const session of this.store.list()) {
+      if (session.status === 'committing') {
+        this.store.set({ ...session, status: 'failed', error: 'Interrupted by a server restart' });
+      } else if (session.status === 'rolling-back') {
+        this.store.set({ ...session, status: 'committed' });
+      }
+    }
+    this.prune();
+  }
+
+  /**
+   * Apply the retention period: delete uncommitted and rolled-back imports
+   * last changed before it, and drop the document text of imports committed
+   * before it
+   * @returns {{deleted: number, trimmed: number}} Imports deleted and imports that lost their text
+   */
+  prune() {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY).toISOString();
+    const deleted = this.store.deleteWhere(session => session.status !== 'committed' && session.status !== 'committing'
+      && session.status !== 'rolling-back' && (session.updatedAt || '') < cutoff);
+
+    const trimmed = this.store.list()
+      .filter(session => session.status === 'committed' && session.text && (session.committedAt || '') < cutoff);
+    trimmed.forEach((session) => { session.text = null; });
+    if (trimmed.length > 0) {
+      this.store.save();
+    }
+
+    return { deleted, trimmed: trimmed.length };
+  }
+
+  /**
+   * Store a parsed document as a new import session
+   * @param {Object} params - Parsed document
+   * @param {string} params.fileName - Original file name
+   * @param {string} params.format - Parser that read the document (docx, markdown, csv, ...)
+   * @param {string} params.documentKey - Stable key identifying the document across re-imports
+   * @param {string} params.documentHash - SHA-256 of the uploaded file
+   * @param {string} params.text - Extracted document text
+   * @param {Array<Object>} params.entries - Extracted task entries
+   * @param {string} params.apiClient - API client that uploaded the document
+   * @returns {Object} Created import session
+   */
+  create({ fileName, format, documentKey, documentHash = null, text, entries, apiClient = null }) {
+    const now = new Date().toISOString();
+    this.prune();
+
+    return this.store.set({
+      id: crypto.randomUUID(),
+      fileName,
+      format,
+      documentKey,
+      documentHash,
+      text,
+      apiClient,
+      status: 'pending',
+      tasks: entries.map((entry, index) => ({
+        id: index + 1,
+        ...entry,
+      })),
+      results: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  /**
+   * Get an import session by ID
+   * @param {string} id - Import ID
+   * @returns {Object|null} Import session, or null if it does not exist
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List imports, newest first
+   * @param {Object} filters - Filter options
+   * @param {string} filters.repository - Only imports into this "owner/repo"
+   * @param {string} filters.status - Only imports with this status
+   * @returns {Array<Object>} Import sessions
+   */
+  list({ repository, status } = {}) {
+    return this.store.list().filter(session =>
+      (!repository || (session.repository || '').toLowerCase() === repository.toLowerCase())
+      && (!status || session.status === status));
+  }
+
+  /**
+   * Apply changes to an import session
+   * @param {string} id - Import ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Object|null} Updated import session, or null if it does not exist
+   */
+  update(id, changes) {
+    const session = this.get(id);
+    if (!session) {
+      return null;
+    }
+
+    Object.assign(session, changes, { updatedAt: new Date().toISOString() });
+    return this.store.set(session);
+  }
+
+  /**
+   * Record the outcome of committing an import to GitHub
+   * @param {string} id - Import ID
+   * @param {Object} params - Commit outcome
+   * @param {string} params.repository - Target "owner/repo"
+   * @param {string} params.projectId - Project the new issues were added to
+   * @param {string} params.committedBy - GitHub login the issues were created as
+   * @param {Object} params.result - Result of ImportService.importDocument
+   * @returns {Object|null} Updated import session, or null if it does not exist
+   */
+  recordCommit(id, { repository, projectId = null, committedBy = null, result }) {
+    const { counts, details, metadata, projectError } = result;
+
+    return this.update(id, {
+      status: 'committed',
+      repository,
+      projectId,
+      committedBy,
+      committedAt: new Date().toISOString(),
+      counts,
+      results: details,
+      labelsCreated: metadata.created.labels,
+      milestonesCreated: metadata.created.milestones,
+      projectError: projectError || null,
+      failures: details.filter(detail => detail.action === 'failed'),
+    });
+  }
+
+  /**
+   * Delete an import session
+   * @param {string} id - Import ID
+   * @returns {boolean} True if the session existed
+   */
+  delete(id) {
+    return this.store.delete(id);
+  }
+}
+
+module.exports = ImportStore;
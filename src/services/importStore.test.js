@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ImportStore = require('./importStore');
+
+describe('ImportStore', () => {
+  let dir;
+  const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+  const recent = new Date().toISOString();
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imports-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('numbers the tasks of a new import', () => {
+    const store = new ImportStore(dir);
+
+    const session = store.create({ fileName: 'a.md', format: 'markdown', documentKey: 'a.md', text: '- One', entries: [{ text: 'One' }] });
+
+    expect(session).toMatchObject({ status: 'pending', tasks: [{ id: 1, text: 'One' }], results: null });
+    expect(store.list({ status: 'pending' })).toHaveLength(1);
+  });
+
+  test('recovers imports interrupted by a restart', () => {
+    fs.writeFileSync(path.join(dir, 'imports.json'), JSON.stringify([
+      { id: 'a', status: 'committing', updatedAt: recent, tasks: [] },
+      { id: 'b', status: 'rolling-back', updatedAt: recent, tasks: [] }
+    ]));
+
+    const store = new ImportStore(dir);
+
+    expect(store.get('a')).toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+    expect(store.get('b').status).toBe('committed');
+  });
+
+  test('applies the retention period', () => {
+    fs.writeFileSync(path.join(dir, 'imports.json'), JSON.stringify([
+      { id: 'stale', status: 'pending', text: 'x', updatedAt: old, tasks: [] },
+      { id: 'fresh', status: 'pending', text: 'x', updatedAt: recent, tasks: [] },
+      { id: 'undone', status: 'rolled-back', text: 'x', updatedAt: old, tasks: [] },
+      { id: 'committed', status: 'committed', text: 'x', committedAt: old, updatedAt: old, tasks: [{ id: 1 }], results: [{ action: 'created' }] }
+    ]));
+
+    const store = new ImportStore(dir, { retentionDays: 30 });
+
+    expect(store.get('stale')).toBeNull();
+    expect(store.get('undone')).toBeNull();
+    expect(store.get('fresh').text).toBe('x');
+    expect(store.get('committed')).toMatchObject({ text: null, tasks: [{ id: 1 }], results: [{ action: 'created' }] });
+  });
+});
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const path = require('path');
+const JsonFileStore = require('./jsonFileStore');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Job Queue
+ * Runs long imports one at a time in the background, records their progress
+ * in a JSON file and emits an event per update for live listeners. Progress
+ * is saved in batches, status changes right away; finished jobs are deleted
+ * after the retention period
+ *
+ * Events: "progress" (job, detail) and "finished" (job), also emitted as
+ * "progress:<id>" and "finished:<id>" for listeners following one job
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {string} dataDir - Directory the job file is saved in
+   * @param {Object} options - Queue options
+   * @param {number} options.retentionDays - Days finished jobs are kept
+   */
+  constructor(dataDir, { retentionDays = 7 } = {}) {
+    super();
+    this.store = new JsonFileStore(path.join(dataDir, 'jobs.json'));
+    this.retentionDays = retentionDays;
+    this.pending = [];
+    this.running = false;
+
+    // Jobs cut off by a restart cannot be resumed; keep their partial results
+    for (const job of this.store.list()) {
+      if (job.status === 'queued' || job.status === 'running') {
+        this.store.set({
+          ...job,
+          status: 'failed',
+          error: 'Interrupted by a server restart',
+          finishedAt: new Date().toISOString(),
+        });
+      }
+    }
+    this.prune();
+  }
+
+  /**
+   * Delete jobs that finished longer ago than the retention period
+   * @returns {number} Number of jobs deleted
+   */
+  prune() {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY).toISOString();
+    return this.store.deleteWhere(job => Boolean(job.finishedAt) && job.finishedAt < cutoff);
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job, or null if it does not exist
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} params - Job description
+   * @param {string} params.type - Job type, e.g. "upload" or "commit"
+   * @param {number} params.total - Number of tasks the job will process
+   * @param {Object} params.meta - Extra information stored with the job
+   * @param {Function} run - async (report) => { counts, details, ...summary }; call report(detail) after each task,
+   * and report(detail, { removed: true }) after each issue closed because its task left the document
+   * @returns {Object} Queued job
+   */
+  enqueue({ type, total, meta = {} }, run) {
+    const job = this.store.set({
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      total,
+      processed: 0,
+      removed: 0,
+      counts: null,
+      results: [],
+      error: null,
+      ...meta,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    });
+
+    this.pending.push({ id: job.id, run });
+    setImmediate(() => this._next());
+    return job;
+  }
+
+  /**
+   * Start the next queued job if none is running
+   * @private
+   */
+  async _next() {
+    if (this.running || this.pending.length === 0) {
+      return;
+    }
+
+    this.running = true;
+    const { id, run } = this.pending.shift();
+    let job = this.store.set({ ...this.get(id), status: 'running', startedAt: new Date().toISOString() });
+
+    const report = (detail, { removed = false } = {}) => {
+      // Issues of removed tasks are not part of total, so they are counted apart
+      if (removed) {
+        job.removed += 1;
+      } else {
+        job.processed += 1;
+      }
+      job.results.push(detail);
+      this.store.set(job, { defer: true });
+      this.emit('progress', job, detail);
+      this.emit(`progress:${id}`, job, detail);
+    };
+
+    try {
+      const { counts, details, ...summary } = await run(report);
+      job = this.store.set({
+        ...this.get(id),
+        status: 'done',
+        counts,
+        results: details,
+        summary,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error(`Job ${id} failed:`, error.message);
+      job = this.store.set({
+        ...this.get(id),
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date().toISOString(),
+      });
+    }
+
+    this.emit('finished', job);
+    this.emit(`finished:${id}`, job);
+    this.running = false;
+    this.prune();
+    this._next();
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('./jobQueue');
+
+describe('JobQueue', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const finished = queue => new Promise(resolve => queue.once('finished', resolve));
+
+  test('runs a job and records its progress and outcome', async () => {
+    const queue = new JobQueue(dir);
+    const progress = [];
+    queue.on('progress', (job, detail) => progress.push([job.processed, detail.action]));
+
+    const { id } = queue.enqueue({ type: 'commit', total: 2, meta: { importId: 'i1' } }, async (report) => {
+      report({ action: 'created' });
+      report({ action: 'updated' });
+      return { counts: { created: 1, updated: 1 }, details: [{ action: 'created' }, { action: 'updated' }], repository: 'o/r' };
+    });
+    const job = await finished(queue);
+
+    expect(progress).toEqual([[1, 'created'], [2, 'updated']]);
+    expect(job).toMatchObject({ id, status: 'done', processed: 2, importId: 'i1', counts: { created: 1, updated: 1 }, summary: { repository: 'o/r' } });
+    expect(new JobQueue(dir).get(id)).toMatchObject({ status: 'done', processed: 2 });
+  });
+
+  test('counts issues of removed tasks apart from the tasks and emits per-job events', async () => {
+    const queue = new JobQueue(dir);
+    const events = [];
+
+    const { id } = queue.enqueue({ type: 'commit', total: 1 }, async (report) => {
+      report({ action: 'created' });
+      report({ action: 'closed' }, { removed: true });
+      return { counts: { created: 1, closed: 1 }, details: [] };
+    });
+    queue.on(`progress:${id}`, job => events.push([job.processed, job.removed]));
+    const job = await new Promise(resolve => queue.once(`finished:${id}`, resolve));
+
+    expect(events).toEqual([[1, 0], [1, 1]]);
+    expect(job).toMatchObject({ total: 1, processed: 1, removed: 1 });
+  });
+
+  test('records failures', async () => {
+    const queue = new JobQueue(dir);
+
+    queue.enqueue({ type: 'commit', total: 1 }, async () => {
+      throw new Error('GitHub is down');
+    });
+
+    expect(await finished(queue)).toMatchObject({ status: 'failed', error: 'GitHub is down' });
+  });
+
+  test('fails jobs interrupted by a restart and deletes old ones', () => {
+    const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(path.join(dir, 'jobs.json'), JSON.stringify([
+      { id: 'running', status: 'running', createdAt: old },
+      { id: 'old', status: 'done', createdAt: old, finishedAt: old },
+      { id: 'recent', status: 'done', createdAt: old, finishedAt: new Date().toISOString() }
+    ]));
+
+    const queue = new JobQueue(dir, { retentionDays: 7 });
+
+    expect(queue.get('running')).toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+    expect(queue.get('old')).toBeNull();
+    expect(queue.get('recent')).not.toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores with a deferred save, written out before the process exits
+const unsaved = new Set();
+process.on('exit', () => unsaved.forEach(store => store.save()));
+
+/**
+ * JSON File Store
+ * Keeps records in memory and mirrors them to a JSON file, so they survive
+ * restarts without needing a database
+ */
+class JsonFileStore {
+  /**
+   * @param {string} filePath - File the records are saved to
+   * @param {Object} options - Store options
+   * @param {number} options.saveDelay - Milliseconds deferred saves wait for further changes
+   */
+  constructor(filePath, { saveDelay = 1000 } = {}) {
+    this.filePath = filePath;
+    this.records = new Map();
+    this.saveDelay = saveDelay;
+    this.saveTimer = null;
+    this._load();
+  }
+
+  /**
+   * Get a record by ID
+   * @param {string} id - Record ID
+   * @returns {Object|null} Record, or null if it does not exist
+   */
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * List all records, newest first
+   * @returns {Array<Object>} Records
+   */
+  list() {
+    return [...this.records.values()].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  }
+
+  /**
+   * Insert or replace a record and save the file
+   * @param {Object} record - Record with an id
+   * @param {Object} options - Save options
+   * @param {boolean} options.defer - Save with the next changes instead of now, see saveSoon
+   * @returns {Object} Saved record
+   */
+  set(record, { defer = false } = {}) {
+    this.records.set(record.id, record);
+    if (defer) {
+      this.saveSoon();
+    } else {
+      this.save();
+    }
+    return record;
+  }
+
+  /**
+   * Delete the records matching a condition and save the file once
+   * @param {Function} condition - (record) => true to delete it
+   * @returns {number} Number of records deleted
+   */
+  deleteWhere(condition) {
+    const ids = [...this.records.values()].filter(condition).map(record => record.id);
+    ids.forEach(id => this.records.delete(id));
+    if (ids.length > 0) {
+      this.save();
+    }
+    return ids.length;
+  }
+
+  /**
+   * Save the file once saveDelay has passed, however many changes come in
+   * between; for frequent changes such as job progress
+   */
+  saveSoon() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    this.saveTimer.unref();
+    unsaved.add(this);
+  }
+
+  /**
+   * Delete a record and save the file
+   * @param {string} id - Record ID
+   * @returns {boolean} True if the record existed
+   */
+  delete(id) {
+    const existed = this.records.delete(id);
+    if (existed) {
+      this.save();
+    }
+    return existed;
+  }
+
+  /**
+   * Write all records to disk
+   * The file is written next to the target and renamed over it, so a crash
+   * never leaves half a file behind
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    unsaved.delete(this);
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify([...this.records.values()]));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`Failed to save ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the records saved by a previous run
+   * @private
+   */
+  _load() {
+    try {
+      const records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      records.forEach(record => this.records.set(record.id, record));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load ${this.filePath}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileStore = require('./jsonFileStore');
+
+describe('JsonFileStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    filePath = path.join(dir, 'records.json');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readFile = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  test('saves records and loads them again', () => {
+    new JsonFileStore(filePath).set({ id: 'a', createdAt: '2026-01-01' });
+
+    expect(new JsonFileStore(filePath).get('a')).toEqual({ id: 'a', createdAt: '2026-01-01' });
+  });
+
+  test('batches deferred saves', () => {
+    jest.useFakeTimers();
+    const store = new JsonFileStore(filePath, { saveDelay: 500 });
+    const write = jest.spyOn(fs, 'writeFileSync');
+
+    store.set({ id: 'a', step: 1 }, { defer: true });
+    store.set({ id: 'a', step: 2 }, { defer: true });
+    expect(write).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(500);
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(readFile()).toEqual([{ id: 'a', step: 2 }]);
+    write.mockRestore();
+  });
+
+  test('writes deferred changes with the next immediate save', () => {
+    jest.useFakeTimers();
+    const store = new JsonFileStore(filePath);
+
+    store.set({ id: 'a' }, { defer: true });
+    store.set({ id: 'b' });
+
+    expect(readFile().map(record => record.id)).toEqual(['a', 'b']);
+  });
+
+  test('deletes the records matching a condition', () => {
+    const store = new JsonFileStore(filePath);
+    store.set({ id: 'a', old: true });
+    store.set({ id: 'b', old: false });
+
+    expect(store.deleteWhere(record => record.old)).toBe(1);
+    expect(readFile()).toEqual([{ id: 'b', old: false }]);
+  });
+});
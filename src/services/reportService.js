@@ -0,0 +1,242 @@
+/**
+ * Group names for tasks without a value, listed after the named groups
+ */
+const EMPTY_GROUPS = {
+  section: 'No section',
+  milestone: 'No milestone',
+  import: 'Unknown import',
+};
+
+// Outcomes of an import that left an issue behind for its task
+const TRACKED_ACTIONS = ['created', 'updated', 'unchanged'];
+
+/**
+ * Count open and closed rows and how far along they are
+ * @param {Array<Object>} rows - Report rows
+ * @returns {Object} Counts ({ total, open, closed, percentComplete })
+ */
+function countProgress(rows) {
+  const closed = rows.filter(row => row.state !== 'OPEN').length;
+
+  return {
+    total: rows.length,
+    open: rows.length - closed,
+    closed,
+    percentComplete: rows.length > 0 ? Math.round((closed / rows.length) * 100) : 0,
+  };
+}
+
+/**
+ * Report Service
+ * Measures roadmap progress from the import history: each imported task with
+ * the issue it became, grouped by the document section it was written under,
+ * its milestone or its import. Issue state comes from the import records,
+ * which webhooks keep current, or straight from GitHub when a service is given
+ */
+class ReportService {
+  /**
+   * @param {ImportStore} importStore - Store holding the import records
+   * @param {GitHubService} githubService - Authenticated GitHub service, to report live issue state
+   */
+  constructor(importStore, githubService = null) {
+    this.importStore = importStore;
+    this.githubService = githubService;
+  }
+
+  /**
+   * Build a progress report for the imports into a repository, or for one import
+   * An issue imported several times is counted once, for its latest import,
+   * except when grouping by import
+   * @param {Object} options - Report options
+   * @param {string} options.repository - "owner/repo" the imports went to
+   * @param {string} options.importId - Only this import
+   * @param {string} options.groupBy - "section" (default), "milestone" or "import"
+   * @param {string} options.title - Report title
+   * @returns {Promise<Object>} Report ({ title, repository, generatedAt, groupBy, source, totals, groups })
+   */
+  async buildProgressReport(options = {}) {
+    const { importId = null, groupBy = 'section' } = options;
+
+    if (!EMPTY_GROUPS[groupBy]) {
+      const error = new Error(`groupBy must be one of: ${Object.keys(EMPTY_GROUPS).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const sessions = importId
+      ? [this.importStore.get(importId)].filter(Boolean)
+      : this.importStore.list({ repository: options.repository, status: 'committed' });
+    const repository = options.repository || (sessions[0] && sessions[0].repository);
+
+    let rows = sessions.flatMap(session => this.collectRows(session));
+    if (groupBy !== 'import') {
+      const seen = new Set();
+      // Imports are listed newest first
+      rows = rows.filter(row => !seen.has(row.id) && seen.add(row.id));
+    }
+
+    if (this.githubService && repository) {
+      rows = await this.applyLiveState(repository, rows);
+    }
+
+    const today = new Date().toISOString().substring(0, 10);
+    for (const row of rows) {
+      row.overdue = row.state === 'OPEN' && Boolean(row.dueDate) && row.dueDate.substring(0, 10) < today;
+    }
+
+    return {
+      title: options.title || `${repository || 'Roadmap'} progress`,
+      repository: repository || null,
+      generatedAt: new Date().toISOString(),
+      groupBy,
+      source: this.githubService ? 'github' : 'records',
+      totals: {
+        ...countProgress(rows),
+        overdue: rows.filter(row => row.overdue).length,
+        imports: new Set(rows.map(row => row.importId)).size,
+      },
+      groups: this.groupRows(rows, groupBy),
+    };
+  }
+
+  /**
+   * Pair the tasks of a committed import with the issues recorded for them
+   * Results are stored in task order; epics only group their children and are
+   * not counted themselves
+   * @param {Object} session - Import session from ImportStore
+   * @returns {Array<Object>} Report rows
+   */
+  collectRows(session) {
+    const results = session.results || [];
+    const epics = new Map(session.tasks.filter(task => task.kind === 'epic').map(task => [task.id, task]));
+
+    return session.tasks.flatMap((task, index) => {
+      const result = results[index];
+      if (task.kind === 'epic' || !result || !TRACKED_ACTIONS.includes(result.action)) {
+        return [];
+      }
+
+      const epic = task.parent ? epics.get(task.parent) : null;
+
+      return [{
+        id: result.id,
+        number: result.number,
+        title: result.title,
+        url: result.url,
+        state: result.state || 'OPEN',
+        assignees: result.assignees || task.assignees || [],
+        milestone: result.milestone !== undefined ? result.milestone : task.milestone || null,
+        dueDate: task.dueDate || result.dueOn || null,
+        status: (result.project && result.project.status) || null,
+        section: task.section || (epic && epic.text) || null,
+        importId: session.id,
+        documentKey: session.documentKey,
+        syncedAt: result.syncedAt || session.committedAt || null,
+      }];
+    });
+  }
+
+  /**
+   * Replace recorded issue state with the current state on GitHub
+   * Issues no longer in the repository keep their recorded state
+   * @param {string} repository - "owner/repo"
+   * @param {Array<Object>} rows - Report rows
+   * @returns {Promise<Array<Object>>} Rows with live state, assignees and milestone
+   */
+  async applyLiveState(repository, rows) {
+    const [owner, repo] = repository.split('/');
+    const issues = await this.githubService.getAllRepositoryIssues(owner, repo, { state: 'ALL' });
+    const byId = new Map(issues.map(issue => [issue.id, issue]));
+    const syncedAt = new Date().toISOString();
+
+    return rows.map((row) => {
+      const issue = byId.get(row.id);
+      if (!issue) {
+        return row;
+      }
+
+      return {
+        ...row,
+        title: issue.title,
+        state: issue.state,
+        assignees: (issue.assignees ? issue.assignees.nodes : []).map(user => user.login),
+        milestone: issue.milestone ? issue.milestone.title : null,
+        dueDate: row.dueDate || (issue.milestone && issue.milestone.dueOn) || null,
+        syncedAt,
+      };
+    });
+  }
+
+  /**
+   * Group report rows and total each group
+   * Sections keep document order, milestones are ordered by due date and
+   * imports newest first; the group of rows without a value comes last
+   * @param {Array<Object>} rows - Report rows
+   * @param {string} groupBy - "section", "milestone" or "import"
+   * @returns {Array<Object>} Groups ({ name, dueDate (milestones), documentKey (imports), total, open, closed, percentComplete, overdue, assignees, issues })
+   */
+  groupRows(rows, groupBy) {
+    const empty = EMPTY_GROUPS[groupBy];
+    const keyOf = {
+      section: row => row.section,
+      milestone: row => row.milestone,
+      import: row => row.importId,
+    }[groupBy];
+    const groups = new Map();
+
+    for (const row of rows) {
+      const name = keyOf(row) || empty;
+      if (!groups.has(name)) {
+        groups.set(name, { name, rows: [] });
+      }
+      groups.get(name).rows.push(row);
+    }
+
+    // A milestone is due when its earliest task is
+    const dueOf = group => group.rows.map(row => row.dueDate).filter(Boolean).sort()[0] || null;
+    const ordered = [...groups.values()];
+    if (groupBy === 'milestone') {
+      ordered.sort((a, b) => (dueOf(a) || '9999').localeCompare(dueOf(b) || '9999') || a.name.localeCompare(b.name));
+    }
+
+    return ordered
+      .sort((a, b) => (a.name === empty) - (b.name === empty))
+      .map(({ name, rows: groupRows }) => ({
+        name,
+        ...(groupBy === 'milestone' && { dueDate: dueOf({ rows: groupRows }) }),
+        ...(groupBy === 'import' && { documentKey: groupRows[0].documentKey }),
+        ...countProgress(groupRows),
+        overdue: groupRows.filter(row => row.overdue),
+        assignees: this.countAssignees(groupRows),
+        issues: groupRows,
+      }));
+  }
+
+  /**
+   * Break rows down by assignee; unassigned tasks are counted under null
+   * A task with several assignees counts for each of them
+   * @param {Array<Object>} rows - Report rows
+   * @returns {Array<Object>} Assignees ({ login, total, open, closed, percentComplete }), busiest first
+   */
+  countAssignees(rows) {
+    const byLogin = new Map();
+
+    for (const row of rows) {
+      const logins = row.assignees.length > 0 ? row.assignees : [null];
+      for (const login of logins) {
+        if (!byLogin.has(login)) {
+          byLogin.set(login, []);
+        }
+        byLogin.get(login).push(row);
+      }
+    }
+
+    return [...byLogin.entries()]
+      .map(([login, assigned]) => ({ login, ...countProgress(assigned) }))
+      .sort((a, b) => (a.login === null) - (b.login === null) || b.total - a.total || a.login.localeCompare(b.login));
+  }
+}
+
+ReportService.GROUPS = Object.keys(EMPTY_GROUPS);
+
+module.exports = ReportService;
@@ -0,0 +1,94 @@
+const ReportService = require('./reportService');
+
+function createStore(sessions) {
+  return {
+    get: id => sessions.find(session => session.id === id) || null,
+    list: ({ repository, status } = {}) => sessions.filter(session =>
+      (!repository || session.repository === repository) && (!status || session.status === status))
+  };
+}
+
+const task = (id, extra = {}) => ({ id, text: `Task ${id}`, kind: 'task', assignees: [], ...extra });
+const result = (n, extra = {}) => ({ action: 'created', id: `I${n}`, number: n, title: `Task ${n}`, url: `https://github.com/acme/site/issues/${n}`, ...extra });
+
+const SESSIONS = [
+  {
+    id: 'newer',
+    status: 'committed',
+    repository: 'acme/site',
+    documentKey: 'plan.md',
+    committedAt: '2027-02-01T00:00:00Z',
+    tasks: [
+      task(1, { kind: 'epic', text: 'Auth' }),
+      task(2, { parent: 1, assignees: ['alice'], dueDate: '2000-01-01', milestone: 'Beta' }),
+      task(3, { parent: 1, assignees: ['alice', 'bob'], milestone: 'Beta', dueDate: '2999-01-01' }),
+      task(4, { section: 'Docs' })
+    ],
+    results: [result(1), result(2), result(3, { state: 'CLOSED' }), result(4, { action: 'failed' })]
+  },
+  {
+    id: 'older',
+    status: 'committed',
+    repository: 'acme/site',
+    documentKey: 'plan.md',
+    committedAt: '2027-01-01T00:00:00Z',
+    tasks: [task(2), task(5, { section: 'Docs' })],
+    results: [result(2, { action: 'unchanged' }), result(5, { state: 'CLOSED' })]
+  }
+];
+
+describe('ReportService', () => {
+  const service = new ReportService(createStore(SESSIONS));
+
+  test('counts each issue once, under its latest import, and skips epics and failures', async () => {
+    const report = await service.buildProgressReport({ repository: 'acme/site' });
+
+    expect(report.totals).toEqual({ total: 3, open: 1, closed: 2, percentComplete: 67, overdue: 1, imports: 2 });
+    expect(report.groups.map(group => [group.name, group.total, group.closed])).toEqual([['Auth', 2, 1], ['Docs', 1, 1]]);
+  });
+
+  test('breaks groups down by assignee', async () => {
+    const report = await service.buildProgressReport({ repository: 'acme/site' });
+
+    expect(report.groups[0].assignees).toEqual([
+      { login: 'alice', total: 2, open: 1, closed: 1, percentComplete: 50 },
+      { login: 'bob', total: 1, open: 0, closed: 1, percentComplete: 100 }
+    ]);
+    expect(report.groups[0].overdue.map(row => row.number)).toEqual([2]);
+  });
+
+  test('groups by milestone with the group without one last', async () => {
+    const report = await service.buildProgressReport({ repository: 'acme/site', groupBy: 'milestone' });
+
+    expect(report.groups.map(group => [group.name, group.dueDate])).toEqual([['Beta', '2000-01-01'], ['No milestone', null]]);
+  });
+
+  test('counts an issue once per import when grouping by import', async () => {
+    const report = await service.buildProgressReport({ repository: 'acme/site', groupBy: 'import' });
+
+    expect(report.groups.map(group => [group.name, group.total])).toEqual([['newer', 2], ['older', 2]]);
+  });
+
+  test('reports on one import', async () => {
+    const report = await service.buildProgressReport({ importId: 'older' });
+
+    expect(report).toMatchObject({ repository: 'acme/site', title: 'acme/site progress', totals: { total: 2, imports: 1 } });
+  });
+
+  test('reads live state from GitHub when given a service', async () => {
+    const github = {
+      getAllRepositoryIssues: jest.fn(async () => [
+        { id: 'I2', title: 'Renamed', state: 'CLOSED', assignees: { nodes: [] }, milestone: null }
+      ])
+    };
+
+    const report = await new ReportService(createStore(SESSIONS), github).buildProgressReport({ importId: 'older' });
+
+    expect(report.source).toBe('github');
+    expect(report.groups.flatMap(group => group.issues).find(row => row.id === 'I2')).toMatchObject({ title: 'Renamed', state: 'CLOSED' });
+  });
+
+  test('refuses unknown groupings', async () => {
+    await expect(service.buildProgressReport({ groupBy: 'label' })).rejects.toMatchObject({ status: 400 });
+  });
+});
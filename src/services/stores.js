@@ -0,0 +1,21 @@
+const path = require('path');
+const JobQueue = require('./jobQueue');
+const ImportStore = require('./importStore');
+const CredentialStore = require('./credentialStore');
+const credentials = require('../config/credentials');
+
+// Saved under DATA_DIR so jobs and import history survive restarts
+const dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+// Finished jobs, and imports in full (see ImportStore), are kept this many days
+const jobRetentionDays = Number(process.env.JOB_RETENTION_DAYS) || 7;
+const importRetentionDays = Number(process.env.IMPORT_RETENTION_DAYS) || 30;
+
+// Shared by every controller that runs or records imports
+module.exports = {
+  dataDir,
+  jobQueue: new JobQueue(dataDir, { retentionDays: jobRetentionDays }),
+  importStore: new ImportStore(dataDir, { retentionDays: importRetentionDays }),
+  // One per process, so installation tokens are reused until they expire
+  credentialStore: new CredentialStore(credentials),
+};
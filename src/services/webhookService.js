@@ -0,0 +1,210 @@
+/**
+ * Webhook Service
+ * Applies GitHub webhook events to the issues recorded in the import
+ * history, so their state, assignees and project status stay current
+ * without querying GitHub again
+ */
+class WebhookService {
+  /**
+   * @param {ImportStore} importStore - Store holding the import records
+   */
+  constructor(importStore) {
+    this.importStore = importStore;
+  }
+
+  /**
+   * Apply a webhook event
+   * @param {string} event - Event name from X-GitHub-Event
+   * @param {Object} payload - Event payload
+   * @returns {{handled: boolean, updated: number}} Whether the event is one
+   *   that is synced, and how many recorded issues it changed
+   */
+  handle(event, payload) {
+    switch (event) {
+      case 'issues':
+        return { handled: true, updated: this.applyIssueEvent(payload) };
+      case 'issue_comment':
+        return { handled: true, updated: this.applyCommentEvent(payload) };
+      case 'projects_v2_item':
+        return { handled: true, updated: this.applyProjectItemEvent(payload) };
+      default:
+        return { handled: false, updated: 0 };
+    }
+  }
+
+  /**
+   * Apply an issues event: state, title, assignees, labels and milestone
+   * Events older than the last one applied to an issue are ignored, since
+   * GitHub does not guarantee delivery order
+   * @param {Object} payload - issues event payload
+   * @returns {number} Number of recorded issues changed
+   */
+  applyIssueEvent({ action, issue, repository }) {
+    return this._updateIssueResults(repository, issue, () => {
+      if (action === 'deleted') {
+        return { state: 'DELETED' };
+      }
+      if (action === 'transferred') {
+        return { state: 'TRANSFERRED' };
+      }
+      return summarizeIssue(issue);
+    });
+  }
+
+  /**
+   * Apply an issue_comment event: comment count and latest comment
+   * @param {Object} payload - issue_comment event payload
+   * @returns {number} Number of recorded issues changed
+   */
+  applyCommentEvent({ action, issue, comment, repository }) {
+    return this._updateIssueResults(repository, issue, () => ({
+      ...summarizeIssue(issue),
+      ...(action === 'created' && {
+        lastComment: {
+          author: comment.user && comment.user.login,
+          createdAt: comment.created_at,
+          url: comment.html_url,
+        },
+      }),
+    }));
+  }
+
+  /**
+   * Apply a projects_v2_item event to the project item of a recorded issue
+   * Field changes are kept by field name; the Status field is also kept as
+   * the item's status
+   * @param {Object} payload - projects_v2_item event payload
+   * @returns {number} Number of recorded issues changed
+   */
+  applyProjectItemEvent({ action, changes, projects_v2_item: item }) {
+    let updated = 0;
+
+    if (!item) {
+      return updated;
+    }
+
+    for (const session of this.importStore.list()) {
+      let changed = false;
+
+      for (const result of session.results || []) {
+        const ownsItem = result.project && result.project.itemId === item.node_id;
+        const addedLater = session.projectId === item.project_node_id && result.id === item.content_node_id;
+        if (!ownsItem && !addedLater) {
+          continue;
+        }
+
+        const project = { ...result.project, itemId: item.node_id };
+
+        if (action === 'deleted') {
+          project.removed = true;
+        } else if (action === 'archived' || action === 'restored') {
+          project.archived = action === 'archived';
+        } else if (action === 'created') {
+          delete project.removed;
+        } else if (action === 'edited' && changes && changes.field_value) {
+          const { field_name: fieldName, to } = changes.field_value;
+          if (fieldName) {
+            const value = readFieldValue(to);
+            project.fields = { ...project.fields, [fieldName]: value };
+            if (fieldName.toLowerCase() === 'status') {
+              project.status = value;
+            }
+          }
+        }
+
+        result.project = project;
+        result.syncedAt = new Date().toISOString();
+        changed = true;
+        updated += 1;
+      }
+
+      if (changed) {
+        this.importStore.update(session.id, {});
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Apply changes to every recorded result for an issue, in each import into
+   * its repository
+   * @private
+   * @param {Object} repository - Repository from the payload
+   * @param {Object} issue - Issue from the payload
+   * @param {Function} changesFor - () => changes to merge into each result
+   * @returns {number} Number of results changed
+   */
+  _updateIssueResults(repository, issue, changesFor) {
+    if (!repository || !issue) {
+      return 0;
+    }
+
+    const fullName = repository.full_name.toLowerCase();
+    let updated = 0;
+
+    for (const session of this.importStore.list()) {
+      if ((session.repository || '').toLowerCase() !== fullName) {
+        continue;
+      }
+
+      let changed = false;
+
+      for (const result of session.results || []) {
+        if (result.id !== issue.node_id) {
+          continue;
+        }
+        if (result.githubUpdatedAt && issue.updated_at && issue.updated_at < result.githubUpdatedAt) {
+          continue;
+        }
+
+        Object.assign(result, changesFor(), {
+          githubUpdatedAt: issue.updated_at || result.githubUpdatedAt,
+          syncedAt: new Date().toISOString(),
+        });
+        changed = true;
+        updated += 1;
+      }
+
+      if (changed) {
+        this.importStore.update(session.id, {});
+      }
+    }
+
+    return updated;
+  }
+}
+
+/**
+ * Read the synced fields of an issue from a webhook payload
+ * @param {Object} issue - Issue from the payload
+ * @returns {Object} Fields kept on recorded results
+ */
+function summarizeIssue(issue) {
+  return {
+    title: issue.title,
+    state: issue.state.toUpperCase(),
+    stateReason: issue.state_reason || null,
+    closedAt: issue.closed_at || null,
+    assignees: (issue.assignees || []).map(assignee => assignee.login),
+    labels: (issue.labels || []).map(label => label.name),
+    milestone: issue.milestone ? issue.milestone.title : null,
+    dueOn: issue.milestone ? issue.milestone.due_on : null,
+    comments: issue.comments,
+  };
+}
+
+/**
+ * Read the new value of a project field change
+ * Single-select options and iterations arrive as objects, other fields as plain values
+ * @param {*} value - changes.field_value.to
+ * @returns {*} Option or iteration name, or the value itself
+ */
+function readFieldValue(value) {
+  if (value && typeof value === 'object') {
+    return value.name || value.title || null;
+  }
+  return value === undefined ? null : value;
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ImportStore = require('./importStore');
+const WebhookService = require('./webhookService');
+
+describe('WebhookService', () => {
+  let dir;
+  let store;
+  let service;
+  let session;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    store = new ImportStore(dir);
+    service = new WebhookService(store);
+    session = store.create({ fileName: 'plan.md', format: 'markdown', documentKey: 'plan.md', text: '', entries: [{ text: 'Build login' }] });
+    store.update(session.id, {
+      status: 'committed',
+      repository: 'Acme/Site',
+      projectId: 'PVT_1',
+      results: [{ action: 'created', id: 'I_1', number: 1, title: 'Build login', project: { itemId: 'PVTI_1' } }]
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const result = () => store.get(session.id).results[0];
+  const issue = (extra = {}) => ({
+    node_id: 'I_1',
+    title: 'Build login',
+    state: 'closed',
+    state_reason: 'completed',
+    closed_at: '2027-01-02T00:00:00Z',
+    updated_at: '2027-01-02T00:00:00Z',
+    assignees: [{ login: 'alice' }],
+    labels: [{ name: 'auth' }],
+    milestone: { title: 'Beta', due_on: '2027-02-01T00:00:00Z' },
+    comments: 2,
+    ...extra
+  });
+
+  test('syncs issue state into the recorded results', () => {
+    expect(service.handle('issues', { action: 'closed', issue: issue(), repository: { full_name: 'acme/site' } })).toEqual({ handled: true, updated: 1 });
+
+    expect(result()).toMatchObject({ state: 'CLOSED', stateReason: 'completed', assignees: ['alice'], labels: ['auth'], milestone: 'Beta', comments: 2 });
+  });
+
+  test('ignores events older than the last one applied', () => {
+    service.handle('issues', { action: 'closed', issue: issue(), repository: { full_name: 'acme/site' } });
+
+    const stale = issue({ state: 'open', updated_at: '2027-01-01T00:00:00Z' });
+    expect(service.handle('issues', { action: 'reopened', issue: stale, repository: { full_name: 'acme/site' } }).updated).toBe(0);
+    expect(result().state).toBe('CLOSED');
+  });
+
+  test('ignores issues of other repositories', () => {
+    expect(service.handle('issues', { action: 'closed', issue: issue(), repository: { full_name: 'acme/other' } }).updated).toBe(0);
+  });
+
+  test('records the latest comment', () => {
+    service.handle('issue_comment', {
+      action: 'created',
+      issue: issue({ state: 'open' }),
+      comment: { user: { login: 'bob' }, created_at: '2027-01-03T00:00:00Z', html_url: 'https://github.com/acme/site/issues/1#c1' },
+      repository: { full_name: 'acme/site' }
+    });
+
+    expect(result().lastComment).toEqual({ author: 'bob', createdAt: '2027-01-03T00:00:00Z', url: 'https://github.com/acme/site/issues/1#c1' });
+  });
+
+  test('keeps project field changes and the status', () => {
+    service.handle('projects_v2_item', {
+      action: 'edited',
+      changes: { field_value: { field_name: 'Status', to: { name: 'In Progress' } } },
+      projects_v2_item: { node_id: 'PVTI_1', project_node_id: 'PVT_1', content_node_id: 'I_1' }
+    });
+
+    expect(result().project).toEqual({ itemId: 'PVTI_1', status: 'In Progress', fields: { Status: 'In Progress' } });
+  });
+
+  test('reports events it does not sync', () => {
+    expect(service.handle('push', {})).toEqual({ handled: false, updated: 0 });
+  });
+});
@@ -1,6 +1,7 @@
 const mammoth = require('mammoth');
 const fs = require('fs').promises;
 const path = require('path');
+const { decodeEntities } = require('../utils/xml');
 
 /**
  * Word Parser Service
@@ -9,13 +10,13 @@ const path = require('path');
 class WordParser {
   /**
    * Parse a Word document and extract text content
-   * @param {string} filePath - Path to the Word document file
+   * @param {string|Buffer} source - Path to the Word document file, or its contents
    * @returns {Promise<Object>} Parsed document content
    */
-  async parseDocument(filePath) {
+  async parseDocument(source) {
     try {
-      const buffer = await fs.readFile(filePath);
-      const result = await mammoth.extractRawText({ arrayBuffer: buffer });
+      const buffer = await this._readSource(source);
+      const result = await mammoth.extractRawText({ buffer });
       
       return {
         success: true,
@@ -33,13 +34,13 @@ class WordParser {
 
   /**
    * Parse a Word document and extract formatted HTML
-   * @param {string} filePath - Path to the Word document file
+   * @param {string|Buffer} source - Path to the Word document file, or its contents
    * @returns {Promise<Object>} Parsed document with HTML formatting
    */
-  async parseDocumentAsHtml(filePath) {
+  async parseDocumentAsHtml(source) {
     try {
-      const buffer = await fs.readFile(filePath);
-      const result = await mammoth.convertToHtml({ arrayBuffer: buffer });
+      const buffer = await this._readSource(source);
+      const result = await mammoth.convertToHtml({ buffer });
       
       return {
         success: true,
@@ -55,15 +56,140 @@ class WordParser {
     }
   }
 
+  /**
+   * Extract the tables of a Word document as rows of cell text
+   * Cells holding several paragraphs keep them separated by newlines
+   * @param {string|Buffer} source - Path to the Word document file, or its contents
+   * @returns {Promise<Object>} Tables found in the document
+   */
+  async extractTables(source) {
+    const parsed = await this.parseDocumentAsHtml(source);
+    if (!parsed.success) {
+      return {
+        success: false,
+        error: parsed.error,
+        tables: [],
+      };
+    }
+
+    const tables = this.tablesFromHtml(parsed.html);
+
+    return {
+      success: true,
+      tables,
+      tableCount: tables.length,
+    };
+  }
+
+  /**
+   * Read the tables out of mammoth HTML, see extractTables
+   * @param {string} html - HTML from parseDocumentAsHtml
+   * @returns {Array<{rows: Array<Array<string>>}>} Tables
+   */
+  tablesFromHtml(html) {
+    const tables = [];
+    for (const [, tableHtml] of html.matchAll(/<table>([\s\S]*?)<\/table>/g)) {
+      const rows = [];
+      for (const [, rowHtml] of tableHtml.matchAll(/<tr>([\s\S]*?)<\/tr>/g)) {
+        rows.push(
+          [...rowHtml.matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/g)].map(([, cellHtml]) => this._htmlToText(cellHtml))
+        );
+      }
+      tables.push({ rows });
+    }
+
+    return tables;
+  }
+
+  /**
+   * Extract the outline of a Word document from its real styles
+   * Heading styles become heading nodes and list paragraphs become items with
+   * their nesting depth (0 for top-level bullets); table content is skipped
+   * @param {string|Buffer} source - Path to the Word document file, or its contents
+   * @returns {Promise<Object>} Outline nodes in document order
+   */
+  async extractOutline(source) {
+    const parsed = await this.parseDocumentAsHtml(source);
+    if (!parsed.success) {
+      return {
+        success: false,
+        error: parsed.error,
+        outline: [],
+      };
+    }
+
+    return {
+      success: true,
+      outline: this.outlineFromHtml(parsed.html),
+    };
+  }
+
+  /**
+   * Read the outline out of mammoth HTML, see extractOutline
+   * @param {string} html - HTML from parseDocumentAsHtml
+   * @returns {Array<Object>} Outline nodes in document order
+   */
+  outlineFromHtml(html) {
+    const outline = [];
+    let listDepth = 0;
+    let tableDepth = 0;
+    let current = null;
+
+    const flush = () => {
+      if (current && current.node) {
+        const text = this._htmlToText(current.html).replace(/\n/g, ' ');
+        if (text) {
+          outline.push({ ...current.node, text });
+        }
+      }
+      current = null;
+    };
+
+    for (const token of html.split(/(<\/?(?:h[1-6]|p|ul|ol|li|table)\b[^>]*>)/)) {
+      const tag = token.match(/^<(\/?)(h[1-6]|p|ul|ol|li|table)\b/);
+      if (!tag) {
+        if (current) {
+          current.html += token;
+        }
+        continue;
+      }
+
+      const [, closing, name] = tag;
+      flush();
+
+      if (name === 'table') {
+        tableDepth += closing ? -1 : 1;
+      } else if (tableDepth > 0) {
+        continue;
+      } else if (name === 'ul' || name === 'ol') {
+        listDepth += closing ? -1 : 1;
+      } else if (closing) {
+        continue;
+      } else if (name === 'li') {
+        current = { node: { type: 'item', depth: listDepth - 1 }, html: '' };
+      } else if (name === 'p') {
+        // Paragraphs inside list items belong to the item, not the outline
+        current = { node: listDepth > 0 ? null : { type: 'paragraph' }, html: '' };
+      } else {
+        current = { node: { type: 'heading', level: Number(name[1]) }, html: '' };
+      }
+    }
+    flush();
+
+    return outline;
+  }
+
   /**
    * Extract document metadata and structure
-   * @param {string} filePath - Path to the Word document file
+   * @param {string|Buffer} source - Path to the Word document file, or its contents
+   * @param {string} fileName - Original file name, when the source is a buffer
    * @returns {Promise<Object>} Document metadata and structure info
    */
-  async extractMetadata(filePath) {
+  async extractMetadata(source, fileName) {
     try {
-      const buffer = await fs.readFile(filePath);
-      const result = await mammoth.extractRawText({ arrayBuffer: buffer });
+      const buffer = await this._readSource(source);
+      const result = await mammoth.extractRawText({ buffer });
+      const filePath = Buffer.isBuffer(source) ? null : source;
       
       const lines = result.value.split('\n').filter(line => line.trim());
       const wordCount = result.value.split(/\s+/).length;
@@ -72,7 +198,7 @@ class WordParser {
         success: true,
         metadata: {
           filePath,
-          fileName: path.basename(filePath),
+          fileName: fileName || (filePath && path.basename(filePath)),
           wordCount,
           lineCount: lines.length,
           characterCount: result.value.length,
@@ -121,13 +247,13 @@ class WordParser {
 
   /**
    * Extract specific sections or headings from a Word document
-   * @param {string} filePath - Path to the Word document file
+   * @param {string|Buffer} source - Path to the Word document file, or its contents
    * @returns {Promise<Object>} Sections and headings structure
    */
-  async extractStructure(filePath) {
+  async extractStructure(source) {
     try {
-      const buffer = await fs.readFile(filePath);
-      const result = await mammoth.extractRawText({ arrayBuffer: buffer });
+      const buffer = await this._readSource(source);
+      const result = await mammoth.extractRawText({ buffer });
       
       const lines = result.value.split('\n');
       const sections = [];
@@ -176,6 +302,33 @@ class WordParser {
     }
   }
 
+  /**
+   * Read a document from a path, or pass a buffer through
+   * @private
+   * @param {string|Buffer} source - Path to the Word document file, or its contents
+   * @returns {Promise<Buffer>} Document contents
+   */
+  async _readSource(source) {
+    return Buffer.isBuffer(source) ? source : fs.readFile(source);
+  }
+
+  /**
+   * Convert a fragment of mammoth HTML to plain text, one line per paragraph
+   * @private
+   * @param {string} html - HTML fragment
+   * @returns {string} Plain text
+   */
+  _htmlToText(html) {
+    return decodeEntities(html
+      .replace(/<\/(p|h\d|li)>/g, '\n')
+      .replace(/<br\s*\/?>/g, '\n')
+      .replace(/<[^>]+>/g, ''))
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line)
+      .join('\n');
+  }
+
   /**
    * Check if a line appears to be a heading
    * @private
@@ -0,0 +1,112 @@
+const config = require('../config/github');
+const { ApiError } = require('./errors');
+
+/**
+ * Check an "owner/repo" pattern against a repository
+ * @param {string} pattern - "*", or "owner/repo" where either part may be "*"
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name; omitted to ask for the whole owner
+ * @returns {boolean} True when the pattern covers it
+ */
+function matchesRepository(pattern, owner, repo) {
+  if (pattern === '*') {
+    return true;
+  }
+
+  const [patternOwner, patternRepo] = pattern.toLowerCase().split('/');
+  const ownerMatches = patternOwner === '*' || patternOwner === owner.toLowerCase();
+
+  // Owner-wide operations (boards, credentials) need every repository of the owner
+  return ownerMatches && (repo ? patternRepo === '*' || patternRepo === repo.toLowerCase() : patternRepo === '*');
+}
+
+/**
+ * Check whether an API client may act on a repository, owner or project
+ * Requests without a client come in while API authentication is turned off
+ * @param {Object|null} client - req.apiClient
+ * @param {Object} target - What the request acts on
+ * @param {string} target.owner - Repository or project owner
+ * @param {string} target.repo - Repository name
+ * @param {string} target.projectId - Project node ID
+ * @returns {boolean} True when allowed
+ */
+function canAccess(client, { owner, repo, projectId } = {}) {
+  if (!client) {
+    return true;
+  }
+
+  const repositoryAllowed = !owner || client.repos.some(pattern => matchesRepository(pattern, owner, repo));
+  const projectAllowed = !projectId || client.projects.some(id => id === '*' || id === projectId);
+
+  return repositoryAllowed && projectAllowed;
+}
+
+/**
+ * Check whether an API client may see a stored import or job
+ * Records with a repository follow the allowlist; imports not yet committed
+ * belong to the client that uploaded them
+ * @param {Object|null} client - req.apiClient
+ * @param {Object} record - Import session or job ({ repository, projectId, apiClient })
+ * @returns {boolean} True when allowed
+ */
+function canAccessRecord(client, record) {
+  if (!client) {
+    return true;
+  }
+
+  if (!record.repository) {
+    return record.apiClient === client.id;
+  }
+
+  const [owner, repo] = record.repository.split('/');
+  return canAccess(client, { owner, repo, projectId: record.projectId });
+}
+
+/**
+ * Refuse a request acting outside its API client's allowlists
+ * @param {Object} req - Express request object
+ * @param {Object} target - What the request acts on ({ owner, repo, projectId })
+ * @throws {ApiError} 403 API_ACCESS_DENIED
+ */
+function assertAccess(req, target) {
+  if (!canAccess(req.apiClient, target)) {
+    const { owner, repo, projectId } = target;
+    const names = [owner && (repo ? `${owner}/${repo}` : owner), projectId && `project ${projectId}`].filter(Boolean);
+    throw new ApiError(403, 'API_ACCESS_DENIED', `API client ${req.apiClient.id} may not access ${names.join(' and ')}`);
+  }
+}
+
+/**
+ * Read the target of a request from one of its parts
+ * @param {string} location - "params", "query" or "body"
+ * @returns {Function} (req) => { owner, repo, projectId }
+ */
+function requestTarget(location) {
+  return (req) => {
+    const source = req[location] || {};
+    return {
+      owner: source.owner,
+      repo: source.repo,
+      projectId: req.params.projectId || source.projectId,
+    };
+  };
+}
+
+/**
+ * Read the target of an import, which falls back to the configured project
+ * unless it is only a dry run
+ * @param {Object} req - Express request object
+ * @returns {Object} Target ({ owner, repo, projectId })
+ */
+function importTarget(req) {
+  const { owner, repo, projectId } = req.body || {};
+  return { owner, repo, projectId: projectId || (req.query.dryRun ? undefined : config.projectId) };
+}
+
+module.exports = {
+  canAccess,
+  canAccessRecord,
+  assertAccess,
+  requestTarget,
+  importTarget,
+};
@@ -0,0 +1,300 @@
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+// Words before a date that make it a start or an end
+const START_WORDS = /\b(?:from|starting|starts?|start date|begin(?:s|ning)?|kick(?:s|ing)?[\s-]?off|after)\s*:?\s*(?:on\s+|in\s+|the\s+)?$/i;
+const DUE_WORDS = /\b(?:by|due|before|until|till|deadline|ends?|end of|no later than|target|through)\s*:?\s*(?:on\s+|in\s+|the\s+)?$/i;
+// Ends a range only right after its start, as in "from May 3 to May 7"
+const RANGE_END = /^\s*(?:to|-|–)\s*$/i;
+// A count before a day and month, as in "3 of 5 Mar services", makes the number a count too
+const COUNT_BEFORE = /\b\d+\s+of\s+$/i;
+
+/**
+ * @param {string} name - Month name or abbreviation
+ * @returns {number} Month index (0-11)
+ */
+function monthIndex(name) {
+  return MONTH_NAMES.findIndex(month => month.substring(0, 3).toLowerCase() === name.substring(0, 3).toLowerCase());
+}
+
+/**
+ * @param {string} year - Four digits, or two after an apostrophe
+ * @returns {number} Full year
+ */
+function fullYear(year) {
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+/**
+ * Format a calendar date, refusing days the month does not have
+ * @param {number} year - Year
+ * @param {number} month - Month index (0-11)
+ * @param {number} day - Day of the month
+ * @returns {string|null} "YYYY-MM-DD", or null when the date does not exist
+ */
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Build a planning period spanning whole months
+ * @param {string} title - Period name, also used for its milestone
+ * @param {number} year - Year
+ * @param {number} firstMonth - First month index
+ * @param {number} months - Number of months
+ * @returns {Object} Period ({ title, start, end })
+ */
+function period(title, year, firstMonth, months) {
+  return {
+    title,
+    start: isoDate(year, firstMonth, 1),
+    end: new Date(Date.UTC(year, firstMonth + months, 0)).toISOString().substring(0, 10),
+  };
+}
+
+/**
+ * Whether a month name is really the verb "may", as in "Step 5 may fail":
+ * May only counts capitalised or next to a day with a suffix
+ * @param {string} month - Matched month name
+ * @param {string} text - Matched text
+ * @returns {boolean} True when the match is not a date
+ */
+function isModalMay(month, text) {
+  return month.toLowerCase() === 'may' && month !== 'May' && !/\d(?:st|nd|rd|th)\b/i.test(text);
+}
+
+/**
+ * Result of a calendar date match, or a warning when it does not exist
+ * @param {string} text - Matched text
+ * @param {number} year - Year, or null when the text has none
+ * @param {number} month - Month index
+ * @param {number} day - Day of the month
+ * @param {Object} context - { year } from the surrounding heading
+ * @returns {Object} { date } or { warning }
+ */
+function dateMatch(text, year, month, day, context) {
+  const resolvedYear = year || context.year;
+  if (!resolvedYear) {
+    return { warning: `Date "${text}" has no year` };
+  }
+
+  const date = isoDate(resolvedYear, month, day);
+  return date ? { date } : { warning: `"${text}" is not a valid date` };
+}
+
+/**
+ * Date and period patterns, tried in order; text matched by one is not
+ * matched again by a later one. Each read(match, context) returns { date },
+ * { period }, { warning } or null when the text is not a date after all:
+ * nothing is guessed, so a day and month or a
+ * quarter without a year (unless the context supplies one), "03/04/2027" and
+ * fiscal quarters become warnings
+ */
+const MATCHERS = [
+  {
+    pattern: /\bFY\s?'?(\d{2}|\d{4})\s*[-/]?\s*Q[1-4]\b|\bQ[1-4]\s*[-/]?\s*FY\s?'?(\d{2}|\d{4})\b/gi,
+    read: match => ({ warning: `"${match[0]}" is a fiscal quarter; its dates depend on when the fiscal year starts` }),
+  },
+  {
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+Z?)?\b/g,
+    read: (match, context) => dateMatch(match[0], Number(match[1]), Number(match[2]) - 1, Number(match[3]), context),
+  },
+  {
+    pattern: /\b(\d{4})\/(\d{1,2})\/(\d{1,2})\b/g,
+    read: (match, context) => dateMatch(match[0], Number(match[1]), Number(match[2]) - 1, Number(match[3]), context),
+  },
+  {
+    pattern: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g,
+    read: (match, context) => {
+      const [, first, second, year] = match.map(Number);
+      // Either part above 12 can only be the day
+      if (first > 12 || first === second) {
+        return dateMatch(match[0], year, second - 1, first, context);
+      }
+      if (second > 12) {
+        return dateMatch(match[0], year, first - 1, second, context);
+      }
+      return { warning: `"${match[0]}" could be day/month or month/day; write it as ${year}-MM-DD` };
+    },
+  },
+  {
+    // "of" only follows an ordinal, as in "the 5th of March"
+    pattern: new RegExp(`\\b${DAY}\\s+(?:(?<=(?:st|nd|rd|th)\\s+)of\\s+)?${MONTH}\\.?(?:,?\\s+(\\d{4}))?\\b`, 'gi'),
+    read: (match, context) => (isModalMay(match[2], match[0]) || COUNT_BEFORE.test(match.input.substring(0, match.index))
+      ? null
+      : dateMatch(match[0], match[3] && Number(match[3]), monthIndex(match[2]), Number(match[1]), context)),
+  },
+  {
+    pattern: new RegExp(`\\b${MONTH}\\.?\\s+${DAY}(?:,?\\s+(\\d{4}))?\\b(?![:\\d])`, 'gi'),
+    read: (match, context) => (isModalMay(match[1], match[0])
+      ? null
+      : dateMatch(match[0], match[3] && Number(match[3]), monthIndex(match[1]), Number(match[2]), context)),
+  },
+  {
+    pattern: new RegExp(`\\b${MONTH}\\.?\\s+(\\d{4})\\b`, 'gi'),
+    read: (match) => {
+      const month = monthIndex(match[1]);
+      const year = Number(match[2]);
+      return { period: period(`${MONTH_NAMES[month]} ${year}`, year, month, 1) };
+    },
+  },
+  {
+    pattern: /\bQ([1-4])(?:\s*[-/]?\s*(\d{4})|\s*'(\d{2}))\b|\b(\d{4})\s*[-/]?\s*Q([1-4])\b/gi,
+    read: (match) => {
+      const quarter = Number(match[1] || match[5]);
+      const year = fullYear(match[2] || match[3] || match[4]);
+      return { period: period(`Q${quarter} ${year}`, year, (quarter - 1) * 3, 3) };
+    },
+  },
+  {
+    pattern: /\bH([12])(?:\s*[-/]?\s*(\d{4})|\s*'(\d{2}))\b|\b(\d{4})\s*[-/]?\s*H([12])\b/gi,
+    read: (match) => {
+      const half = Number(match[1] || match[5]);
+      const year = fullYear(match[2] || match[3] || match[4]);
+      return { period: period(`H${half} ${year}`, year, (half - 1) * 6, 6) };
+    },
+  },
+  {
+    pattern: /\bQ([1-4])\b/gi,
+    read: (match, context) => {
+      const quarter = Number(match[1]);
+      return context.year
+        ? { period: period(`Q${quarter} ${context.year}`, context.year, (quarter - 1) * 3, 3) }
+        : { warning: `Quarter "${match[0]}" has no year` };
+    },
+  },
+];
+
+/**
+ * Find every date and period mentioned in a text, in order of appearance
+ * @param {string} text - Task line, heading or cell
+ * @param {Object} context - { year } to complete dates and quarters written without one
+ * @returns {Array<Object>} Matches ({ index, text, role, date | period | warning })
+ */
+function findDates(text, context = {}) {
+  const matches = [];
+  const taken = [];
+
+  for (const { pattern, read } of MATCHERS) {
+    for (const match of String(text).matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (taken.some(([from, to]) => start < to && end > from)) {
+        continue;
+      }
+
+      const found = read(match, context);
+      if (!found) {
+        continue;
+      }
+
+      taken.push([start, end]);
+      matches.push({ index: start, text: match[0], ...found });
+    }
+  }
+
+  matches.sort((a, b) => a.index - b.index);
+
+  matches.forEach((match, i) => {
+    const before = text.substring(0, match.index);
+    const previous = matches[i - 1];
+    const rangeEnd = previous && previous.role === 'start'
+      && RANGE_END.test(text.substring(previous.index + previous.text.length, match.index));
+    match.role = START_WORDS.test(before) ? 'start' : DUE_WORDS.test(before) || rangeEnd ? 'due' : null;
+  });
+
+  return matches;
+}
+
+/**
+ * Work out the schedule a text gives: a start date, a due date and a period
+ * Dates are due dates unless introduced by "from", "starting" and the like.
+ * A period introduced by "by" also sets the due date to its end, one
+ * introduced by "from" the start date to its start; only the first period
+ * counts, and further ones not introduced that way are reported
+ * @param {string} text - Task line, heading or cell
+ * @param {Object} context - { year } to complete dates and quarters written without one
+ * @returns {{startDate: string, dueDate: string, period: Object, warnings: Array<string>}} Schedule; missing parts are null
+ */
+function recognizeDates(text, context = {}) {
+  const result = { startDate: null, dueDate: null, period: null, warnings: [] };
+
+  for (const match of findDates(text, context)) {
+    if (match.warning) {
+      result.warnings.push(match.warning);
+      continue;
+    }
+
+    if (match.period) {
+      if (!result.period) {
+        result.period = match.period;
+      } else if (!match.role && result.period.title !== match.period.title) {
+        result.warnings.push(`Several periods mentioned; using ${result.period.title}, not ${match.period.title}`);
+      }
+    }
+
+    const property = match.role === 'start' ? 'startDate' : 'dueDate';
+    const date = match.date || (match.role && match.period[match.role === 'start' ? 'start' : 'end']);
+    if (!date) {
+      continue;
+    }
+
+    if (!result[property]) {
+      result[property] = date;
+    } else if (result[property] !== date) {
+      result.warnings.push(`Several ${property === 'startDate' ? 'start' : 'due'} dates mentioned; using ${result[property]}, not ${date}`);
+    }
+  }
+
+  if (result.startDate && result.dueDate && result.startDate > result.dueDate) {
+    result.warnings.push(`Start date ${result.startDate} is after due date ${result.dueDate}`);
+  }
+
+  return result;
+}
+
+/**
+ * Read a value that should be nothing but a date or period, such as a
+ * due: annotation or a table cell
+ * @param {string} value - Value to read
+ * @param {Object} context - { year } to complete dates written without one
+ * @returns {{date: string, period: Object, warning: string}} What the value holds; missing parts are undefined
+ */
+function parseDateValue(value, context = {}) {
+  const text = String(value).trim();
+  const matches = findDates(text, context);
+
+  if (matches.length !== 1 || matches[0].text.length < text.replace(/^(?:by|due|from|in)\s+/i, '').length) {
+    return { warning: `"${text}" is not a recognized date` };
+  }
+
+  const { date, period: matchedPeriod, warning } = matches[0];
+  return { date, period: matchedPeriod, warning };
+}
+
+/**
+ * Read the year a heading or text is about, for dates written without one
+ * @param {string} text - Heading text
+ * @returns {number|null} Year of its first period or date, or a lone four-digit year
+ */
+function findYear(text) {
+  const { period: found, startDate, dueDate } = recognizeDates(text);
+  const date = (found && found.start) || startDate || dueDate;
+  if (date) {
+    return Number(date.substring(0, 4));
+  }
+
+  const year = String(text).match(/(?<!FY\s?)\b(20\d{2})\b/i);
+  return year ? Number(year[1]) : null;
+}
+
+module.exports = {
+  recognizeDates,
+  parseDateValue,
+  findYear,
+};
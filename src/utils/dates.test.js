@@ -0,0 +1,75 @@
+const { recognizeDates, parseDateValue, findYear } = require('./dates');
+
+describe('recognizeDates', () => {
+  test('reads ISO and written dates as due dates', () => {
+    expect(recognizeDates('Ship the beta 2027-03-15').dueDate).toBe('2027-03-15');
+    expect(recognizeDates('Ship the beta by March 15, 2027').dueDate).toBe('2027-03-15');
+    expect(recognizeDates('Ship the beta by 15th of March 2027').dueDate).toBe('2027-03-15');
+  });
+
+  test('reads start words and ranges', () => {
+    expect(recognizeDates('Migration from 2027-03-01 to 2027-03-10')).toMatchObject({ startDate: '2027-03-01', dueDate: '2027-03-10' });
+    expect(recognizeDates('Starting April 2 2027, until April 9 2027')).toMatchObject({ startDate: '2027-04-02', dueDate: '2027-04-09' });
+  });
+
+  test('does not treat a bare "to" as a due date', () => {
+    expect(recognizeDates('Move billing to Q3 2027')).toMatchObject({ period: { title: 'Q3 2027' }, startDate: null, dueDate: null });
+    expect(recognizeDates('From Q1 2027 to Q2 2027')).toMatchObject({ startDate: '2027-01-01', dueDate: '2027-06-30' });
+  });
+
+  test('does not read the verb "may" as a month', () => {
+    expect(recognizeDates('Step 5 may fail on Windows', { year: 2027 })).toMatchObject({ dueDate: null, warnings: [] });
+    expect(recognizeDates('The cache may 3x the memory use', { year: 2027 })).toMatchObject({ dueDate: null, warnings: [] });
+    expect(recognizeDates('Launch May 3', { year: 2027 }).dueDate).toBe('2027-05-03');
+    expect(recognizeDates('Launch on may 3rd', { year: 2027 }).dueDate).toBe('2027-05-03');
+  });
+
+  test('does not read counts as dates', () => {
+    expect(recognizeDates('Migrate 3 of 5 Mar services', { year: 2027 })).toMatchObject({ dueDate: null, warnings: [] });
+    expect(recognizeDates('Ship 2 of 4 May releases', { year: 2027 })).toMatchObject({ dueDate: null, warnings: [] });
+    expect(recognizeDates('Ship 4 of March', { year: 2027 })).toMatchObject({ dueDate: null, warnings: [] });
+    expect(recognizeDates('Ship by the 5th of March', { year: 2027 }).dueDate).toBe('2027-03-05');
+  });
+
+  test('does not read version numbers as dates', () => {
+    expect(recognizeDates('Upgrade to 12.10.2020 of the SDK')).toMatchObject({ dueDate: null, warnings: [] });
+  });
+
+  test('reads quarters and halves as periods', () => {
+    expect(recognizeDates('Rewrite search in Q2 2027').period).toEqual({ title: 'Q2 2027', start: '2027-04-01', end: '2027-06-30' });
+    expect(recognizeDates('Rewrite search by H1 2027')).toMatchObject({ period: { title: 'H1 2027' }, dueDate: '2027-06-30' });
+    expect(recognizeDates('Rewrite search in Q3', { year: 2027 }).period.title).toBe('Q3 2027');
+  });
+
+  test('warns instead of guessing', () => {
+    expect(recognizeDates('Review 03/04/2027').warnings).toEqual(['"03/04/2027" could be day/month or month/day; write it as 2027-MM-DD']);
+    expect(recognizeDates('Review on March 3').warnings).toEqual(['Date "March 3" has no year']);
+    expect(recognizeDates('Review 2027-02-30').warnings).toEqual(['"2027-02-30" is not a valid date']);
+    expect(recognizeDates('Close books in FY27 Q1').warnings[0]).toMatch(/fiscal quarter/);
+    expect(recognizeDates('Review 25/03/2027').dueDate).toBe('2027-03-25');
+  });
+
+  test('reports a start after the due date', () => {
+    expect(recognizeDates('From 2027-05-01 until 2027-04-01').warnings).toEqual(['Start date 2027-05-01 is after due date 2027-04-01']);
+  });
+});
+
+describe('parseDateValue', () => {
+  test('accepts a value that is only a date or period', () => {
+    expect(parseDateValue('2027-03-15')).toEqual({ date: '2027-03-15', period: undefined, warning: undefined });
+    expect(parseDateValue('by Q1 2027').period.title).toBe('Q1 2027');
+  });
+
+  test('refuses anything else', () => {
+    expect(parseDateValue('next sprint')).toEqual({ warning: '"next sprint" is not a recognized date' });
+    expect(parseDateValue('2027-03-15 or later').warning).toBe('"2027-03-15 or later" is not a recognized date');
+  });
+});
+
+describe('findYear', () => {
+  test('reads the year of a heading', () => {
+    expect(findYear('Q3 2027 roadmap')).toBe(2027);
+    expect(findYear('Roadmap 2028')).toBe(2028);
+    expect(findYear('Backlog')).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * API Error
+ * An error answered with a given HTTP status and a machine-readable code
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - Machine-readable error code, e.g. "NO_TASKS_EXTRACTED"
+   * @param {string} message - Human-readable message
+   * @param {Array<Object>} details - Extra information, e.g. one entry per invalid parameter
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
+
+// Error codes of statuses that carry no code of their own
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_FILE_TYPE',
+  422: 'UNPROCESSABLE',
+  429: 'RATE_LIMITED',
+};
+
+// HTTP statuses of GitHub responses and the API error code they are reported as
+const GITHUB_STATUS_CODES = {
+  403: 'GITHUB_FORBIDDEN',
+  404: 'GITHUB_NOT_FOUND',
+  422: 'GITHUB_VALIDATION_FAILED',
+  429: 'GITHUB_RATE_LIMITED',
+};
+
+// GraphQL error types and the API error they are reported as
+const GRAPHQL_ERRORS = {
+  FORBIDDEN: [403, 'GITHUB_FORBIDDEN'],
+  INSUFFICIENT_SCOPES: [403, 'GITHUB_INSUFFICIENT_SCOPES'],
+  RATE_LIMITED: [429, 'GITHUB_RATE_LIMITED'],
+  UNPROCESSABLE: [422, 'GITHUB_VALIDATION_FAILED'],
+};
+
+/**
+ * Find the GitHub response behind an error, following wrapped causes
+ * @param {Error} error - Error thrown by GitHubService or GitHubClient
+ * @returns {Object|null} Response ({ status, errors, data })
+ */
+function findGitHubResponse(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.response) {
+      return current.response;
+    }
+  }
+  return null;
+}
+
+/**
+ * Map an error from the GitHub API to an API error
+ * @param {Error} error - Error thrown by GitHubService or GitHubClient
+ * @returns {ApiError|null} API error, or null if GitHub did not answer
+ */
+function fromGitHubError(error) {
+  const response = findGitHubResponse(error);
+  if (!response) {
+    return null;
+  }
+
+  const errors = response.errors || [];
+  const types = errors.map(e => e.type);
+
+  if (response.status === 401) {
+    return new ApiError(401, 'GITHUB_AUTH_FAILED', `GitHub rejected the token: ${error.message}`);
+  }
+
+  if (types.includes('NOT_FOUND')) {
+    const notFound = errors.find(e => e.type === 'NOT_FOUND');
+    const code = notFound.path && notFound.path[0] === 'repository' ? 'REPO_NOT_FOUND' : 'GITHUB_NOT_FOUND';
+    return new ApiError(404, code, error.message);
+  }
+
+  const known = types.find(type => GRAPHQL_ERRORS[type]);
+  if (known) {
+    return new ApiError(...GRAPHQL_ERRORS[known], error.message);
+  }
+
+  if (GITHUB_STATUS_CODES[response.status]) {
+    return new ApiError(response.status, GITHUB_STATUS_CODES[response.status], error.message);
+  }
+
+  return new ApiError(502, 'GITHUB_ERROR', error.message);
+}
+
+/**
+ * Turn any error into an API error
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {ApiError} API error
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (error.name === 'MulterError') {
+    return error.code === 'LIMIT_FILE_SIZE'
+      ? new ApiError(413, 'FILE_TOO_LARGE', 'The uploaded file is too large')
+      : new ApiError(400, 'UPLOAD_FAILED', `Invalid file upload: ${error.message}`);
+  }
+
+  // Raised by express.json() for malformed bodies
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+
+  // Client errors keep their status when a service wrapped them with more context
+  for (let current = error; current; current = current.cause) {
+    const status = current.status || current.statusCode;
+    if (status && status < 500) {
+      return new ApiError(status, current.code || STATUS_CODES[status] || 'BAD_REQUEST', error.message);
+    }
+  }
+
+  return fromGitHubError(error)
+    || new ApiError(500, 'INTERNAL_ERROR', error.message || 'Internal Server Error');
+}
+
+/**
+ * Build the response body of an error
+ * @param {ApiError} error - API error
+ * @returns {Object} { success: false, error, code, details? }
+ */
+function errorBody(error) {
+  return {
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.details && { details: error.details }),
+  };
+}
+
+module.exports = {
+  ApiError,
+  fromGitHubError,
+  toApiError,
+  errorBody,
+};
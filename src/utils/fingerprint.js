@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+const MARKER_PATTERN = /<!--\s*roadmap-api:fingerprint=([a-f0-9]+)\s+document=([a-f0-9]+)\s*-->/;
+
+/**
+ * Normalize text so whitespace and case changes do not alter a fingerprint
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Short stable hash of a string
+ * @param {string} value - Value to hash
+ * @returns {string} Hex digest prefix
+ */
+function shortHash(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').substring(0, 12);
+}
+
+/**
+ * Compute the fingerprint of a document, identified by a caller-chosen key
+ * @param {string} documentKey - Document key (usually the file name)
+ * @returns {string} Document fingerprint
+ */
+function documentFingerprint(documentKey) {
+  return shortHash(normalize(documentKey));
+}
+
+/**
+ * Identify a task within its document
+ * A key annotation (key:login-page) keeps the identity when the task is
+ * reworded; otherwise the task is known by its normalized text
+ * @param {string|Object} task - Task text, or task entry ({ text, key })
+ * @returns {string} Task identity
+ */
+function taskIdentity(task) {
+  if (typeof task === 'string') {
+    return normalize(task);
+  }
+  return task.key ? `key:${normalize(task.key)}` : normalize(task.text);
+}
+
+/**
+ * Compute the fingerprint of a task within a document
+ * Tasks under a parent are told apart from the same text under another
+ * parent; a task with a key is the same task wherever it moves
+ * @param {string} documentKey - Document key (usually the file name)
+ * @param {string|Object} task - Task text, or task entry ({ text, key })
+ * @param {string|Object} parent - Parent task, if any
+ * @returns {string} Task fingerprint
+ */
+function taskFingerprint(documentKey, task, parent = null) {
+  const scope = parent && !task.key ? `${taskIdentity(parent)}\n` : '';
+  return shortHash(`${normalize(documentKey)}\n${scope}${taskIdentity(task)}`);
+}
+
+/**
+ * Build the hidden marker appended to generated issue bodies
+ * @param {string} documentKey - Document key (usually the file name)
+ * @param {string|Object} task - Task text, or task entry ({ text, key })
+ * @param {string|Object} parent - Parent task, if any
+ * @returns {string} HTML comment carrying the fingerprints
+ */
+function buildMarker(documentKey, task, parent = null) {
+  return `<!-- roadmap-api:fingerprint=${taskFingerprint(documentKey, task, parent)} document=${documentFingerprint(documentKey)} -->`;
+}
+
+/**
+ * Read the fingerprints back from an issue body
+ * @param {string} body - Issue body
+ * @returns {{fingerprint: string, document: string}|null} Fingerprints, or null if the body has no marker
+ */
+function readMarker(body) {
+  const match = String(body || '').match(MARKER_PATTERN);
+  return match ? { fingerprint: match[1], document: match[2] } : null;
+}
+
+module.exports = {
+  taskIdentity,
+  documentFingerprint,
+  taskFingerprint,
+  buildMarker,
+  readMarker
+};
@@ -0,0 +1,53 @@
+const { taskFingerprint, buildMarker, readMarker, documentFingerprint, taskIdentity } = require('./fingerprint');
+
+describe('taskFingerprint', () => {
+  test('ignores case and spacing', () => {
+    expect(taskFingerprint('Roadmap.docx', 'Build  Login page')).toBe(taskFingerprint('roadmap.docx', 'build login page'));
+  });
+
+  test('differs between documents', () => {
+    expect(taskFingerprint('a.docx', 'Build login')).not.toBe(taskFingerprint('b.docx', 'Build login'));
+  });
+
+  test('uses the key of a task instead of its text', () => {
+    const before = taskFingerprint('a.docx', { text: 'Build login', key: 'login' });
+    const after = taskFingerprint('a.docx', { text: 'Build the sign-in page', key: 'login' });
+
+    expect(after).toBe(before);
+    expect(before).not.toBe(taskFingerprint('a.docx', 'Build login'));
+  });
+
+  test('matches plain text for tasks without a key', () => {
+    expect(taskFingerprint('a.docx', { text: 'Build login' })).toBe(taskFingerprint('a.docx', 'Build login'));
+    expect(taskIdentity({ text: ' Build  LOGIN ' })).toBe('build login');
+  });
+});
+
+describe('markers', () => {
+  test('read back what buildMarker wrote', () => {
+    const body = `Task body\n\n${buildMarker('a.docx', 'Build login')}`;
+
+    expect(readMarker(body)).toEqual({
+      fingerprint: taskFingerprint('a.docx', 'Build login'),
+      document: documentFingerprint('a.docx')
+    });
+  });
+
+  test('are null for bodies without one', () => {
+    expect(readMarker('Written by hand')).toBeNull();
+    expect(readMarker(null)).toBeNull();
+  });
+});
+
+describe('taskFingerprint under a parent', () => {
+  test('tells apart the same task under different parents', () => {
+    expect(taskFingerprint('a.docx', 'Write docs', 'Epic A')).not.toBe(taskFingerprint('a.docx', 'Write docs', 'Epic B'));
+    expect(taskFingerprint('a.docx', 'Write docs', 'Epic A')).not.toBe(taskFingerprint('a.docx', 'Write docs'));
+  });
+
+  test('ignores the parent of a task with a key', () => {
+    const task = { text: 'Write docs', key: 'docs' };
+
+    expect(taskFingerprint('a.docx', task, 'Epic A')).toBe(taskFingerprint('a.docx', task, 'Epic B'));
+  });
+});
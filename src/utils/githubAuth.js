@@ -0,0 +1,96 @@
+const config = require('../config/github');
+const GitHubService = require('../services/githubService');
+const { TokenCredential } = require('../services/credentialStore');
+const { credentialStore } = require('../services/stores');
+const { ApiError } = require('./errors');
+
+// Narrower scopes and the broader ones that include them
+const INCLUDED_IN = {
+  public_repo: ['repo'],
+  'read:project': ['project'],
+};
+
+/**
+ * Find the owner a request acts on: route parameter, then body, then query
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} User or organization login
+ */
+function requestOwner(req) {
+  return (req.params && req.params.owner) || (req.body && req.body.owner) || (req.query && req.query.owner);
+}
+
+/**
+ * Pick the credential of a request: a token sent in X-GitHub-Token, or the
+ * credential configured for the owner it acts on
+ * @param {Object} req - Express request object
+ * @param {string} owner - Owner to pick configured credentials for
+ * @returns {Object|null} Credential, or null when none applies
+ */
+function getCredential(req, owner = requestOwner(req)) {
+  const headerToken = req.headers['x-github-token'];
+
+  if (headerToken && config.allowTokenHeader) {
+    return new TokenCredential(headerToken);
+  }
+
+  return credentialStore.forOwner(owner);
+}
+
+/**
+ * Check that a credential was granted the scopes an operation needs
+ * Tokens that do not report scopes (fine-grained tokens) are let through;
+ * GitHub will still refuse what they cannot do
+ * @param {Object} credential - Credential from getCredential
+ * @param {Array<string>} scopes - Required OAuth scopes, e.g. ["repo", "project"]
+ * @throws {ApiError} 403 GITHUB_INSUFFICIENT_SCOPES naming the missing scopes
+ */
+async function assertScopes(credential, scopes) {
+  const granted = await credential.getScopes();
+  if (!granted) {
+    return;
+  }
+
+  const missing = scopes.filter(scope =>
+    !granted.includes(scope) && !(INCLUDED_IN[scope] || []).some(broader => granted.includes(broader)));
+
+  if (missing.length > 0) {
+    const message = credential.type === 'app'
+      ? `The GitHub App installation needs write permission for: ${missing.join(', ')}`
+      : `The GitHub token is missing the ${missing.join(', ')} scope${missing.length > 1 ? 's' : ''} (granted: ${granted.join(', ') || 'none'})`;
+    throw new ApiError(403, 'GITHUB_INSUFFICIENT_SCOPES', message);
+  }
+}
+
+/**
+ * Create a GitHub service for a request, checking its credential up front
+ * @param {Object} req - Express request object
+ * @param {Object} options - Lookup options
+ * @param {Array<string>} options.scopes - OAuth scopes the operation needs
+ * @param {string} options.owner - Owner to pick configured credentials for, defaults to the request's
+ * @param {boolean} options.required - Throw a 401 GITHUB_TOKEN_MISSING error when there is no credential
+ * @returns {Promise<GitHubService|null>} Authenticated service, or null when optional and unavailable
+ */
+async function getGitHubService(req, { scopes = [], owner = requestOwner(req), required = true } = {}) {
+  const credential = getCredential(req, owner);
+
+  if (!credential) {
+    if (!required) {
+      return null;
+    }
+    throw new ApiError(401, 'GITHUB_TOKEN_MISSING', owner
+      ? `No GitHub credentials for ${owner}: send X-GitHub-Token or configure credentials for the owner`
+      : 'GitHub token not provided');
+  }
+
+  if (scopes.length > 0) {
+    await assertScopes(credential, scopes);
+  }
+
+  return new GitHubService(credential);
+}
+
+module.exports = {
+  getCredential,
+  assertScopes,
+  getGitHubService,
+};
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+// No configured credentials, only what requests send
+delete process.env.GITHUB_TOKEN;
+delete process.env.GITHUB_APP_ID;
+delete process.env.GITHUB_CREDENTIALS_PATH;
+
+const { assertScopes, getCredential, getGitHubService } = require('./githubAuth');
+
+const tokenWith = scopes => ({ type: 'token', getScopes: async () => scopes });
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('assertScopes', () => {
+  test('accepts granted scopes and the broader ones including them', async () => {
+    await expect(assertScopes(tokenWith(['repo', 'project']), ['public_repo', 'read:project'])).resolves.toBeUndefined();
+  });
+
+  test('names the missing scopes', async () => {
+    await expect(assertScopes(tokenWith(['public_repo']), ['repo', 'project'])).rejects.toMatchObject({
+      status: 403,
+      code: 'GITHUB_INSUFFICIENT_SCOPES',
+      message: 'The GitHub token is missing the repo, project scopes (granted: public_repo)'
+    });
+    await expect(assertScopes({ type: 'app', getScopes: async () => ['repo'] }, ['project'])).rejects.toThrow('The GitHub App installation needs write permission for: project');
+  });
+
+  test('lets tokens without reported scopes through', async () => {
+    await expect(assertScopes(tokenWith(null), ['repo'])).resolves.toBeUndefined();
+  });
+});
+
+describe('getGitHubService', () => {
+  test('uses the token sent in X-GitHub-Token', () => {
+    const credential = getCredential({ headers: { 'x-github-token': 'ghp_header' }, body: { owner: 'acme' } });
+
+    expect(credential.type).toBe('token');
+    expect(credential.token).toBe('ghp_header');
+  });
+
+  test('refuses requests without credentials unless optional', async () => {
+    const req = { headers: {}, params: {}, body: { owner: 'acme' }, query: {} };
+
+    await expect(getGitHubService(req)).rejects.toMatchObject({ status: 401, code: 'GITHUB_TOKEN_MISSING', message: expect.stringContaining('acme') });
+    await expect(getGitHubService(req, { required: false })).resolves.toBeNull();
+  });
+});
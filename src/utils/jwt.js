@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+/**
+ * Decode one base64url part of a JWT
+ * @param {string} part - Encoded part
+ * @returns {Object} Decoded JSON
+ */
+function decodePart(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+/**
+ * Check whether a bearer token is shaped like a JWT rather than an API key
+ * @param {string} token - Bearer token
+ * @returns {boolean} True for three dot-separated parts
+ */
+function isJwt(token) {
+  return /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token);
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ * Tokens signed with any other algorithm are refused, and so are expired or
+ * not yet valid ones (60 seconds of clock drift are tolerated)
+ * @param {string} token - Encoded JWT
+ * @param {string} secret - Shared signing secret
+ * @param {Object} options - Claims to expect
+ * @param {string} options.issuer - Required iss claim
+ * @param {string} options.audience - Required aud claim (a match in an aud array counts)
+ * @returns {Object} Claims
+ * @throws {Error} Describing why the token is not valid
+ */
+function verifyJwt(token, secret, { issuer, audience } = {}) {
+  const [header, payload, signature] = token.split('.');
+  let claims;
+
+  try {
+    if (decodePart(header).alg !== 'HS256') {
+      throw new Error('unsupported algorithm');
+    }
+    claims = decodePart(payload);
+  } catch (error) {
+    throw new Error(`malformed token: ${error.message}`);
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('invalid signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp !== undefined && now - 60 >= claims.exp) {
+    throw new Error('token expired');
+  }
+  if (claims.nbf !== undefined && now + 60 < claims.nbf) {
+    throw new Error('token not yet valid');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new Error('unexpected issuer');
+  }
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new Error('unexpected audience');
+  }
+
+  return claims;
+}
+
+module.exports = {
+  isJwt,
+  verifyJwt,
+};
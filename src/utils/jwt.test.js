@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { isJwt, verifyJwt } = require('./jwt');
+
+const SECRET = 'test-secret';
+
+function sign(claims, { alg = 'HS256', secret = SECRET } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('isJwt', () => {
+  test('tells JWTs from API keys', () => {
+    expect(isJwt(sign({ sub: 'ci' }))).toBe(true);
+    expect(isJwt('3f1c0e9a8b7d6c5e4f3a2b1c')).toBe(false);
+  });
+});
+
+describe('verifyJwt', () => {
+  test('returns the claims of a valid token', () => {
+    const token = sign({ sub: 'ci', iss: 'auth', aud: ['roadmap', 'other'], exp: now() + 60 });
+
+    expect(verifyJwt(token, SECRET, { issuer: 'auth', audience: 'roadmap' })).toMatchObject({ sub: 'ci' });
+  });
+
+  test('refuses a token signed with another secret', () => {
+    expect(() => verifyJwt(sign({ sub: 'ci' }, { secret: 'other' }), SECRET)).toThrow('invalid signature');
+  });
+
+  test('refuses other algorithms', () => {
+    const [header, payload] = sign({ sub: 'ci' }, { alg: 'none' }).split('.');
+    expect(() => verifyJwt(`${header}.${payload}.`, SECRET)).toThrow('unsupported algorithm');
+  });
+
+  test('refuses expired and not yet valid tokens, with some clock drift', () => {
+    expect(() => verifyJwt(sign({ sub: 'ci', exp: now() - 120 }), SECRET)).toThrow('token expired');
+    expect(verifyJwt(sign({ sub: 'ci', exp: now() - 30 }), SECRET).sub).toBe('ci');
+    expect(() => verifyJwt(sign({ sub: 'ci', nbf: now() + 120 }), SECRET)).toThrow('token not yet valid');
+  });
+
+  test('checks the issuer and audience', () => {
+    expect(() => verifyJwt(sign({ sub: 'ci', iss: 'other' }), SECRET, { issuer: 'auth' })).toThrow('unexpected issuer');
+    expect(() => verifyJwt(sign({ sub: 'ci', aud: 'other' }), SECRET, { audience: 'roadmap' })).toThrow('unexpected audience');
+  });
+
+  test('refuses malformed tokens', () => {
+    expect(() => verifyJwt('a.b.c', SECRET)).toThrow(/^malformed token/);
+  });
+});
@@ -0,0 +1,52 @@
+const { parseDateValue } = require('./dates');
+
+/**
+ * Convert a document value into the input a project field expects
+ * @param {Object} field - Project field from GitHubService.getProjectFields
+ * @param {string} raw - Value such as "In Progress", "3" or "2026-11-30"
+ * @returns {Object} ProjectV2FieldValue input
+ */
+function resolveFieldValue(field, raw) {
+  const value = String(raw).trim();
+
+  switch (field.dataType) {
+    case 'TEXT':
+      return { text: value };
+    case 'NUMBER': {
+      // Leading number, so estimates such as "3d" still fill a number field
+      const number = parseFloat(value);
+      if (Number.isNaN(number)) {
+        throw new Error(`"${value}" is not a number`);
+      }
+      return { number };
+    }
+    case 'DATE': {
+      // Dates without a year or with day and month in doubt are refused, not guessed
+      const { date, warning } = parseDateValue(value);
+      if (!date) {
+        throw new Error(warning || `"${value}" is a period, not a date`);
+      }
+      return { date };
+    }
+    case 'SINGLE_SELECT': {
+      const option = field.options.find(o => o.name.toLowerCase() === value.toLowerCase());
+      if (!option) {
+        throw new Error(`"${value}" is not an option of ${field.name}`);
+      }
+      return { singleSelectOptionId: option.id };
+    }
+    case 'ITERATION': {
+      const iteration = field.iterations.find(i => i.title.toLowerCase() === value.toLowerCase());
+      if (!iteration) {
+        throw new Error(`"${value}" is not an iteration of ${field.name}`);
+      }
+      return { iterationId: iteration.id };
+    }
+    default:
+      throw new Error(`${field.name} cannot be set this way`);
+  }
+}
+
+module.exports = {
+  resolveFieldValue,
+};
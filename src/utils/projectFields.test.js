@@ -0,0 +1,34 @@
+const { resolveFieldValue } = require('./projectFields');
+
+describe('resolveFieldValue', () => {
+  const status = { name: 'Status', dataType: 'SINGLE_SELECT', options: [{ id: 'O1', name: 'Todo' }, { id: 'O2', name: 'In Progress' }] };
+  const sprint = { name: 'Sprint', dataType: 'ITERATION', iterations: [{ id: 'S1', title: 'Sprint 1' }] };
+
+  test('converts text, numbers and dates', () => {
+    expect(resolveFieldValue({ name: 'Notes', dataType: 'TEXT' }, ' Later ')).toEqual({ text: 'Later' });
+    expect(resolveFieldValue({ name: 'Estimate', dataType: 'NUMBER' }, '3d')).toEqual({ number: 3 });
+    expect(resolveFieldValue({ name: 'Target date', dataType: 'DATE' }, '2026-11-30')).toEqual({ date: '2026-11-30' });
+  });
+
+  test('refuses dates it would have to guess', () => {
+    const target = { name: 'Target date', dataType: 'DATE' };
+
+    expect(resolveFieldValue(target, 'March 5, 2027')).toEqual({ date: '2027-03-05' });
+    expect(() => resolveFieldValue(target, 'March 5')).toThrow('Date "March 5" has no year');
+    expect(() => resolveFieldValue(target, '03/04/2027')).toThrow('could be day/month or month/day');
+    expect(() => resolveFieldValue(target, 'Q3 2027')).toThrow('"Q3 2027" is a period, not a date');
+  });
+
+  test('matches options and iterations by name, ignoring case', () => {
+    expect(resolveFieldValue(status, 'in progress')).toEqual({ singleSelectOptionId: 'O2' });
+    expect(resolveFieldValue(sprint, 'SPRINT 1')).toEqual({ iterationId: 'S1' });
+  });
+
+  test('explains values that do not fit the field', () => {
+    expect(() => resolveFieldValue({ name: 'Estimate', dataType: 'NUMBER' }, 'soon')).toThrow('"soon" is not a number');
+    expect(() => resolveFieldValue({ name: 'Target date', dataType: 'DATE' }, 'someday')).toThrow('"someday" is not a recognized date');
+    expect(() => resolveFieldValue(status, 'Blocked')).toThrow('"Blocked" is not an option of Status');
+    expect(() => resolveFieldValue(sprint, 'Sprint 9')).toThrow('"Sprint 9" is not an iteration of Sprint');
+    expect(() => resolveFieldValue({ name: 'Assignees', dataType: 'ASSIGNEES' }, 'alice')).toThrow('Assignees cannot be set this way');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Normalize text for comparison: case, punctuation and spacing are ignored
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Count the character pairs of a string
+ * @param {string} text - Normalized text
+ * @returns {Map<string, number>} Occurrences by pair
+ */
+function bigrams(text) {
+  const pairs = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.substring(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+}
+
+/**
+ * Score how alike two texts are, from 0 (nothing shared) to 1 (same once normalized)
+ * Uses the Sørensen–Dice coefficient over character pairs, which tolerates
+ * reordered words, typos and small rewordings
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity between 0 and 1
+ */
+function similarity(a, b) {
+  const x = normalizeText(a);
+  const y = normalizeText(b);
+
+  if (!x || !y) {
+    return 0;
+  }
+  if (x === y) {
+    return 1;
+  }
+  if (x.length < 2 || y.length < 2) {
+    return 0;
+  }
+
+  const pairs = bigrams(y);
+  let shared = 0;
+  for (const [pair, count] of bigrams(x)) {
+    shared += Math.min(count, pairs.get(pair) || 0);
+  }
+
+  return (2 * shared) / (x.length + y.length - 2);
+}
+
+/**
+ * Find the candidates most similar to a text
+ * @param {string} text - Text to match
+ * @param {Array<Object>} candidates - Candidates with a title
+ * @param {Object} options - Match options
+ * @param {number} options.threshold - Lowest score reported
+ * @param {number} options.limit - Most matches returned
+ * @returns {Array<{candidate: Object, score: number}>} Matches, best first
+ */
+function findSimilar(text, candidates, { threshold, limit = 3 }) {
+  return candidates
+    .map(candidate => ({ candidate, score: similarity(text, candidate.title) }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  normalizeText,
+  similarity,
+  findSimilar,
+};
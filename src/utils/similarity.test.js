@@ -0,0 +1,37 @@
+const { normalizeText, similarity, findSimilar } = require('./similarity');
+
+describe('similarity', () => {
+  test('ignores case, punctuation and spacing', () => {
+    expect(normalizeText('  Build the LOGIN page!  ')).toBe('build the login page');
+    expect(similarity('Build the login page', 'build the login page.')).toBe(1);
+  });
+
+  test('scores small rewordings and typos high and unrelated text low', () => {
+    expect(similarity('Build the login page', 'Build login page')).toBeGreaterThan(0.8);
+    expect(similarity('Build the login page', 'Biuld the login page')).toBeGreaterThan(0.8);
+    expect(similarity('Build the login page', 'Migrate billing to Stripe')).toBeLessThan(0.3);
+  });
+
+  test('scores empty and one-letter texts 0', () => {
+    expect(similarity('', 'Build')).toBe(0);
+    expect(similarity('a', 'b')).toBe(0);
+  });
+});
+
+describe('findSimilar', () => {
+  const candidates = [
+    { number: 1, title: 'Build login page' },
+    { number: 2, title: 'Build the login pages' },
+    { number: 3, title: 'Write release notes' }
+  ];
+
+  test('returns the matches above the threshold, best first', () => {
+    const matches = findSimilar('Build the login page', candidates, { threshold: 0.8 });
+
+    expect(matches.map(match => match.candidate.number)).toEqual([2, 1]);
+  });
+
+  test('returns at most limit matches', () => {
+    expect(findSimilar('Build the login page', candidates, { threshold: 0, limit: 1 })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,100 @@
+// GitHub rejects issue titles longer than this
+const MAX_ISSUE_TITLE_LENGTH = 256;
+
+/**
+ * Look up a placeholder value; "fields.<Name>" reads a field case-insensitively
+ * @param {Object} context - Template values
+ * @param {string} name - Placeholder name
+ * @returns {*} Value, or undefined
+ */
+function lookup(context, name) {
+  const [key, ...rest] = name.split('.');
+  const value = context[key];
+
+  if (rest.length === 0 || !value || typeof value !== 'object') {
+    return rest.length === 0 ? value : undefined;
+  }
+
+  const field = rest.join('.').toLowerCase();
+  const match = Object.keys(value).find(k => k.toLowerCase() === field);
+  return match !== undefined ? value[match] : undefined;
+}
+
+/**
+ * Format a value for insertion: lists are joined, objects become a bullet list
+ * @param {*} value - Placeholder value
+ * @returns {string} Text
+ */
+function format(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  if (typeof value === 'object') {
+    return Object.entries(value).map(([name, v]) => `- **${name}**: ${v}`).join('\n');
+  }
+  return String(value);
+}
+
+/**
+ * Whether a value counts as set for a {{#name}}...{{/name}} section
+ * @param {*} value - Placeholder value
+ * @returns {boolean} True when the section should render
+ */
+function isSet(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).length > 0;
+  }
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+/**
+ * Render a template: {{name}} inserts a value and {{#name}}...{{/name}}
+ * keeps its content only when the value is set. Unknown placeholders render
+ * as empty text, and runs of blank lines left behind are collapsed
+ * @param {string} template - Template text
+ * @param {Object} context - Template values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, context) {
+  return String(template || '')
+    .replace(/\{\{#\s*([^{}]+?)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g, (match, name, inner) =>
+      (isSet(lookup(context, name)) ? inner : ''))
+    .replace(/\{\{\s*([^{}#/]+?)\s*\}\}/g, (match, name) => format(lookup(context, name)))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Shorten a long task into an issue title
+ * Uses the first sentence when it fits, otherwise cuts at a word boundary
+ * and adds an ellipsis; the full text belongs in the issue body
+ * @param {string} text - Task text
+ * @param {number} maxLength - Longest title
+ * @returns {string} Title
+ */
+function splitTitle(text, maxLength = 100) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const sentence = text.match(/^(.+?)[.!?:;](\s|$)/);
+  if (sentence && sentence[1].length >= 20 && sentence[1].length <= maxLength) {
+    return sentence[1];
+  }
+
+  const cut = text.lastIndexOf(' ', maxLength - 1);
+  const end = cut > maxLength / 2 ? cut : maxLength - 1;
+  return `${text.substring(0, end).replace(/[\s,;:.-]+$/, '')}…`;
+}
+
+module.exports = {
+  MAX_ISSUE_TITLE_LENGTH,
+  renderTemplate,
+  splitTitle,
+};
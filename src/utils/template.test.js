@@ -0,0 +1,55 @@
+const { renderTemplate, splitTitle } = require('./template');
+const issueTemplates = require('../config/issueTemplates');
+const { buildIssuePayloads } = require('../controllers/uploadController');
+
+describe('renderTemplate', () => {
+  test('inserts values and formats lists and fields', () => {
+    const context = { title: 'Build login', labels: ['auth', 'ui'], fields: { Priority: 'High' } };
+
+    expect(renderTemplate('{{title}} [{{labels}}]', context)).toBe('Build login [auth, ui]');
+    expect(renderTemplate('{{fields}}', context)).toBe('- **Priority**: High');
+    expect(renderTemplate('{{fields.priority}}', context)).toBe('High');
+  });
+
+  test('renders sections only when their value is set', () => {
+    const template = '{{#section}}[{{section}}] {{/section}}{{title}}';
+
+    expect(renderTemplate(template, { title: 'Build login', section: 'Auth' })).toBe('[Auth] Build login');
+    expect(renderTemplate(template, { title: 'Build login', section: '' })).toBe('Build login');
+  });
+
+  test('drops unknown placeholders and collapses blank lines', () => {
+    expect(renderTemplate('One\n\n{{unknown}}\n\nTwo', {})).toBe('One\n\nTwo');
+  });
+});
+
+describe('splitTitle', () => {
+  test('keeps short text', () => {
+    expect(splitTitle('Build login')).toBe('Build login');
+  });
+
+  test('uses the first sentence of a long task', () => {
+    const text = `Build the login page with SSO. ${'Then more detail. '.repeat(10)}`;
+    expect(splitTitle(text)).toBe('Build the login page with SSO');
+  });
+
+  test('cuts at a word boundary otherwise', () => {
+    const title = splitTitle('word '.repeat(40), 50);
+    expect(title.length).toBeLessThanOrEqual(50);
+    expect(title.endsWith('word…')).toBe(true);
+  });
+});
+
+describe('issue templates', () => {
+  test('render the same issue for every import of a document', () => {
+    const tasks = [{ text: 'Build login', section: 'Auth', line: 3, fields: { Priority: 'High' } }];
+    const build = importId => buildIssuePayloads(tasks, { documentKey: 'plan.md', importId, template: issueTemplates.detailed });
+
+    const [first] = build('import-1');
+    const [second] = build('import-2');
+
+    expect(first.body).toBe(second.body);
+    expect(first.body).toContain('**Section:** Auth');
+    expect(first.body).toContain('**Source:** plan.md, line 3');
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Decode the XML entities found in document markup
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Read an attribute from the source of an XML tag
+ * @param {string} tag - Tag source, e.g. '<c r="A1" t="s">'
+ * @param {string} name - Attribute name, including its namespace prefix
+ * @returns {string|null} Decoded attribute value, or null if absent
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}="([^"]*)"`));
+  return match ? decodeEntities(match[1]) : null;
+}
+
+module.exports = {
+  decodeEntities,
+  escapeXml,
+  getAttribute,
+};
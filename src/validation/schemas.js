@@ -0,0 +1,221 @@
+const ImportService = require('../services/importService');
+const ReportService = require('../services/reportService');
+const { TRUE_VALUES } = require('../middleware/validate');
+
+// Request schemas for the validate middleware, grouped by route; see
+// middleware/validate.js for the rule types
+
+const owner = {
+  type: 'string',
+  pattern: /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/,
+  patternMessage: 'must be a GitHub user or organization login',
+};
+const repo = {
+  type: 'string',
+  pattern: /^[A-Za-z0-9._-]{1,100}$/,
+  patternMessage: 'must be a repository name',
+};
+const issueNumber = { type: 'integer', min: 1 };
+const runAsync = { async: { type: 'boolean', default: false } };
+const page = {
+  first: { type: 'integer', min: 1, max: 100, default: 20 },
+  after: { type: 'string' },
+};
+
+// How the document is read into tasks
+const parseOptions = {
+  documentKey: { type: 'string' },
+  columns: { type: 'object' },
+  sheet: { type: 'string' },
+  mode: { type: 'enum', values: ['tasks', 'epics'] },
+  epicLevel: { type: 'integer', min: 1, max: 6 },
+};
+
+// How tasks become issues
+const issueOptions = {
+  labels: { type: 'list' },
+  assignee: { type: 'string' },
+  assignees: { type: 'list' },
+  template: { type: 'string' },
+  fields: { type: 'object' },
+};
+
+// How issues are synced to GitHub
+const importOptions = {
+  projectId: { type: 'string' },
+  closeRemoved: { type: 'boolean', default: false },
+  hierarchy: { type: 'enum', values: ['tasklist', 'sub-issues'], default: 'tasklist' },
+  createMissing: { type: 'boolean', default: false },
+  labelCatalog: { type: 'object' },
+  duplicatePolicy: { type: 'enum', values: ImportService.DUPLICATE_POLICIES, default: 'flag' },
+  duplicateThreshold: { type: 'number', min: 0, max: 1 },
+};
+
+// Repository targets are optional for previews and dry runs
+const needsRepository = req => !TRUE_VALUES.includes(String(req.query.dryRun).toLowerCase());
+
+const upload = {
+  query: { dryRun: { type: 'boolean', default: false }, ...runAsync },
+  body: {
+    owner: { ...owner, required: needsRepository },
+    repo: { ...repo, required: needsRepository },
+    ...parseOptions,
+    ...issueOptions,
+    ...importOptions,
+  },
+};
+
+const preview = {
+  body: { owner, repo, ...parseOptions, ...issueOptions },
+};
+
+const createImport = {
+  body: parseOptions,
+};
+
+const listImports = {
+  query: {
+    repository: { type: 'string', pattern: /^[^/\s]+\/[^/\s]+$/, patternMessage: 'must be "owner/repo"' },
+    status: { type: 'enum', values: ['pending', 'committing', 'committed', 'failed', 'rolling-back', 'rolled-back'] },
+  },
+};
+
+const getImport = {
+  query: { includeText: { type: 'boolean', default: false } },
+};
+
+const updateImportTask = {
+  params: { n: { type: 'integer', min: 1 } },
+  body: {
+    text: { type: 'string' },
+    drop: { type: 'boolean', default: false },
+    mergeWith: { type: 'list' },
+  },
+};
+
+const commitImport = {
+  query: runAsync,
+  body: {
+    owner: { ...owner, required: true },
+    repo: { ...repo, required: true },
+    ...issueOptions,
+    ...importOptions,
+  },
+};
+
+const rollbackImport = {
+  query: runAsync,
+  body: { mode: { type: 'enum', values: ['close', 'delete'], default: 'close' } },
+};
+
+const exportRoadmap = {
+  query: {
+    owner: { ...owner, required: true },
+    repo: { ...repo, required: true },
+    format: { type: 'string', default: 'md' },
+    groupBy: { type: 'enum', values: ['milestone', 'label', 'status'], default: 'milestone' },
+    state: { type: 'enum', values: ['OPEN', 'CLOSED', 'ALL'], default: 'ALL' },
+    projectId: { type: 'string' },
+    title: { type: 'string' },
+  },
+};
+
+// One import can be reported on instead of a repository
+const needsImportOrRepository = req => !req.query.importId;
+
+const progressReport = {
+  query: {
+    owner: { ...owner, required: needsImportOrRepository },
+    repo: { ...repo, required: needsImportOrRepository },
+    importId: { type: 'string' },
+    groupBy: { type: 'enum', values: ReportService.GROUPS, default: 'section' },
+    live: { type: 'boolean', default: false },
+    format: { type: 'string', default: 'json' },
+    title: { type: 'string' },
+  },
+};
+
+const repositoryParams = {
+  owner: { ...owner, required: true },
+  repo: { ...repo, required: true },
+};
+const issueParams = { ...repositoryParams, number: { ...issueNumber, required: true } };
+
+const listIssues = {
+  params: repositoryParams,
+  query: {
+    state: { type: 'enum', values: ['OPEN', 'CLOSED', 'ALL'], default: 'OPEN' },
+    labels: { type: 'list' },
+    assignee: { type: 'string' },
+    milestone: { type: 'string' },
+    ...page,
+  },
+};
+
+const getIssue = {
+  params: issueParams,
+};
+
+const updateIssue = {
+  params: issueParams,
+  body: {
+    title: { type: 'string', maxLength: 256 },
+    body: { type: 'string' },
+    state: { type: 'enum', values: ['OPEN', 'CLOSED'] },
+    labels: { type: 'list' },
+    assignees: { type: 'list' },
+    milestone: { type: 'string', nullable: true },
+  },
+};
+
+const addComment = {
+  params: issueParams,
+  body: { body: { type: 'string', required: true } },
+};
+
+const listProjects = {
+  query: { owner: { ...owner, required: true }, repo, ...page },
+};
+
+const createProject = {
+  body: {
+    owner: { ...owner, required: true },
+    repo,
+    title: { type: 'string', required: true },
+    description: { type: 'string' },
+  },
+};
+
+const listProjectItems = {
+  query: page,
+};
+
+const addProjectItem = {
+  body: { contentId: { type: 'string' }, owner, repo, number: issueNumber },
+};
+
+const updateProjectItem = {
+  body: { status: { type: 'string', nullable: true }, fields: { type: 'object' } },
+};
+
+module.exports = {
+  upload,
+  preview,
+  createImport,
+  listImports,
+  getImport,
+  updateImportTask,
+  commitImport,
+  rollbackImport,
+  exportRoadmap,
+  progressReport,
+  listIssues,
+  getIssue,
+  updateIssue,
+  addComment,
+  listProjects,
+  createProject,
+  listProjectItems,
+  addProjectItem,
+  updateProjectItem,
+};